@@ -5,6 +5,8 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { hasPermission, ROLE_LABELS } = require('../utils/permissions');
+const { findActiveSession } = require('../services/sessionService');
 
 // Middleware to verify JWT token
 const authenticate = async (req, res, next) => {
@@ -21,6 +23,15 @@ const authenticate = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // The token's session must still be active; logging out or revoking it ends the token early
+    const session = await findActiveSession(decoded.sessionId);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended. Please sign in again.'
+      });
+    }
     
     // Get user from database
     const user = await User.findById(decoded.userId).select('-password');
@@ -32,13 +43,21 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Attach user to request
+    if (user.active === false) {
+      return res.status(401).json({
+        success: false,
+        message: 'This account has been deactivated.'
+      });
+    }
+
+    // Attach user and session to request
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     res.status(401).json({
       success: false,
-      message: 'Invalid token. Access denied.'
+      message: error.name === 'TokenExpiredError' ? 'Token expired.' : 'Invalid token. Access denied.'
     });
   }
 };
@@ -54,5 +73,21 @@ const isAdmin = (req, res, next) => {
   next();
 };
 
-module.exports = { authenticate, isAdmin };
+/**
+ * Build middleware that allows the request only when the user's role grants a permission
+ * Use after authenticate, and before upload middleware so refused uploads are never stored.
+ * @param {string} permission - Permission from utils/permissions, e.g. "questions:edit"
+ * @returns {Function} - Express middleware
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({
+      success: false,
+      message: `Access denied. The ${ROLE_LABELS[req.user.role] || req.user.role} role cannot perform this action (${permission}).`
+    });
+  }
+  next();
+};
+
+module.exports = { authenticate, isAdmin, requirePermission };
 
@@ -0,0 +1,108 @@
+/**
+ * Module Access Middleware
+ * Allows a request only for members of the module it concerns; see services/moduleTeamService
+ */
+
+const mongoose = require('mongoose');
+const fs = require('fs').promises;
+const Module = require('../models/Module');
+const { canAccessModule } = require('../services/moduleTeamService');
+
+const ACCESS_DESCRIPTIONS = {
+  view: 'view',
+  edit: 'edit questions, papers and blueprints on',
+  analyze: 'run coverage analysis on',
+  override: 'override coverage on',
+  manage: 'manage'
+};
+
+/**
+ * Resolve the module ID from a route parameter
+ * @param {string} name - Parameter name
+ * @returns {Function} - req -> module ID
+ */
+const fromParam = (name) => async (req) => req.params[name];
+
+/**
+ * Resolve the module ID from the request body (after upload middleware for form data)
+ * @param {string} name - Body field
+ * @returns {Function} - req -> module ID
+ */
+const fromBody = (name) => async (req) => req.body[name];
+
+/**
+ * Resolve the module ID through a document that belongs to a module
+ * @param {Object} Model - Mongoose model with a moduleId field
+ * @param {string} param - Route parameter holding the document's ID
+ * @returns {Function} - req -> module ID, or null when the document does not exist
+ */
+const fromDocument = (Model, param) => async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params[param])) {
+    return null;
+  }
+  const doc = await Model.findById(req.params[param]).select('moduleId');
+  return doc ? doc.moduleId : null;
+};
+
+/**
+ * Remove the file of a refused upload
+ * @param {Object} req - Express request
+ */
+async function discardUpload(req) {
+  if (!req.file) return;
+  try {
+    await fs.unlink(req.file.path);
+  } catch (unlinkError) {
+    console.error('Failed to delete file:', unlinkError);
+  }
+}
+
+/**
+ * Build middleware that allows the request only when the user has an access level on the module
+ * Requests without a module ID, or whose document does not exist, are passed on so the route
+ * reports the problem as before. The module is attached as req.module.
+ * @param {string} access - 'view', 'edit', 'analyze', 'override' or 'manage'
+ * @param {Function} resolveModuleId - async req -> module ID, e.g. fromParam('moduleId')
+ * @returns {Function} - Express middleware
+ */
+const requireModuleAccess = (access, resolveModuleId) => async (req, res, next) => {
+  try {
+    const moduleId = await resolveModuleId(req);
+    if (!moduleId) {
+      return next();
+    }
+
+    const module = mongoose.Types.ObjectId.isValid(moduleId) ? await Module.findById(moduleId) : null;
+    if (!module) {
+      await discardUpload(req);
+      return res.status(404).json({
+        success: false,
+        message: 'Module not found'
+      });
+    }
+
+    if (!canAccessModule(module, req.user, access)) {
+      await discardUpload(req);
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. You are not on the team allowed to ${ACCESS_DESCRIPTIONS[access]} ${module.moduleCode}.`
+      });
+    }
+
+    req.module = module;
+    next();
+  } catch (error) {
+    await discardUpload(req);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check module access: ' + error.message
+    });
+  }
+};
+
+module.exports = {
+  requireModuleAccess,
+  fromParam,
+  fromBody,
+  fromDocument
+};
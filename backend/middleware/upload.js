@@ -0,0 +1,49 @@
+/**
+ * Upload Middleware
+ * Multer configuration for documents uploaded into the server's uploads folder
+ */
+
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs').promises;
+
+const storage = multer.diskStorage({
+  destination: async (req, file, cb) => {
+    const uploadDir = path.join(__dirname, '../uploads');
+    try {
+      await fs.mkdir(uploadDir, { recursive: true });
+      cb(null, uploadDir);
+    } catch (error) {
+      cb(error, null);
+    }
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+/**
+ * Create an upload handler accepting the given file types
+ * Browsers report some types inconsistently (CSV and JSON in particular), so a known extension is accepted too.
+ * @param {Object} options - { mimeTypes, extensions, message } message is the error for any other file
+ * @returns {Object} - Multer instance
+ */
+function createUpload({ mimeTypes, extensions = [], message }) {
+  return multer({
+    storage: storage,
+    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+    fileFilter: (req, file, cb) => {
+      const extension = path.extname(file.originalname).toLowerCase();
+      if (mimeTypes.includes(file.mimetype) || extensions.includes(extension)) {
+        cb(null, true);
+      } else {
+        cb(new Error(message));
+      }
+    }
+  });
+}
+
+module.exports = {
+  createUpload
+};
@@ -0,0 +1,107 @@
+/**
+ * AnalysisJob Model
+ * Tracks background coverage analysis runs and their progress
+ */
+
+const mongoose = require('mongoose');
+
+const analysisJobSchema = new mongoose.Schema({
+  moduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Module',
+    required: true
+  },
+  analysisTag: {
+    type: String,
+    default: null
+  },
+  paperId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExamPaper',
+    default: null
+  },
+  questionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question'
+  }],
+  scoringStrategy: {
+    type: String,
+    enum: ['llm', 'embedding'],
+    default: 'llm'
+  },
+  trigger: {
+    type: String,
+    enum: ['Manual', 'Upload', 'QuestionCreated'],
+    default: 'Manual'
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['queued', 'running', 'succeeded', 'failed'],
+    default: 'queued'
+  },
+  progress: {
+    learningOutcomes: {
+      type: Number,
+      default: 0
+    },
+    questions: {
+      type: Number,
+      default: 0
+    },
+    // Total LO × question pairs to score and how many are done
+    total: {
+      type: Number,
+      default: 0
+    },
+    completed: {
+      type: Number,
+      default: 0
+    },
+    // Pairs served from the similarity cache instead of the LLM
+    cached: {
+      type: Number,
+      default: 0
+    }
+  },
+  errorLog: [{
+    loId: {
+      type: String,
+      default: null
+    },
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question',
+      default: null
+    },
+    message: {
+      type: String,
+      required: true
+    },
+    occurredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+analysisJobSchema.index({ moduleId: 1, createdAt: -1 });
+analysisJobSchema.index({ status: 1, createdAt: 1 }); // For picking the next queued job
+
+module.exports = mongoose.model('AnalysisJob', analysisJobSchema);
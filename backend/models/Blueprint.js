@@ -0,0 +1,76 @@
+/**
+ * Blueprint Model
+ * An assessment blueprint: how a paper's marks should be spread over LOs, Bloom's levels and question types
+ */
+
+const mongoose = require('mongoose');
+
+const blueprintSchema = new mongoose.Schema({
+  moduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Module',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  totalMarks: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  durationMinutes: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // Marks each LO should carry; LOs without a target are left out of the paper
+  loTargets: [{
+    _id: false,
+    loId: {
+      type: String,
+      required: true
+    },
+    marks: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  // Percentage of the total marks at each Bloom's level
+  bloomTargets: [{
+    _id: false,
+    bloomLevel: {
+      type: String,
+      required: true,
+      enum: ['Remember', 'Understand', 'Apply', 'Analyze', 'Evaluate', 'Create']
+    },
+    share: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100
+    }
+  }],
+  // Percentage of the total marks from MCQs, the rest being structured questions (null for no preference)
+  mcqShare: {
+    type: Number,
+    default: null,
+    min: 0,
+    max: 100
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+blueprintSchema.index({ moduleId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Blueprint', blueprintSchema);
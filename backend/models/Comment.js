@@ -0,0 +1,78 @@
+/**
+ * Comment Model
+ * Stores moderation comments on questions and exam papers, threaded one level deep
+ */
+
+const mongoose = require('mongoose');
+const { ROLES } = require('../utils/permissions');
+
+const commentSchema = new mongoose.Schema({
+  moduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Module',
+    required: true
+  },
+  targetType: {
+    type: String,
+    required: true,
+    enum: ['Question', 'ExamPaper']
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'targetType'
+  },
+  // Top-level comment this one replies to; null for the comment that starts a thread
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The author's part in the moderation when they wrote the comment
+  authorRole: {
+    type: String,
+    required: true,
+    enum: ['setter', ...ROLES]
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Only threads are resolved; replies follow their thread
+  resolved: {
+    type: Boolean,
+    default: false
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+commentSchema.index({ targetType: 1, targetId: 1, createdAt: 1 });
+commentSchema.index({ moduleId: 1, targetType: 1, parentId: 1, resolved: 1 });
+commentSchema.index({ mentions: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -5,6 +5,49 @@
 
 const mongoose = require('mongoose');
 
+// A question's machine score against the LO and the evidence behind it
+const questionEvidenceFields = {
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question'
+  },
+  similarityScore: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  rationale: {
+    type: String,
+    default: ''
+  },
+  demonstratedBloomLevel: {
+    type: String,
+    default: null
+  },
+  matchedPhrases: {
+    type: [String],
+    default: []
+  }
+};
+
+// Copy of the moderator override applied to a mapping, if any
+const overrideFields = {
+  type: new mongoose.Schema({
+    overrideId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CoverageOverride'
+    },
+    action: String,
+    reason: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    updatedAt: Date
+  }, { _id: false }),
+  default: null
+};
+
 const coverageSchema = new mongoose.Schema({
   moduleId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -15,6 +58,19 @@ const coverageSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Version of the module's learning outcomes the run was analysed against
+  loVersion: {
+    type: Number,
+    default: null
+  },
+  // The LO as it read at analysis time, so later edits don't change what the report shows
+  learningOutcome: {
+    type: new mongoose.Schema({
+      description: String,
+      bloomLevel: String
+    }, { _id: false }),
+    default: null
+  },
   coveragePercentage: {
     type: Number,
     required: true,
@@ -27,16 +83,24 @@ const coverageSchema = new mongoose.Schema({
     enum: ['Covered', 'Partially Covered', 'Not Covered']
   },
   questionsCovered: [{
-    questionId: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Question'
-    },
-    similarityScore: {
+    ...questionEvidenceFields,
+    // Share of the question's marks attributed to this LO
+    allocatedMarks: {
       type: Number,
-      min: 0,
-      max: 1
-    }
+      default: 0
+    },
+    override: overrideFields
+  }],
+  // Mappings a moderator removed, kept so the correction stays visible
+  excludedQuestions: [{
+    ...questionEvidenceFields,
+    override: overrideFields
   }],
+  // Best-scoring questions that fell below the relevance threshold, kept as evidence for Not Covered verdicts
+  nearMisses: [questionEvidenceFields],
+  // Every machine score of the run, so overrides can be re-applied without scoring again
+  scoredQuestions: [questionEvidenceFields],
+  // When the run read the module and its questions; changes after this are not reflected in it
   analyzedAt: {
     type: Date,
     default: Date.now
@@ -45,6 +109,45 @@ const coverageSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Exam paper the run analysed; paper runs use the paper's questions and marks
+  paperId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExamPaper',
+    default: null
+  },
+  scoringStrategy: {
+    type: String,
+    enum: ['llm', 'embedding'],
+    default: 'llm'
+  },
+  // Provider/model or vectoriser that produced the similarity scores
+  scoringModel: {
+    type: String,
+    default: null
+  },
+  // The module's analysis settings at the time of the run, so old reports stay interpretable
+  settingsSnapshot: {
+    relevanceThreshold: Number,
+    coveredThreshold: Number,
+    partialThreshold: Number,
+    aggregation: String,
+    minQuestionsPerLO: Number
+  },
+  // Marks of the analysed questions that target this LO, out of the paper total
+  marksAllocated: {
+    type: Number,
+    default: null
+  },
+  totalMarks: {
+    type: Number,
+    default: null
+  },
+  marksShare: {
+    type: Number,
+    default: null,
+    min: 0,
+    max: 100
+  },
   questionCount: {
     type: Number,
     default: null
@@ -60,6 +163,7 @@ const coverageSchema = new mongoose.Schema({
 // Index for faster queries
 coverageSchema.index({ moduleId: 1, loId: 1 });
 coverageSchema.index({ moduleId: 1, analysisTag: 1 });
+coverageSchema.index({ moduleId: 1, paperId: 1 });
 coverageSchema.index({ moduleId: 1, loId: 1, analyzedAt: -1 }); // For sorting and deduplication
 
 module.exports = mongoose.model('Coverage', coverageSchema);
@@ -0,0 +1,53 @@
+/**
+ * CoverageOverride Model
+ * Stores moderator corrections to question ↔ LO mappings, kept apart from the machine scores
+ */
+
+const mongoose = require('mongoose');
+
+const coverageOverrideSchema = new mongoose.Schema({
+  moduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Module',
+    required: true
+  },
+  loId: {
+    type: String,
+    required: true
+  },
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  // pin: keep the mapping whatever the machine score, unpin: drop the mapping, add: map a question the machine missed
+  action: {
+    type: String,
+    required: true,
+    enum: ['pin', 'unpin', 'add']
+  },
+  // Similarity the mapping counts with; unset means 1 for added mappings and the machine score for pinned ones
+  similarityScore: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: null
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One override per question and LO; a new decision replaces the previous one
+coverageOverrideSchema.index({ moduleId: 1, loId: 1, questionId: 1 }, { unique: true });
+
+module.exports = mongoose.model('CoverageOverride', coverageOverrideSchema);
@@ -0,0 +1,147 @@
+/**
+ * ExamPaper Model
+ * An exam paper for a module and its progress through moderation
+ */
+
+const mongoose = require('mongoose');
+
+const PAPER_STATUSES = ['Draft', 'Submitted for Moderation', 'Changes Requested', 'Approved', 'Locked'];
+
+// A question placed on the paper; the same bank question can appear on several papers with different marks
+const paperQuestionSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  marks: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+// Questions are held in paper order within each section
+const paperSectionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  instructions: {
+    type: String,
+    default: ''
+  },
+  questions: [paperQuestionSchema]
+});
+
+const examPaperSchema = new mongoose.Schema({
+  moduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Module',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Rubric printed at the top of the paper
+  instructions: {
+    type: String,
+    default: ''
+  },
+  // Intended paper total; the marks of the placed questions must add up to it before submission
+  totalMarks: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  sections: [paperSectionSchema],
+  // When the sections (questions, order or marks) last changed; a coverage analysis older than
+  // this no longer describes the paper. Unset on papers from before it was tracked.
+  sectionsUpdatedAt: {
+    type: Date,
+    default: null
+  },
+  // Blueprint the paper was built from, if any
+  blueprintId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blueprint',
+    default: null
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: PAPER_STATUSES,
+    default: 'Draft'
+  },
+  // Lecturer who sets the paper
+  setter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Internal moderator; must be a different user from the setter
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  history: [{
+    action: {
+      type: String,
+      required: true
+    },
+    fromStatus: {
+      type: String,
+      enum: PAPER_STATUSES
+    },
+    toStatus: {
+      type: String,
+      enum: PAPER_STATUSES
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    comment: {
+      type: String,
+      default: ''
+    },
+    occurredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Coverage results as they stood at approval; never recalculated afterwards
+  coverageSnapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  approvedAt: {
+    type: Date,
+    default: null
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+examPaperSchema.index({ moduleId: 1, createdAt: -1 });
+examPaperSchema.index({ moderator: 1, status: 1 }); // For a moderator's review queue
+
+module.exports = mongoose.model('ExamPaper', examPaperSchema);
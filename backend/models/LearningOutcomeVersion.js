@@ -0,0 +1,43 @@
+/**
+ * LearningOutcomeVersion Model
+ * A module's learning outcomes as they stood at each version, recorded whenever they change
+ */
+
+const mongoose = require('mongoose');
+
+const learningOutcomeVersionSchema = new mongoose.Schema({
+  moduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Module',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  learningOutcomes: [{
+    _id: false,
+    loId: String,
+    description: String,
+    bloomLevel: String
+  }],
+  // Differences from the previous version; empty for version 1
+  changes: {
+    added: [String],
+    removed: [String],
+    changed: [String]
+  },
+  // Unknown for the first version of modules created before LOs were versioned
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+learningOutcomeVersionSchema.index({ moduleId: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('LearningOutcomeVersion', learningOutcomeVersionSchema);
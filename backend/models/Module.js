@@ -1,6 +1,6 @@
 /**
  * Module Model
- * Stores module information including topics, subtopics, and learning outcomes
+ * Stores module information including topics, subtopics, learning outcomes and the module team
  */
 
 const mongoose = require('mongoose');
@@ -28,6 +28,23 @@ const learningOutcomeSchema = new mongoose.Schema({
     type: String,
     required: true,
     enum: ['Remember', 'Understand', 'Apply', 'Analyze', 'Evaluate', 'Create']
+  },
+  // Vector used by embedding-based coverage scoring
+  embedding: {
+    vector: {
+      type: [Number],
+      default: undefined
+    },
+    model: String,
+    textHash: String
+  }
+});
+
+// Vectors are internal to coverage scoring, so keep them out of API responses
+learningOutcomeSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.embedding;
+    return ret;
   }
 });
 
@@ -45,9 +62,67 @@ const moduleSchema = new mongoose.Schema({
   },
   topics: [topicSchema],
   learningOutcomes: [learningOutcomeSchema],
+  // Settings used by coverage analysis for this module
+  analysisSettings: {
+    relevanceThreshold: {
+      type: Number,
+      default: 0.3,
+      min: 0,
+      max: 1
+    },
+    coveredThreshold: {
+      type: Number,
+      default: 70,
+      min: 0,
+      max: 100
+    },
+    partialThreshold: {
+      type: Number,
+      default: 30,
+      min: 0,
+      max: 100
+    },
+    aggregation: {
+      type: String,
+      enum: ['mean', 'max', 'weighted-marks'],
+      default: 'mean'
+    },
+    minQuestionsPerLO: {
+      type: Number,
+      default: 1,
+      min: 1
+    }
+  },
+  // Current version of the learning outcomes; bumped whenever an LO is added, removed or reworded
+  loVersion: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  },
+  // Who works on the module; see services/moduleTeamService for what each team role may do
+  // Modules from before teams have no leader, and their creator leads them
+  team: {
+    leader: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    setters: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    moderators: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    viewers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
   }
 }, {
   timestamps: true
@@ -40,11 +40,61 @@ const questionSchema = new mongoose.Schema({
   sampleAnswer: {
     type: String,
     default: ''
+  },
+  // Bloom's level the question demonstrates, set by the classifier or a lecturer
+  bloomClassification: {
+    level: {
+      type: String,
+      enum: ['Remember', 'Understand', 'Apply', 'Analyze', 'Evaluate', 'Create', null],
+      default: null
+    },
+    confidence: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: null
+    },
+    // 'manual' classifications are kept when the module is re-classified
+    method: {
+      type: String,
+      enum: ['ai', 'heuristic', 'manual', null],
+      default: null
+    },
+    model: {
+      type: String,
+      default: null
+    },
+    classifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    classifiedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Vector used by embedding-based coverage scoring
+  embedding: {
+    vector: {
+      type: [Number],
+      default: undefined
+    },
+    model: String,
+    textHash: String
   }
 }, {
   timestamps: true
 });
 
+// Vectors are internal to coverage scoring, so keep them out of API responses
+questionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.embedding;
+    return ret;
+  }
+});
+
 // Index for faster queries
 questionSchema.index({ moduleId: 1 });
 
@@ -0,0 +1,65 @@
+/**
+ * QuestionRevision Model
+ * Immutable log of a question's wording, options and answers; revisions are only ever added
+ */
+
+const mongoose = require('mongoose');
+
+const questionRevisionSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  moduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Module',
+    required: true
+  },
+  // Numbered from 1 per question; revision 1 is the question as first written
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // original: the question as first written, or before its first recorded change for older questions
+  action: {
+    type: String,
+    required: true,
+    enum: ['original', 'edit', 'restore']
+  },
+  // The question's content after this revision
+  content: {
+    questionText: String,
+    questionType: String,
+    options: [String],
+    correctAnswer: String,
+    marks: Number,
+    sampleAnswer: String
+  },
+  changedFields: [{
+    type: String
+  }],
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Revision whose content a restore brought back
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  // Unknown for the original of questions written before revisions were recorded
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+questionRevisionSchema.index({ questionId: 1, revision: 1 }, { unique: true });
+
+module.exports = mongoose.model('QuestionRevision', questionRevisionSchema);
@@ -0,0 +1,49 @@
+/**
+ * SimilarityCache Model
+ * Stores previously computed LO/question similarity scores so re-analyses skip unchanged pairs
+ */
+
+const mongoose = require('mongoose');
+
+const similarityCacheSchema = new mongoose.Schema({
+  // SHA-256 of the normalised learning outcome description
+  loHash: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the normalised question text
+  questionHash: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String,
+    required: true
+  },
+  similarityScore: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1
+  },
+  rationale: {
+    type: String,
+    default: ''
+  },
+  // Bloom's level the question demonstrates and the question phrases that matched the LO
+  demonstratedBloomLevel: {
+    type: String,
+    default: null
+  },
+  matchedPhrases: {
+    type: [String],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+// One score per LO text, question text and model
+similarityCacheSchema.index({ loHash: 1, questionHash: 1, model: 1 }, { unique: true });
+
+module.exports = mongoose.model('SimilarityCache', similarityCacheSchema);
@@ -1,10 +1,11 @@
 /**
  * User Model
- * Stores authentication information for Admin and Lecturer roles
+ * Stores authentication information and the user's role; see utils/permissions for what each role may do
  */
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -21,12 +22,35 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['admin', 'lecturer'],
+    enum: ROLES,
     default: 'lecturer'
   },
   name: {
     type: String,
     required: true
+  },
+  // false until the owner follows the link emailed at registration; unset on accounts from
+  // before email verification, which are treated as verified
+  emailVerified: {
+    type: Boolean
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Deactivated accounts cannot sign in; their data and module team places are kept
+  active: {
+    type: Boolean,
+    default: true
+  },
+  deactivatedAt: {
+    type: Date,
+    default: null
+  },
+  deactivatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
 }, {
   timestamps: true
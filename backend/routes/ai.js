@@ -6,8 +6,11 @@
 const express = require('express');
 const Module = require('../models/Module');
 const Question = require('../models/Question');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { requireModuleAccess, fromBody } = require('../middleware/moduleAccess');
 const { generateQuestions } = require('../services/openaiService');
+const { getHeuristicClassification } = require('../services/bloomClassificationService');
+const { recordOriginal } = require('../services/questionRevisionService');
 
 const router = express.Router();
 
@@ -18,7 +21,7 @@ router.use(authenticate);
  * Generate questions for a learning outcome
  * POST /api/ai/generate-questions
  */
-router.post('/generate-questions', async (req, res) => {
+router.post('/generate-questions', requirePermission('ai:generate'), requireModuleAccess('edit', fromBody('moduleId')), async (req, res) => {
   try {
     const { moduleId, loId, mcqCount, structuredCount } = req.body;
 
@@ -48,7 +51,7 @@ router.post('/generate-questions', async (req, res) => {
       });
     }
 
-    // Generate questions using Groq
+    // Generate questions using the configured LLM provider
     const generatedQuestions = await generateQuestions(
       lo.description,
       lo.bloomLevel,
@@ -73,9 +76,11 @@ router.post('/generate-questions', async (req, res) => {
           questionType: 'MCQ',
           source: 'AI',
           options: options,
-          correctAnswer: mcq.correctAnswer || options[0] || ''
+          correctAnswer: mcq.correctAnswer || options[0] || '',
+          bloomClassification: getHeuristicClassification(mcq.question)
         });
         await question.save();
+        await recordOriginal(question, req.user._id);
         savedMCQs.push(question);
       }
     }
@@ -90,9 +95,11 @@ router.post('/generate-questions', async (req, res) => {
           questionType: 'Structured',
           source: 'AI',
           marks: structured.marks || 10,
-          sampleAnswer: structured.sampleAnswer || ''
+          sampleAnswer: structured.sampleAnswer || '',
+          bloomClassification: getHeuristicClassification(structured.question)
         });
         await question.save();
+        await recordOriginal(question, req.user._id);
         savedStructured.push(question);
       }
     }
@@ -120,7 +127,7 @@ router.post('/generate-questions', async (req, res) => {
  * Generate questions for multiple learning outcomes
  * POST /api/ai/generate-batch
  */
-router.post('/generate-batch', async (req, res) => {
+router.post('/generate-batch', requirePermission('ai:generate'), requireModuleAccess('edit', fromBody('moduleId')), async (req, res) => {
   try {
     const { moduleId, loIds, mcqCount, structuredCount } = req.body;
 
@@ -182,9 +189,11 @@ router.post('/generate-batch', async (req, res) => {
               questionType: 'MCQ',
               source: 'AI',
               options: options,
-              correctAnswer: mcq.correctAnswer || options[0] || ''
+              correctAnswer: mcq.correctAnswer || options[0] || '',
+              bloomClassification: getHeuristicClassification(mcq.question)
             });
             await question.save();
+            await recordOriginal(question, req.user._id);
             savedMCQs.push(question._id);
           }
         }
@@ -197,9 +206,11 @@ router.post('/generate-batch', async (req, res) => {
               questionType: 'Structured',
               source: 'AI',
               marks: structured.marks || 10,
-              sampleAnswer: structured.sampleAnswer || ''
+              sampleAnswer: structured.sampleAnswer || '',
+              bloomClassification: getHeuristicClassification(structured.question)
             });
             await question.save();
+            await recordOriginal(question, req.user._id);
             savedStructured.push(question._id);
           }
         }
@@ -1,12 +1,27 @@
 /**
  * Authentication Routes
- * Handles user registration, login, and authentication
+ * Handles user registration, email verification, login, password reset, token refresh, logout and the user's sessions
  */
 
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { authenticate } = require('../middleware/auth');
+const { describeUser } = require('../utils/permissions');
+const {
+  REFRESH_COOKIE,
+  setRefreshCookie,
+  clearRefreshCookie,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeSessionByToken,
+  revokeUserSessions,
+  listSessions
+} = require('../services/sessionService');
+const { TOKEN_LIFETIMES, verifyAccountToken } = require('../services/accountTokenService');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/accountEmailService');
 
 const router = express.Router();
 
@@ -16,7 +31,7 @@ const router = express.Router();
  */
 router.post('/register', async (req, res) => {
   try {
-    const { email, password, name, role } = req.body;
+    const { email, password, name } = req.body;
 
     // Validate input
     if (!email || !password || !name) {
@@ -26,42 +41,54 @@ router.post('/register', async (req, res) => {
       });
     }
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
+    if (password.length < 6) {
       return res.status(400).json({
         success: false,
-        message: 'User already exists with this email'
+        message: 'Password must be at least 6 characters long'
       });
     }
 
-    // Create new user
+    // Check if user already exists; an unverified account whose link has expired was never
+    // claimed by the address's owner, so the address can be registered again
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      const claimExpired = existingUser.emailVerified === false
+        && existingUser.createdAt <= new Date(Date.now() - TOKEN_LIFETIMES['email-verification'] * 60 * 1000);
+      if (!claimExpired) {
+        return res.status(400).json({
+          success: false,
+          message: 'User already exists with this email'
+        });
+      }
+      await existingUser.deleteOne();
+    }
+
+    // Roles are assigned by an admin, never taken from the request; the very first account
+    // becomes the admin so a fresh installation can be set up
+    const isFirstUser = (await User.countDocuments()) === 0;
     const user = new User({
       email,
       password,
       name,
-      role: role || 'lecturer'
+      role: isFirstUser ? 'admin' : 'lecturer',
+      emailVerified: false
     });
 
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // No session until the owner of the address follows the emailed link
+    let message = 'Account created. Follow the link we emailed you to verify your address, then sign in.';
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      message = 'Account created, but the verification email could not be sent: ' + mailError.message
+        + '. Request a new link from the sign-in page.';
+    }
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        name: user.name,
-        role: user.role
-      }
+      message,
+      user: describeUser(user)
     });
   } catch (error) {
     res.status(500).json({
@@ -71,6 +98,149 @@ router.post('/register', async (req, res) => {
   }
 });
 
+/**
+ * Verify an email address from the emailed link
+ * POST /api/auth/verify-email
+ * Body: { token }
+ */
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { user, error } = await verifyAccountToken(req.body.token, 'email-verification');
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email address verified. You can now sign in.'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Email verification failed: ' + error.message
+    });
+  }
+});
+
+/**
+ * Send a new verification link
+ * POST /api/auth/resend-verification
+ * Body: { email }
+ * Answers the same whether or not the account exists, so it cannot be used to look up addresses
+ */
+router.post('/resend-verification', async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await User.findOne({ email });
+    if (user && user.emailVerified === false) {
+      await sendVerificationEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If that address has an unverified account, a new verification link is on its way.'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email: ' + error.message
+    });
+  }
+});
+
+/**
+ * Email a password reset link
+ * POST /api/auth/forgot-password
+ * Body: { email }
+ * Answers the same whether or not the account exists, so it cannot be used to look up addresses
+ */
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await User.findOne({ email });
+    if (user && user.active !== false) {
+      await sendPasswordResetEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If that address has an account, a password reset link is on its way.'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send password reset email: ' + error.message
+    });
+  }
+});
+
+/**
+ * Set a new password from the emailed link
+ * POST /api/auth/reset-password
+ * Body: { token, password }
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!password || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters long'
+      });
+    }
+
+    const { user, error } = await verifyAccountToken(token, 'password-reset');
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    user.password = password;
+    // The link reached the address's inbox, which is all verification proves
+    if (user.emailVerified === false) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Whoever knew the old password is signed out everywhere
+    await revokeUserSessions(user._id, 'password-reset');
+
+    res.json({
+      success: true,
+      message: 'Password changed. Sign in with your new password.'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Password reset failed: ' + error.message
+    });
+  }
+});
+
 /**
  * Login user
  * POST /api/auth/login
@@ -105,23 +275,30 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    if (user.active === false) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account has been deactivated. Contact an administrator to restore it.'
+      });
+    }
+
+    if (user.emailVerified === false) {
+      return res.status(403).json({
+        success: false,
+        emailNotVerified: true,
+        message: 'Verify your email address before signing in. Follow the link we emailed you, or request a new one.'
+      });
+    }
+
+    // Start a session: a short-lived access token, and a refresh token in an httpOnly cookie
+    const { accessToken: token, refreshToken } = await createSession(user, req);
+    setRefreshCookie(res, refreshToken);
 
     res.json({
       success: true,
       message: 'Login successful',
       token,
-      user: {
-        id: user._id,
-        email: user.email,
-        name: user.name,
-        role: user.role
-      }
+      user: describeUser(user)
     });
   } catch (error) {
     res.status(500).json({
@@ -131,6 +308,135 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * Exchange the refresh token cookie for a new access token, rotating the refresh token
+ * POST /api/auth/refresh
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const result = await rotateSession(req.cookies[REFRESH_COOKIE], req);
+    if (result.error) {
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    if (result.refreshToken) {
+      setRefreshCookie(res, result.refreshToken);
+    }
+    res.json({
+      success: true,
+      token: result.accessToken,
+      user: describeUser(result.user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Token refresh failed: ' + error.message
+    });
+  }
+});
+
+/**
+ * Log out of this device
+ * POST /api/auth/logout
+ * Works from the refresh token cookie alone, so an expired access token can still log out
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    await revokeSessionByToken(req.cookies[REFRESH_COOKIE], 'logout');
+    clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed: ' + error.message
+    });
+  }
+});
+
+/**
+ * Log out of every device, including this one
+ * POST /api/auth/logout-all
+ */
+router.post('/logout-all', authenticate, async (req, res) => {
+  try {
+    const count = await revokeUserSessions(req.user._id, 'logout-all');
+    clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      message: `Logged out of ${count} session${count === 1 ? '' : 's'}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed: ' + error.message
+    });
+  }
+});
+
+/**
+ * List the current user's active sessions
+ * GET /api/auth/sessions
+ */
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id, req.authSession._id);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions: ' + error.message
+    });
+  }
+});
+
+/**
+ * End one of the current user's sessions
+ * DELETE /api/auth/sessions/:id
+ */
+router.delete('/sessions/:id', authenticate, async (req, res) => {
+  try {
+    const session = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null })
+      : null;
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session, 'revoked');
+    if (String(session._id) === String(req.authSession._id)) {
+      clearRefreshCookie(res);
+    }
+
+    res.json({
+      success: true,
+      message: `Logged out ${session.device}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to end session: ' + error.message
+    });
+  }
+});
+
 /**
  * Get current user profile
  * GET /api/auth/me
@@ -139,12 +445,7 @@ router.get('/me', authenticate, async (req, res) => {
   try {
     res.json({
       success: true,
-      user: {
-        id: req.user._id,
-        email: req.user.email,
-        name: req.user.name,
-        role: req.user.role
-      }
+      user: describeUser(req.user)
     });
   } catch (error) {
     res.status(500).json({
@@ -0,0 +1,279 @@
+/**
+ * Blueprint Routes
+ * Handles assessment blueprints and building exam papers from them
+ */
+
+const express = require('express');
+const Blueprint = require('../models/Blueprint');
+const ExamPaper = require('../models/ExamPaper');
+const Module = require('../models/Module');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { requireModuleAccess, fromParam, fromBody, fromDocument } = require('../middleware/moduleAccess');
+const { hasPermission } = require('../utils/permissions');
+const { validateBlueprint, buildFromBlueprint, toPaperSections } = require('../services/blueprintService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * Get all blueprints for a module
+ * GET /api/blueprints/module/:moduleId
+ */
+router.get('/module/:moduleId', requireModuleAccess('view', fromParam('moduleId')), async (req, res) => {
+  try {
+    const blueprints = await Blueprint.find({ moduleId: req.params.moduleId })
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: blueprints.length,
+      blueprints
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch blueprints: ' + error.message
+    });
+  }
+});
+
+/**
+ * Get single blueprint by ID
+ * GET /api/blueprints/:id
+ */
+router.get('/:id', requireModuleAccess('view', fromDocument(Blueprint, 'id')), async (req, res) => {
+  try {
+    const blueprint = await Blueprint.findById(req.params.id).populate('createdBy', 'name email');
+
+    if (!blueprint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blueprint not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      blueprint
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch blueprint: ' + error.message
+    });
+  }
+});
+
+/**
+ * Create blueprint
+ * POST /api/blueprints
+ * Body: { moduleId, name, totalMarks, durationMinutes, loTargets: [{ loId, marks }], bloomTargets: [{ bloomLevel, share }], mcqShare }
+ */
+router.post('/', requirePermission('blueprints:edit'), requireModuleAccess('edit', fromBody('moduleId')), async (req, res) => {
+  try {
+    const { moduleId, name } = req.body;
+
+    // Validate required fields
+    if (!moduleId || !name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Module ID and blueprint name are required'
+      });
+    }
+
+    // Verify module exists
+    const module = await Module.findById(moduleId);
+    if (!module) {
+      return res.status(404).json({
+        success: false,
+        message: 'Module not found'
+      });
+    }
+
+    const { blueprint: values, errors } = validateBlueprint(req.body, module);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. ')
+      });
+    }
+
+    const blueprint = new Blueprint({
+      ...values,
+      moduleId,
+      createdBy: req.user._id
+    });
+
+    await blueprint.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Blueprint created successfully',
+      blueprint
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create blueprint: ' + error.message
+    });
+  }
+});
+
+/**
+ * Update blueprint; the whole blueprint is replaced by the values given
+ * PUT /api/blueprints/:id
+ */
+router.put('/:id', requirePermission('blueprints:edit'), requireModuleAccess('edit', fromDocument(Blueprint, 'id')), async (req, res) => {
+  try {
+    const blueprint = await Blueprint.findById(req.params.id);
+
+    if (!blueprint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blueprint not found'
+      });
+    }
+
+    const module = await Module.findById(blueprint.moduleId);
+    if (!module) {
+      return res.status(404).json({
+        success: false,
+        message: 'Module not found'
+      });
+    }
+
+    const { blueprint: values, errors } = validateBlueprint(req.body, module);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. ')
+      });
+    }
+
+    Object.assign(blueprint, values);
+    await blueprint.save();
+
+    res.json({
+      success: true,
+      message: 'Blueprint updated successfully',
+      blueprint
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update blueprint: ' + error.message
+    });
+  }
+});
+
+/**
+ * Delete blueprint
+ * DELETE /api/blueprints/:id
+ */
+router.delete('/:id', requirePermission('blueprints:edit'), requireModuleAccess('edit', fromDocument(Blueprint, 'id')), async (req, res) => {
+  try {
+    const blueprint = await Blueprint.findById(req.params.id);
+
+    if (!blueprint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blueprint not found'
+      });
+    }
+
+    await Blueprint.findByIdAndDelete(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Blueprint deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete blueprint: ' + error.message
+    });
+  }
+});
+
+/**
+ * Select questions from the bank that best satisfy a blueprint
+ * POST /api/blueprints/:id/build
+ * Body: { generateMissing: boolean, createPaper: boolean, paperTitle: string }
+ * Questions are mapped to LOs through the module's latest default coverage analysis.
+ * With createPaper, the selection is saved as a Draft exam paper set by the current user.
+ */
+router.post('/:id/build', requirePermission('blueprints:edit'), requireModuleAccess('edit', fromDocument(Blueprint, 'id')), async (req, res) => {
+  try {
+    const { generateMissing = false, createPaper = false, paperTitle } = req.body;
+
+    if (generateMissing && !hasPermission(req.user, 'ai:generate')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your role cannot generate questions; build without generating missing questions'
+      });
+    }
+    if (createPaper && !hasPermission(req.user, 'papers:set')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your role cannot set exam papers; build without creating a paper'
+      });
+    }
+
+    const blueprint = await Blueprint.findById(req.params.id);
+    if (!blueprint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blueprint not found'
+      });
+    }
+
+    const module = await Module.findById(blueprint.moduleId);
+    if (!module) {
+      return res.status(404).json({
+        success: false,
+        message: 'Module not found'
+      });
+    }
+
+    const build = await buildFromBlueprint(blueprint, module, { generateMissing, author: req.user._id });
+
+    let paper = null;
+    if (createPaper && build.selection.length > 0) {
+      paper = new ExamPaper({
+        moduleId: module._id,
+        title: paperTitle || `${module.moduleCode} - ${blueprint.name}`,
+        instructions: blueprint.durationMinutes ? `Time allowed: ${blueprint.durationMinutes} minutes.` : '',
+        totalMarks: blueprint.totalMarks,
+        sections: toPaperSections(build),
+        blueprintId: blueprint._id,
+        setter: req.user._id,
+        history: [{
+          action: 'create',
+          toStatus: 'Draft',
+          actor: req.user._id,
+          comment: `Built from blueprint "${blueprint.name}"`
+        }]
+      });
+      await paper.save();
+    }
+
+    res.json({
+      success: true,
+      message: build.gaps.length === 0
+        ? `Selected ${build.selection.length} questions meeting every blueprint target`
+        : `Selected ${build.selection.length} questions; ${build.gaps.length} blueprint target(s) could not be met`,
+      ...build,
+      paper
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build paper from blueprint: ' + error.message
+    });
+  }
+});
+
+module.exports = router;
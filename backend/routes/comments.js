@@ -0,0 +1,357 @@
+/**
+ * Comment Routes
+ * Handles threaded moderation comments on questions and exam papers
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const Question = require('../models/Question');
+const ExamPaper = require('../models/ExamPaper');
+const Module = require('../models/Module');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { requireModuleAccess, fromParam, fromDocument } = require('../middleware/moduleAccess');
+const { buildMembershipQuery } = require('../services/moduleTeamService');
+const {
+  getModuleStaff,
+  describeAuthorRole,
+  validateComment,
+  buildThreads
+} = require('../services/commentService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// URL segment → the model a comment is attached to
+const TARGET_TYPES = {
+  question: 'Question',
+  paper: 'ExamPaper'
+};
+
+/**
+ * Load the question or paper a comment URL refers to
+ * @param {string} kind - 'question' or 'paper'
+ * @param {string} targetId - Question or paper ID
+ * @returns {Promise<Object|null>} - { targetType, target }, or null when not found
+ */
+async function loadTarget(kind, targetId) {
+  if (!mongoose.Types.ObjectId.isValid(targetId)) {
+    return null;
+  }
+  const targetType = TARGET_TYPES[kind];
+  const target = targetType === 'Question'
+    ? await Question.findById(targetId).select('moduleId')
+    : await ExamPaper.findById(targetId).select('moduleId setter moderator');
+  return target ? { targetType, target } : null;
+}
+
+/**
+ * Resolve the module of the question or paper a comment URL refers to, for requireModuleAccess
+ * @param {Object} req - Express request with kind and targetId parameters
+ * @returns {Promise<Object|null>} - Module ID, or null when the target does not exist
+ */
+async function fromTarget(req) {
+  const found = await loadTarget(req.params.kind, req.params.targetId);
+  return found ? found.target.moduleId : null;
+}
+
+/**
+ * Populate the people on comments for display
+ * @param {Object} query - Mongoose query
+ * @returns {Object} - The populated query
+ */
+function populatePeople(query) {
+  return query.populate([
+    { path: 'author', select: 'name email' },
+    { path: 'mentions', select: 'name email' },
+    { path: 'resolvedBy', select: 'name email' }
+  ]);
+}
+
+/**
+ * Get the users who can be mentioned in a module's comments
+ * GET /api/comments/module/:moduleId/staff
+ */
+router.get('/module/:moduleId/staff', requireModuleAccess('view', fromParam('moduleId')), async (req, res) => {
+  try {
+    const users = await getModuleStaff(req.params.moduleId);
+
+    res.json({
+      success: true,
+      count: users.length,
+      users
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch module staff: ' + error.message
+    });
+  }
+});
+
+/**
+ * Get recent comments that mention the current user, on modules whose team they are still on
+ * GET /api/comments/mentions
+ */
+router.get('/mentions', async (req, res) => {
+  try {
+    const moduleIds = await Module.find(buildMembershipQuery(req.user)).distinct('_id');
+    const comments = await populatePeople(
+      Comment.find({ mentions: req.user._id, moduleId: { $in: moduleIds } })
+        .sort({ createdAt: -1 })
+        .limit(50)
+    );
+
+    res.json({
+      success: true,
+      count: comments.length,
+      comments
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch mentions: ' + error.message
+    });
+  }
+});
+
+/**
+ * Get the comment threads on a question or paper
+ * GET /api/comments/question/:targetId
+ * GET /api/comments/paper/:targetId
+ */
+router.get('/:kind(question|paper)/:targetId', requireModuleAccess('view', fromTarget), async (req, res) => {
+  try {
+    const found = await loadTarget(req.params.kind, req.params.targetId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: `${req.params.kind === 'question' ? 'Question' : 'Exam paper'} not found`
+      });
+    }
+
+    const comments = await populatePeople(
+      Comment.find({ targetType: found.targetType, targetId: found.target._id }).sort({ createdAt: 1 })
+    );
+    const threads = buildThreads(comments);
+
+    res.json({
+      success: true,
+      count: threads.length,
+      unresolvedCount: threads.filter(thread => !thread.resolved).length,
+      threads
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch comments: ' + error.message
+    });
+  }
+});
+
+/**
+ * Comment on a question or paper, or reply to a thread on it
+ * POST /api/comments/question/:targetId
+ * POST /api/comments/paper/:targetId
+ * Body: { body, mentions: [userId], parentId }
+ * A reply to a reply joins the same thread.
+ */
+router.post('/:kind(question|paper)/:targetId', requirePermission('comments:write'), requireModuleAccess('view', fromTarget), async (req, res) => {
+  try {
+    const found = await loadTarget(req.params.kind, req.params.targetId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: `${req.params.kind === 'question' ? 'Question' : 'Exam paper'} not found`
+      });
+    }
+    const { targetType, target } = found;
+
+    const staff = await getModuleStaff(target.moduleId);
+    const { values, errors } = validateComment(req.body, staff);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. ')
+      });
+    }
+
+    let parentId = null;
+    if (req.body.parentId) {
+      const parent = mongoose.Types.ObjectId.isValid(req.body.parentId)
+        ? await Comment.findById(req.body.parentId)
+        : null;
+      if (!parent || String(parent.targetId) !== String(target._id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Comment being replied to not found'
+        });
+      }
+      parentId = parent.parentId || parent._id;
+    }
+
+    const comment = new Comment({
+      ...values,
+      moduleId: target.moduleId,
+      targetType,
+      targetId: target._id,
+      parentId,
+      author: req.user._id,
+      authorRole: describeAuthorRole(req.user, targetType, target)
+    });
+    await comment.save();
+
+    // A new reply reopens a resolved thread, since the conversation has moved on
+    if (parentId) {
+      await Comment.updateOne(
+        { _id: parentId, resolved: true },
+        { resolved: false, resolvedBy: null, resolvedAt: null }
+      );
+    }
+
+    res.status(201).json({
+      success: true,
+      message: parentId ? 'Reply added successfully' : 'Comment added successfully',
+      comment: await populatePeople(comment)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add comment: ' + error.message
+    });
+  }
+});
+
+/**
+ * Edit a comment
+ * PUT /api/comments/:id
+ * Body: { body, mentions: [userId] }
+ * Only the author can edit their comment.
+ */
+router.put('/:id', requirePermission('comments:write'), requireModuleAccess('view', fromDocument(Comment, 'id')), async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (String(comment.author) !== String(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the author can edit a comment'
+      });
+    }
+
+    const staff = await getModuleStaff(comment.moduleId);
+    const { values, errors } = validateComment(req.body, staff);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. ')
+      });
+    }
+
+    comment.body = values.body;
+    comment.mentions = values.mentions;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    res.json({
+      success: true,
+      message: 'Comment updated successfully',
+      comment: await populatePeople(comment)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update comment: ' + error.message
+    });
+  }
+});
+
+/**
+ * Resolve or reopen a thread
+ * PUT /api/comments/:id/resolve
+ * Body: { resolved: boolean }
+ */
+router.put('/:id/resolve', requirePermission('comments:write'), requireModuleAccess('view', fromDocument(Comment, 'id')), async (req, res) => {
+  try {
+    const resolved = req.body.resolved !== false;
+    const comment = await Comment.findById(req.params.id);
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (comment.parentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Replies cannot be resolved; resolve the thread instead'
+      });
+    }
+
+    comment.resolved = resolved;
+    comment.resolvedBy = resolved ? req.user._id : null;
+    comment.resolvedAt = resolved ? new Date() : null;
+    await comment.save();
+
+    res.json({
+      success: true,
+      message: resolved ? 'Thread resolved' : 'Thread reopened',
+      comment: await populatePeople(comment)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update thread: ' + error.message
+    });
+  }
+});
+
+/**
+ * Delete a comment, and its replies when it starts a thread
+ * DELETE /api/comments/:id
+ * Only the author or an admin can delete a comment.
+ */
+router.delete('/:id', requireModuleAccess('view', fromDocument(Comment, 'id')), async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (String(comment.author) !== String(req.user._id) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the author can delete a comment'
+      });
+    }
+
+    await Comment.deleteMany({ $or: [{ _id: comment._id }, { parentId: comment._id }] });
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete comment: ' + error.message
+    });
+  }
+});
+
+module.exports = router;
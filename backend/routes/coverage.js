@@ -7,8 +7,24 @@ const express = require('express');
 const Module = require('../models/Module');
 const Question = require('../models/Question');
 const Coverage = require('../models/Coverage');
-const { authenticate } = require('../middleware/auth');
-const { calculateSimilarity } = require('../services/openaiService');
+const AnalysisJob = require('../models/AnalysisJob');
+const CoverageOverride = require('../models/CoverageOverride');
+const ExamPaper = require('../models/ExamPaper');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { requireModuleAccess, fromParam, fromDocument } = require('../middleware/moduleAccess');
+const { enqueueCoverageAnalysis } = require('../services/coverageJobQueue');
+const { SCORING_STRATEGIES } = require('../services/coverageAnalysisService');
+const { DEFAULT_ANALYSIS_SETTINGS } = require('../services/coverageSettings');
+const { reapplyCoverageOverrides } = require('../services/coverageOverrideService');
+const { describeReportLO, describeLOStatus, summariseMarks, buildRunQuery } = require('../services/coverageReportService');
+const { getPaperQuestions } = require('../services/examPaperService');
+const { compareRuns } = require('../services/coverageComparisonService');
+const { buildModerationReport } = require('../services/moderationReportService');
+const { REPORT_FORMATS, buildReportFileName } = require('../services/reports');
+const { exportRunCoverage } = require('../services/coverageExportService');
+const { BLOOM_LEVELS } = require('../utils/bloomTaxonomy');
+
+const OVERRIDE_ACTIONS = ['pin', 'unpin', 'add'];
 
 const router = express.Router();
 
@@ -16,24 +32,45 @@ const router = express.Router();
 router.use(authenticate);
 
 /**
- * Helper function to run coverage analysis for a module
- * Can be called asynchronously without blocking
- * @param {string} moduleId - The module ID
- * @param {Array<string>} questionIds - Optional array of question IDs to analyze (if not provided, analyzes all questions)
- * @param {string} analysisTag - Optional tag to identify this analysis run
+ * Analyze coverage for a module
+ * POST /api/coverage/analyze/:moduleId
+ * Body: { paperId: string, questionIds: [string], analysisTag: string, scoringStrategy: 'llm' | 'embedding' }
+ * An exam paper run analyses the paper's questions with the paper's marks, instead of a tagged selection
+ * Queues the analysis and responds with the job to poll
  */
-async function runCoverageAnalysis(moduleId, questionIds = null, analysisTag = null) {
+router.post('/analyze/:moduleId', requirePermission('coverage:analyze'), requireModuleAccess('analyze', fromParam('moduleId')), async (req, res) => {
   try {
+    const moduleId = req.params.moduleId;
+    const { paperId, questionIds, analysisTag, scoringStrategy = 'llm' } = req.body;
+
+    if (!SCORING_STRATEGIES.includes(scoringStrategy)) {
+      return res.status(400).json({
+        success: false,
+        message: `Scoring strategy must be one of: ${SCORING_STRATEGIES.join(', ')}`
+      });
+    }
+
     // Get module with learning outcomes
     const module = await Module.findById(moduleId);
-    if (!module || !module.learningOutcomes || module.learningOutcomes.length === 0) {
-      console.log(`Skipping analysis for module ${moduleId}: No learning outcomes found`);
-      return;
+    if (!module) {
+      return res.status(404).json({
+        success: false,
+        message: 'Module not found'
+      });
     }
 
-    // Get questions - either selected ones or all
+    // Get questions - the paper's, selected ones or all
     let questions;
-    if (questionIds && questionIds.length > 0) {
+    if (paperId) {
+      const paper = await ExamPaper.findOne({ _id: paperId, moduleId });
+      if (!paper) {
+        return res.status(404).json({
+          success: false,
+          message: 'Exam paper not found'
+        });
+      }
+      questions = await getPaperQuestions(paper);
+    } else if (questionIds && questionIds.length > 0) {
       questions = await Question.find({ 
         moduleId, 
         _id: { $in: questionIds } 
@@ -41,173 +78,106 @@ async function runCoverageAnalysis(moduleId, questionIds = null, analysisTag = n
     } else {
       questions = await Question.find({ moduleId });
     }
-    
+
     if (questions.length === 0) {
-      console.log(`Skipping analysis for module ${moduleId}: No questions found`);
-      return;
+      return res.status(400).json({
+        success: false,
+        message: paperId ? 'The exam paper has no questions' : 'No questions found for this module'
+      });
     }
 
-    // If analysisTag is provided, delete only reports with that tag, otherwise delete all untagged reports for module
-    if (analysisTag) {
-      await Coverage.deleteMany({ moduleId, analysisTag });
-    } else {
-      // Delete existing untagged coverage reports for this module
-      await Coverage.deleteMany({ 
-        moduleId, 
-        $or: [
-          { analysisTag: { $exists: false } },
-          { analysisTag: null }
-        ]
+    if (!module.learningOutcomes || module.learningOutcomes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Module has no learning outcomes to analyze'
       });
     }
 
-    const coverageResults = [];
-
-    // Analyze each learning outcome
-    for (const lo of module.learningOutcomes) {
-      const questionsCovered = [];
-      let totalSimilarity = 0;
-      let questionCount = 0;
-
-      // Compare each question with the learning outcome
-      for (const question of questions) {
-        try {
-          // Calculate similarity using Groq
-          const similarityScore = await calculateSimilarity(
-            lo.description,
-            question.questionText
-          );
-
-          // Consider questions with similarity > 0.3 as relevant
-          if (similarityScore > 0.3) {
-            questionsCovered.push({
-              questionId: question._id,
-              similarityScore: similarityScore
-            });
-            totalSimilarity += similarityScore;
-            questionCount++;
-          }
-        } catch (error) {
-          console.error(`Error calculating similarity for question ${question._id}:`, error);
-          // Continue with next question
-        }
-      }
-
-      // Calculate coverage percentage
-      const averageSimilarity = questionCount > 0 ? totalSimilarity / questionCount : 0;
-      const coveragePercentage = Math.min(100, Math.round(averageSimilarity * 100));
+    // Queue the analysis; progress is tracked through the jobs endpoints
+    const job = await enqueueCoverageAnalysis(moduleId, {
+      paperId,
+      questionIds: paperId ? null : questionIds,
+      analysisTag: paperId ? null : analysisTag,
+      scoringStrategy,
+      trigger: 'Manual',
+      requestedBy: req.user._id
+    });
 
-      // Determine status
-      let status;
-      if (coveragePercentage >= 70) {
-        status = 'Covered';
-      } else if (coveragePercentage >= 30) {
-        status = 'Partially Covered';
-      } else {
-        status = 'Not Covered';
-      }
+    res.status(202).json({
+      success: true,
+      message: 'Coverage analysis queued',
+      moduleId,
+      totalLOs: module.learningOutcomes.length,
+      totalQuestions: questions.length,
+      paperId: paperId || null,
+      analysisTag: paperId ? null : analysisTag || null,
+      scoringStrategy,
+      jobId: job._id,
+      job
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue coverage analysis: ' + error.message
+    });
+  }
+});
 
-      // Save coverage result
-      const coverage = new Coverage({
-        moduleId,
-        loId: lo.loId,
-        coveragePercentage,
-        status,
-        questionsCovered,
-        analysisTag: analysisTag || null,
-        questionCount: questions.length,
-        analyzedQuestions: questionIds || null
-      });
+/**
+ * Get analysis jobs for a module
+ * GET /api/coverage/jobs/module/:moduleId
+ * Query: { status: string, limit: number }
+ */
+router.get('/jobs/module/:moduleId', requireModuleAccess('view', fromParam('moduleId')), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
 
-      await coverage.save();
+    const query = { moduleId: req.params.moduleId };
+    if (status) {
+      query.status = status;
     }
 
-    console.log(`Coverage analysis completed for module ${moduleId}`);
+    const jobs = await AnalysisJob.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      jobs
+    });
   } catch (error) {
-    console.error(`Error running coverage analysis for module ${moduleId}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch analysis jobs: ' + error.message
+    });
   }
-}
-
+});
 
 /**
- * Analyze coverage for a module
- * POST /api/coverage/analyze/:moduleId
- * Body: { questionIds: [string], analysisTag: string }
+ * Get a single analysis job
+ * GET /api/coverage/jobs/:jobId
  */
-router.post('/analyze/:moduleId', async (req, res) => {
+router.get('/jobs/:jobId', requireModuleAccess('view', fromDocument(AnalysisJob, 'jobId')), async (req, res) => {
   try {
-    const moduleId = req.params.moduleId;
-    const { questionIds, analysisTag } = req.body;
+    const job = await AnalysisJob.findById(req.params.jobId);
 
-    // Get module with learning outcomes
-    const module = await Module.findById(moduleId);
-    if (!module) {
+    if (!job) {
       return res.status(404).json({
         success: false,
-        message: 'Module not found'
-      });
-    }
-
-    // Get questions - either selected ones or all
-    let questions;
-    if (questionIds && questionIds.length > 0) {
-      questions = await Question.find({ 
-        moduleId, 
-        _id: { $in: questionIds } 
-      });
-    } else {
-      questions = await Question.find({ moduleId });
-    }
-
-    if (questions.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'No questions found for this module'
+        message: 'Analysis job not found'
       });
     }
 
-    // Run the analysis
-    await runCoverageAnalysis(moduleId, questionIds, analysisTag);
-
-    // Get the results to return (filter by analysisTag if provided)
-    const query = { moduleId };
-    if (analysisTag) {
-      query.analysisTag = analysisTag;
-    } else {
-      query.$or = [
-        { analysisTag: { $exists: false } },
-        { analysisTag: null }
-      ];
-    }
-    
-    const coverageReports = await Coverage.find(query);
-    const coverageResults = coverageReports.map(report => {
-      const lo = module.learningOutcomes.find(lo => lo.loId === report.loId);
-      return {
-        loId: report.loId,
-        description: lo ? lo.description : 'Unknown',
-        bloomLevel: lo ? lo.bloomLevel : 'Unknown',
-        coveragePercentage: report.coveragePercentage,
-        status: report.status,
-        questionsCovered: report.questionsCovered ? report.questionsCovered.length : 0,
-        analysisTag: report.analysisTag || null,
-        questionCount: report.questionCount || questions.length
-      };
-    });
-
     res.json({
       success: true,
-      message: 'Coverage analysis completed',
-      moduleId,
-      totalLOs: module.learningOutcomes.length,
-      totalQuestions: questions.length,
-      analysisTag: analysisTag || null,
-      results: coverageResults
+      job
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Failed to analyze coverage: ' + error.message
+      message: 'Failed to fetch analysis job: ' + error.message
     });
   }
 });
@@ -215,11 +185,13 @@ router.post('/analyze/:moduleId', async (req, res) => {
 /**
  * Get coverage results for a module
  * GET /api/coverage/module/:moduleId
+ * Query: { paperId: string, analysisTag: string }
+ * Includes the marks attributed to each LO and Bloom's level alongside similarity coverage
  */
-router.get('/module/:moduleId', async (req, res) => {
+router.get('/module/:moduleId', requireModuleAccess('view', fromParam('moduleId')), async (req, res) => {
   try {
     const moduleId = req.params.moduleId;
-    const { analysisTag } = req.query;
+    const { paperId, analysisTag } = req.query;
     
     const module = await Module.findById(moduleId);
     if (!module) {
@@ -229,19 +201,15 @@ router.get('/module/:moduleId', async (req, res) => {
       });
     }
 
-    // Build query - if analysisTag provided, filter by it, otherwise get untagged analyses
-    const query = { moduleId };
-    if (analysisTag) {
-      query.analysisTag = analysisTag;
-    } else {
-      query.$or = [
-        { analysisTag: { $exists: false } },
-        { analysisTag: null }
-      ];
-    }
+    // Select the paper's run, a tagged run, or the untagged default run
+    const query = buildRunQuery(moduleId, { paperId, analysisTag });
 
     const coverageReports = await Coverage.find(query)
       .populate('questionsCovered.questionId')
+      .populate('questionsCovered.override.createdBy', 'name email')
+      .populate('excludedQuestions.questionId')
+      .populate('excludedQuestions.override.createdBy', 'name email')
+      .populate('nearMisses.questionId')
       .populate('analyzedQuestions')
       .sort({ analyzedAt: -1 }); // Sort by most recent first
 
@@ -258,10 +226,19 @@ router.get('/module/:moduleId', async (req, res) => {
     let analyzedQuestions = [];
     let analysisTagValue = null;
     let questionCount = null;
+    let scoringStrategy = null;
+    let scoringModel = null;
+    let settingsSnapshot = null;
     if (deduplicatedReports.length > 0) {
       const firstReport = deduplicatedReports[0];
       analysisTagValue = firstReport.analysisTag;
       questionCount = firstReport.questionCount;
+      scoringStrategy = firstReport.scoringStrategy || 'llm';
+      scoringModel = firstReport.scoringModel;
+      // Reports from before per-module settings were calculated with the defaults
+      settingsSnapshot = firstReport.settingsSnapshot && firstReport.settingsSnapshot.aggregation
+        ? firstReport.settingsSnapshot
+        : DEFAULT_ANALYSIS_SETTINGS;
       if (firstReport.analyzedQuestions && firstReport.analyzedQuestions.length > 0) {
         analyzedQuestions = firstReport.analyzedQuestions;
       } else {
@@ -270,17 +247,19 @@ router.get('/module/:moduleId', async (req, res) => {
       }
     }
 
-    // Enrich with learning outcome details
+    // Enrich with the learning outcome details the run was analysed against
     const results = deduplicatedReports.map(report => {
-      const lo = module.learningOutcomes.find(lo => lo.loId === report.loId);
       return {
         loId: report.loId,
-        description: lo ? lo.description : 'Unknown',
-        bloomLevel: lo ? lo.bloomLevel : 'Unknown',
+        ...describeReportLO(module, report),
         coveragePercentage: report.coveragePercentage,
         status: report.status,
         questionsCovered: report.questionsCovered || [],
         questionsCoveredCount: report.questionsCovered ? report.questionsCovered.length : 0,
+        excludedQuestions: report.excludedQuestions || [],
+        nearMisses: report.nearMisses || [],
+        marksAllocated: report.marksAllocated,
+        marksShare: report.marksShare,
         analyzedAt: report.analyzedAt
       };
     });
@@ -291,7 +270,13 @@ router.get('/module/:moduleId', async (req, res) => {
       moduleCode: module.moduleCode,
       moduleName: module.moduleName,
       count: results.length,
+      paperId: paperId || null,
       analysisTag: analysisTagValue,
+      scoringStrategy,
+      scoringModel,
+      settingsSnapshot,
+      loStatus: describeLOStatus(module, deduplicatedReports),
+      ...summariseMarks(module, deduplicatedReports),
       questionCount: questionCount || analyzedQuestions.length,
       analyzedQuestions: analyzedQuestions.map(q => ({
         _id: q._id,
@@ -309,15 +294,259 @@ router.get('/module/:moduleId', async (req, res) => {
   }
 });
 
+/**
+ * Compare each LO's intended Bloom's level with the classified level of the questions covering it
+ * GET /api/coverage/bloom-mismatch/:moduleId
+ * Query: { paperId: string, analysisTag: string }
+ */
+router.get('/bloom-mismatch/:moduleId', requireModuleAccess('view', fromParam('moduleId')), async (req, res) => {
+  try {
+    const moduleId = req.params.moduleId;
+    const { paperId, analysisTag } = req.query;
+
+    const module = await Module.findById(moduleId);
+    if (!module) {
+      return res.status(404).json({
+        success: false,
+        message: 'Module not found'
+      });
+    }
+
+    const query = buildRunQuery(moduleId, { paperId, analysisTag });
+
+    const coverageReports = await Coverage.find(query)
+      .populate('questionsCovered.questionId')
+      .sort({ analyzedAt: -1 });
+
+    // Keep only the most recent report for each LO
+    const reportsByLO = new Map();
+    for (const report of coverageReports) {
+      if (!reportsByLO.has(report.loId)) {
+        reportsByLO.set(report.loId, report);
+      }
+    }
+
+    const results = module.learningOutcomes.map(lo => {
+      const intendedRank = BLOOM_LEVELS.indexOf(lo.bloomLevel);
+      const report = reportsByLO.get(lo.loId);
+      const counts = { below: 0, matching: 0, above: 0, unclassified: 0 };
+
+      const questions = (report ? report.questionsCovered : [])
+        .filter(entry => entry.questionId) // Deleted questions
+        .map(entry => {
+          const classification = entry.questionId.bloomClassification || {};
+          const rank = BLOOM_LEVELS.indexOf(classification.level);
+          let comparison = 'unclassified';
+          if (rank !== -1) {
+            comparison = rank < intendedRank ? 'below' : rank > intendedRank ? 'above' : 'matching';
+          }
+          counts[comparison]++;
+          return {
+            questionId: entry.questionId._id,
+            questionText: entry.questionId.questionText,
+            similarityScore: entry.similarityScore,
+            bloomLevel: classification.level || null,
+            confidence: classification.confidence ?? null,
+            method: classification.method || null,
+            comparison
+          };
+        });
+
+      // An LO is examined at its level when at least one covering question reaches it
+      let status;
+      if (questions.length === 0) {
+        status = 'No Questions';
+      } else if (counts.matching + counts.above > 0) {
+        status = 'Aligned';
+      } else if (counts.below > 0) {
+        status = 'Below Intended Level';
+      } else {
+        status = 'Unclassified';
+      }
+
+      return {
+        loId: lo.loId,
+        description: lo.description,
+        intendedLevel: lo.bloomLevel,
+        status,
+        ...counts,
+        questions
+      };
+    });
+
+    res.json({
+      success: true,
+      moduleId,
+      paperId: paperId || null,
+      analysisTag: analysisTag || null,
+      loStatus: describeLOStatus(module, Array.from(reportsByLO.values())),
+      summary: {
+        aligned: results.filter(r => r.status === 'Aligned').length,
+        belowIntendedLevel: results.filter(r => r.status === 'Below Intended Level').length,
+        noQuestions: results.filter(r => r.status === 'No Questions').length,
+        unclassified: results.filter(r => r.status === 'Unclassified').length
+      },
+      results
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build Bloom mismatch report: ' + error.message
+    });
+  }
+});
+
+/**
+ * Get moderator overrides for a module
+ * GET /api/coverage/overrides/:moduleId
+ */
+router.get('/overrides/:moduleId', requireModuleAccess('view', fromParam('moduleId')), async (req, res) => {
+  try {
+    const overrides = await CoverageOverride.find({ moduleId: req.params.moduleId })
+      .populate('createdBy', 'name email')
+      .populate('questionId', 'questionText')
+      .sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      count: overrides.length,
+      overrides
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch coverage overrides: ' + error.message
+    });
+  }
+});
+
+/**
+ * Pin, unpin or manually add a question ↔ LO mapping
+ * POST /api/coverage/overrides/:moduleId
+ * Body: { loId: string, questionId: string, action: 'pin' | 'unpin' | 'add', reason: string, similarityScore: number }
+ * Stored coverage reports are recomputed with the override applied
+ */
+router.post('/overrides/:moduleId', requirePermission('coverage:override'), requireModuleAccess('override', fromParam('moduleId')), async (req, res) => {
+  try {
+    const moduleId = req.params.moduleId;
+    const { loId, questionId, action, reason, similarityScore } = req.body;
+
+    if (!OVERRIDE_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: `Action must be one of: ${OVERRIDE_ACTIONS.join(', ')}`
+      });
+    }
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required for every override'
+      });
+    }
+
+    let score = null;
+    if (similarityScore !== undefined && similarityScore !== null && similarityScore !== '') {
+      score = Number(similarityScore);
+      if (isNaN(score) || score < 0 || score > 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Similarity score must be between 0 and 1'
+        });
+      }
+    }
+
+    const module = await Module.findById(moduleId);
+    if (!module) {
+      return res.status(404).json({
+        success: false,
+        message: 'Module not found'
+      });
+    }
+
+    if (!module.learningOutcomes.some(lo => lo.loId === loId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Learning outcome not found in this module'
+      });
+    }
+
+    const question = await Question.findOne({ _id: questionId, moduleId });
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found in this module'
+      });
+    }
+
+    // A new decision on the same pair replaces the previous one
+    const override = await CoverageOverride.findOneAndUpdate(
+      { moduleId, loId, questionId },
+      {
+        action,
+        reason: reason.trim(),
+        similarityScore: action === 'unpin' ? null : score,
+        createdBy: req.user._id
+      },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    const reportsUpdated = await reapplyCoverageOverrides(moduleId);
+
+    res.json({
+      success: true,
+      message: 'Coverage override saved',
+      override,
+      reportsUpdated
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save coverage override: ' + error.message
+    });
+  }
+});
+
+/**
+ * Remove an override, returning the mapping to the machine score
+ * DELETE /api/coverage/overrides/:overrideId
+ */
+router.delete('/overrides/:overrideId', requirePermission('coverage:override'), requireModuleAccess('override', fromDocument(CoverageOverride, 'overrideId')), async (req, res) => {
+  try {
+    const override = await CoverageOverride.findByIdAndDelete(req.params.overrideId);
+
+    if (!override) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coverage override not found'
+      });
+    }
+
+    const reportsUpdated = await reapplyCoverageOverrides(override.moduleId);
+
+    res.json({
+      success: true,
+      message: 'Coverage override removed',
+      reportsUpdated
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove coverage override: ' + error.message
+    });
+  }
+});
+
 /**
  * Get coverage statistics for a module
  * GET /api/coverage/stats/:moduleId
+ * Query: { paperId: string, analysisTag: string }
  */
 /**
  * Get list of analysis tags for a module
  * GET /api/coverage/analysis-tags/:moduleId
  */
-router.get('/analysis-tags/:moduleId', async (req, res) => {
+router.get('/analysis-tags/:moduleId', requireModuleAccess('view', fromParam('moduleId')), async (req, res) => {
   try {
     const moduleId = req.params.moduleId;
     
@@ -338,10 +567,137 @@ router.get('/analysis-tags/:moduleId', async (req, res) => {
   }
 });
 
-router.get('/stats/:moduleId', async (req, res) => {
+/**
+ * Compare two or more analysis runs of a module
+ * GET /api/coverage/compare/:moduleId?run=tag:Midterm%202025&run=paper:<paperId>&run=default
+ * Runs are compared in the order given, each against the one before it.
+ */
+router.get('/compare/:moduleId', requireModuleAccess('view', fromParam('moduleId')), async (req, res) => {
+  try {
+    const module = await Module.findById(req.params.moduleId);
+    if (!module) {
+      return res.status(404).json({
+        success: false,
+        message: 'Module not found'
+      });
+    }
+
+    const runKeys = [].concat(req.query.run || []);
+    const comparison = await compareRuns(module, runKeys);
+    if (comparison.error) {
+      return res.status(400).json({
+        success: false,
+        message: comparison.error
+      });
+    }
+
+    res.json({
+      success: true,
+      moduleId: module._id,
+      moduleCode: module.moduleCode,
+      ...comparison
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compare coverage runs: ' + error.message
+    });
+  }
+});
+
+/**
+ * Download the moderation report of an analysis run
+ * GET /api/coverage/report/:moduleId?analysisTag=Midterm%202025&format=pdf
+ * Query: paperId or analysisTag select the run as for /module; format is 'pdf' (default) or 'docx'
+ */
+router.get('/report/:moduleId', requireModuleAccess('view', fromParam('moduleId')), async (req, res) => {
+  try {
+    const { paperId, analysisTag, format = 'pdf' } = req.query;
+
+    const renderer = REPORT_FORMATS[format];
+    if (!renderer) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown report format "${format}". Use one of: ${Object.keys(REPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const module = await Module.findById(req.params.moduleId);
+    if (!module) {
+      return res.status(404).json({
+        success: false,
+        message: 'Module not found'
+      });
+    }
+
+    const report = await buildModerationReport(module, { paperId, analysisTag }, req.user);
+    if (report.error) {
+      return res.status(report.status).json({
+        success: false,
+        message: report.error
+      });
+    }
+
+    const file = await renderer.render(report);
+    res.set({
+      'Content-Type': renderer.contentType,
+      'Content-Disposition': `attachment; filename="${buildReportFileName(report, renderer.extension)}"`,
+      'Content-Length': file.length
+    });
+    res.send(file);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate moderation report: ' + error.message
+    });
+  }
+});
+
+/**
+ * Download the coverage data of an analysis run as a spreadsheet
+ * GET /api/coverage/export/:moduleId?analysisTag=Midterm%202025&format=csv&table=matrix
+ * Query: paperId or analysisTag select the run as for /module; format is 'xlsx' (default) or 'csv'
+ * CSV holds one table, chosen by `table`: 'matrix' (question x LO similarity, default), 'summary' or 'bloom';
+ * XLSX holds all three on separate sheets
+ */
+router.get('/export/:moduleId', requireModuleAccess('view', fromParam('moduleId')), async (req, res) => {
+  try {
+    const { paperId, analysisTag, format, table } = req.query;
+
+    const module = await Module.findById(req.params.moduleId);
+    if (!module) {
+      return res.status(404).json({
+        success: false,
+        message: 'Module not found'
+      });
+    }
+
+    const exported = await exportRunCoverage(module, { paperId, analysisTag }, { format, table });
+    if (exported.error) {
+      return res.status(exported.status).json({
+        success: false,
+        message: exported.error
+      });
+    }
+
+    res.set({
+      'Content-Type': exported.contentType,
+      'Content-Disposition': `attachment; filename="${exported.fileName}"`,
+      'Content-Length': exported.file.length
+    });
+    res.send(exported.file);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export coverage data: ' + error.message
+    });
+  }
+});
+
+router.get('/stats/:moduleId', requireModuleAccess('view', fromParam('moduleId')), async (req, res) => {
   try {
     const moduleId = req.params.moduleId;
-    const { analysisTag } = req.query;
+    const { paperId, analysisTag } = req.query;
     
     const module = await Module.findById(moduleId);
     if (!module) {
@@ -351,16 +707,8 @@ router.get('/stats/:moduleId', async (req, res) => {
       });
     }
 
-    // Build query - if analysisTag provided, filter by it, otherwise get untagged analyses
-    const query = { moduleId };
-    if (analysisTag) {
-      query.analysisTag = analysisTag;
-    } else {
-      query.$or = [
-        { analysisTag: { $exists: false } },
-        { analysisTag: null }
-      ];
-    }
+    // Select the paper's run, a tagged run, or the untagged default run
+    const query = buildRunQuery(moduleId, { paperId, analysisTag });
 
     const coverageReports = await Coverage.find(query);
 
@@ -371,7 +719,13 @@ router.get('/stats/:moduleId', async (req, res) => {
       notCovered: coverageReports.filter(r => r.status === 'Not Covered').length,
       averageCoverage: coverageReports.length > 0
         ? Math.round(coverageReports.reduce((sum, r) => sum + r.coveragePercentage, 0) / coverageReports.length)
-        : 0
+        : 0,
+      ...summariseMarks(module, coverageReports),
+      marksByLO: coverageReports.map(r => ({
+        loId: r.loId,
+        marks: r.marksAllocated || 0,
+        marksShare: r.marksShare || 0
+      }))
     };
 
     res.json({
@@ -387,7 +741,5 @@ router.get('/stats/:moduleId', async (req, res) => {
   }
 });
 
-// Attach helper function to router and export
-router.runCoverageAnalysis = runCoverageAnalysis;
 module.exports = router;
 
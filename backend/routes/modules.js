@@ -4,25 +4,121 @@
  */
 
 const express = require('express');
+const fs = require('fs').promises;
 const Module = require('../models/Module');
-const { authenticate } = require('../middleware/auth');
+const User = require('../models/User');
+const LearningOutcomeVersion = require('../models/LearningOutcomeVersion');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { requireModuleAccess, fromParam } = require('../middleware/moduleAccess');
+const { createUpload } = require('../middleware/upload');
+const { resolveAnalysisSettings, validateAnalysisSettings } = require('../services/coverageSettings');
+const {
+  snapshotLearningOutcomes,
+  recordInitialVersion,
+  saveWithLOVersion
+} = require('../services/learningOutcomeVersionService');
+const { readSpecFile, validateModuleSpec } = require('../services/curriculumImportService');
+const {
+  canAccessModule,
+  describeModuleAccess,
+  buildMembershipQuery,
+  getEligibleTeamRoles,
+  validateTeam
+} = require('../services/moduleTeamService');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticate);
 
+// Module specs (CSV, JSON) and module descriptors (PDF, DOCX, TXT) for import
+const upload = createUpload({
+  mimeTypes: [
+    'application/pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/msword',
+    'text/plain',
+    'text/csv',
+    'application/json'
+  ],
+  extensions: ['.csv', '.json', '.pdf', '.docx', '.doc', '.txt'],
+  message: 'Invalid file type. Only CSV, JSON, PDF, DOCX and TXT files can be imported.'
+});
+
+/**
+ * Read the module spec of an import request: an uploaded file, or the reviewed spec as JSON
+ * The uploaded file is removed once read.
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - { source, values, errors, warnings } as from validateModuleSpec
+ */
+async function readImportRequest(req) {
+  if (!req.file) {
+    return { source: 'json', errors: [], ...validateModuleSpec(req.body.module) };
+  }
+
+  try {
+    const parsed = await readSpecFile(req.file);
+    const { values, errors, warnings } = validateModuleSpec(parsed.spec);
+    return {
+      source: parsed.source,
+      values,
+      errors: [...parsed.errors, ...errors],
+      warnings: [...parsed.warnings, ...warnings]
+    };
+  } finally {
+    try {
+      await fs.unlink(req.file.path);
+    } catch (unlinkError) {
+      console.error('Failed to delete file:', unlinkError);
+    }
+  }
+}
+
+/**
+ * Add what the current user may do on a module to its API representation
+ * @param {Object} module - Module document
+ * @param {Object} user - Authenticated user
+ * @returns {Object} - Module with teamRole and access
+ */
+function withAccess(module, user) {
+  return {
+    ...module.toJSON(),
+    ...describeModuleAccess(module, user)
+  };
+}
+
+/**
+ * Populate the members of a module's team for display
+ * @param {Object} module - Module document
+ * @returns {Promise<Object>} - { leader, setters, moderators, viewers } with name, email and role
+ */
+async function populateTeam(module) {
+  await module.populate([
+    { path: 'team.leader', select: 'name email role' },
+    { path: 'team.setters', select: 'name email role' },
+    { path: 'team.moderators', select: 'name email role' },
+    { path: 'team.viewers', select: 'name email role' },
+    { path: 'createdBy', select: 'name email role' }
+  ]);
+  return {
+    leader: module.team.leader || module.createdBy || null,
+    setters: module.team.setters,
+    moderators: module.team.moderators,
+    viewers: module.team.viewers
+  };
+}
+
 /**
- * Get all modules
+ * Get the modules the current user is on the team of (all modules for admins)
  * GET /api/modules
  */
 router.get('/', async (req, res) => {
   try {
-    const modules = await Module.find().sort({ createdAt: -1 });
+    const modules = await Module.find(buildMembershipQuery(req.user)).sort({ createdAt: -1 });
     res.json({
       success: true,
       count: modules.length,
-      modules
+      modules: modules.map(module => withAccess(module, req.user))
     });
   } catch (error) {
     res.status(500).json({
@@ -36,7 +132,7 @@ router.get('/', async (req, res) => {
  * Get single module by ID
  * GET /api/modules/:id
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireModuleAccess('view', fromParam('id')), async (req, res) => {
   try {
     const module = await Module.findById(req.params.id);
     
@@ -49,7 +145,7 @@ router.get('/:id', async (req, res) => {
 
     res.json({
       success: true,
-      module
+      module: withAccess(module, req.user)
     });
   } catch (error) {
     res.status(500).json({
@@ -63,9 +159,9 @@ router.get('/:id', async (req, res) => {
  * Create new module
  * POST /api/modules
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('modules:manage'), async (req, res) => {
   try {
-    const { moduleCode, moduleName, topics, learningOutcomes } = req.body;
+    const { moduleCode, moduleName, topics, learningOutcomes, analysisSettings } = req.body;
 
     // Validate required fields
     if (!moduleCode || !moduleName) {
@@ -75,6 +171,14 @@ router.post('/', async (req, res) => {
       });
     }
 
+    const { settings, errors } = validateAnalysisSettings(analysisSettings || {});
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. ')
+      });
+    }
+
     // Check if module code already exists
     const existingModule = await Module.findOne({ moduleCode: moduleCode.toUpperCase() });
     if (existingModule) {
@@ -90,15 +194,18 @@ router.post('/', async (req, res) => {
       moduleName,
       topics: topics || [],
       learningOutcomes: learningOutcomes || [],
-      createdBy: req.user._id
+      analysisSettings: settings,
+      createdBy: req.user._id,
+      team: { leader: req.user._id }
     });
 
     await module.save();
+    await recordInitialVersion(module, req.user._id);
 
     res.status(201).json({
       success: true,
       message: 'Module created successfully',
-      module
+      module: withAccess(module, req.user)
     });
   } catch (error) {
     res.status(500).json({
@@ -108,13 +215,133 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * Preview a curriculum import without saving it
+ * POST /api/modules/import/preview
+ * Form data: file - a CSV or JSON module spec, or a PDF/DOCX/TXT module descriptor
+ * Responds with the module as it would be saved, validation errors and warnings,
+ * and the existing module with the same code, if any, with whether the user may update it
+ */
+router.post('/import/preview', requirePermission('modules:manage'), upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose a CSV, JSON, PDF, DOCX or TXT file to import'
+      });
+    }
+
+    const { source, values, errors, warnings } = await readImportRequest(req);
+    const existingModule = values.moduleCode
+      ? await Module.findOne({ moduleCode: values.moduleCode }).select('moduleCode moduleName loVersion team createdBy')
+      : null;
+
+    res.json({
+      success: true,
+      source,
+      module: values,
+      errors,
+      warnings,
+      existingModule: existingModule
+        ? {
+          moduleCode: existingModule.moduleCode,
+          moduleName: existingModule.moduleName,
+          loVersion: existingModule.loVersion,
+          canUpdate: canAccessModule(existingModule, req.user, 'manage')
+        }
+        : null
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to read import file: ' + error.message
+    });
+  }
+});
+
+/**
+ * Import a module from a curriculum spec
+ * POST /api/modules/import
+ * Form data: file, as for the preview; or JSON body: { module: { moduleCode, moduleName, topics, learningOutcomes }, updateExisting }
+ * With updateExisting, a module with the same code gets the imported name, topics and LOs, recording a new LO version
+ */
+router.post('/import', requirePermission('modules:manage'), upload.single('file'), async (req, res) => {
+  try {
+    const { values, errors } = await readImportRequest(req);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. '),
+        errors
+      });
+    }
+
+    const learningOutcomes = values.learningOutcomes.map(({ loId, description, bloomLevel }) => ({ loId, description, bloomLevel }));
+    const updateExisting = req.body.updateExisting === true || req.body.updateExisting === 'true';
+    const existingModule = await Module.findOne({ moduleCode: values.moduleCode });
+
+    if (existingModule && !updateExisting) {
+      return res.status(400).json({
+        success: false,
+        message: 'Module with this code already exists'
+      });
+    }
+
+    if (existingModule) {
+      if (!canAccessModule(existingModule, req.user, 'manage')) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. Only the leader of ${existingModule.moduleCode} can update it`
+        });
+      }
+
+      const previous = snapshotLearningOutcomes(existingModule.learningOutcomes);
+      existingModule.moduleName = values.moduleName;
+      existingModule.topics = values.topics;
+      existingModule.learningOutcomes = learningOutcomes;
+      const loVersion = await saveWithLOVersion(existingModule, previous, req.user._id);
+
+      return res.json({
+        success: true,
+        message: loVersion
+          ? `Module ${existingModule.moduleCode} updated from import; learning outcomes are now at version ${loVersion.version}`
+          : `Module ${existingModule.moduleCode} updated from import`,
+        module: withAccess(existingModule, req.user)
+      });
+    }
+
+    const module = new Module({
+      moduleCode: values.moduleCode,
+      moduleName: values.moduleName,
+      topics: values.topics,
+      learningOutcomes,
+      createdBy: req.user._id,
+      team: { leader: req.user._id }
+    });
+    await module.save();
+    await recordInitialVersion(module, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: `Module ${module.moduleCode} imported with ${module.topics.length} topics and ${module.learningOutcomes.length} learning outcomes`,
+      module: withAccess(module, req.user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import module: ' + error.message
+    });
+  }
+});
+
 /**
  * Update module
  * PUT /api/modules/:id
+ * Changing the learning outcomes records a new LO version; coverage reports keep the version they were analysed against.
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('modules:manage'), requireModuleAccess('manage', fromParam('id')), async (req, res) => {
   try {
-    const { moduleCode, moduleName, topics, learningOutcomes } = req.body;
+    const { moduleCode, moduleName, topics, learningOutcomes, analysisSettings } = req.body;
 
     const module = await Module.findById(req.params.id);
     
@@ -125,18 +352,37 @@ router.put('/:id', async (req, res) => {
       });
     }
 
+    if (analysisSettings) {
+      const { settings, errors } = validateAnalysisSettings(analysisSettings, resolveAnalysisSettings(module));
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: errors.join('. ')
+        });
+      }
+      module.analysisSettings = settings;
+    }
+
     // Update fields
     if (moduleCode) module.moduleCode = moduleCode.toUpperCase();
     if (moduleName) module.moduleName = moduleName;
     if (topics) module.topics = topics;
-    if (learningOutcomes) module.learningOutcomes = learningOutcomes;
 
-    await module.save();
+    let loVersion = null;
+    if (learningOutcomes) {
+      const previous = snapshotLearningOutcomes(module.learningOutcomes);
+      module.learningOutcomes = learningOutcomes;
+      loVersion = await saveWithLOVersion(module, previous, req.user._id);
+    } else {
+      await module.save();
+    }
 
     res.json({
       success: true,
-      message: 'Module updated successfully',
-      module
+      message: loVersion
+        ? `Module updated successfully; learning outcomes are now at version ${loVersion.version}`
+        : 'Module updated successfully',
+      module: withAccess(module, req.user)
     });
   } catch (error) {
     res.status(500).json({
@@ -146,11 +392,96 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+/**
+ * Get the versions of a module's learning outcomes, newest first
+ * GET /api/modules/:id/lo-versions
+ */
+router.get('/:id/lo-versions', requireModuleAccess('view', fromParam('id')), async (req, res) => {
+  try {
+    const versions = await LearningOutcomeVersion.find({ moduleId: req.params.id })
+      .populate('createdBy', 'name email')
+      .sort({ version: -1 });
+
+    res.json({
+      success: true,
+      count: versions.length,
+      versions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch learning outcome versions: ' + error.message
+    });
+  }
+});
+
+/**
+ * Get a module's team
+ * GET /api/modules/:id/team
+ * Team managers also get every user as a candidate, with the team roles their account role allows
+ */
+router.get('/:id/team', requireModuleAccess('view', fromParam('id')), async (req, res) => {
+  try {
+    const canManage = canAccessModule(req.module, req.user, 'manage');
+    const team = await populateTeam(req.module);
+    const candidates = canManage
+      ? await User.find({ active: { $ne: false } }).select('name email role').sort({ name: 1 })
+      : [];
+
+    res.json({
+      success: true,
+      team,
+      canManage,
+      candidates: candidates.map(candidate => ({
+        ...candidate.toJSON(),
+        teamRoles: getEligibleTeamRoles(candidate)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch module team: ' + error.message
+    });
+  }
+});
+
+/**
+ * Replace a module's team
+ * PUT /api/modules/:id/team
+ * Body: { leader, setters, moderators, viewers } user IDs
+ */
+router.put('/:id/team', requirePermission('modules:manage'), requireModuleAccess('manage', fromParam('id')), async (req, res) => {
+  try {
+    const { values, errors } = await validateTeam(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. ')
+      });
+    }
+
+    req.module.team = values;
+    await req.module.save();
+
+    res.json({
+      success: true,
+      message: 'Module team updated successfully',
+      team: await populateTeam(req.module),
+      canManage: canAccessModule(req.module, req.user, 'manage')
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update module team: ' + error.message
+    });
+  }
+});
+
 /**
  * Delete module
  * DELETE /api/modules/:id
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('modules:manage'), requireModuleAccess('manage', fromParam('id')), async (req, res) => {
   try {
     const module = await Module.findById(req.params.id);
     
@@ -0,0 +1,429 @@
+/**
+ * Exam Paper Routes
+ * Handles exam papers and their moderation workflow
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const ExamPaper = require('../models/ExamPaper');
+const Module = require('../models/Module');
+const User = require('../models/User');
+const Comment = require('../models/Comment');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { requireModuleAccess, fromParam, fromBody, fromDocument } = require('../middleware/moduleAccess');
+const { ROLES, hasPermission } = require('../utils/permissions');
+const { canAccessModule } = require('../services/moduleTeamService');
+const { validatePaperStructure, summarisePaper } = require('../services/examPaperService');
+const {
+  TRANSITIONS,
+  EDITABLE_STATUSES,
+  getAvailableActions,
+  validateTransition,
+  transitionPaper
+} = require('../services/examPaperWorkflow');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * Populate the people on a paper for display
+ * @param {Object} query - Mongoose query or document
+ * @returns {Object} - The populated query or document
+ */
+function populatePeople(query) {
+  return query.populate([
+    { path: 'setter', select: 'name email' },
+    { path: 'moderator', select: 'name email' },
+    { path: 'approvedBy', select: 'name email' },
+    { path: 'history.actor', select: 'name email' }
+  ]);
+}
+
+/**
+ * Populate the questions placed on a paper
+ * @param {Object} query - Mongoose query or document
+ * @returns {Object} - The populated query or document
+ */
+function populateQuestions(query) {
+  return query.populate('sections.questions.questionId', 'questionText questionType options bloomClassification');
+}
+
+/**
+ * Attach the actions the current user can take, and the marks summary, to a paper
+ * @param {Object} paper - ExamPaper document
+ * @param {Object} user - Authenticated user
+ * @returns {Object} - Plain paper object with availableActions and summary
+ */
+function withActions(paper, user) {
+  return {
+    ...paper.toObject(),
+    availableActions: getAvailableActions(paper, user),
+    summary: summarisePaper(paper)
+  };
+}
+
+/**
+ * List the roles allowed to moderate papers
+ * @returns {Array<string>} - Roles holding the papers:moderate permission
+ */
+function moderatorRoles() {
+  return ROLES.filter(role => hasPermission({ role }, 'papers:moderate'));
+}
+
+/**
+ * Check that a moderator ID refers to a user other than the setter whose role can moderate,
+ * and who is on the team of the paper's module
+ * @param {string} moderatorId - Proposed moderator
+ * @param {string} setterId - The paper's setter
+ * @param {Object} module - The paper's module
+ * @returns {Promise<string|null>} - Error message, or null when valid
+ */
+async function checkModerator(moderatorId, setterId, module) {
+  if (!mongoose.Types.ObjectId.isValid(moderatorId)) {
+    return 'Invalid moderator';
+  }
+  if (String(moderatorId) === String(setterId)) {
+    return 'The moderator must be a different person from the setter';
+  }
+  const moderator = await User.findById(moderatorId).select('role');
+  if (!moderator) {
+    return 'Moderator not found';
+  }
+  if (!hasPermission(moderator, 'papers:moderate')) {
+    return 'The chosen user\'s role cannot moderate papers';
+  }
+  if (!canAccessModule(module, moderator, 'view')) {
+    return `The chosen moderator is not on the ${module.moduleCode} team`;
+  }
+  return null;
+}
+
+/**
+ * List users who can be assigned as moderator of a module's papers: those on its team whose role can moderate
+ * GET /api/papers/moderators/:moduleId
+ */
+router.get('/moderators/:moduleId', requireModuleAccess('view', fromParam('moduleId')), async (req, res) => {
+  try {
+    const candidates = await User.find({ _id: { $ne: req.user._id }, role: { $in: moderatorRoles() }, active: { $ne: false } })
+      .select('name email role')
+      .sort({ name: 1 });
+    const users = candidates.filter(user => canAccessModule(req.module, user, 'view'));
+
+    res.json({
+      success: true,
+      count: users.length,
+      users
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch moderators: ' + error.message
+    });
+  }
+});
+
+/**
+ * Get all exam papers for a module
+ * GET /api/papers/module/:moduleId
+ */
+router.get('/module/:moduleId', requireModuleAccess('view', fromParam('moduleId')), async (req, res) => {
+  try {
+    const papers = await populatePeople(
+      ExamPaper.find({ moduleId: req.params.moduleId })
+        .select('-coverageSnapshot')
+        .sort({ createdAt: -1 })
+    );
+
+    res.json({
+      success: true,
+      count: papers.length,
+      papers: papers.map(paper => withActions(paper, req.user))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch exam papers: ' + error.message
+    });
+  }
+});
+
+/**
+ * Get single exam paper by ID, including its questions, history and any frozen coverage
+ * GET /api/papers/:id
+ */
+router.get('/:id', requireModuleAccess('view', fromDocument(ExamPaper, 'id')), async (req, res) => {
+  try {
+    const paper = await populateQuestions(populatePeople(ExamPaper.findById(req.params.id)));
+
+    if (!paper) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam paper not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      paper: withActions(paper, req.user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch exam paper: ' + error.message
+    });
+  }
+});
+
+/**
+ * Create exam paper; the current user becomes its setter
+ * POST /api/papers
+ * Body: { moduleId, title, description, moderatorId, instructions, totalMarks, sections }
+ */
+router.post('/', requirePermission('papers:set'), requireModuleAccess('edit', fromBody('moduleId')), async (req, res) => {
+  try {
+    const { moduleId, title, description, moderatorId, instructions, totalMarks, sections } = req.body;
+
+    // Validate required fields
+    if (!moduleId || !title) {
+      return res.status(400).json({
+        success: false,
+        message: 'Module ID and title are required'
+      });
+    }
+
+    // Verify module exists
+    const module = await Module.findById(moduleId);
+    if (!module) {
+      return res.status(404).json({
+        success: false,
+        message: 'Module not found'
+      });
+    }
+
+    if (moderatorId) {
+      const moderatorError = await checkModerator(moderatorId, req.user._id, module);
+      if (moderatorError) {
+        return res.status(400).json({
+          success: false,
+          message: moderatorError
+        });
+      }
+    }
+
+    const { structure, errors } = await validatePaperStructure({ instructions, totalMarks, sections }, moduleId);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. ')
+      });
+    }
+
+    const paper = new ExamPaper({
+      moduleId,
+      title,
+      description: description || '',
+      ...structure,
+      setter: req.user._id,
+      moderator: moderatorId || null,
+      history: [{
+        action: 'create',
+        toStatus: 'Draft',
+        actor: req.user._id
+      }]
+    });
+
+    await paper.save();
+    await populateQuestions(populatePeople(paper));
+
+    res.status(201).json({
+      success: true,
+      message: 'Exam paper created successfully',
+      paper: withActions(paper, req.user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create exam paper: ' + error.message
+    });
+  }
+});
+
+/**
+ * Update exam paper details and structure; only the setter can edit, and only before approval
+ * PUT /api/papers/:id
+ * Body: { title, description, moderatorId, instructions, totalMarks, sections }
+ * Sections replace the paper's sections wholesale, in the order given
+ */
+router.put('/:id', requirePermission('papers:set'), requireModuleAccess('edit', fromDocument(ExamPaper, 'id')), async (req, res) => {
+  try {
+    const { title, description, moderatorId, instructions, totalMarks, sections } = req.body;
+
+    const paper = await ExamPaper.findById(req.params.id);
+
+    if (!paper) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam paper not found'
+      });
+    }
+
+    if (String(paper.setter) !== String(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the paper\'s setter can edit it'
+      });
+    }
+
+    if (!EDITABLE_STATUSES.includes(paper.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `A paper that is ${paper.status} cannot be edited`
+      });
+    }
+
+    if (moderatorId !== undefined) {
+      if (moderatorId) {
+        const moderatorError = await checkModerator(moderatorId, paper.setter, req.module);
+        if (moderatorError) {
+          return res.status(400).json({
+            success: false,
+            message: moderatorError
+          });
+        }
+      }
+      paper.moderator = moderatorId || null;
+    }
+
+    const { structure, errors } = await validatePaperStructure({ instructions, totalMarks, sections }, paper.moduleId);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. ')
+      });
+    }
+
+    // Update fields
+    if (title) paper.title = title;
+    if (description !== undefined) paper.description = description;
+    Object.assign(paper, structure);
+    if (paper.isModified('sections')) {
+      paper.sectionsUpdatedAt = new Date();
+    }
+
+    await paper.save();
+    await populateQuestions(populatePeople(paper));
+
+    res.json({
+      success: true,
+      message: 'Exam paper updated successfully',
+      paper: withActions(paper, req.user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update exam paper: ' + error.message
+    });
+  }
+});
+
+/**
+ * Require the permission the requested workflow action needs
+ * Unknown actions pass through so validateTransition can report them.
+ */
+const requireTransitionPermission = (req, res, next) => {
+  const transition = TRANSITIONS[req.body.action];
+  if (!transition) {
+    return next();
+  }
+  return requirePermission(transition.permission)(req, res, next);
+};
+
+/**
+ * Move an exam paper through the moderation workflow
+ * POST /api/papers/:id/transitions
+ * Body: { action: 'submit' | 'request-changes' | 'approve' | 'lock', comment: string }
+ */
+router.post('/:id/transitions', requireTransitionPermission, requireModuleAccess('view', fromDocument(ExamPaper, 'id')), async (req, res) => {
+  try {
+    const { action, comment } = req.body;
+
+    const paper = await ExamPaper.findById(req.params.id);
+
+    if (!paper) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam paper not found'
+      });
+    }
+
+    const refusal = await validateTransition(paper, action, req.user, comment);
+    if (refusal) {
+      return res.status(refusal.status).json({
+        success: false,
+        message: refusal.message
+      });
+    }
+
+    await transitionPaper(paper, action, req.user, comment);
+    await populateQuestions(populatePeople(paper));
+
+    res.json({
+      success: true,
+      message: `Exam paper is now ${paper.status}`,
+      paper: withActions(paper, req.user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update exam paper status: ' + error.message
+    });
+  }
+});
+
+/**
+ * Delete exam paper; only drafts can be deleted, by their setter
+ * DELETE /api/papers/:id
+ */
+router.delete('/:id', requirePermission('papers:set'), requireModuleAccess('edit', fromDocument(ExamPaper, 'id')), async (req, res) => {
+  try {
+    const paper = await ExamPaper.findById(req.params.id);
+
+    if (!paper) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam paper not found'
+      });
+    }
+
+    if (String(paper.setter) !== String(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the paper\'s setter can delete it'
+      });
+    }
+
+    if (paper.status !== 'Draft') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only draft papers can be deleted'
+      });
+    }
+
+    await ExamPaper.findByIdAndDelete(req.params.id);
+    await Comment.deleteMany({ targetType: 'ExamPaper', targetId: paper._id });
+
+    res.json({
+      success: true,
+      message: 'Exam paper deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete exam paper: ' + error.message
+    });
+  }
+});
+
+module.exports = router;
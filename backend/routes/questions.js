@@ -4,62 +4,62 @@
  */
 
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
+const mongoose = require('mongoose');
 const fs = require('fs').promises;
 const Question = require('../models/Question');
 const Module = require('../models/Module');
-const { authenticate } = require('../middleware/auth');
+const ExamPaper = require('../models/ExamPaper');
+const Comment = require('../models/Comment');
+const QuestionRevision = require('../models/QuestionRevision');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { requireModuleAccess, fromParam, fromBody, fromDocument } = require('../middleware/moduleAccess');
+const { createUpload } = require('../middleware/upload');
 const { extractTextFromFile, splitIntoQuestions } = require('../utils/fileParser');
-const coverageRouter = require('./coverage');
-const runCoverageAnalysis = coverageRouter.runCoverageAnalysis;
+const { enqueueCoverageAnalysis } = require('../services/coverageJobQueue');
+const { CLASSIFICATION_METHODS, classifyQuestions, getHeuristicClassification } = require('../services/bloomClassificationService');
+const { BLOOM_LEVELS } = require('../utils/bloomTaxonomy');
+const { countUnresolvedByQuestion } = require('../services/commentService');
+const { snapshotQuestion, recordOriginal, recordRevision, applyRevision } = require('../services/questionRevisionService');
+const { FROZEN_STATUSES, findFreezingPapers, describeFreezingPapers } = require('../services/examPaperWorkflow');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticate);
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../uploads');
-    try {
-      await fs.mkdir(uploadDir, { recursive: true });
-      cb(null, uploadDir);
-    } catch (error) {
-      cb(error, null);
-    }
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, uniqueSuffix + path.extname(file.originalname));
-  }
+const upload = createUpload({
+  mimeTypes: [
+    'application/pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/msword',
+    'text/plain'
+  ],
+  message: 'Invalid file type. Only PDF, DOCX, and TXT files are allowed.'
 });
 
-const upload = multer({
-  storage: storage,
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'application/pdf',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/msword',
-      'text/plain'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Only PDF, DOCX, and TXT files are allowed.'));
-    }
+/**
+ * Resolve the module of a question's revisions, for requireModuleAccess
+ * Revisions outlive their question, so a deleted question is resolved through them.
+ * @param {Object} req - Express request with an id parameter
+ * @returns {Promise<Object|null>} - Module ID, or null when neither the question nor any revision exists
+ */
+async function fromRevisions(req) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return null;
   }
-});
+  const question = await Question.findById(req.params.id).select('moduleId');
+  if (question) {
+    return question.moduleId;
+  }
+  const revision = await QuestionRevision.findOne({ questionId: req.params.id }).select('moduleId');
+  return revision ? revision.moduleId : null;
+}
 
 /**
  * Get all questions for a module
  * GET /api/questions/module/:moduleId
  */
-router.get('/module/:moduleId', async (req, res) => {
+router.get('/module/:moduleId', requireModuleAccess('view', fromParam('moduleId')), async (req, res) => {
   try {
     const { source, sortBy } = req.query;
     
@@ -79,12 +79,18 @@ router.get('/module/:moduleId', async (req, res) => {
       sort = { createdAt: -1 };
     }
     
-    const questions = await Question.find(query).sort(sort);
+    const [questions, unresolvedCounts] = await Promise.all([
+      Question.find(query).sort(sort),
+      countUnresolvedByQuestion(req.params.moduleId)
+    ]);
     
     res.json({
       success: true,
       count: questions.length,
-      questions
+      questions: questions.map(question => ({
+        ...question.toJSON(),
+        unresolvedComments: unresolvedCounts.get(String(question._id)) || 0
+      }))
     });
   } catch (error) {
     res.status(500).json({
@@ -98,7 +104,7 @@ router.get('/module/:moduleId', async (req, res) => {
  * Get single question by ID
  * GET /api/questions/:id
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireModuleAccess('view', fromDocument(Question, 'id')), async (req, res) => {
   try {
     const question = await Question.findById(req.params.id);
     
@@ -125,7 +131,7 @@ router.get('/:id', async (req, res) => {
  * Upload question paper file
  * POST /api/questions/upload
  */
-router.post('/upload', upload.single('file'), async (req, res) => {
+router.post('/upload', requirePermission('questions:edit'), upload.single('file'), requireModuleAccess('edit', fromBody('moduleId')), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -168,25 +174,29 @@ router.post('/upload', upload.single('file'), async (req, res) => {
         moduleId,
         questionText: questionText.trim(),
         questionType: 'Structured', // Default, can be updated later
-        source: 'Uploaded'
+        source: 'Uploaded',
+        bloomClassification: getHeuristicClassification(questionText)
       });
       await question.save();
+      await recordOriginal(question, req.user._id);
       savedQuestions.push(question);
     }
 
     // Clean up uploaded file
     await fs.unlink(req.file.path);
 
-    // Trigger automatic coverage analysis in the background (non-blocking)
-    runCoverageAnalysis(moduleId).catch(err => {
-      console.error('Background coverage analysis failed:', err);
+    // Queue automatic coverage analysis in the background (non-blocking)
+    const job = await enqueueCoverageAnalysis(moduleId, {
+      trigger: 'Upload',
+      requestedBy: req.user._id
     });
 
     res.status(201).json({
       success: true,
       message: `Successfully extracted ${savedQuestions.length} questions from file`,
       count: savedQuestions.length,
-      questions: savedQuestions
+      questions: savedQuestions,
+      analysisJobId: job._id
     });
   } catch (error) {
     // Clean up file on error
@@ -209,7 +219,7 @@ router.post('/upload', upload.single('file'), async (req, res) => {
  * Create question manually
  * POST /api/questions
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('questions:edit'), requireModuleAccess('edit', fromBody('moduleId')), async (req, res) => {
   try {
     const { moduleId, questionText, questionType, options, correctAnswer, marks } = req.body;
 
@@ -238,20 +248,24 @@ router.post('/', async (req, res) => {
       source: 'Manual',
       options: options || [],
       correctAnswer: correctAnswer || '',
-      marks: marks || 0
+      marks: marks || 0,
+      bloomClassification: getHeuristicClassification(questionText)
     });
 
     await question.save();
+    await recordOriginal(question, req.user._id);
 
-    // Trigger automatic coverage analysis in the background (non-blocking)
-    runCoverageAnalysis(moduleId).catch(err => {
-      console.error('Background coverage analysis failed:', err);
+    // Queue automatic coverage analysis in the background (non-blocking)
+    const job = await enqueueCoverageAnalysis(moduleId, {
+      trigger: 'QuestionCreated',
+      requestedBy: req.user._id
     });
 
     res.status(201).json({
       success: true,
       message: 'Question created successfully',
-      question
+      question,
+      analysisJobId: job._id
     });
   } catch (error) {
     res.status(500).json({
@@ -261,13 +275,132 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * Classify the Bloom's level of a module's questions
+ * POST /api/questions/classify/:moduleId
+ * Body: { method: 'ai' | 'heuristic', questionIds: [string], overwriteManual: boolean }
+ */
+router.post('/classify/:moduleId', requirePermission('questions:edit'), requireModuleAccess('edit', fromParam('moduleId')), async (req, res) => {
+  try {
+    const moduleId = req.params.moduleId;
+    const { method = 'ai', questionIds, overwriteManual = false } = req.body;
+
+    if (!CLASSIFICATION_METHODS.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: `Classification method must be one of: ${CLASSIFICATION_METHODS.join(', ')}`
+      });
+    }
+
+    const module = await Module.findById(moduleId);
+    if (!module) {
+      return res.status(404).json({
+        success: false,
+        message: 'Module not found'
+      });
+    }
+
+    const query = { moduleId };
+    if (questionIds && questionIds.length > 0) {
+      query._id = { $in: questionIds };
+    }
+    // Questions on approved or locked papers keep the levels they were approved with
+    const frozenIds = await ExamPaper.find({ moduleId, status: { $in: FROZEN_STATUSES } })
+      .distinct('sections.questions.questionId');
+    query._id = { ...query._id, $nin: frozenIds };
+    const questions = await Question.find(query);
+
+    if (questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No questions found for this module that are not on an approved or locked paper'
+      });
+    }
+
+    const summary = await classifyQuestions(questions, { method, overwriteManual });
+
+    res.json({
+      success: true,
+      message: `Classified ${summary.classified} of ${questions.length} questions`,
+      ...summary,
+      questions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to classify questions: ' + error.message
+    });
+  }
+});
+
+/**
+ * Manually set or clear a question's Bloom's level
+ * PUT /api/questions/:id/bloom-level
+ * Body: { bloomLevel: string | null } - null removes the manual classification
+ */
+router.put('/:id/bloom-level', requirePermission('questions:edit'), requireModuleAccess('edit', fromDocument(Question, 'id')), async (req, res) => {
+  try {
+    const { bloomLevel } = req.body;
+
+    if (bloomLevel !== null && !BLOOM_LEVELS.includes(bloomLevel)) {
+      return res.status(400).json({
+        success: false,
+        message: `Bloom's level must be one of: ${BLOOM_LEVELS.join(', ')}`
+      });
+    }
+
+    const question = await Question.findById(req.params.id);
+    
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const freezingPapers = await findFreezingPapers(question._id);
+    if (freezingPapers.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: describeFreezingPapers(freezingPapers)
+      });
+    }
+
+    question.bloomClassification = bloomLevel
+      ? {
+        level: bloomLevel,
+        confidence: 1,
+        method: 'manual',
+        model: null,
+        classifiedBy: req.user._id,
+        classifiedAt: new Date()
+      }
+      : { level: null, confidence: null, method: null, model: null, classifiedBy: null, classifiedAt: null };
+
+    await question.save();
+
+    res.json({
+      success: true,
+      message: bloomLevel ? 'Bloom\'s level set manually' : 'Manual Bloom\'s level removed',
+      question
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update Bloom\'s level: ' + error.message
+    });
+  }
+});
+
 /**
  * Update question
  * PUT /api/questions/:id
+ * Body: { questionText, questionType, options, correctAnswer, marks, sampleAnswer, reason }
+ * Each change is kept as a revision, with the reason given for it.
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('questions:edit'), requireModuleAccess('edit', fromDocument(Question, 'id')), async (req, res) => {
   try {
-    const { questionText, questionType, options, correctAnswer, marks } = req.body;
+    const { questionText, questionType, options, correctAnswer, marks, sampleAnswer, reason } = req.body;
 
     const question = await Question.findById(req.params.id);
     
@@ -278,19 +411,42 @@ router.put('/:id', async (req, res) => {
       });
     }
 
+    const freezingPapers = await findFreezingPapers(question._id);
+    if (freezingPapers.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: describeFreezingPapers(freezingPapers)
+      });
+    }
+
+    const before = snapshotQuestion(question);
+
+    // A reworded question needs re-classifying, unless a lecturer set its level by hand
+    if (questionText && questionText !== question.questionText && question.bloomClassification?.method !== 'manual') {
+      question.bloomClassification = getHeuristicClassification(questionText);
+    }
+
     // Update fields
     if (questionText) question.questionText = questionText;
     if (questionType) question.questionType = questionType;
     if (options) question.options = options;
     if (correctAnswer !== undefined) question.correctAnswer = correctAnswer;
     if (marks !== undefined) question.marks = marks;
+    if (sampleAnswer !== undefined) question.sampleAnswer = sampleAnswer;
 
     await question.save();
 
+    const revision = await recordRevision(question, before, {
+      action: 'edit',
+      reason,
+      author: req.user._id
+    });
+
     res.json({
       success: true,
       message: 'Question updated successfully',
-      question
+      question,
+      revision
     });
   } catch (error) {
     res.status(500).json({
@@ -300,11 +456,114 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+/**
+ * Get a question's revisions, newest first
+ * GET /api/questions/:id/revisions
+ */
+router.get('/:id/revisions', requireModuleAccess('view', fromRevisions), async (req, res) => {
+  try {
+    // requireModuleAccess only lets a request through unchecked when there is nothing to show
+    if (!req.module) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const revisions = await QuestionRevision.find({ questionId: req.params.id })
+      .populate('author', 'name email')
+      .sort({ revision: -1 });
+
+    res.json({
+      success: true,
+      count: revisions.length,
+      revisions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch revisions: ' + error.message
+    });
+  }
+});
+
+/**
+ * Restore a question to an earlier revision
+ * POST /api/questions/:id/revisions/:revision/restore
+ * Body: { reason }
+ * The restore is itself recorded as a new revision, so no history is lost.
+ */
+router.post('/:id/revisions/:revision/restore', requirePermission('questions:edit'), requireModuleAccess('edit', fromDocument(Question, 'id')), async (req, res) => {
+  try {
+    const revisionNumber = Number(req.params.revision);
+    if (!Number.isInteger(revisionNumber) || revisionNumber < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Revision must be a positive whole number'
+      });
+    }
+
+    const question = await Question.findById(req.params.id);
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const freezingPapers = await findFreezingPapers(question._id);
+    if (freezingPapers.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: describeFreezingPapers(freezingPapers)
+      });
+    }
+
+    const revision = await QuestionRevision.findOne({
+      questionId: question._id,
+      revision: revisionNumber
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const before = snapshotQuestion(question);
+    applyRevision(question, revision);
+    await question.save();
+
+    const restored = await recordRevision(question, before, {
+      action: 'restore',
+      reason: req.body.reason || `Restored revision ${revision.revision}`,
+      author: req.user._id,
+      restoredFrom: revision.revision
+    });
+
+    res.json({
+      success: true,
+      message: restored
+        ? `Question restored to revision ${revision.revision}`
+        : `Question already matches revision ${revision.revision}`,
+      question,
+      revision: restored
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore revision: ' + error.message
+    });
+  }
+});
+
 /**
  * Delete question
  * DELETE /api/questions/:id
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('questions:edit'), requireModuleAccess('edit', fromDocument(Question, 'id')), async (req, res) => {
   try {
     const question = await Question.findById(req.params.id);
     
@@ -315,7 +574,18 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
+    // Questions can be shared between papers, so only unused ones may leave the bank
+    const papers = await ExamPaper.find({ 'sections.questions.questionId': question._id }).select('title');
+    if (papers.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Question is used in ${papers.length === 1 ? 'an exam paper' : `${papers.length} exam papers`} (${papers.map(paper => paper.title).join(', ')}). Remove it from the paper first.`
+      });
+    }
+
+    // Revisions are an immutable record, so they outlive the question
     await Question.findByIdAndDelete(req.params.id);
+    await Comment.deleteMany({ targetType: 'Question', targetId: question._id });
 
     res.json({
       success: true,
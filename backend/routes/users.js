@@ -0,0 +1,359 @@
+/**
+ * User Routes
+ * Admin-only user management: listing, role assignment, deactivation, forced password resets and session revocation
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { ROLES, ROLE_LABELS, getPermissions } = require('../utils/permissions');
+const { listSessions, revokeSession, revokeUserSessions } = require('../services/sessionService');
+const { findModulesByMember } = require('../services/moduleTeamService');
+const { sendPasswordResetEmail } = require('../services/accountEmailService');
+
+const router = express.Router();
+
+// All routes require an account that can manage users
+router.use(authenticate, requirePermission('users:manage'));
+
+/**
+ * List the roles with their labels and permissions
+ * GET /api/users/roles
+ */
+router.get('/roles', (req, res) => {
+  res.json({
+    success: true,
+    roles: ROLES.map(role => ({
+      role,
+      label: ROLE_LABELS[role],
+      permissions: getPermissions(role)
+    }))
+  });
+});
+
+/**
+ * Escape text for use inside a regular expression
+ * @param {string} text - Search text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Count the admins who can still sign in
+ * @returns {Promise<number>}
+ */
+function countActiveAdmins() {
+  return User.countDocuments({ role: 'admin', active: { $ne: false } });
+}
+
+/**
+ * List users, with the modules each is on the team of
+ * GET /api/users?search=&role=&status=active|deactivated&page=1&limit=20
+ * search matches name or email
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { search, role, status } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filter = {};
+    if (typeof search === 'string' && search.trim()) {
+      const pattern = new RegExp(escapeRegExp(search.trim()), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (ROLES.includes(role)) {
+      filter.role = role;
+    }
+    if (status === 'active') {
+      filter.active = { $ne: false };
+    } else if (status === 'deactivated') {
+      filter.active = false;
+    }
+
+    const [total, users] = await Promise.all([
+      User.countDocuments(filter),
+      User.find(filter)
+        .select('name email role active emailVerified deactivatedAt createdAt')
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+    ]);
+    const modulesByUser = await findModulesByMember(users);
+
+    res.json({
+      success: true,
+      count: users.length,
+      total,
+      page,
+      pages: Math.max(Math.ceil(total / limit), 1),
+      users: users.map(user => ({
+        ...user.toJSON(),
+        modules: modulesByUser.get(String(user._id)) || []
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users: ' + error.message
+    });
+  }
+});
+
+/**
+ * Assign a user's role
+ * PUT /api/users/:id/role
+ * Body: { role }
+ */
+router.put('/:id/role', async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown role "${role}". Use one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Someone must always be able to assign roles
+    if (user.role === 'admin' && user.active !== false && role !== 'admin' && (await countActiveAdmins()) <= 1) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot change the role of the only admin; make another user admin first'
+      });
+    }
+
+    user.role = role;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: `${user.name} is now ${ROLE_LABELS[role]}`,
+      user
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role: ' + error.message
+    });
+  }
+});
+
+/**
+ * Find the user named by the :id parameter, or respond 404
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} - User, or null once the 404 is sent
+ */
+async function findUserOr404(req, res) {
+  const user = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await User.findById(req.params.id)
+    : null;
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+  return user;
+}
+
+/**
+ * Deactivate or reactivate an account
+ * PUT /api/users/:id/status
+ * Body: { active }
+ * Deactivating ends the user's sessions; their modules, questions and comments are kept
+ */
+router.put('/:id/status', async (req, res) => {
+  try {
+    const { active } = req.body;
+    if (typeof active !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'active must be true or false'
+      });
+    }
+
+    const user = await findUserOr404(req, res);
+    if (!user) return;
+
+    if (!active) {
+      if (String(user._id) === String(req.user._id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'You cannot deactivate your own account'
+        });
+      }
+      // Someone must always be able to manage users
+      if (user.role === 'admin' && user.active !== false && (await countActiveAdmins()) <= 1) {
+        return res.status(409).json({
+          success: false,
+          message: 'Cannot deactivate the only active admin; make another user admin first'
+        });
+      }
+    }
+
+    user.active = active;
+    user.deactivatedAt = active ? null : new Date();
+    user.deactivatedBy = active ? null : req.user._id;
+    await user.save();
+
+    if (!active) {
+      await revokeUserSessions(user._id, 'admin', req.user);
+    }
+
+    res.json({
+      success: true,
+      message: active ? `${user.name} can sign in again` : `${user.name} has been deactivated and signed out`,
+      user: {
+        _id: user._id,
+        active: user.active,
+        deactivatedAt: user.deactivatedAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update account status: ' + error.message
+    });
+  }
+});
+
+/**
+ * Force a password reset
+ * POST /api/users/:id/password-reset
+ * The current password stops working, every session ends, and the user is emailed a reset link
+ */
+router.post('/:id/password-reset', async (req, res) => {
+  try {
+    const user = await findUserOr404(req, res);
+    if (!user) return;
+
+    if (user.active === false) {
+      return res.status(409).json({
+        success: false,
+        message: 'Reactivate the account before resetting its password'
+      });
+    }
+
+    // A random password nobody knows; the emailed link is the only way back in
+    user.password = crypto.randomBytes(32).toString('hex');
+    await user.save();
+    await revokeUserSessions(user._id, 'admin', req.user);
+    await sendPasswordResetEmail(user);
+
+    res.json({
+      success: true,
+      message: `${user.name} has been signed out and must choose a new password; a reset link was sent to ${user.email}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to force a password reset: ' + error.message
+    });
+  }
+});
+
+/**
+ * List a user's active sessions
+ * GET /api/users/:id/sessions
+ */
+router.get('/:id/sessions', async (req, res) => {
+  try {
+    const user = await findUserOr404(req, res);
+    if (!user) return;
+
+    const sessions = await listSessions(user._id, req.authSession._id);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions: ' + error.message
+    });
+  }
+});
+
+/**
+ * Sign a user out of every device
+ * DELETE /api/users/:id/sessions
+ */
+router.delete('/:id/sessions', async (req, res) => {
+  try {
+    const user = await findUserOr404(req, res);
+    if (!user) return;
+
+    const revoked = await revokeUserSessions(user._id, 'admin', req.user);
+
+    res.json({
+      success: true,
+      message: `Ended ${revoked} session${revoked === 1 ? '' : 's'} of ${user.name}`,
+      revoked
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions: ' + error.message
+    });
+  }
+});
+
+/**
+ * Sign a user out of one device
+ * DELETE /api/users/:id/sessions/:sessionId
+ */
+router.delete('/:id/sessions/:sessionId', async (req, res) => {
+  try {
+    const user = await findUserOr404(req, res);
+    if (!user) return;
+
+    const session = mongoose.Types.ObjectId.isValid(req.params.sessionId)
+      ? await Session.findOne({ _id: req.params.sessionId, user: user._id, revokedAt: null })
+      : null;
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session, 'admin', req.user);
+
+    res.json({
+      success: true,
+      message: `Ended ${user.name}'s session on ${session.device}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session: ' + error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,7 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 require('dotenv').config();
 
 // Import routes
@@ -14,13 +15,24 @@ const moduleRoutes = require('./routes/modules');
 const questionRoutes = require('./routes/questions');
 const coverageRoutes = require('./routes/coverage');
 const aiRoutes = require('./routes/ai');
+const paperRoutes = require('./routes/papers');
+const blueprintRoutes = require('./routes/blueprints');
+const commentRoutes = require('./routes/comments');
+const userRoutes = require('./routes/users');
+const { resumeInterruptedJobs } = require('./services/coverageJobQueue');
 
 // Initialize Express app
 const app = express();
 
 // Middleware
-app.use(cors());
+app.use(cors({
+  // The refresh token cookie needs credentialed requests, which CORS only allows from a named origin
+  origin: process.env.CLIENT_ORIGIN || 'http://localhost:3000',
+  credentials: true,
+  exposedHeaders: ['Content-Disposition'] // Report downloads carry their file name in Content-Disposition
+}));
 app.use(express.json());
+app.use(cookieParser());
 app.use(express.urlencoded({ extended: true }));
 
 // MongoDB Connection
@@ -30,6 +42,8 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/loc_analy
 })
 .then(() => {
   console.log('✅ MongoDB connected successfully');
+  // Pick up coverage analyses that were queued or running before a restart
+  return resumeInterruptedJobs();
 })
 .catch((error) => {
   console.error('❌ MongoDB connection error:', error);
@@ -42,6 +56,10 @@ app.use('/api/modules', moduleRoutes);
 app.use('/api/questions', questionRoutes);
 app.use('/api/coverage', coverageRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/papers', paperRoutes);
+app.use('/api/blueprints', blueprintRoutes);
+app.use('/api/comments', commentRoutes);
+app.use('/api/users', userRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,79 @@
+/**
+ * Account Email Service
+ * Composes and sends the email verification and password reset messages
+ * Links point at the frontend, which posts the token back to /api/auth.
+ */
+
+const { sendMail } = require('./mail');
+const { describeLifetime, createAccountToken } = require('./accountTokenService');
+
+/**
+ * Escape text for an HTML email body
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build a frontend link carrying a token
+ * @param {string} page - Frontend path, e.g. '/verify-email'
+ * @param {string} token - Account token
+ * @returns {string} - Absolute URL
+ */
+function buildLink(page, token) {
+  const origin = (process.env.CLIENT_ORIGIN || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${origin}${page}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Email a user the link that verifies their address
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - Delivery details from the mail transport
+ */
+async function sendVerificationEmail(user) {
+  const link = buildLink('/verify-email', createAccountToken(user, 'email-verification'));
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your LOC Analyzer email address',
+    text: `Hello ${user.name},\n\n`
+      + `Confirm that this is your email address to finish setting up your LOC Analyzer account:\n\n${link}\n\n`
+      + `The link expires in ${describeLifetime('email-verification')}. If you did not create an account, ignore this email.`,
+    html: `<p>Hello ${escapeHtml(user.name)},</p>`
+      + '<p>Confirm that this is your email address to finish setting up your LOC Analyzer account:</p>'
+      + `<p><a href="${link}">Verify my email address</a></p>`
+      + `<p>The link expires in ${describeLifetime('email-verification')}. If you did not create an account, ignore this email.</p>`
+  });
+}
+
+/**
+ * Email a user the link that sets a new password
+ * @param {Object} user - User document, with its password hash
+ * @returns {Promise<Object>} - Delivery details from the mail transport
+ */
+async function sendPasswordResetEmail(user) {
+  const link = buildLink('/reset-password', createAccountToken(user, 'password-reset'));
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your LOC Analyzer password',
+    text: `Hello ${user.name},\n\n`
+      + `Choose a new password for your LOC Analyzer account here:\n\n${link}\n\n`
+      + `The link expires in ${describeLifetime('password-reset')} and works once. If you did not ask to reset your password, ignore this email.`,
+    html: `<p>Hello ${escapeHtml(user.name)},</p>`
+      + '<p>Choose a new password for your LOC Analyzer account:</p>'
+      + `<p><a href="${link}">Reset my password</a></p>`
+      + `<p>The link expires in ${describeLifetime('password-reset')} and works once. If you did not ask to reset your password, ignore this email.</p>`
+  });
+}
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
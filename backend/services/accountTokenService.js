@@ -0,0 +1,97 @@
+/**
+ * Account Token Service
+ * Signed, expiring tokens for email verification and password reset links
+ * Each token carries a fingerprint of the account state it was issued for, so it stops working
+ * once used: a reset token once the password changes, a verification token once the email is
+ * verified or changed. Tokens name their purpose, so neither kind (nor an access token) passes for the other.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+// Purpose → how long its links stay valid, in minutes
+const TOKEN_LIFETIMES = {
+  'email-verification': (parseInt(process.env.EMAIL_VERIFICATION_HOURS, 10) || 24) * 60,
+  'password-reset': parseInt(process.env.PASSWORD_RESET_MINUTES, 10) || 60
+};
+
+/**
+ * Describe how long a purpose's links stay valid, for the emails
+ * @param {string} purpose - Key of TOKEN_LIFETIMES
+ * @returns {string} - e.g. "24 hours" or "60 minutes"
+ */
+function describeLifetime(purpose) {
+  const minutes = TOKEN_LIFETIMES[purpose];
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+/**
+ * Fingerprint the account state a token is only valid for
+ * @param {Object} user - User document, with its password hash
+ * @param {string} purpose - Key of TOKEN_LIFETIMES
+ * @returns {string} - Hex digest
+ */
+function fingerprint(user, purpose) {
+  const state = purpose === 'password-reset'
+    ? user.password
+    : `${user.email}:${user.emailVerified === false ? 'unverified' : 'verified'}`;
+  return crypto.createHash('sha256').update(`${purpose}:${state}`).digest('hex').slice(0, 32);
+}
+
+/**
+ * Issue a token for a user
+ * @param {Object} user - User document, with its password hash
+ * @param {string} purpose - 'email-verification' or 'password-reset'
+ * @returns {string} - Signed token
+ */
+function createAccountToken(user, purpose) {
+  return jwt.sign(
+    { userId: user._id, purpose, fp: fingerprint(user, purpose) },
+    process.env.JWT_SECRET,
+    { expiresIn: TOKEN_LIFETIMES[purpose] * 60 }
+  );
+}
+
+/**
+ * Check a token and load its user
+ * @param {string} token - Token from the link
+ * @param {string} purpose - Purpose the token must have been issued for
+ * @returns {Promise<Object>} - { user }, or { error } when the token is not accepted
+ */
+async function verifyAccountToken(token, purpose) {
+  const invalid = { error: 'This link is invalid or has already been used' };
+  if (!token) {
+    return invalid;
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return error.name === 'TokenExpiredError'
+      ? { error: 'This link has expired. Please request a new one' }
+      : invalid;
+  }
+
+  if (decoded.purpose !== purpose || !mongoose.Types.ObjectId.isValid(decoded.userId)) {
+    return invalid;
+  }
+  const user = await User.findById(decoded.userId);
+  if (!user || decoded.fp !== fingerprint(user, purpose)) {
+    return invalid;
+  }
+  return { user };
+}
+
+module.exports = {
+  TOKEN_LIFETIMES,
+  describeLifetime,
+  createAccountToken,
+  verifyAccountToken
+};
@@ -0,0 +1,112 @@
+/**
+ * Bloom Classification Service
+ * Classifies the Bloom's taxonomy level each question demonstrates, with the LLM or an offline verb heuristic
+ */
+
+const { classifyBloomLevels, getModelName } = require('./openaiService');
+const { classifyBloomLevel } = require('../utils/bloomTaxonomy');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+const CLASSIFICATION_METHODS = ['ai', 'heuristic'];
+
+// Questions sent to the LLM per request
+const CLASSIFICATION_BATCH_SIZE = 10;
+
+const HEURISTIC_MODEL = 'bloom-verbs-v1';
+
+/**
+ * Split an array into chunks
+ * @param {Array} items - Items to split
+ * @param {number} size - Chunk size
+ * @returns {Array<Array>} - Chunks in order
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let index = 0; index < items.length; index += size) {
+    chunks.push(items.slice(index, index + size));
+  }
+  return chunks;
+}
+
+/**
+ * Classify a question's text with the offline heuristic
+ * Used to give new questions a provisional level until the module is classified with the LLM.
+ * @param {string} questionText - Question text
+ * @returns {Object} - Value for Question.bloomClassification
+ */
+function getHeuristicClassification(questionText) {
+  return {
+    ...classifyBloomLevel(questionText),
+    method: 'heuristic',
+    model: HEURISTIC_MODEL,
+    classifiedBy: null,
+    classifiedAt: new Date()
+  };
+}
+
+/**
+ * Classify questions and save the result on each one
+ * Manually classified questions are left alone unless overwriteManual is set.
+ * Questions the LLM fails to classify fall back to the heuristic.
+ * @param {Array<Object>} questions - Question documents
+ * @param {Object} options - Classification options
+ * @param {string} options.method - 'ai' (default) or 'heuristic'
+ * @param {boolean} options.overwriteManual - Re-classify questions a lecturer classified by hand
+ * @returns {Promise<Object>} - { classified, skipped, unclassified, byMethod }
+ */
+async function classifyQuestions(questions, options = {}) {
+  const { method = 'ai', overwriteManual = false } = options;
+
+  if (!CLASSIFICATION_METHODS.includes(method)) {
+    throw new Error(`Unknown classification method "${method}"`);
+  }
+
+  const pending = questions.filter(question =>
+    overwriteManual || !question.bloomClassification || question.bloomClassification.method !== 'manual'
+  );
+  const results = new Map();
+
+  if (method === 'ai') {
+    const model = getModelName();
+    await mapWithConcurrency(chunk(pending, CLASSIFICATION_BATCH_SIZE), 2, async (batch) => {
+      try {
+        const classified = await classifyBloomLevels(
+          batch.map(question => ({ id: String(question._id), questionText: question.questionText }))
+        );
+        for (const [id, classification] of Object.entries(classified)) {
+          results.set(id, { ...classification, method: 'ai', model });
+        }
+      } catch (error) {
+        console.warn('AI classification failed, falling back to the heuristic:', error.message);
+      }
+    });
+  }
+
+  const summary = { classified: 0, skipped: questions.length - pending.length, unclassified: 0, byMethod: { ai: 0, heuristic: 0 } };
+
+  for (const question of pending) {
+    const aiResult = results.get(String(question._id));
+    const classification = aiResult
+      ? { ...aiResult, classifiedBy: null, classifiedAt: new Date() }
+      : getHeuristicClassification(question.questionText);
+
+    if (!classification.level) {
+      summary.unclassified++;
+    } else {
+      summary.classified++;
+      summary.byMethod[classification.method]++;
+    }
+
+    question.bloomClassification = classification;
+    // Classification is derived data, so don't bump the question's updatedAt
+    await question.save({ timestamps: false });
+  }
+
+  return summary;
+}
+
+module.exports = {
+  CLASSIFICATION_METHODS,
+  getHeuristicClassification,
+  classifyQuestions
+};
@@ -0,0 +1,440 @@
+/**
+ * Blueprint Service
+ * Validates assessment blueprints and selects question bank questions that best satisfy them
+ */
+
+const Question = require('../models/Question');
+const { generateQuestions } = require('./openaiService');
+const { getHeuristicClassification } = require('./bloomClassificationService');
+const { recordOriginal } = require('./questionRevisionService');
+const { getLatestReports } = require('./coverageReportService');
+const { BLOOM_LEVELS } = require('../utils/bloomTaxonomy');
+
+const QUESTION_TYPES = ['MCQ', 'Structured'];
+
+// Marks given to each generated MCQ, and the most MCQs generated for one gap
+const GENERATED_MCQ_MARKS = 2;
+const MAX_GENERATED_MCQS = 5;
+
+/**
+ * Round marks to two decimal places
+ * @param {number} marks - Marks
+ * @returns {number} - Rounded marks
+ */
+function roundMarks(marks) {
+  return Math.round(marks * 100) / 100;
+}
+
+/**
+ * Validate a blueprint submitted by a client
+ * @param {Object} input - { name, totalMarks, durationMinutes, loTargets, bloomTargets, mcqShare }
+ * @param {Object} module - Module document the blueprint is for
+ * @returns {Object} - { blueprint, errors } where blueprint holds the cleaned values to save
+ */
+function validateBlueprint(input, module) {
+  const blueprint = {};
+  const errors = [];
+
+  if (input.name !== undefined) {
+    if (!input.name || !String(input.name).trim()) {
+      errors.push('Blueprint name is required');
+    } else {
+      blueprint.name = String(input.name).trim();
+    }
+  }
+
+  const totalMarks = Number(input.totalMarks);
+  // Matches the minimum on the Blueprint model
+  if (isNaN(totalMarks) || totalMarks < 1) {
+    errors.push('Total marks must be at least 1');
+  } else {
+    blueprint.totalMarks = totalMarks;
+  }
+
+  if (input.durationMinutes !== undefined && input.durationMinutes !== null && input.durationMinutes !== '') {
+    const value = Number(input.durationMinutes);
+    if (isNaN(value) || value < 0) {
+      errors.push('Duration must be a positive number of minutes');
+    } else {
+      blueprint.durationMinutes = value;
+    }
+  } else {
+    blueprint.durationMinutes = null;
+  }
+
+  const loIds = new Set(module.learningOutcomes.map(lo => lo.loId));
+  blueprint.loTargets = [];
+  for (const target of input.loTargets || []) {
+    const marks = Number(target.marks);
+    if (!loIds.has(target.loId)) {
+      errors.push(`Learning outcome "${target.loId}" is not part of this module`);
+    } else if (isNaN(marks) || marks < 0) {
+      errors.push(`Target marks for ${target.loId} must be 0 or more`);
+    } else if (marks > 0) {
+      blueprint.loTargets.push({ loId: target.loId, marks });
+    }
+  }
+  const loMarks = blueprint.loTargets.reduce((sum, target) => sum + target.marks, 0);
+  if (blueprint.totalMarks && roundMarks(loMarks) !== roundMarks(blueprint.totalMarks)) {
+    errors.push(`LO targets add up to ${roundMarks(loMarks)} marks but the paper totals ${blueprint.totalMarks}`);
+  }
+
+  blueprint.bloomTargets = [];
+  for (const target of input.bloomTargets || []) {
+    const share = Number(target.share);
+    if (!BLOOM_LEVELS.includes(target.bloomLevel)) {
+      errors.push(`Bloom's level must be one of: ${BLOOM_LEVELS.join(', ')}`);
+    } else if (isNaN(share) || share < 0 || share > 100) {
+      errors.push(`Share for ${target.bloomLevel} must be between 0 and 100`);
+    } else if (share > 0) {
+      blueprint.bloomTargets.push({ bloomLevel: target.bloomLevel, share });
+    }
+  }
+  const bloomShare = blueprint.bloomTargets.reduce((sum, target) => sum + target.share, 0);
+  if (bloomShare > 100) {
+    errors.push(`Bloom's level shares add up to ${bloomShare}%, which is more than 100%`);
+  }
+
+  if (input.mcqShare !== undefined && input.mcqShare !== null && input.mcqShare !== '') {
+    const value = Number(input.mcqShare);
+    if (isNaN(value) || value < 0 || value > 100) {
+      errors.push('MCQ share must be between 0 and 100');
+    } else {
+      blueprint.mcqShare = value;
+    }
+  } else {
+    blueprint.mcqShare = null;
+  }
+
+  return { blueprint, errors };
+}
+
+/**
+ * Turn a blueprint into mark targets per dimension
+ * @param {Object} blueprint - Blueprint document
+ * @returns {Object} - { lo, bloom, type } maps of key to target marks
+ */
+function getTargets(blueprint) {
+  const total = blueprint.totalMarks;
+  const targets = {
+    lo: new Map(blueprint.loTargets.map(target => [target.loId, target.marks])),
+    bloom: new Map(blueprint.bloomTargets.map(target => [target.bloomLevel, roundMarks(total * target.share / 100)])),
+    type: new Map()
+  };
+  if (blueprint.mcqShare !== null && blueprint.mcqShare !== undefined) {
+    targets.type.set('MCQ', roundMarks(total * blueprint.mcqShare / 100));
+    targets.type.set('Structured', roundMarks(total - targets.type.get('MCQ')));
+  }
+  return targets;
+}
+
+/**
+ * Map each question to the LO it is most relevant to, from the module's default coverage run
+ * Moderator overrides are already reflected in the stored reports.
+ * @param {string} moduleId - The module ID
+ * @returns {Promise<Map>} - Question ID to { loId, similarityScore, demonstratedBloomLevel }
+ */
+async function getQuestionMappings(moduleId) {
+  const reports = await getLatestReports(moduleId, {});
+  const mappings = new Map();
+  for (const report of reports) {
+    for (const entry of report.questionsCovered || []) {
+      const questionId = String(entry.questionId);
+      const current = mappings.get(questionId);
+      if (!current || entry.similarityScore > current.similarityScore) {
+        mappings.set(questionId, {
+          loId: report.loId,
+          similarityScore: entry.similarityScore,
+          demonstratedBloomLevel: entry.demonstratedBloomLevel || null
+        });
+      }
+    }
+  }
+  return mappings;
+}
+
+/**
+ * Describe a question as a selection candidate
+ * @param {Object} question - Question document
+ * @param {Object} mapping - { loId, similarityScore, demonstratedBloomLevel }
+ * @returns {Object} - Candidate
+ */
+function toCandidate(question, mapping) {
+  return {
+    question,
+    loId: mapping.loId,
+    bloomLevel: (question.bloomClassification && question.bloomClassification.level) || mapping.demonstratedBloomLevel || null,
+    type: question.questionType,
+    marks: question.marks || 0,
+    similarityScore: mapping.similarityScore
+  };
+}
+
+/**
+ * Score how much closer a candidate brings the selection to the blueprint
+ * Marks that fill a target count for, marks beyond a target count against.
+ * @param {Object} candidate - Selection candidate
+ * @param {Object} targets - Targets from getTargets
+ * @param {Object} remaining - { lo, bloom, type } maps of key to unfilled marks
+ * @returns {number} - Gain; only positive gains are worth selecting
+ */
+function scoreCandidate(candidate, targets, remaining) {
+  let gain = 0;
+  for (const [dimension, key] of [['lo', candidate.loId], ['bloom', candidate.bloomLevel], ['type', candidate.type]]) {
+    if (!targets[dimension].has(key)) {
+      continue;
+    }
+    const left = remaining[dimension].get(key);
+    gain += Math.min(candidate.marks, left) - Math.max(0, candidate.marks - left);
+  }
+  return gain;
+}
+
+/**
+ * Greedily add the candidates that best close the remaining gaps
+ * @param {Array<Object>} candidates - Unselected candidates; selected ones are removed
+ * @param {Array<Object>} selection - Selected candidates; added to in place
+ * @param {Object} targets - Targets from getTargets
+ * @param {Object} remaining - Unfilled marks; updated in place
+ * @param {Object} budget - { marks } left on the paper; updated in place
+ */
+function selectCandidates(candidates, selection, targets, remaining, budget) {
+  for (;;) {
+    let best = null;
+    let bestGain = 0;
+    for (const candidate of candidates) {
+      // Every question must serve an LO the blueprint still wants marks for, without overrunning the paper
+      if (!remaining.lo.has(candidate.loId) || remaining.lo.get(candidate.loId) <= 0 || candidate.marks > budget.marks) {
+        continue;
+      }
+      const gain = scoreCandidate(candidate, targets, remaining);
+      if (gain > bestGain || (gain === bestGain && best && candidate.similarityScore > best.similarityScore)) {
+        best = candidate;
+        bestGain = gain;
+      }
+    }
+    if (!best) {
+      return;
+    }
+
+    candidates.splice(candidates.indexOf(best), 1);
+    selection.push(best);
+    budget.marks = roundMarks(budget.marks - best.marks);
+    for (const [dimension, key] of [['lo', best.loId], ['bloom', best.bloomLevel], ['type', best.type]]) {
+      if (remaining[dimension].has(key)) {
+        remaining[dimension].set(key, roundMarks(remaining[dimension].get(key) - best.marks));
+      }
+    }
+  }
+}
+
+/**
+ * Pick the key with the most unfilled marks in a dimension
+ * @param {Map} remaining - Key to unfilled marks
+ * @returns {string|null} - Key, or null when nothing is unfilled
+ */
+function largestGap(remaining) {
+  let best = null;
+  for (const [key, marks] of remaining) {
+    if (marks > 0 && (best === null || marks > remaining.get(best))) {
+      best = key;
+    }
+  }
+  return best;
+}
+
+/**
+ * Generate and save questions to fill one LO's shortfall
+ * The Bloom's level and question type are those the selection is furthest short of.
+ * @param {Object} module - Module document
+ * @param {Object} lo - Learning outcome
+ * @param {number} shortfall - Marks to fill
+ * @param {Object} remaining - Unfilled marks per dimension
+ * @param {string} author - ID of the user building the blueprint
+ * @returns {Promise<Array<Object>>} - Candidates for the saved questions
+ */
+async function generateForGap(module, lo, shortfall, remaining, author) {
+  const bloomLevel = largestGap(remaining.bloom) || lo.bloomLevel;
+  const type = largestGap(remaining.type) || 'Structured';
+  const mcqCount = type === 'MCQ' ? Math.min(Math.ceil(shortfall / GENERATED_MCQ_MARKS), MAX_GENERATED_MCQS) : 0;
+
+  const generated = await generateQuestions(lo.description, bloomLevel, mcqCount, type === 'MCQ' ? 0 : 1);
+  const candidates = [];
+
+  if (type === 'MCQ') {
+    const mcqs = (generated.mcqs || []).slice(0, mcqCount);
+    for (const mcq of mcqs) {
+      const options = (mcq.options || []).slice(0, 4);
+      while (options.length < 4) {
+        options.push(`Option ${String.fromCharCode(65 + options.length)}`);
+      }
+      const question = await Question.create({
+        moduleId: module._id,
+        questionText: mcq.question,
+        questionType: 'MCQ',
+        source: 'AI',
+        options,
+        correctAnswer: mcq.correctAnswer || options[0] || '',
+        marks: roundMarks(Math.min(GENERATED_MCQ_MARKS, shortfall / mcqs.length)),
+        bloomClassification: getHeuristicClassification(mcq.question)
+      });
+      await recordOriginal(question, author);
+      candidates.push(toCandidate(question, { loId: lo.loId, similarityScore: 1, demonstratedBloomLevel: bloomLevel }));
+    }
+  } else {
+    const structured = (generated.structured || [])[0];
+    if (structured) {
+      // The generated question carries the whole shortfall, whatever marks the model suggested
+      const question = await Question.create({
+        moduleId: module._id,
+        questionText: structured.question,
+        questionType: 'Structured',
+        source: 'AI',
+        marks: shortfall,
+        sampleAnswer: structured.sampleAnswer || '',
+        bloomClassification: getHeuristicClassification(structured.question)
+      });
+      await recordOriginal(question, author);
+      candidates.push(toCandidate(question, { loId: lo.loId, similarityScore: 1, demonstratedBloomLevel: bloomLevel }));
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Summarise how far a selection meets each blueprint target
+ * @param {Object} targets - Targets from getTargets
+ * @param {Array<Object>} selection - Selected candidates
+ * @returns {Array<Object>} - [{ dimension, key, targetMarks, selectedMarks, shortfall }]
+ */
+function describeCells(targets, selection) {
+  const cells = [];
+  for (const [dimension, field] of [['lo', 'loId'], ['bloom', 'bloomLevel'], ['type', 'type']]) {
+    for (const [key, targetMarks] of targets[dimension]) {
+      const selectedMarks = roundMarks(selection
+        .filter(candidate => candidate[field] === key)
+        .reduce((sum, candidate) => sum + candidate.marks, 0));
+      cells.push({
+        dimension,
+        key,
+        targetMarks,
+        selectedMarks,
+        shortfall: roundMarks(Math.max(0, targetMarks - selectedMarks))
+      });
+    }
+  }
+  return cells;
+}
+
+/**
+ * Select questions from the bank that best satisfy a blueprint
+ * Questions are mapped to LOs through the module's default coverage run, so the module should be analysed first.
+ * With generateMissing, questions are generated for LOs the bank cannot fill and saved to the bank.
+ * @param {Object} blueprint - Blueprint document
+ * @param {Object} module - Module document
+ * @param {Object} options - Build options
+ * @param {boolean} options.generateMissing - Generate questions for unfilled LO targets
+ * @param {string} options.author - ID of the user building the blueprint, recorded against generated questions
+ * @returns {Promise<Object>} - { selection, cells, gaps, totalMarks, selectedMarks, unmappedQuestions, generatedQuestions, generationErrors }
+ */
+async function buildFromBlueprint(blueprint, module, options = {}) {
+  const { generateMissing = false, author = null } = options;
+
+  const [questions, mappings] = await Promise.all([
+    Question.find({ moduleId: module._id }),
+    getQuestionMappings(module._id)
+  ]);
+
+  const candidates = [];
+  let unmappedQuestions = 0;
+  for (const question of questions) {
+    const mapping = mappings.get(String(question._id));
+    if (!mapping) {
+      unmappedQuestions++;
+    } else if (QUESTION_TYPES.includes(question.questionType) && question.marks > 0) {
+      candidates.push(toCandidate(question, mapping));
+    }
+  }
+
+  const targets = getTargets(blueprint);
+  const remaining = {
+    lo: new Map(targets.lo),
+    bloom: new Map(targets.bloom),
+    type: new Map(targets.type)
+  };
+  const budget = { marks: blueprint.totalMarks };
+  const selection = [];
+
+  selectCandidates(candidates, selection, targets, remaining, budget);
+
+  const generatedQuestions = [];
+  const generationErrors = [];
+  if (generateMissing) {
+    for (const [loId, shortfall] of remaining.lo) {
+      const lo = module.learningOutcomes.find(outcome => outcome.loId === loId);
+      if (!lo || shortfall <= 0 || budget.marks <= 0) {
+        continue;
+      }
+      try {
+        const generated = await generateForGap(module, lo, Math.min(shortfall, budget.marks), remaining, author);
+        generatedQuestions.push(...generated.map(candidate => candidate.question._id));
+        candidates.push(...generated);
+        selectCandidates(candidates, selection, targets, remaining, budget);
+      } catch (error) {
+        generationErrors.push({ loId, message: error.message });
+      }
+    }
+  }
+
+  // Present the selection LO by LO, in the module's LO order
+  const loOrder = module.learningOutcomes.map(lo => lo.loId);
+  selection.sort((a, b) => loOrder.indexOf(a.loId) - loOrder.indexOf(b.loId));
+
+  const cells = describeCells(targets, selection);
+
+  return {
+    selection: selection.map(candidate => ({
+      questionId: candidate.question._id,
+      questionText: candidate.question.questionText,
+      questionType: candidate.type,
+      loId: candidate.loId,
+      bloomLevel: candidate.bloomLevel,
+      marks: candidate.marks,
+      similarityScore: candidate.similarityScore,
+      source: candidate.question.source
+    })),
+    cells,
+    gaps: cells.filter(cell => cell.shortfall > 0),
+    totalMarks: blueprint.totalMarks,
+    selectedMarks: roundMarks(blueprint.totalMarks - budget.marks),
+    unmappedQuestions,
+    generatedQuestions,
+    generationErrors
+  };
+}
+
+/**
+ * Lay a build's selection out as exam paper sections, MCQs first
+ * @param {Object} build - Result of buildFromBlueprint
+ * @returns {Array<Object>} - Sections for ExamPaper
+ */
+function toPaperSections(build) {
+  return QUESTION_TYPES
+    .filter(type => build.selection.some(entry => entry.questionType === type))
+    .map((type, index) => ({
+      title: `Section ${String.fromCharCode(65 + index)} - ${type === 'MCQ' ? 'Multiple Choice' : 'Structured'} Questions`,
+      instructions: '',
+      questions: build.selection
+        .filter(entry => entry.questionType === type)
+        .map(entry => ({ questionId: entry.questionId, marks: entry.marks }))
+    }));
+}
+
+module.exports = {
+  validateBlueprint,
+  getTargets,
+  selectCandidates,
+  buildFromBlueprint,
+  toPaperSections
+};
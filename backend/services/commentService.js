@@ -0,0 +1,131 @@
+/**
+ * Comment Service
+ * Resolves module staff for @-mentions, validates comments and arranges them into threads
+ */
+
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const ExamPaper = require('../models/ExamPaper');
+const Module = require('../models/Module');
+const User = require('../models/User');
+const { getTeamMemberIds } = require('./moduleTeamService');
+
+/**
+ * Get the people who work on a module and can be mentioned in its comments
+ * Staff are the module's team, the setters and moderators of its papers, and admins.
+ * @param {string} moduleId - Module ID
+ * @returns {Promise<Array<Object>>} - Users with name, email and role, sorted by name
+ */
+async function getModuleStaff(moduleId) {
+  const [module, papers] = await Promise.all([
+    Module.findById(moduleId).select('createdBy team'),
+    ExamPaper.find({ moduleId }).select('setter moderator')
+  ]);
+
+  const staffIds = papers.flatMap(paper => [paper.setter, paper.moderator]);
+  if (module) {
+    staffIds.push(...getTeamMemberIds(module));
+  }
+
+  return User.find({ $or: [{ _id: { $in: staffIds } }, { role: 'admin' }] })
+    .select('name email role')
+    .sort({ name: 1 });
+}
+
+/**
+ * Describe the author's part in the moderation of a comment's target
+ * On a paper the setter and moderator comment as such; everyone else comments under their account role.
+ * @param {Object} user - Authenticated user
+ * @param {string} targetType - 'Question' or 'ExamPaper'
+ * @param {Object} target - The question or paper document
+ * @returns {string} - Author role
+ */
+function describeAuthorRole(user, targetType, target) {
+  if (targetType === 'ExamPaper') {
+    if (String(target.setter) === String(user._id)) return 'setter';
+    if (String(target.moderator) === String(user._id)) return 'moderator';
+  }
+  return user.role;
+}
+
+/**
+ * Validate the body and mentions of a new or edited comment
+ * @param {Object} input - { body, mentions }
+ * @param {Array<Object>} staff - Users who may be mentioned
+ * @returns {Object} - { values, errors }
+ */
+function validateComment(input, staff) {
+  const values = {};
+  const errors = [];
+
+  if (typeof input.body !== 'string' || !input.body.trim()) {
+    errors.push('Comment text is required');
+  } else {
+    values.body = input.body.trim();
+  }
+
+  const mentions = input.mentions || [];
+  if (!Array.isArray(mentions)) {
+    errors.push('Mentions must be a list of users');
+  } else {
+    const staffIds = new Set(staff.map(user => String(user._id)));
+    const invalid = mentions.filter(userId => !mongoose.Types.ObjectId.isValid(userId) || !staffIds.has(String(userId)));
+    if (invalid.length > 0) {
+      errors.push('Only module staff can be mentioned');
+    } else {
+      values.mentions = [...new Set(mentions.map(String))];
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Group comments into threads, oldest first, with each thread's replies in order
+ * @param {Array<Object>} comments - Comment documents for one target
+ * @returns {Array<Object>} - Threads: top-level comments with a replies array
+ */
+function buildThreads(comments) {
+  const threads = comments
+    .filter(comment => !comment.parentId)
+    .map(comment => ({ ...comment.toObject(), replies: [] }));
+  const byId = new Map(threads.map(thread => [String(thread._id), thread]));
+
+  for (const comment of comments) {
+    if (comment.parentId) {
+      const thread = byId.get(String(comment.parentId));
+      if (thread) thread.replies.push(comment.toObject());
+    }
+  }
+
+  return threads;
+}
+
+/**
+ * Count unresolved threads per question in a module
+ * @param {string} moduleId - Module ID
+ * @returns {Promise<Map<string, number>>} - Question ID → unresolved thread count
+ */
+async function countUnresolvedByQuestion(moduleId) {
+  const counts = await Comment.aggregate([
+    {
+      $match: {
+        moduleId: new mongoose.Types.ObjectId(moduleId),
+        targetType: 'Question',
+        parentId: null,
+        resolved: false
+      }
+    },
+    { $group: { _id: '$targetId', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(entry => [String(entry._id), entry.count]));
+}
+
+module.exports = {
+  getModuleStaff,
+  describeAuthorRole,
+  validateComment,
+  buildThreads,
+  countUnresolvedByQuestion
+};
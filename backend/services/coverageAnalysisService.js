@@ -0,0 +1,553 @@
+/**
+ * Coverage Analysis Service
+ * Scores questions against a module's learning outcomes and stores the coverage results
+ */
+
+const Module = require('../models/Module');
+const Question = require('../models/Question');
+const Coverage = require('../models/Coverage');
+const CoverageOverride = require('../models/CoverageOverride');
+const ExamPaper = require('../models/ExamPaper');
+const { calculateSimilarity, scoreQuestionAgainstLOs, getModelName } = require('./openaiService');
+const { hashText, getPairKey, getCachedScores, storeCachedScore } = require('./similarityCacheService');
+const { EMBEDDING_MODEL, embedText, cosineSimilarity } = require('./embeddingService');
+const { resolveAnalysisSettings, summariseCoverage } = require('./coverageSettings');
+const { buildRunQuery } = require('./coverageReportService');
+const { getPaperQuestions } = require('./examPaperService');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { matchedPhrases } = require('../utils/textSimilarity');
+const { inferBloomLevel } = require('../utils/bloomTaxonomy');
+
+const SCORING_STRATEGIES = ['llm', 'embedding'];
+
+// Maximum number of similarity requests in flight at once
+function getScoringConcurrency() {
+  return parseInt(process.env.COVERAGE_CONCURRENCY) || 4;
+}
+
+// Number of below-threshold questions kept per LO as evidence for a disputed verdict
+const NEAR_MISS_LIMIT = 3;
+
+// Share of LO/question pairs that may fail to score before a run is abandoned rather than saved
+const MAX_FAILED_PAIR_SHARE = 0.5;
+
+// 'batched' scores a question against all its pending LOs in one request, 'pairwise' sends one request per pair
+function getScoringMode() {
+  return process.env.COVERAGE_SCORING_MODE === 'pairwise' ? 'pairwise' : 'batched';
+}
+
+/**
+ * Group pending pairs by question so each question can be scored in one request
+ * @param {Array<Object>} pairs - Pending LO/question pairs
+ * @returns {Array<Object>} - Groups of { question, questionHash, pairs }
+ */
+function groupPairsByQuestion(pairs) {
+  const groups = new Map();
+  for (const pair of pairs) {
+    if (!groups.has(pair.questionHash)) {
+      groups.set(pair.questionHash, { question: pair.question, questionHash: pair.questionHash, pairs: [] });
+    }
+    groups.get(pair.questionHash).pairs.push(pair);
+  }
+  return Array.from(groups.values());
+}
+
+/**
+ * Score every LO/question pair with the configured LLM provider
+ * Pairs already scored with the current model are read from the similarity cache.
+ * @param {Object} context - { module, questions, loHashes, questionHashes, hooks }
+ * @returns {Promise<Object>} - { scores: Map of pair key to score, evidence: Map of pair key to evidence, scoringModel }
+ */
+async function scorePairsWithLLM({ module, questions, loHashes, questionHashes, hooks }) {
+  const { onStart, onProgress, onError } = hooks;
+  const model = getModelName();
+  const cached = await getCachedScores(loHashes, questionHashes, model);
+
+  // Collect every LO × question pair, using cached scores where available
+  const scores = new Map();
+  const evidence = new Map();
+  const pendingPairs = [];
+  const pendingKeys = new Set();
+  module.learningOutcomes.forEach((lo, loIndex) => {
+    questions.forEach((question, questionIndex) => {
+      const key = getPairKey(loHashes[loIndex], questionHashes[questionIndex]);
+      if (cached.has(key)) {
+        const entry = cached.get(key);
+        scores.set(key, entry.similarityScore);
+        evidence.set(key, {
+          rationale: entry.rationale,
+          demonstratedBloomLevel: entry.demonstratedBloomLevel,
+          matchedPhrases: entry.matchedPhrases ? [...entry.matchedPhrases] : []
+        });
+      } else if (!pendingKeys.has(key)) {
+        // Identical LO/question texts only need to be scored once
+        pendingKeys.add(key);
+        pendingPairs.push({ key, lo, question, loHash: loHashes[loIndex], questionHash: questionHashes[questionIndex] });
+      }
+    });
+  });
+
+  const total = module.learningOutcomes.length * questions.length;
+  let completed = total - pendingPairs.length;
+  if (onStart) {
+    await onStart({
+      learningOutcomes: module.learningOutcomes.length,
+      questions: questions.length,
+      total,
+      cached: completed
+    });
+  }
+
+  const recordFailure = async (pair, message) => {
+    if (onError) {
+      await onError({ loId: pair.lo.loId, questionId: pair.question._id, message });
+    }
+  };
+
+  const reportProgress = async (count) => {
+    completed += count;
+    if (onProgress) {
+      await onProgress({ completed, total });
+    }
+  };
+
+  // Score the remaining pairs with a bounded pool of workers
+  if (getScoringMode() === 'batched') {
+    await mapWithConcurrency(groupPairsByQuestion(pendingPairs), getScoringConcurrency(), async (group) => {
+      try {
+        const results = await scoreQuestionAgainstLOs(
+          group.question.questionText,
+          group.pairs.map(pair => ({ loId: pair.lo.loId, description: pair.lo.description }))
+        );
+
+        for (const pair of group.pairs) {
+          const result = results[pair.lo.loId];
+          if (result.error) {
+            await recordFailure(pair, result.error);
+            continue;
+          }
+          const pairEvidence = {
+            rationale: result.rationale,
+            demonstratedBloomLevel: result.demonstratedBloomLevel,
+            matchedPhrases: result.matchedPhrases
+          };
+          scores.set(pair.key, result.similarityScore);
+          evidence.set(pair.key, pairEvidence);
+          await storeCachedScore(pair.loHash, pair.questionHash, model, result.similarityScore, pairEvidence);
+        }
+      } catch (error) {
+        console.error(`Error scoring question ${group.question._id}:`, error);
+        for (const pair of group.pairs) {
+          await recordFailure(pair, error.message);
+        }
+      }
+
+      await reportProgress(group.pairs.length);
+    });
+  } else {
+    await mapWithConcurrency(pendingPairs, getScoringConcurrency(), async (pair) => {
+      try {
+        // Calculate similarity using the configured LLM provider
+        const similarityScore = await calculateSimilarity(
+          pair.lo.description,
+          pair.question.questionText
+        );
+        scores.set(pair.key, similarityScore);
+        await storeCachedScore(pair.loHash, pair.questionHash, model, similarityScore);
+      } catch (error) {
+        console.error(`Error calculating similarity for question ${pair.question._id}:`, error);
+        await recordFailure(pair, error.message);
+      }
+
+      await reportProgress(1);
+    });
+  }
+
+  return { scores, evidence, scoringModel: model };
+}
+
+/**
+ * Score every LO/question pair by cosine similarity of stored embeddings
+ * Vectors are (re)computed only for texts that changed since they were last embedded.
+ * @param {Object} context - { module, questions, loHashes, questionHashes, hooks }
+ * @returns {Promise<Object>} - { scores: Map of pair key to score, evidence: empty Map, scoringModel }
+ */
+async function scorePairsWithEmbeddings({ module, questions, loHashes, questionHashes, hooks }) {
+  const { onStart, onProgress } = hooks;
+  const total = module.learningOutcomes.length * questions.length;
+
+  if (onStart) {
+    await onStart({
+      learningOutcomes: module.learningOutcomes.length,
+      questions: questions.length,
+      total,
+      cached: 0
+    });
+  }
+
+  await ensureEmbeddings(module, questions, loHashes, questionHashes);
+
+  const scores = new Map();
+  module.learningOutcomes.forEach((lo, loIndex) => {
+    questions.forEach((question, questionIndex) => {
+      const key = getPairKey(loHashes[loIndex], questionHashes[questionIndex]);
+      const score = cosineSimilarity(lo.embedding.vector, question.embedding.vector);
+      scores.set(key, Math.round(score * 1000) / 1000);
+    });
+  });
+
+  if (onProgress) {
+    await onProgress({ completed: total, total });
+  }
+
+  // Vectors carry no explanation; runCoverageAnalysis derives lexical evidence instead
+  return { scores, evidence: new Map(), scoringModel: EMBEDDING_MODEL };
+}
+
+/**
+ * Make sure every LO and question carries an up-to-date embedding
+ * @param {Object} module - Module document
+ * @param {Array<Object>} questions - Question documents or plain copies; their embeddings are updated in place
+ * @param {Array<string>} loHashes - Description hashes in LO order
+ * @param {Array<string>} questionHashes - Text hashes in question order
+ */
+async function ensureEmbeddings(module, questions, loHashes, questionHashes) {
+  const isStale = (embedding, textHash) => !embedding || !embedding.vector || embedding.vector.length === 0 ||
+    embedding.model !== EMBEDDING_MODEL || embedding.textHash !== textHash;
+
+  let moduleChanged = false;
+  module.learningOutcomes.forEach((lo, index) => {
+    if (isStale(lo.embedding, loHashes[index])) {
+      lo.embedding = { vector: embedText(lo.description), model: EMBEDDING_MODEL, textHash: loHashes[index] };
+      moduleChanged = true;
+    }
+  });
+  if (moduleChanged) {
+    // Embeddings are derived data, so don't bump the module's updatedAt
+    await module.save({ timestamps: false });
+  }
+
+  for (let index = 0; index < questions.length; index++) {
+    const question = questions[index];
+    if (isStale(question.embedding, questionHashes[index])) {
+      question.embedding = { vector: embedText(question.questionText), model: EMBEDDING_MODEL, textHash: questionHashes[index] };
+      // Only the embedding is written: paper questions are plain copies carrying the paper's marks
+      await Question.updateOne({ _id: question._id }, { $set: { embedding: question.embedding } }, { timestamps: false });
+    }
+  }
+}
+
+/**
+ * Fill in whatever evidence the scorer did not return for a pair
+ * Missing phrases and Bloom's levels are derived from the texts, so pairs scored pairwise,
+ * by embeddings or before evidence was recorded can still be explained.
+ * @param {Object} lo - Learning outcome
+ * @param {Object} question - Question document
+ * @param {Object} evidence - Partial { rationale, demonstratedBloomLevel, matchedPhrases }
+ * @returns {Object} - Complete evidence
+ */
+function completeEvidence(lo, question, evidence = {}) {
+  const phrases = evidence.matchedPhrases && evidence.matchedPhrases.length > 0
+    ? evidence.matchedPhrases
+    : matchedPhrases(lo.description, question.questionText);
+
+  let rationale = evidence.rationale;
+  if (!rationale) {
+    rationale = phrases.length > 0
+      ? `Shares "${phrases.join('", "')}" with the learning outcome.`
+      : 'Has no wording in common with the learning outcome.';
+  }
+
+  return {
+    rationale,
+    demonstratedBloomLevel: evidence.demonstratedBloomLevel || inferBloomLevel(question.questionText),
+    matchedPhrases: phrases
+  };
+}
+
+/**
+ * Round a mark allocation to two decimal places
+ * @param {number} marks - Marks
+ * @returns {number} - Rounded marks
+ */
+function roundMarks(marks) {
+  return Math.round(marks * 100) / 100;
+}
+
+/**
+ * Split each question's marks between the learning outcomes it is relevant to
+ * A question relevant to several LOs gives each a share proportional to its similarity,
+ * so the marks attributed across all LOs never exceed the paper total.
+ * @param {Array<Object>} questions - Question documents
+ * @param {Array<Array<number|null>>} relevantScores - Per LO, per question similarity (null when not relevant)
+ * @returns {Array<Array<number>>} - Per LO, per question allocated marks
+ */
+function allocateQuestionMarks(questions, relevantScores) {
+  const allocation = relevantScores.map(row => row.map(() => 0));
+
+  questions.forEach((question, questionIndex) => {
+    const marks = question.marks || 0;
+    const scoreTotal = relevantScores.reduce((sum, row) => sum + (row[questionIndex] || 0), 0);
+    if (marks === 0 || scoreTotal === 0) {
+      return;
+    }
+    relevantScores.forEach((row, loIndex) => {
+      if (row[questionIndex] !== null) {
+        allocation[loIndex][questionIndex] = roundMarks(marks * row[questionIndex] / scoreTotal);
+      }
+    });
+  });
+
+  return allocation;
+}
+
+/**
+ * Turn machine scores and moderator overrides into per-LO coverage results
+ * Unpinned pairs never count, pinned and added pairs always count, and every other pair
+ * counts when its machine score clears the relevance threshold.
+ * @param {Object} input - Builder input
+ * @param {Array<Object>} input.learningOutcomes - Learning outcomes with loId
+ * @param {Array<Object>} input.questions - Questions with _id and marks
+ * @param {Array<Array<Object|null>>} input.pairScores - Per LO, per question { similarityScore, rationale, demonstratedBloomLevel, matchedPhrases }
+ * @param {Object} input.settings - Resolved analysis settings
+ * @param {Array<Object>} input.overrides - CoverageOverride documents for the module
+ * @returns {Array<Object>} - Per-LO coverage fields, in LO order
+ */
+function buildCoverageResults({ learningOutcomes, questions, pairScores, settings, overrides = [] }) {
+  const overridesByPair = new Map();
+  for (const override of overrides) {
+    overridesByPair.set(`${override.loId}:${override.questionId}`, override);
+  }
+
+  // Decide, per pair, whether it counts and with which similarity
+  const decisions = learningOutcomes.map((lo, loIndex) =>
+    questions.map((question, questionIndex) => {
+      const machine = pairScores[loIndex][questionIndex];
+      const override = overridesByPair.get(`${lo.loId}:${question._id}`) || null;
+      const overrideInfo = override
+        ? {
+          overrideId: override._id,
+          action: override.action,
+          reason: override.reason,
+          createdBy: override.createdBy,
+          updatedAt: override.updatedAt
+        }
+        : null;
+
+      if (override && override.action === 'unpin') {
+        return { relevant: false, excluded: true, machine, override: overrideInfo };
+      }
+      if (override) {
+        // Added mappings default to a full match, pinned ones keep the machine score
+        let similarityScore = override.action === 'pin' && machine ? machine.similarityScore : 1;
+        if (override.similarityScore !== null && override.similarityScore !== undefined) {
+          similarityScore = override.similarityScore;
+        }
+        return { relevant: true, similarityScore, machine, override: overrideInfo };
+      }
+      if (machine && machine.similarityScore > settings.relevanceThreshold) {
+        return { relevant: true, similarityScore: machine.similarityScore, machine, override: null };
+      }
+      return { relevant: false, excluded: false, machine, override: null };
+    })
+  );
+
+  const relevantScores = decisions.map(row => row.map(decision => (decision.relevant ? decision.similarityScore : null)));
+  const allocatedMarks = allocateQuestionMarks(questions, relevantScores);
+  const totalMarks = questions.reduce((sum, question) => sum + (question.marks || 0), 0);
+
+  return learningOutcomes.map((lo, loIndex) => {
+    const questionsCovered = [];
+    const excludedQuestions = [];
+    const nearMisses = [];
+    const scoredQuestions = [];
+    const matches = [];
+    let marksAllocated = 0;
+
+    questions.forEach((question, questionIndex) => {
+      const decision = decisions[loIndex][questionIndex];
+      const evidence = decision.machine
+        ? {
+          rationale: decision.machine.rationale,
+          demonstratedBloomLevel: decision.machine.demonstratedBloomLevel,
+          matchedPhrases: decision.machine.matchedPhrases
+        }
+        : { rationale: 'Not scored by the analysis; mapped by a moderator.', demonstratedBloomLevel: null, matchedPhrases: [] };
+
+      if (decision.machine) {
+        scoredQuestions.push({ questionId: question._id, ...decision.machine });
+      }
+
+      if (decision.relevant) {
+        const marks = allocatedMarks[loIndex][questionIndex];
+        questionsCovered.push({
+          questionId: question._id,
+          similarityScore: decision.similarityScore,
+          allocatedMarks: marks,
+          ...evidence,
+          override: decision.override
+        });
+        matches.push({ similarityScore: decision.similarityScore, marks: question.marks || 0 });
+        marksAllocated += marks;
+      } else if (decision.excluded) {
+        excludedQuestions.push({
+          questionId: question._id,
+          similarityScore: decision.machine ? decision.machine.similarityScore : 0,
+          ...evidence,
+          override: decision.override
+        });
+      } else if (decision.machine) {
+        nearMisses.push({ questionId: question._id, ...decision.machine });
+      }
+    });
+
+    const { coveragePercentage, status } = summariseCoverage(matches, settings);
+
+    return {
+      loId: lo.loId,
+      coveragePercentage,
+      status,
+      questionsCovered,
+      excludedQuestions,
+      nearMisses: nearMisses
+        .sort((a, b) => b.similarityScore - a.similarityScore)
+        .slice(0, NEAR_MISS_LIMIT),
+      scoredQuestions,
+      marksAllocated: roundMarks(marksAllocated),
+      totalMarks,
+      marksShare: totalMarks > 0 ? Math.round((marksAllocated / totalMarks) * 1000) / 10 : 0
+    };
+  });
+}
+
+/**
+ * Run coverage analysis for a module
+ * Results replace the previous reports of the same run (exam paper or analysis tag) once every LO has been scored;
+ * a run where more than MAX_FAILED_PAIR_SHARE of the pairs failed to score throws and keeps the previous reports.
+ * Relevance, status bands and aggregation follow the module's analysis settings, which are
+ * snapshotted onto each result, and moderator overrides are applied on top of the machine scores.
+ * @param {string} moduleId - The module ID
+ * @param {Object} options - Run options
+ * @param {Array<string>} options.questionIds - Optional array of question IDs to analyze (if not provided, analyzes all questions)
+ * @param {string} options.analysisTag - Optional tag to identify this analysis run
+ * @param {string} options.paperId - Optional exam paper to analyse; its questions and marks replace questionIds
+ * @param {string} options.scoringStrategy - 'llm' (default) or 'embedding'
+ * @param {Object} hooks - Optional callbacks
+ * @param {Function} hooks.onStart - Called with { learningOutcomes, questions, total, cached } before scoring starts
+ * @param {Function} hooks.onProgress - Called with { completed, total } after each scored LO/question pair
+ * @param {Function} hooks.onError - Called with { loId, questionId, message } when a pair fails to score
+ * @returns {Promise<Object>} - Summary of the run
+ */
+async function runCoverageAnalysis(moduleId, options = {}, hooks = {}) {
+  const { questionIds = null, analysisTag = null, paperId = null, scoringStrategy = 'llm' } = options;
+
+  if (!SCORING_STRATEGIES.includes(scoringStrategy)) {
+    throw new Error(`Unknown scoring strategy "${scoringStrategy}"`);
+  }
+  const analyzedAt = new Date();
+
+  // Get module with learning outcomes
+  const module = await Module.findById(moduleId);
+  if (!module) {
+    throw new Error('Module not found');
+  }
+  if (!module.learningOutcomes || module.learningOutcomes.length === 0) {
+    throw new Error('Module has no learning outcomes to analyze');
+  }
+
+  // Get questions - the paper's, selected ones or all
+  let questions;
+  if (paperId) {
+    const paper = await ExamPaper.findOne({ _id: paperId, moduleId });
+    if (!paper) {
+      throw new Error('Exam paper not found');
+    }
+    questions = await getPaperQuestions(paper);
+  } else if (questionIds && questionIds.length > 0) {
+    questions = await Question.find({
+      moduleId,
+      _id: { $in: questionIds }
+    });
+  } else {
+    questions = await Question.find({ moduleId });
+  }
+
+  if (questions.length === 0) {
+    throw new Error(paperId ? 'The exam paper has no questions' : 'No questions found for this module');
+  }
+
+  const loHashes = module.learningOutcomes.map(lo => hashText(lo.description));
+  const questionHashes = questions.map(question => hashText(question.questionText));
+  const context = { module, questions, loHashes, questionHashes, hooks };
+
+  const { scores, evidence, scoringModel } = scoringStrategy === 'embedding'
+    ? await scorePairsWithEmbeddings(context)
+    : await scorePairsWithLLM(context);
+
+  // Machine score and evidence for every pair, per LO and question (null when scoring failed)
+  const pairScores = module.learningOutcomes.map((lo, loIndex) =>
+    questions.map((question, questionIndex) => {
+      const key = getPairKey(loHashes[loIndex], questionHashes[questionIndex]);
+      if (!scores.has(key)) {
+        return null;
+      }
+      return { similarityScore: scores.get(key), ...completeEvidence(lo, question, evidence.get(key)) };
+    })
+  );
+
+  // Too many unscored pairs would read as uncovered LOs; keep the previous results instead
+  const pairCount = pairScores.length * questions.length;
+  const failedPairs = pairScores.flat().filter(pair => pair === null).length;
+  if (failedPairs === pairCount) {
+    throw new Error(`None of the ${pairCount} LO/question pairs could be scored; the previous results were kept`);
+  }
+  if (failedPairs / pairCount > MAX_FAILED_PAIR_SHARE) {
+    throw new Error(`${failedPairs} of ${pairCount} LO/question pairs could not be scored; the previous results were kept`);
+  }
+
+  const settings = resolveAnalysisSettings(module);
+  const overrides = await CoverageOverride.find({ moduleId });
+
+  const coverageResults = buildCoverageResults({
+    learningOutcomes: module.learningOutcomes,
+    questions,
+    pairScores,
+    settings,
+    overrides
+  }).map((result, loIndex) => ({
+    ...result,
+    moduleId,
+    loVersion: module.loVersion || 1,
+    analyzedAt,
+    learningOutcome: {
+      description: module.learningOutcomes[loIndex].description,
+      bloomLevel: module.learningOutcomes[loIndex].bloomLevel
+    },
+    analysisTag: paperId ? null : analysisTag || null,
+    paperId: paperId || null,
+    scoringStrategy,
+    scoringModel,
+    settingsSnapshot: settings,
+    questionCount: questions.length,
+    analyzedQuestions: paperId ? questions.map(question => question._id) : questionIds || null
+  }));
+
+  // Replace the previous reports of this run only
+  await Coverage.deleteMany(buildRunQuery(moduleId, { paperId, analysisTag }));
+
+  // Save coverage results
+  await Coverage.insertMany(coverageResults);
+
+  console.log(`Coverage analysis completed for module ${moduleId}`);
+
+  return {
+    learningOutcomes: module.learningOutcomes.length,
+    questions: questions.length
+  };
+}
+
+module.exports = {
+  SCORING_STRATEGIES,
+  buildCoverageResults,
+  runCoverageAnalysis
+};
@@ -0,0 +1,228 @@
+/**
+ * Coverage Comparison Service
+ * Compares two or more coverage runs of a module: per-LO and per-Bloom deltas, status changes and question churn
+ */
+
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const ExamPaper = require('../models/ExamPaper');
+const { describeReportLO, getLatestReports } = require('./coverageReportService');
+const { BLOOM_LEVELS } = require('../utils/bloomTaxonomy');
+
+const MAX_COMPARED_RUNS = 6;
+
+/**
+ * Parse a run key as used in URLs: 'default', 'tag:<analysisTag>' or 'paper:<paperId>'
+ * @param {string} key - Run key
+ * @returns {Object|null} - { paperId, analysisTag }, or null when the key is not recognised or names an invalid paper ID
+ */
+function parseRunKey(key) {
+  if (key === 'default') return { paperId: null, analysisTag: null };
+  if (key.startsWith('paper:')) {
+    const paperId = key.slice('paper:'.length);
+    return mongoose.Types.ObjectId.isValid(paperId) ? { paperId, analysisTag: null } : null;
+  }
+  if (key.startsWith('tag:') && key.length > 'tag:'.length) {
+    return { paperId: null, analysisTag: key.slice('tag:'.length) };
+  }
+  return null;
+}
+
+/**
+ * Round to one decimal place
+ * @param {number} value - Value
+ * @returns {number} - Rounded value
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Collect the questions a run analysed
+ * Default runs store no question list, so their scored questions stand in for it.
+ * @param {Array<Object>} reports - Latest coverage reports of one run
+ * @returns {Set<string>} - Question IDs
+ */
+function getRunQuestionIds(reports) {
+  const questionIds = new Set();
+  for (const report of reports) {
+    (report.analyzedQuestions || []).forEach(id => questionIds.add(String(id)));
+  }
+  if (questionIds.size === 0) {
+    for (const report of reports) {
+      [...(report.scoredQuestions || []), ...(report.questionsCovered || [])]
+        .forEach(entry => entry.questionId && questionIds.add(String(entry.questionId)));
+    }
+  }
+  return questionIds;
+}
+
+/**
+ * Summarise one run for comparison
+ * @param {Object} module - Module document
+ * @param {string} key - Run key
+ * @param {string} label - Display name of the run
+ * @param {Array<Object>} reports - Latest coverage reports of the run
+ * @returns {Object} - Run summary with per-LO and per-Bloom figures
+ */
+function summariseRun(module, key, label, reports) {
+  const byLO = new Map();
+  const bloomTotals = new Map();
+
+  for (const report of reports) {
+    const lo = describeReportLO(module, report);
+    byLO.set(report.loId, {
+      ...lo,
+      coveragePercentage: report.coveragePercentage,
+      status: report.status
+    });
+    const totals = bloomTotals.get(lo.bloomLevel) || { sum: 0, count: 0 };
+    totals.sum += report.coveragePercentage;
+    totals.count += 1;
+    bloomTotals.set(lo.bloomLevel, totals);
+  }
+
+  return {
+    key,
+    label,
+    analyzedAt: reports[0].analyzedAt,
+    scoringStrategy: reports[0].scoringStrategy || 'llm',
+    loVersion: reports[0].loVersion || null,
+    stats: {
+      totalLOs: reports.length,
+      covered: reports.filter(r => r.status === 'Covered').length,
+      partiallyCovered: reports.filter(r => r.status === 'Partially Covered').length,
+      notCovered: reports.filter(r => r.status === 'Not Covered').length,
+      averageCoverage: round(reports.reduce((sum, r) => sum + r.coveragePercentage, 0) / reports.length)
+    },
+    byLO,
+    byBloom: new Map(Array.from(bloomTotals, ([level, totals]) => [level, round(totals.sum / totals.count)])),
+    questionIds: getRunQuestionIds(reports)
+  };
+}
+
+/**
+ * Difference between two values, or null when either is missing
+ * @param {number|null} from - Earlier value
+ * @param {number|null} to - Later value
+ * @returns {number|null} - Rounded difference
+ */
+function delta(from, to) {
+  return from === null || from === undefined || to === null || to === undefined ? null : round(to - from);
+}
+
+/**
+ * Compare coverage runs of a module, in the order given
+ * Each run is compared with the one before it; LO and Bloom values are listed for every run.
+ * @param {Object} module - Module document
+ * @param {Array<string>} runKeys - Run keys, earliest first
+ * @returns {Promise<Object>} - { runs, learningOutcomes, bloomLevels, changes } or { error } when a run is invalid or empty
+ */
+async function compareRuns(module, runKeys) {
+  if (runKeys.length < 2 || runKeys.length > MAX_COMPARED_RUNS) {
+    return { error: `Choose between 2 and ${MAX_COMPARED_RUNS} analysis runs to compare` };
+  }
+  if (new Set(runKeys).size !== runKeys.length) {
+    return { error: 'Each analysis run can only be compared once' };
+  }
+
+  const runs = [];
+  for (const key of runKeys) {
+    const run = parseRunKey(key);
+    if (!run) {
+      return { error: `Unknown analysis run "${key}"` };
+    }
+
+    let label = run.analysisTag || 'Default Analysis';
+    if (run.paperId) {
+      const paper = await ExamPaper.findOne({ _id: run.paperId, moduleId: module._id }).select('title');
+      if (!paper) {
+        return { error: `Exam paper for run "${key}" not found` };
+      }
+      label = paper.title;
+    }
+
+    const reports = await getLatestReports(module._id, run);
+    if (reports.length === 0) {
+      return { error: `"${label}" has no coverage reports; run the analysis first` };
+    }
+    runs.push(summariseRun(module, key, label, reports));
+  }
+
+  // Current LOs in module order, then LOs only older runs analysed
+  const loIds = module.learningOutcomes.map(lo => lo.loId);
+  runs.forEach(run => run.byLO.forEach((_, loId) => {
+    if (!loIds.includes(loId)) loIds.push(loId);
+  }));
+
+  const learningOutcomes = loIds.map(loId => {
+    const current = module.learningOutcomes.find(lo => lo.loId === loId);
+    const analysed = runs.map(run => run.byLO.get(loId)).filter(Boolean).pop();
+    const values = runs.map(run => {
+      const entry = run.byLO.get(loId);
+      return entry ? { coveragePercentage: entry.coveragePercentage, status: entry.status } : null;
+    });
+    return {
+      loId,
+      description: current ? current.description : analysed.description,
+      bloomLevel: current ? current.bloomLevel : analysed.bloomLevel,
+      values,
+      delta: delta(values[0]?.coveragePercentage, values[values.length - 1]?.coveragePercentage)
+    };
+  });
+
+  const bloomLevels = BLOOM_LEVELS
+    .filter(level => runs.some(run => run.byBloom.has(level)))
+    .map(level => {
+      const values = runs.map(run => (run.byBloom.has(level) ? run.byBloom.get(level) : null));
+      return {
+        bloomLevel: level,
+        values,
+        delta: delta(values[0], values[values.length - 1])
+      };
+    });
+
+  // Status changes and question churn between consecutive runs
+  const churnIds = new Set();
+  const changes = runs.slice(1).map((run, index) => {
+    const previous = runs[index];
+    const isCovered = (summary, loId) => summary.byLO.get(loId)?.status === 'Covered';
+    const added = [...run.questionIds].filter(id => !previous.questionIds.has(id));
+    const removed = [...previous.questionIds].filter(id => !run.questionIds.has(id));
+    [...added, ...removed].forEach(id => churnIds.add(id));
+
+    return {
+      from: previous.key,
+      to: run.key,
+      averageCoverageDelta: delta(previous.stats.averageCoverage, run.stats.averageCoverage),
+      newlyCovered: loIds.filter(loId => run.byLO.has(loId) && isCovered(run, loId) && !isCovered(previous, loId)),
+      newlyUncovered: loIds.filter(loId => previous.byLO.has(loId) && isCovered(previous, loId) && !isCovered(run, loId)),
+      questionChurn: {
+        added,
+        removed,
+        retained: [...run.questionIds].filter(id => previous.questionIds.has(id)).length
+      }
+    };
+  });
+
+  const questions = await Question.find({ _id: { $in: [...churnIds] } }).select('questionText');
+  const questionText = new Map(questions.map(question => [String(question._id), question.questionText]));
+  const describeQuestion = id => ({ questionId: id, questionText: questionText.get(id) || null });
+  changes.forEach(change => {
+    change.questionChurn.added = change.questionChurn.added.map(describeQuestion);
+    change.questionChurn.removed = change.questionChurn.removed.map(describeQuestion);
+  });
+
+  return {
+    runs: runs.map(({ byLO, byBloom, questionIds, ...run }) => ({ ...run, questionCount: questionIds.size })),
+    learningOutcomes,
+    bloomLevels,
+    changes
+  };
+}
+
+module.exports = {
+  MAX_COMPARED_RUNS,
+  parseRunKey,
+  compareRuns
+};
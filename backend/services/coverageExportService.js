@@ -0,0 +1,260 @@
+/**
+ * Coverage Export Service
+ * Spreadsheet exports of an analysis run: the question x LO similarity matrix, the per-LO summary
+ * and the Bloom aggregation, as CSV (one table per file) or XLSX (one sheet per table)
+ */
+
+const ExcelJS = require('exceljs');
+const { summariseRunCoverage, describeRun } = require('./moderationReportService');
+const { formatCsvValue } = require('../utils/csv');
+const { formatLOVersion } = require('./reports/format');
+
+const EXPORT_TABLES = ['matrix', 'summary', 'bloom'];
+
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv'
+  },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  }
+};
+
+/**
+ * Get a question ID from a coverage entry whether or not it is populated
+ * @param {Object} entry - Coverage question entry
+ * @returns {string|null} - Question ID
+ */
+function entryQuestionId(entry) {
+  if (!entry.questionId) return null;
+  return String(entry.questionId._id || entry.questionId);
+}
+
+/**
+ * Collect a report's similarity score for every question it scored
+ * Runs from before scores were stored in full only keep the mapped questions and near misses.
+ * @param {Object} report - Coverage report
+ * @returns {Map<string, number>} - Question ID to similarity score
+ */
+function collectScores(report) {
+  const entries = report.scoredQuestions && report.scoredQuestions.length > 0
+    ? report.scoredQuestions
+    : [...(report.nearMisses || []), ...(report.excludedQuestions || []), ...(report.questionsCovered || [])];
+
+  const scores = new Map();
+  for (const entry of entries) {
+    const questionId = entryQuestionId(entry);
+    if (questionId && typeof entry.similarityScore === 'number') {
+      scores.set(questionId, entry.similarityScore);
+    }
+  }
+  return scores;
+}
+
+/**
+ * Build the question x LO similarity matrix
+ * @param {Object} summary - Result of summariseRunCoverage
+ * @returns {Object} - Table; scores are formatted to three places and cells of questions mapped to the LO highlighted
+ */
+function buildMatrixTable(summary) {
+  const { reports, questions } = summary;
+  const scores = reports.map(collectScores);
+  const mapped = reports.map(report => new Set((report.questionsCovered || []).map(entryQuestionId)));
+  const firstScoreColumn = 3;
+
+  return {
+    name: 'matrix',
+    title: 'Similarity Matrix',
+    headers: ['No.', 'Question', 'Marks', ...reports.map(report => report.loId), 'Mapped LOs'],
+    rows: questions.map(question => [
+      `Q${question.number}`,
+      question.questionText,
+      question.marks,
+      ...scores.map(byQuestion => (byQuestion.has(question.questionId)
+        ? Math.round(byQuestion.get(question.questionId) * 1000) / 1000
+        : '')),
+      reports.filter((_, i) => mapped[i].has(question.questionId)).map(report => report.loId).join(', ')
+    ]),
+    columnFormats: [null, null, null, ...reports.map(() => '0.000'), null],
+    isHighlighted: (rowIndex, columnIndex) => {
+      const loIndex = columnIndex - firstScoreColumn;
+      return loIndex >= 0 && loIndex < reports.length && mapped[loIndex].has(questions[rowIndex].questionId);
+    }
+  };
+}
+
+/**
+ * Build the per-LO summary table
+ * @param {Object} summary - Result of summariseRunCoverage
+ * @returns {Object} - Table
+ */
+function buildSummaryTable(summary) {
+  return {
+    name: 'summary',
+    title: 'LO Summary',
+    headers: ['LO', 'Description', "Bloom's Level", 'Coverage %', 'Status', 'Questions Mapped', 'Mapped Questions', 'Marks Allocated', 'Marks Share %'],
+    rows: summary.learningOutcomes.map(lo => [
+      lo.loId,
+      lo.description,
+      lo.bloomLevel,
+      lo.coveragePercentage,
+      lo.status,
+      lo.questions.length,
+      lo.questions.map(q => (q.number ? `Q${q.number}` : 'Q?')).join(', '),
+      lo.marksAllocated ?? '',
+      lo.marksShare ?? ''
+    ])
+  };
+}
+
+/**
+ * Build the Bloom aggregation table
+ * @param {Object} summary - Result of summariseRunCoverage
+ * @returns {Object} - Table
+ */
+function buildBloomTable(summary) {
+  return {
+    name: 'bloom',
+    title: 'Bloom Aggregation',
+    headers: ["Bloom's Level", 'LOs', 'Average Coverage %', 'Marks', 'Marks Share %'],
+    rows: summary.bloomDistribution.map(level => [
+      level.bloomLevel,
+      level.loCount,
+      level.averageCoverage ?? '',
+      level.marks,
+      level.marksShare
+    ])
+  };
+}
+
+const TABLE_BUILDERS = {
+  matrix: buildMatrixTable,
+  summary: buildSummaryTable,
+  bloom: buildBloomTable
+};
+
+/**
+ * Render one table as CSV
+ * @param {Object} table - Table from a builder
+ * @returns {Buffer} - UTF-8 with a byte order mark, so Excel reads non-ASCII text correctly
+ */
+function renderCsv(table) {
+  const lines = [table.headers, ...table.rows].map(row => row.map(formatCsvValue).join(','));
+  return Buffer.from(`\ufeff${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+/**
+ * Render all tables as an XLSX workbook, after a sheet describing the run
+ * @param {Array<Object>} tables - Tables from the builders
+ * @param {Array<Array<string>>} details - [label, value] rows describing the run
+ * @returns {Promise<Buffer>}
+ */
+async function renderXlsx(tables, details) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const runSheet = workbook.addWorksheet('Run');
+  runSheet.columns = [{ width: 22 }, { width: 80 }];
+  details.forEach(row => runSheet.addRow(row));
+  runSheet.getColumn(1).font = { bold: true };
+
+  for (const table of tables) {
+    const sheet = workbook.addWorksheet(table.title);
+    sheet.addRow(table.headers).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    table.rows.forEach((row, rowIndex) => {
+      const added = sheet.addRow(row);
+      row.forEach((value, columnIndex) => {
+        const cell = added.getCell(columnIndex + 1);
+        if (table.columnFormats && table.columnFormats[columnIndex]) {
+          cell.numFmt = table.columnFormats[columnIndex];
+        }
+        if (table.isHighlighted && table.isHighlighted(rowIndex, columnIndex)) {
+          cell.font = { bold: true };
+          cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFD1E7DD' } };
+        }
+      });
+    });
+    sheet.columns.forEach((column, i) => {
+      const longest = Math.max(...[table.headers[i], ...table.rows.map(row => row[i])].map(value => String(value ?? '').length));
+      column.width = Math.min(60, Math.max(8, longest + 2));
+    });
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Build a download file name from the module code, run and contents
+ * @param {Object} module - Module document
+ * @param {string} label - Run label
+ * @param {string} contents - e.g. "matrix" or "coverage"
+ * @param {string} extension - File extension
+ * @returns {string} - e.g. "cs101-midterm-2025-matrix.csv"
+ */
+function buildExportFileName(module, label, contents, extension) {
+  const slug = `${module.moduleCode}-${label}-${contents}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${slug}.${extension}`;
+}
+
+/**
+ * Export an analysis run as a spreadsheet
+ * @param {Object} module - Module document
+ * @param {Object} run - { paperId, analysisTag }; both empty selects the default run
+ * @param {Object} options - { format: 'csv' | 'xlsx', table } table picks the CSV table; XLSX holds all of them
+ * @returns {Promise<Object>} - { file, fileName, contentType }, or { error, status }
+ */
+async function exportRunCoverage(module, run, { format = 'xlsx', table = 'matrix' } = {}) {
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    return { status: 400, error: `Unknown export format "${format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+  }
+  if (format === 'csv' && !EXPORT_TABLES.includes(table)) {
+    return { status: 400, error: `Unknown table "${table}". Use one of: ${EXPORT_TABLES.join(', ')}` };
+  }
+
+  const summary = await summariseRunCoverage(module, run);
+  if (summary.error) {
+    return summary;
+  }
+  const runDetails = describeRun(module, run, summary);
+
+  if (format === 'csv') {
+    return {
+      file: renderCsv(TABLE_BUILDERS[table](summary)),
+      fileName: buildExportFileName(module, runDetails.label, table, exportFormat.extension),
+      contentType: exportFormat.contentType
+    };
+  }
+
+  const details = [
+    ['Module', `${module.moduleCode} - ${module.moduleName}`],
+    ['Learning outcomes', formatLOVersion(runDetails.loStatus)],
+    ['Analysis run', runDetails.label],
+    ['Analysed', runDetails.analyzedAt ? new Date(runDetails.analyzedAt).toISOString() : ''],
+    ['Scoring', `${runDetails.scoringStrategy}${runDetails.scoringModel ? ` (${runDetails.scoringModel})` : ''}`],
+    ['Covered threshold %', runDetails.settings.coveredThreshold],
+    ['Partial threshold %', runDetails.settings.partialThreshold],
+    ['Relevance threshold', runDetails.settings.relevanceThreshold],
+    ['Aggregation', runDetails.settings.aggregation],
+    ['Questions', summary.questions.length],
+    ['Out of date', runDetails.loStatus && runDetails.loStatus.stale ? 'Yes - the module\'s LOs changed since this run' : 'No']
+  ];
+
+  return {
+    file: await renderXlsx(EXPORT_TABLES.map(name => TABLE_BUILDERS[name](summary)), details),
+    fileName: buildExportFileName(module, runDetails.label, 'coverage', exportFormat.extension),
+    contentType: exportFormat.contentType
+  };
+}
+
+module.exports = {
+  EXPORT_TABLES,
+  EXPORT_FORMATS,
+  exportRunCoverage
+};
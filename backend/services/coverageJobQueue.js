@@ -0,0 +1,171 @@
+/**
+ * Coverage Job Queue
+ * Persists coverage analysis requests as AnalysisJob documents and runs them one at a time
+ */
+
+const AnalysisJob = require('../models/AnalysisJob');
+const { runCoverageAnalysis } = require('./coverageAnalysisService');
+
+// Minimum time between progress writes while a job is running
+const PROGRESS_FLUSH_INTERVAL_MS = 1000;
+
+let processing = false;
+
+/**
+ * Queue a coverage analysis run for a module
+ * @param {string} moduleId - The module ID
+ * @param {Object} options - Job options
+ * @param {Array<string>} options.questionIds - Optional question IDs to analyze
+ * @param {string} options.analysisTag - Optional tag to identify this analysis run
+ * @param {string} options.paperId - Optional exam paper to analyse
+ * @param {string} options.scoringStrategy - 'llm' (default) or 'embedding'
+ * @param {string} options.trigger - What caused the run (Manual, Upload, QuestionCreated)
+ * @param {string} options.requestedBy - ID of the user who requested the run
+ * @returns {Promise<Object>} - The queued job
+ */
+async function enqueueCoverageAnalysis(moduleId, options = {}) {
+  const { questionIds = null, analysisTag = null, paperId = null, scoringStrategy = 'llm', trigger = 'Manual', requestedBy = null } = options;
+
+  const job = await AnalysisJob.create({
+    moduleId,
+    analysisTag: analysisTag || null,
+    paperId: paperId || null,
+    questionIds: questionIds && questionIds.length > 0 ? questionIds : [],
+    scoringStrategy,
+    trigger,
+    requestedBy
+  });
+
+  // Start processing in the background (non-blocking)
+  processQueue();
+
+  return job;
+}
+
+/**
+ * Atomically claim the oldest queued job
+ * @returns {Promise<Object|null>} - The claimed job or null if the queue is empty
+ */
+function claimNextJob() {
+  return AnalysisJob.findOneAndUpdate(
+    { status: 'queued' },
+    { $set: { status: 'running', startedAt: new Date() } },
+    { sort: { createdAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Run a single claimed job and record its outcome
+ * @param {Object} job - The running AnalysisJob document
+ */
+async function runJob(job) {
+  const errorLog = [];
+  const progress = { learningOutcomes: 0, questions: 0, total: 0, completed: 0, cached: 0 };
+  let lastFlush = 0;
+
+  const flushProgress = () => AnalysisJob.updateOne(
+    { _id: job._id },
+    { $set: { progress, errorLog } }
+  );
+
+  try {
+    await runCoverageAnalysis(
+      job.moduleId,
+      {
+        questionIds: job.questionIds.length > 0 ? job.questionIds : null,
+        analysisTag: job.analysisTag,
+        paperId: job.paperId,
+        scoringStrategy: job.scoringStrategy
+      },
+      {
+        onStart: async (counts) => {
+          Object.assign(progress, counts);
+          progress.completed = counts.cached;
+          lastFlush = Date.now();
+          await flushProgress();
+        },
+        onProgress: async ({ completed }) => {
+          progress.completed = completed;
+          if (Date.now() - lastFlush >= PROGRESS_FLUSH_INTERVAL_MS) {
+            lastFlush = Date.now();
+            await flushProgress();
+          }
+        },
+        onError: ({ loId, questionId, message }) => {
+          errorLog.push({ loId, questionId, message, occurredAt: new Date() });
+        }
+      }
+    );
+
+    await AnalysisJob.updateOne(
+      { _id: job._id },
+      { $set: { status: 'succeeded', progress, errorLog, finishedAt: new Date() } }
+    );
+  } catch (error) {
+    console.error(`Coverage analysis job ${job._id} failed:`, error);
+    errorLog.push({ message: error.message, occurredAt: new Date() });
+
+    await AnalysisJob.updateOne(
+      { _id: job._id },
+      { $set: { status: 'failed', progress, errorLog, finishedAt: new Date() } }
+    );
+  }
+}
+
+/**
+ * Work through queued jobs until none are left
+ * Only one loop runs per process, so analyses never compete for the LLM.
+ */
+async function processQueue() {
+  if (processing) {
+    return;
+  }
+  processing = true;
+
+  let drained = false;
+  try {
+    let job = await claimNextJob();
+    while (job) {
+      await runJob(job);
+      job = await claimNextJob();
+    }
+    drained = true;
+  } catch (error) {
+    console.error('Coverage job queue error:', error);
+  } finally {
+    processing = false;
+  }
+
+  // A job enqueued between the last empty claim and clearing the flag found the loop still
+  // running, so nothing else will pick it up
+  if (drained) {
+    try {
+      if (await AnalysisJob.exists({ status: 'queued' })) {
+        processQueue();
+      }
+    } catch (error) {
+      console.error('Coverage job queue error:', error);
+    }
+  }
+}
+
+/**
+ * Re-queue jobs interrupted by a server restart and resume processing
+ */
+async function resumeInterruptedJobs() {
+  const result = await AnalysisJob.updateMany(
+    { status: 'running' },
+    { $set: { status: 'queued', startedAt: null } }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`Re-queued ${result.modifiedCount} interrupted coverage analysis job(s)`);
+  }
+
+  processQueue();
+}
+
+module.exports = {
+  enqueueCoverageAnalysis,
+  resumeInterruptedJobs
+};
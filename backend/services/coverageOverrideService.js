@@ -0,0 +1,112 @@
+/**
+ * Coverage Override Service
+ * Re-applies moderator overrides to stored coverage reports without re-scoring any pairs
+ */
+
+const Coverage = require('../models/Coverage');
+const CoverageOverride = require('../models/CoverageOverride');
+const Question = require('../models/Question');
+const ExamPaper = require('../models/ExamPaper');
+const { buildCoverageResults } = require('./coverageAnalysisService');
+const { DEFAULT_ANALYSIS_SETTINGS } = require('./coverageSettings');
+const { getPaperQuestions } = require('./examPaperService');
+
+/**
+ * Recover the machine scores a report was built from
+ * Reports from before scoredQuestions was recorded only kept relevant questions and near misses.
+ * @param {Object} report - Coverage document
+ * @returns {Array<Object>} - Machine scores with evidence
+ */
+function getMachineScores(report) {
+  if (report.scoredQuestions && report.scoredQuestions.length > 0) {
+    return report.scoredQuestions;
+  }
+  return [...(report.questionsCovered || []), ...(report.nearMisses || [])]
+    .filter(entry => !entry.override);
+}
+
+/**
+ * Recompute one analysis run's reports with the current overrides
+ * @param {Array<Object>} reports - Coverage documents sharing an exam paper or analysis tag
+ * @param {Array<Object>} overrides - CoverageOverride documents for the module
+ */
+async function reapplyToRun(reports, overrides) {
+  // The run's question set: everything that was scored, plus any explicitly selected questions
+  const questionIds = new Set();
+  for (const report of reports) {
+    getMachineScores(report).forEach(entry => questionIds.add(String(entry.questionId)));
+    (report.analyzedQuestions || []).forEach(id => questionIds.add(String(id)));
+  }
+  let questions = await Question.find({ _id: { $in: Array.from(questionIds) } });
+
+  // Paper runs weigh questions by the paper's marks rather than the bank's
+  const paper = reports[0].paperId ? await ExamPaper.findById(reports[0].paperId) : null;
+  if (paper) {
+    const paperMarks = new Map((await getPaperQuestions(paper)).map(question => [String(question._id), question.marks]));
+    questions = questions.map(question => {
+      question.marks = paperMarks.get(String(question._id)) || 0;
+      return question;
+    });
+  }
+
+  const pairScores = reports.map(report => {
+    const byQuestion = new Map(getMachineScores(report).map(entry => [String(entry.questionId), entry]));
+    return questions.map(question => {
+      const entry = byQuestion.get(String(question._id));
+      return entry
+        ? {
+          similarityScore: entry.similarityScore,
+          rationale: entry.rationale,
+          demonstratedBloomLevel: entry.demonstratedBloomLevel,
+          matchedPhrases: entry.matchedPhrases ? [...entry.matchedPhrases] : []
+        }
+        : null;
+    });
+  });
+
+  // Keep the settings the run was made with
+  const snapshot = reports[0].settingsSnapshot;
+  const settings = snapshot && snapshot.aggregation ? snapshot.toObject() : DEFAULT_ANALYSIS_SETTINGS;
+
+  const results = buildCoverageResults({
+    learningOutcomes: reports.map(report => ({ loId: report.loId })),
+    questions,
+    pairScores,
+    settings,
+    overrides
+  });
+
+  await Promise.all(results.map((result, index) => Coverage.updateOne({ _id: reports[index]._id }, { $set: result })));
+}
+
+/**
+ * Re-apply the module's overrides to every stored coverage report
+ * @param {string} moduleId - The module ID
+ * @returns {Promise<number>} - Number of reports updated
+ */
+async function reapplyCoverageOverrides(moduleId) {
+  const [reports, overrides] = await Promise.all([
+    Coverage.find({ moduleId }),
+    CoverageOverride.find({ moduleId })
+  ]);
+
+  // Each exam paper and analysis tag is a separate run with its own question set and settings
+  const runs = new Map();
+  for (const report of reports) {
+    const run = report.paperId ? `paper:${report.paperId}` : `tag:${report.analysisTag || ''}`;
+    if (!runs.has(run)) {
+      runs.set(run, []);
+    }
+    runs.get(run).push(report);
+  }
+
+  for (const runReports of runs.values()) {
+    await reapplyToRun(runReports, overrides);
+  }
+
+  return reports.length;
+}
+
+module.exports = {
+  reapplyCoverageOverrides
+};
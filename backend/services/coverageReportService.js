@@ -0,0 +1,188 @@
+/**
+ * Coverage Report Service
+ * Summaries of stored coverage reports shared by the coverage and exam paper routes
+ */
+
+const Coverage = require('../models/Coverage');
+const { DEFAULT_ANALYSIS_SETTINGS } = require('./coverageSettings');
+const { snapshotLearningOutcomes, compareLearningOutcomes, hasChanges } = require('./learningOutcomeVersionService');
+
+/**
+ * Get the LO text a report was analysed against
+ * Reports from before LO versioning fall back to the module's current LO.
+ * @param {Object} module - Module document
+ * @param {Object} report - Coverage report
+ * @returns {Object} - { description, bloomLevel }
+ */
+function describeReportLO(module, report) {
+  if (report.learningOutcome && report.learningOutcome.description) {
+    return {
+      description: report.learningOutcome.description,
+      bloomLevel: report.learningOutcome.bloomLevel
+    };
+  }
+  const lo = module.learningOutcomes.find(lo => lo.loId === report.loId);
+  return {
+    description: lo ? lo.description : 'Unknown',
+    bloomLevel: lo ? lo.bloomLevel : 'Unknown'
+  };
+}
+
+/**
+ * Compare the learning outcomes a run was analysed against with the module's current ones
+ * Reports from before LO versioning only record which LOs they covered, so any later LO change makes them stale.
+ * @param {Object} module - Module document
+ * @param {Array<Object>} reports - Latest coverage reports of one run
+ * @returns {Object|null} - { analysedVersion, currentVersion, stale, added, removed, changed }, or null when there are no reports
+ */
+function describeLOStatus(module, reports) {
+  if (reports.length === 0) {
+    return null;
+  }
+
+  const currentVersion = module.loVersion || 1;
+  const analysedVersion = reports[0].loVersion || null;
+  const analysed = reports.map(report => ({ loId: report.loId, ...describeReportLO(module, report) }));
+  const changes = compareLearningOutcomes(analysed, snapshotLearningOutcomes(module.learningOutcomes));
+
+  return {
+    analysedVersion,
+    currentVersion,
+    stale: hasChanges(changes) || (analysedVersion === null && currentVersion > 1),
+    ...changes
+  };
+}
+
+/**
+ * Total the marks attributed to each Bloom's level across a run's coverage reports
+ * @param {Object} module - Module document
+ * @param {Array<Object>} reports - Coverage reports of one analysis run
+ * @returns {Object} - { totalMarks, allocatedMarks, unallocatedMarks, marksByBloomLevel }
+ */
+function summariseMarks(module, reports) {
+  // Reports from before marks weighting have no paper total
+  const totalMarks = reports.length > 0 && reports[0].totalMarks !== null && reports[0].totalMarks !== undefined
+    ? reports[0].totalMarks
+    : null;
+  const byLevel = new Map();
+  let allocatedMarks = 0;
+
+  for (const report of reports) {
+    const level = describeReportLO(module, report).bloomLevel;
+    const marks = report.marksAllocated || 0;
+    allocatedMarks += marks;
+    byLevel.set(level, (byLevel.get(level) || 0) + marks);
+  }
+
+  const round = value => Math.round(value * 100) / 100;
+  return {
+    totalMarks,
+    allocatedMarks: round(allocatedMarks),
+    unallocatedMarks: totalMarks !== null ? round(Math.max(0, totalMarks - allocatedMarks)) : null,
+    marksByBloomLevel: Array.from(byLevel, ([bloomLevel, marks]) => ({
+      bloomLevel,
+      marks: round(marks),
+      marksShare: totalMarks ? Math.round((marks / totalMarks) * 1000) / 10 : 0
+    }))
+  };
+}
+
+/**
+ * Build the Coverage query selecting one analysis run
+ * A run is an exam paper's analysis, a tagged ad-hoc selection, or the module's default untagged run.
+ * @param {string} moduleId - The module ID
+ * @param {Object} run - { paperId, analysisTag }; both empty selects the default run
+ * @returns {Object} - Mongoose query
+ */
+function buildRunQuery(moduleId, run = {}) {
+  const { paperId = null, analysisTag = null } = run;
+
+  if (paperId) {
+    return { moduleId, paperId };
+  }
+
+  const query = { moduleId, paperId: null };
+  if (analysisTag) {
+    query.analysisTag = analysisTag;
+  } else {
+    query.$or = [
+      { analysisTag: { $exists: false } },
+      { analysisTag: null }
+    ];
+  }
+  return query;
+}
+
+/**
+ * Get the latest coverage report for each LO of one analysis run
+ * @param {string} moduleId - The module ID
+ * @param {Object} run - { paperId, analysisTag } selecting the run
+ * @returns {Promise<Array<Object>>} - Coverage documents, one per LO
+ */
+async function getLatestReports(moduleId, run) {
+  const query = buildRunQuery(moduleId, run);
+
+  const reports = await Coverage.find(query).sort({ analyzedAt: -1 });
+  const latest = new Map();
+  for (const report of reports) {
+    if (!latest.has(report.loId)) {
+      latest.set(report.loId, report);
+    }
+  }
+  return Array.from(latest.values());
+}
+
+/**
+ * Build a self-contained copy of a run's coverage, for freezing onto an approved paper
+ * @param {Object} module - Module document
+ * @param {Object} run - { paperId, analysisTag } selecting the run
+ * @returns {Promise<Object|null>} - Snapshot, or null when the run has no reports
+ */
+async function buildCoverageSnapshot(module, run) {
+  const reports = await getLatestReports(module._id, run);
+  if (reports.length === 0) {
+    return null;
+  }
+
+  const firstReport = reports[0];
+  const snapshotSettings = firstReport.settingsSnapshot && firstReport.settingsSnapshot.aggregation
+    ? firstReport.settingsSnapshot.toObject()
+    : DEFAULT_ANALYSIS_SETTINGS;
+
+  return {
+    takenAt: new Date(),
+    paperId: run.paperId || null,
+    analysisTag: run.analysisTag || null,
+    analyzedAt: firstReport.analyzedAt,
+    scoringStrategy: firstReport.scoringStrategy || 'llm',
+    scoringModel: firstReport.scoringModel,
+    settingsSnapshot: snapshotSettings,
+    loVersion: firstReport.loVersion || null,
+    stats: {
+      totalLOs: module.learningOutcomes.length,
+      covered: reports.filter(r => r.status === 'Covered').length,
+      partiallyCovered: reports.filter(r => r.status === 'Partially Covered').length,
+      notCovered: reports.filter(r => r.status === 'Not Covered').length,
+      averageCoverage: Math.round(reports.reduce((sum, r) => sum + r.coveragePercentage, 0) / reports.length),
+      ...summariseMarks(module, reports)
+    },
+    results: reports.map(report => ({
+      loId: report.loId,
+      ...describeReportLO(module, report),
+      coveragePercentage: report.coveragePercentage,
+      status: report.status,
+      questionsCoveredCount: report.questionsCovered ? report.questionsCovered.length : 0,
+      marksAllocated: report.marksAllocated,
+      marksShare: report.marksShare
+    }))
+  };
+}
+
+module.exports = {
+  describeReportLO,
+  describeLOStatus,
+  summariseMarks,
+  buildRunQuery,
+  getLatestReports,
+  buildCoverageSnapshot
+};
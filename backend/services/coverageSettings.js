@@ -0,0 +1,142 @@
+/**
+ * Coverage Settings
+ * Per-module analysis settings and the formula that turns matched questions into a coverage figure
+ */
+
+const AGGREGATION_METHODS = ['mean', 'max', 'weighted-marks'];
+
+const DEFAULT_ANALYSIS_SETTINGS = {
+  relevanceThreshold: 0.3, // Minimum similarity for a question to count towards an LO
+  coveredThreshold: 70, // Coverage % at or above which an LO is Covered
+  partialThreshold: 30, // Coverage % at or above which an LO is Partially Covered
+  aggregation: 'mean',
+  minQuestionsPerLO: 1 // Fewer relevant questions than this caps the status at Partially Covered
+};
+
+/**
+ * Get a module's analysis settings with defaults filled in
+ * @param {Object} module - Module document
+ * @returns {Object} - Complete settings object
+ */
+function resolveAnalysisSettings(module) {
+  const saved = module && module.analysisSettings
+    ? (typeof module.analysisSettings.toObject === 'function' ? module.analysisSettings.toObject() : module.analysisSettings)
+    : {};
+  const settings = { ...DEFAULT_ANALYSIS_SETTINGS };
+  for (const key of Object.keys(DEFAULT_ANALYSIS_SETTINGS)) {
+    if (saved[key] !== undefined && saved[key] !== null) {
+      settings[key] = saved[key];
+    }
+  }
+  return settings;
+}
+
+/**
+ * Read a numeric setting submitted by a client
+ * Number() turns null, '' and booleans into 0 or 1, so those are refused instead.
+ * @param {*} value - Submitted value
+ * @returns {number} - The number, or NaN when the value is not numeric
+ */
+function toSettingNumber(value) {
+  if (value === null || typeof value === 'boolean' || (typeof value === 'string' && value.trim() === '')) {
+    return NaN;
+  }
+  return Number(value);
+}
+
+/**
+ * Validate analysis settings submitted by a client
+ * @param {Object} input - Partial settings
+ * @param {Object} base - Settings the input is applied on top of
+ * @returns {Object} - { settings, errors }
+ */
+function validateAnalysisSettings(input, base = DEFAULT_ANALYSIS_SETTINGS) {
+  const settings = { ...base };
+  const errors = [];
+
+  if (input.relevanceThreshold !== undefined) {
+    const value = toSettingNumber(input.relevanceThreshold);
+    if (isNaN(value) || value < 0 || value > 1) {
+      errors.push('Relevance threshold must be between 0 and 1');
+    } else {
+      settings.relevanceThreshold = value;
+    }
+  }
+
+  for (const key of ['coveredThreshold', 'partialThreshold']) {
+    if (input[key] !== undefined) {
+      const value = toSettingNumber(input[key]);
+      if (isNaN(value) || value < 0 || value > 100) {
+        errors.push(`${key === 'coveredThreshold' ? 'Covered' : 'Partially covered'} threshold must be between 0 and 100`);
+      } else {
+        settings[key] = value;
+      }
+    }
+  }
+  if (settings.partialThreshold > settings.coveredThreshold) {
+    errors.push('Partially covered threshold cannot be higher than the covered threshold');
+  }
+
+  if (input.aggregation !== undefined) {
+    if (!AGGREGATION_METHODS.includes(input.aggregation)) {
+      errors.push(`Aggregation must be one of: ${AGGREGATION_METHODS.join(', ')}`);
+    } else {
+      settings.aggregation = input.aggregation;
+    }
+  }
+
+  if (input.minQuestionsPerLO !== undefined) {
+    const value = toSettingNumber(input.minQuestionsPerLO);
+    if (!Number.isInteger(value) || value < 1) {
+      errors.push('Minimum questions per LO must be a whole number of at least 1');
+    } else {
+      settings.minQuestionsPerLO = value;
+    }
+  }
+
+  return { settings, errors };
+}
+
+/**
+ * Calculate an LO's coverage percentage and status from its relevant questions
+ * @param {Array<Object>} matches - Relevant questions as { similarityScore, marks }
+ * @param {Object} settings - Resolved analysis settings
+ * @returns {Object} - { coveragePercentage, status }
+ */
+function summariseCoverage(matches, settings) {
+  let score = 0;
+  if (matches.length > 0) {
+    const totalMarks = matches.reduce((sum, match) => sum + (match.marks || 0), 0);
+
+    if (settings.aggregation === 'max') {
+      score = Math.max(...matches.map(match => match.similarityScore));
+    } else if (settings.aggregation === 'weighted-marks' && totalMarks > 0) {
+      score = matches.reduce((sum, match) => sum + match.similarityScore * (match.marks || 0), 0) / totalMarks;
+    } else {
+      // Mean, also used for weighted-marks when no question carries marks
+      score = matches.reduce((sum, match) => sum + match.similarityScore, 0) / matches.length;
+    }
+  }
+
+  const coveragePercentage = Math.min(100, Math.round(score * 100));
+
+  // Determine status
+  let status;
+  if (coveragePercentage >= settings.coveredThreshold && matches.length >= settings.minQuestionsPerLO) {
+    status = 'Covered';
+  } else if (coveragePercentage >= settings.partialThreshold && matches.length > 0) {
+    status = 'Partially Covered';
+  } else {
+    status = 'Not Covered';
+  }
+
+  return { coveragePercentage, status };
+}
+
+module.exports = {
+  AGGREGATION_METHODS,
+  DEFAULT_ANALYSIS_SETTINGS,
+  resolveAnalysisSettings,
+  validateAnalysisSettings,
+  summariseCoverage
+};
@@ -0,0 +1,527 @@
+/**
+ * Curriculum Import Service
+ * Reads a module's code, name, topics and learning outcomes from a CSV or JSON module spec,
+ * or from a module descriptor document, and validates the result before it is saved
+ *
+ * CSV specs have one row per item with the columns type, id, name, topic, bloomLevel:
+ *   module,CS101,Computer Networks,,
+ *   topic,,Transport layer,,
+ *   subtopic,,Congestion control,Transport layer,
+ *   lo,LO1,Explain how TCP recovers from packet loss,,Understand
+ * A blank bloomLevel is detected from the LO's action verbs.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { extractTextFromFile } = require('../utils/fileParser');
+const { parseCsv } = require('../utils/csv');
+const { BLOOM_LEVELS, classifyBloomLevel } = require('../utils/bloomTaxonomy');
+
+// Spellings of each level found in descriptors, including the original 1956 taxonomy names
+const BLOOM_ALIASES = {
+  remember: 'Remember',
+  remembering: 'Remember',
+  knowledge: 'Remember',
+  understand: 'Understand',
+  understanding: 'Understand',
+  comprehension: 'Understand',
+  apply: 'Apply',
+  applying: 'Apply',
+  application: 'Apply',
+  analyze: 'Analyze',
+  analyse: 'Analyze',
+  analyzing: 'Analyze',
+  analysing: 'Analyze',
+  analysis: 'Analyze',
+  evaluate: 'Evaluate',
+  evaluating: 'Evaluate',
+  evaluation: 'Evaluate',
+  create: 'Create',
+  creating: 'Create',
+  synthesis: 'Create'
+};
+
+const DOCUMENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.doc': 'application/msword',
+  '.txt': 'text/plain'
+};
+
+const CSV_COLUMNS = {
+  type: ['type'],
+  id: ['id', 'code', 'loid'],
+  name: ['name', 'description', 'text', 'title'],
+  topic: ['topic', 'parent'],
+  bloomLevel: ['bloomlevel', 'bloom', 'level']
+};
+
+/**
+ * Map a Bloom's level as written in a spec or descriptor to the level stored on modules
+ * @param {string} value - Level name in any case or spelling
+ * @returns {string|null} - Bloom's level, or null when not recognised
+ */
+function normaliseBloomLevel(value) {
+  const key = String(value || '').trim().toLowerCase().replace(/[^a-z]/g, '');
+  return BLOOM_ALIASES[key] || null;
+}
+
+/**
+ * Tidy an LO description and work out its Bloom's level
+ * A level given in the source wins; otherwise the level is detected from the LO's action verbs.
+ * @param {Object} lo - { loId, description, bloomLevel }
+ * @returns {Object} - { loId, description, bloomLevel, bloomSource } bloomSource is 'given', 'detected' or null;
+ *   an unrecognised given level is kept as written so validation can report it
+ */
+function resolveLearningOutcome(lo) {
+  const description = String(lo.description || '')
+    .trim()
+    .replace(/^(?:students|learners|you)\s+(?:will|should)\s+be\s+able\s+to\s+/i, '')
+    .replace(/[;,.]?\s*(?:and|or)?$/i, '')
+    .replace(/^./, first => first.toUpperCase());
+  const given = String(lo.bloomLevel || '').trim();
+
+  if (given) {
+    const level = normaliseBloomLevel(given);
+    return { loId: lo.loId, description, bloomLevel: level || given, bloomSource: 'given' };
+  }
+
+  const { level } = classifyBloomLevel(description);
+  return { loId: lo.loId, description, bloomLevel: level, bloomSource: level ? 'detected' : null };
+}
+
+/**
+ * Check that a value is a plain object, not null or a list
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check that a subtopic entry can be read as a name
+ * @param {*} value - Subtopic entry
+ * @returns {boolean}
+ */
+function isSubtopicName(value) {
+  return typeof value === 'string' || typeof value === 'number';
+}
+
+/**
+ * Read a module spec given as JSON
+ * Topics may be plain names or { topicName, subtopics }; LOs may use id instead of loId.
+ * Entries that are neither are reported as errors and left out.
+ * @param {Object} data - Parsed JSON
+ * @returns {Object} - { spec, warnings, errors }
+ */
+function parseJsonSpec(data) {
+  if (!isPlainObject(data)) {
+    throw new Error('The JSON spec must be an object with moduleCode, moduleName, topics and learningOutcomes');
+  }
+
+  const errors = [];
+  for (const field of ['topics', 'learningOutcomes']) {
+    if (data[field] !== undefined && data[field] !== null && !Array.isArray(data[field])) {
+      errors.push(`${field} must be a list`);
+    }
+  }
+  const topics = Array.isArray(data.topics) ? data.topics : [];
+  const learningOutcomes = Array.isArray(data.learningOutcomes) ? data.learningOutcomes : [];
+
+  const spec = {
+    moduleCode: String(data.moduleCode || data.code || ''),
+    moduleName: String(data.moduleName || data.name || ''),
+    topics: [],
+    learningOutcomes: []
+  };
+
+  topics.forEach((topic, index) => {
+    if (typeof topic === 'string') {
+      spec.topics.push({ topicName: topic, subtopics: [] });
+    } else if (isPlainObject(topic)) {
+      spec.topics.push({
+        topicName: String(topic.topicName || topic.name || ''),
+        subtopics: Array.isArray(topic.subtopics) ? topic.subtopics.filter(isSubtopicName).map(String) : []
+      });
+    } else {
+      errors.push(`Topic ${index + 1} must be a name or an object with topicName and subtopics`);
+    }
+  });
+
+  learningOutcomes.forEach((lo, index) => {
+    if (typeof lo === 'string') {
+      spec.learningOutcomes.push(resolveLearningOutcome({ description: lo }));
+    } else if (isPlainObject(lo)) {
+      spec.learningOutcomes.push(resolveLearningOutcome({
+        loId: lo.loId || lo.id,
+        description: lo.description || lo.text,
+        bloomLevel: lo.bloomLevel || lo.bloom
+      }));
+    } else {
+      errors.push(`Learning outcome ${index + 1} must be text or an object with loId, description and bloomLevel`);
+    }
+  });
+
+  return { spec, warnings: [], errors };
+}
+
+/**
+ * Read a module spec given as CSV, one row per module, topic, subtopic or LO
+ * @param {string} text - CSV text with a header row
+ * @returns {Object} - { spec, warnings, errors } errors name the offending rows
+ */
+function parseCsvSpec(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) {
+    throw new Error('The CSV file is empty');
+  }
+
+  const header = rows[0].map(cell => cell.trim().toLowerCase().replace(/[^a-z]/g, ''));
+  const columns = {};
+  for (const [field, names] of Object.entries(CSV_COLUMNS)) {
+    columns[field] = header.findIndex(name => names.includes(name));
+  }
+  if (columns.type === -1 || columns.name === -1) {
+    throw new Error('The CSV header must include at least the columns type and name (optionally id, topic and bloomLevel)');
+  }
+
+  const spec = { moduleCode: '', moduleName: '', topics: [], learningOutcomes: [] };
+  const errors = [];
+  const warnings = [];
+
+  rows.slice(1).forEach((cells, index) => {
+    const rowNumber = index + 2;
+    const value = field => (columns[field] === -1 ? '' : String(cells[columns[field]] || '').trim());
+    const type = value('type').toLowerCase();
+
+    if (type === 'module') {
+      if (spec.moduleCode || spec.moduleName) {
+        warnings.push(`Row ${rowNumber}: a second module row was ignored`);
+        return;
+      }
+      spec.moduleCode = value('id');
+      spec.moduleName = value('name');
+    } else if (type === 'topic') {
+      spec.topics.push({ topicName: value('name'), subtopics: [] });
+    } else if (type === 'subtopic') {
+      const topicName = value('topic');
+      const topic = topicName
+        ? spec.topics.find(t => t.topicName.toLowerCase() === topicName.toLowerCase())
+        : spec.topics[spec.topics.length - 1];
+      if (!topic) {
+        errors.push(`Row ${rowNumber}: ${topicName ? `topic "${topicName}" must be listed before its subtopics` : 'subtopic has no topic before it'}`);
+        return;
+      }
+      topic.subtopics.push(value('name'));
+    } else if (['lo', 'outcome', 'learningoutcome', 'learning outcome'].includes(type)) {
+      spec.learningOutcomes.push(resolveLearningOutcome({
+        loId: value('id'),
+        description: value('name'),
+        bloomLevel: value('bloomLevel')
+      }));
+    } else {
+      errors.push(`Row ${rowNumber}: unknown type "${value('type')}"; use module, topic, subtopic or lo`);
+    }
+  });
+
+  return { spec, warnings, errors };
+}
+
+/**
+ * Find the value of a labelled field, on the same line ("Module code: CS101") or the next (table cells)
+ * @param {Array<string>} lines - Trimmed non-empty lines
+ * @param {RegExp} label - Label pattern, anchored at the start of the line
+ * @returns {string} - The value, or an empty string
+ */
+function findLabelledValue(lines, label) {
+  for (let i = 0; i < lines.length; i++) {
+    const match = label.exec(lines[i]);
+    if (match) {
+      const rest = lines[i].slice(match[0].length).replace(/^\s*[:\-–|]\s*/, '').trim();
+      if (rest) return rest;
+      if (lines[i + 1]) return lines[i + 1];
+    }
+  }
+  return '';
+}
+
+/**
+ * Classify a descriptor line as the start of a section
+ * @param {string} line - Trimmed line
+ * @returns {string|null} - 'outcomes', 'topics', 'other', or null when the line is not a heading
+ */
+function sectionHeading(line) {
+  if (line.length > 80) return null;
+  const text = line.replace(/^\d+(?:\.\d+)*\.?\s+/, '');
+  if (/^(?:intended\s+|module\s+|course\s+|expected\s+)*learning\s+outcomes?\b|^I?LOs?\s*:?$/i.test(text)) return 'outcomes';
+  if (/^(?:outline\s+|indicative\s+)?(?:syllabus|content|module\s+content|course\s+content|topics(?:\s+covered)?|indicative\s+content)\s*:?$/i.test(text)) return 'topics';
+  if (/^(?:module\s+|course\s+)?(?:aims?|description|overview|assessment|teaching|learning\s+(?:and|&)\s+teaching|reading|reading\s+list|bibliography|references|prerequisites?|pre-requisites?|credits?|resources|delivery|schedule|staff|contact)\b[^.]*$/i.test(text)) return 'other';
+  return null;
+}
+
+const LO_MARKER = /^(?:(?:I?LO|CLO)\s*-?\s*(\d+)\s*[.):\-–]?|\(?(?:\d+|[a-z]|[ivx]+)[.)]|[•●▪◦\-–*·])\s*/i;
+const BLOOM_SUFFIX = /\s*[([]\s*(?:bloom'?s?\s*(?:level)?\s*[:\-]?\s*)?([a-z]+)\s*[)\]]\s*$/i;
+
+/**
+ * Read the learning outcomes from the lines of a descriptor's outcomes section
+ * Outcomes are list items ("LO1", "1.", "a)", bullets); unmarked lines continue the item before them.
+ * A cell holding only a Bloom's level, or a "(Apply)" suffix, sets the level of its outcome.
+ * @param {Array<string>} lines - Lines of the section
+ * @returns {Array<Object>} - [{ loId, description, bloomLevel }]
+ */
+function parseOutcomeLines(lines) {
+  const marked = lines.some(line => LO_MARKER.test(line));
+  const outcomes = [];
+
+  for (const line of lines) {
+    const last = outcomes[outcomes.length - 1];
+    if (last && !last.bloomLevel && normaliseBloomLevel(line) && line.split(/\s+/).length <= 2) {
+      last.bloomLevel = line;
+      continue;
+    }
+
+    const marker = LO_MARKER.exec(line);
+    if (marker || !marked) {
+      let description = marker ? line.slice(marker[0].length) : line;
+      // Introductions such as "On completion, students will be able to:"
+      if (!marker && /:$/.test(description)) continue;
+      let bloomLevel = '';
+      const suffix = BLOOM_SUFFIX.exec(description);
+      if (suffix && normaliseBloomLevel(suffix[1])) {
+        bloomLevel = suffix[1];
+        description = description.slice(0, suffix.index);
+      }
+      outcomes.push({ loId: marker && marker[1] ? `LO${marker[1]}` : '', description, bloomLevel });
+    } else if (last) {
+      last.description = last.description ? `${last.description} ${line}` : line;
+    }
+  }
+
+  return outcomes.filter(lo => lo.description.trim());
+}
+
+/**
+ * Read the topics from the lines of a descriptor's syllabus section
+ * Numbered items ("1.", "Week 2:", "Topic 3 -") and unmarked lines are topics; "1.1", "a)" and bullets are subtopics.
+ * "Routing: distance vector, link state" is read as a topic with its subtopics.
+ * @param {Array<string>} lines - Lines of the section
+ * @returns {Array<Object>} - [{ topicName, subtopics }]
+ */
+function parseTopicLines(lines) {
+  const topics = [];
+
+  for (const line of lines) {
+    const subtopic = /^(?:\d+\.\d+(?:\.\d+)*\.?|\(?(?:[a-z]|[ivx]+)[.)]|[•●▪◦\-–*·o])\s+/i.exec(line);
+    const topicMarker = /^(?:(?:topic|unit|week|chapter|part|section|lecture)\s*\d+\s*[:.\-–]?|\d+[.)])\s*/i.exec(line);
+    const last = topics[topics.length - 1];
+
+    if (subtopic && (!topicMarker || /^\d+\.\d/.test(line)) && last) {
+      last.subtopics.push(line.slice(subtopic[0].length).replace(/[.;]$/, '').trim());
+      continue;
+    }
+
+    const text = line.slice((topicMarker || subtopic || [''])[0].length).replace(/[.;]$/, '').trim();
+    if (!text || /:$/.test(text)) continue;
+    const colon = text.indexOf(':');
+    if (colon > 0 && /[,;]/.test(text.slice(colon + 1))) {
+      topics.push({
+        topicName: text.slice(0, colon).trim(),
+        subtopics: text.slice(colon + 1).split(/[,;]/).map(item => item.trim()).filter(Boolean)
+      });
+    } else {
+      topics.push({ topicName: text, subtopics: [] });
+    }
+  }
+
+  return topics;
+}
+
+/**
+ * Extract a module spec from the text of a module descriptor
+ * @param {string} text - Descriptor text
+ * @returns {Object} - { spec, warnings }
+ */
+function parseDescriptorText(text) {
+  const lines = text.split(/\r?\n/).map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  const warnings = [];
+
+  const codePattern = /\b[A-Z]{2,6}\s?-?\d{3,5}[A-Z]?\b/;
+  let moduleCode = findLabelledValue(lines, /^(?:module|course|unit|subject)\s*code\b/i);
+  const labelledCode = codePattern.exec(moduleCode);
+  if (labelledCode) {
+    moduleCode = labelledCode[0];
+  } else if (!moduleCode) {
+    const found = lines.slice(0, 20).map(line => codePattern.exec(line)).find(Boolean);
+    moduleCode = found ? found[0] : '';
+  }
+  moduleCode = moduleCode.replace(/[\s-]/g, '');
+
+  let moduleName = findLabelledValue(lines, /^(?:module|course|unit|subject)\s*(?:name|title)\b/i);
+  if (!moduleName && moduleCode) {
+    // Titles such as "CS101 - Computer Networks"
+    const titleLine = lines.slice(0, 20).find(line => line.replace(/[\s-]/g, '').startsWith(moduleCode) && line.length > moduleCode.length + 3);
+    if (titleLine) {
+      moduleName = titleLine.replace(codePattern, '').replace(/^\s*[:\-–|]\s*/, '').trim();
+    }
+  }
+
+  const sections = { outcomes: [], topics: [] };
+  let current = null;
+  for (const line of lines) {
+    const heading = sectionHeading(line);
+    if (heading) {
+      current = heading;
+      continue;
+    }
+    if (current && sections[current]) {
+      sections[current].push(line);
+    }
+  }
+
+  if (sections.outcomes.length === 0) {
+    warnings.push('No "Learning Outcomes" section was found in the document');
+  }
+  if (sections.topics.length === 0) {
+    warnings.push('No syllabus or topics section was found in the document; add topics after importing');
+  }
+
+  return {
+    spec: {
+      moduleCode,
+      moduleName,
+      topics: parseTopicLines(sections.topics),
+      learningOutcomes: parseOutcomeLines(sections.outcomes).map(resolveLearningOutcome)
+    },
+    warnings
+  };
+}
+
+/**
+ * Read a module spec from an uploaded file
+ * CSV and JSON files are specs; PDF, DOCX and TXT files are read as module descriptors.
+ * @param {Object} file - Multer file
+ * @returns {Promise<Object>} - { source, spec, warnings, errors }
+ */
+async function readSpecFile(file) {
+  const extension = path.extname(file.originalname).toLowerCase();
+
+  if (extension === '.json' || file.mimetype === 'application/json') {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(file.path, 'utf-8'));
+    } catch (error) {
+      throw new Error('The JSON file could not be read: ' + error.message);
+    }
+    return { source: 'json', ...parseJsonSpec(data) };
+  }
+
+  if (extension === '.csv' || file.mimetype === 'text/csv') {
+    return { source: 'csv', ...parseCsvSpec(await fs.readFile(file.path, 'utf-8')) };
+  }
+
+  const text = await extractTextFromFile(file.path, DOCUMENT_TYPES[extension] || file.mimetype);
+  return { source: 'document', errors: [], ...parseDescriptorText(text) };
+}
+
+/**
+ * Check a module spec before it is saved, assigning IDs to LOs that have none
+ * @param {Object} spec - { moduleCode, moduleName, topics, learningOutcomes }
+ * @returns {Object} - { values, errors, warnings } values holds the module fields to save
+ */
+function validateModuleSpec(spec = {}) {
+  const errors = [];
+  const warnings = [];
+
+  if (!isPlainObject(spec)) {
+    return {
+      values: { moduleCode: '', moduleName: '', topics: [], learningOutcomes: [] },
+      errors: ['The module must be an object with moduleCode, moduleName, topics and learningOutcomes'],
+      warnings
+    };
+  }
+  for (const field of ['topics', 'learningOutcomes']) {
+    if (spec[field] !== undefined && spec[field] !== null && !Array.isArray(spec[field])) {
+      errors.push(`${field} must be a list`);
+    }
+  }
+
+  const moduleCode = String(spec.moduleCode || '').trim().toUpperCase();
+  const moduleName = String(spec.moduleName || '').trim();
+  if (!moduleCode) errors.push('Module code is required');
+  if (!moduleName) errors.push('Module name is required');
+
+  const topics = [];
+  for (const topic of Array.isArray(spec.topics) ? spec.topics : []) {
+    if (!isPlainObject(topic)) {
+      errors.push('Every topic must be an object with topicName and subtopics');
+      continue;
+    }
+    const topicName = String(topic.topicName || '').trim();
+    if (!topicName) {
+      errors.push('Every topic needs a name');
+      continue;
+    }
+    if (topics.some(t => t.topicName.toLowerCase() === topicName.toLowerCase())) {
+      errors.push(`Topic "${topicName}" is listed more than once`);
+      continue;
+    }
+    topics.push({
+      topicName,
+      subtopics: (Array.isArray(topic.subtopics) ? topic.subtopics : []).filter(isSubtopicName).map(s => String(s).trim()).filter(Boolean)
+    });
+  }
+
+  const learningOutcomes = [];
+  const givenOutcomes = Array.isArray(spec.learningOutcomes) ? spec.learningOutcomes : [];
+  const usedIds = new Set(givenOutcomes.filter(isPlainObject).map(lo => String(lo.loId || '').trim().toUpperCase()).filter(Boolean));
+  let nextNumber = 1;
+  for (const lo of givenOutcomes) {
+    if (!isPlainObject(lo)) {
+      errors.push('Every learning outcome must be an object with loId, description and bloomLevel');
+      continue;
+    }
+    let loId = String(lo.loId || '').trim().toUpperCase();
+    if (!loId) {
+      while (usedIds.has(`LO${nextNumber}`)) nextNumber++;
+      loId = `LO${nextNumber}`;
+      usedIds.add(loId);
+    }
+    if (learningOutcomes.some(existing => existing.loId === loId)) {
+      errors.push(`${loId} is used by more than one learning outcome`);
+      continue;
+    }
+
+    const description = String(lo.description || '').trim();
+    const bloomLevel = normaliseBloomLevel(lo.bloomLevel);
+    if (!description) errors.push(`${loId} needs a description`);
+    if (!lo.bloomLevel) {
+      errors.push(`${loId}: no Bloom's level was given or detected; choose one`);
+    } else if (!bloomLevel) {
+      errors.push(`${loId}: unknown Bloom's level "${lo.bloomLevel}"; use one of ${BLOOM_LEVELS.join(', ')}`);
+    }
+    learningOutcomes.push({ loId, description, bloomLevel: bloomLevel || lo.bloomLevel || null, bloomSource: lo.bloomSource || null });
+  }
+
+  if (learningOutcomes.length === 0) warnings.push('No learning outcomes were found');
+  if (topics.length === 0) warnings.push('No topics were found');
+  const detected = learningOutcomes.filter(lo => lo.bloomSource === 'detected').map(lo => lo.loId);
+  if (detected.length > 0) {
+    warnings.push(`Bloom's levels of ${detected.join(', ')} were detected from their verbs; check them before saving`);
+  }
+
+  return {
+    values: { moduleCode, moduleName, topics, learningOutcomes },
+    errors,
+    warnings
+  };
+}
+
+module.exports = {
+  normaliseBloomLevel,
+  parseJsonSpec,
+  parseCsvSpec,
+  parseDescriptorText,
+  readSpecFile,
+  validateModuleSpec
+};
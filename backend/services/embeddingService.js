@@ -0,0 +1,90 @@
+/**
+ * Embedding Service
+ * Bundled CPU-only text vectoriser for embedding-based coverage scoring
+ *
+ * Texts are mapped to fixed-size vectors by hashing their stemmed terms and
+ * adjacent term pairs into buckets (the "hashing trick"), weighted by log term
+ * frequency and L2-normalised, so vectors are stable across runs and can be
+ * stored on documents and compared with cosine similarity.
+ */
+
+const crypto = require('crypto');
+const { tokenize } = require('../utils/textSimilarity');
+
+const EMBEDDING_DIMENSIONS = 512;
+const EMBEDDING_MODEL = `hashed-lexical-${EMBEDDING_DIMENSIONS}-v1`;
+
+// Adjacent term pairs count for less than single terms
+const BIGRAM_WEIGHT = 0.5;
+
+/**
+ * Map a feature to a bucket index and sign
+ * @param {string} feature - Term or term pair
+ * @returns {Object} - { index, sign }
+ */
+function hashFeature(feature) {
+  const digest = crypto.createHash('md5').update(feature).digest();
+  return {
+    index: digest.readUInt32LE(0) % EMBEDDING_DIMENSIONS,
+    sign: digest[4] & 1 ? 1 : -1
+  };
+}
+
+/**
+ * Compute the embedding vector for a text
+ * @param {string} text - Text to embed
+ * @returns {Array<number>} - Unit-length vector (all zeros for text without content terms)
+ */
+function embedText(text) {
+  const terms = tokenize(text);
+  const features = new Map();
+
+  const addFeature = (feature, weight) => {
+    features.set(feature, (features.get(feature) || 0) + weight);
+  };
+  terms.forEach((term, index) => {
+    addFeature(term, 1);
+    if (index > 0) {
+      addFeature(`${terms[index - 1]} ${term}`, BIGRAM_WEIGHT);
+    }
+  });
+
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  for (const [feature, count] of features) {
+    const { index, sign } = hashFeature(feature);
+    vector[index] += sign * (1 + Math.log(count));
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => Math.round((value / norm) * 1e6) / 1e6) : vector;
+}
+
+/**
+ * Cosine similarity between two embedding vectors, clamped to 0..1
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} - Similarity between 0 and 1
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return 0;
+  }
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+  return Math.max(0, Math.min(1, dot / (Math.sqrt(normA) * Math.sqrt(normB))));
+}
+
+module.exports = {
+  EMBEDDING_MODEL,
+  embedText,
+  cosineSimilarity
+};
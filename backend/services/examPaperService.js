@@ -0,0 +1,136 @@
+/**
+ * Exam Paper Service
+ * Validates a paper's sections and questions, and resolves them to the question set analyses run against
+ */
+
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+
+/**
+ * Round marks to two decimal places
+ * @param {number} marks - Marks
+ * @returns {number} - Rounded marks
+ */
+function roundMarks(marks) {
+  return Math.round(marks * 100) / 100;
+}
+
+/**
+ * Validate a paper structure submitted by the setter
+ * Every question must come from the paper's module and may appear only once on the paper.
+ * @param {Object} input - { instructions, totalMarks, sections: [{ title, instructions, questions: [{ questionId, marks }] }] }
+ * @param {string} moduleId - The paper's module
+ * @returns {Promise<Object>} - { structure, errors } where structure holds the cleaned values to save
+ */
+async function validatePaperStructure(input, moduleId) {
+  const errors = [];
+  const structure = {};
+
+  if (input.instructions !== undefined) {
+    structure.instructions = input.instructions || '';
+  }
+
+  if (input.totalMarks !== undefined) {
+    if (input.totalMarks === null || input.totalMarks === '') {
+      structure.totalMarks = null;
+    } else if (typeof input.totalMarks !== 'number' || !Number.isFinite(input.totalMarks) || input.totalMarks < 0) {
+      errors.push('Total marks must be a non-negative number');
+    } else {
+      structure.totalMarks = input.totalMarks;
+    }
+  }
+
+  if (input.sections !== undefined) {
+    if (!Array.isArray(input.sections)) {
+      errors.push('Sections must be a list');
+      return { structure, errors };
+    }
+
+    const placed = new Set();
+    structure.sections = input.sections.map((section, sectionIndex) => {
+      const label = section.title ? `Section "${section.title}"` : `Section ${sectionIndex + 1}`;
+      if (!section.title || !section.title.trim()) {
+        errors.push(`${label} needs a title`);
+      }
+
+      const questions = (section.questions || []).map(entry => {
+        const questionId = entry.questionId && entry.questionId._id ? entry.questionId._id : entry.questionId;
+        if (!mongoose.Types.ObjectId.isValid(questionId)) {
+          errors.push(`${label} has an invalid question`);
+        } else if (placed.has(String(questionId))) {
+          errors.push(`${label} repeats a question that is already on the paper`);
+        }
+        placed.add(String(questionId));
+
+        const marks = entry.marks === undefined || entry.marks === '' ? 0 : entry.marks;
+        if (typeof marks !== 'number' || !Number.isFinite(marks) || marks < 0) {
+          errors.push(`${label} has a question with invalid marks`);
+        }
+        return { questionId, marks };
+      });
+
+      return {
+        ...(section._id ? { _id: section._id } : {}),
+        title: section.title ? section.title.trim() : '',
+        instructions: section.instructions || '',
+        questions
+      };
+    });
+
+    const validIds = Array.from(placed).filter(id => mongoose.Types.ObjectId.isValid(id));
+    if (validIds.length > 0) {
+      const found = await Question.countDocuments({ moduleId, _id: { $in: validIds } });
+      if (found !== validIds.length) {
+        errors.push('Every question on the paper must belong to the paper\'s module');
+      }
+    }
+  }
+
+  return { structure, errors };
+}
+
+/**
+ * Summarise a paper's size and whether its marks add up
+ * @param {Object} paper - ExamPaper document
+ * @returns {Object} - { sectionCount, questionCount, assignedMarks, totalMarks, marksBalanced }
+ */
+function summarisePaper(paper) {
+  const entries = (paper.sections || []).flatMap(section => section.questions);
+  const assignedMarks = roundMarks(entries.reduce((sum, entry) => sum + (entry.marks || 0), 0));
+  const totalMarks = paper.totalMarks ?? null;
+
+  return {
+    sectionCount: (paper.sections || []).length,
+    questionCount: entries.length,
+    assignedMarks,
+    totalMarks,
+    // Without a target total there is nothing to reconcile against
+    marksBalanced: totalMarks === null || assignedMarks === roundMarks(totalMarks)
+  };
+}
+
+/**
+ * Load a paper's questions in paper order, carrying the marks the paper gives them
+ * Returns plain copies rather than documents, so saving a question elsewhere can never write
+ * the paper's marks back to the question bank.
+ * @param {Object} paper - ExamPaper document
+ * @returns {Promise<Array<Object>>} - Plain question objects; questions deleted from the bank are skipped
+ */
+async function getPaperQuestions(paper) {
+  const entries = (paper.sections || []).flatMap(section => section.questions);
+  const questions = await Question.find({ _id: { $in: entries.map(entry => entry.questionId) } });
+  const byId = new Map(questions.map(question => [String(question._id), question]));
+
+  return entries
+    .filter(entry => byId.has(String(entry.questionId)))
+    .map(entry => {
+      const question = byId.get(String(entry.questionId));
+      return { ...question.toObject(), marks: entry.marks || 0 };
+    });
+}
+
+module.exports = {
+  validatePaperStructure,
+  summarisePaper,
+  getPaperQuestions
+};
@@ -0,0 +1,235 @@
+/**
+ * Exam Paper Workflow
+ * Moderation state machine: Draft → Submitted for Moderation → Changes Requested / Approved → Locked
+ */
+
+const Module = require('../models/Module');
+const ExamPaper = require('../models/ExamPaper');
+const Coverage = require('../models/Coverage');
+const Question = require('../models/Question');
+const { buildCoverageSnapshot } = require('./coverageReportService');
+const { summarisePaper } = require('./examPaperService');
+const { hasPermission } = require('../utils/permissions');
+
+// Who may perform each action, the permission their role needs for it, from which states, and where it leads
+const TRANSITIONS = {
+  submit: {
+    from: ['Draft', 'Changes Requested'],
+    to: 'Submitted for Moderation',
+    actor: 'setter',
+    permission: 'papers:set'
+  },
+  'request-changes': {
+    from: ['Submitted for Moderation', 'Approved'],
+    to: 'Changes Requested',
+    actor: 'moderator',
+    permission: 'papers:moderate',
+    requiresComment: true
+  },
+  approve: {
+    from: ['Submitted for Moderation'],
+    to: 'Approved',
+    actor: 'moderator',
+    permission: 'papers:moderate'
+  },
+  lock: {
+    from: ['Approved'],
+    to: 'Locked',
+    actor: 'moderator',
+    permission: 'papers:moderate',
+    allowAdmin: true
+  }
+};
+
+// Papers can only be edited by the setter while in these states
+const EDITABLE_STATUSES = ['Draft', 'Changes Requested'];
+
+// Papers in these states were approved against their questions as they stand, so those questions are frozen
+const FROZEN_STATUSES = ['Approved', 'Locked'];
+
+/**
+ * Check whether a user holds a role on a paper
+ * @param {Object} paper - ExamPaper document
+ * @param {Object} user - Authenticated user
+ * @param {string} role - 'setter' or 'moderator'
+ * @returns {boolean}
+ */
+function holdsRole(paper, user, role) {
+  const assigned = paper[role];
+  const assignedId = assigned && assigned._id ? assigned._id : assigned;
+  return !!assignedId && String(assignedId) === String(user._id);
+}
+
+/**
+ * List the actions a user can take on a paper in its current state
+ * @param {Object} paper - ExamPaper document
+ * @param {Object} user - Authenticated user
+ * @returns {Array<string>} - Action names
+ */
+function getAvailableActions(paper, user) {
+  return Object.keys(TRANSITIONS).filter(action => {
+    const transition = TRANSITIONS[action];
+    return transition.from.includes(paper.status) && canAct(paper, user, transition);
+  });
+}
+
+/**
+ * Check whether a user may perform a transition on a paper
+ * @param {Object} paper - ExamPaper document
+ * @param {Object} user - Authenticated user
+ * @param {Object} transition - Entry from TRANSITIONS
+ * @returns {boolean}
+ */
+function canAct(paper, user, transition) {
+  if (!hasPermission(user, transition.permission)) {
+    return false;
+  }
+  return holdsRole(paper, user, transition.actor) || (!!transition.allowAdmin && user.role === 'admin');
+}
+
+/**
+ * Check that a workflow action is allowed before applying it
+ * @param {Object} paper - ExamPaper document
+ * @param {string} action - Action name
+ * @param {Object} user - Authenticated user
+ * @param {string} comment - Comment supplied with the action
+ * @returns {Promise<Object|null>} - { status, message } describing why the action is refused, or null if allowed
+ */
+async function validateTransition(paper, action, user, comment) {
+  const transition = TRANSITIONS[action];
+  const verb = action.replace('-', ' ');
+
+  if (!transition) {
+    return { status: 400, message: `Unknown action "${action}". Use one of: ${Object.keys(TRANSITIONS).join(', ')}` };
+  }
+  if (!transition.from.includes(paper.status)) {
+    return { status: 409, message: `Cannot ${verb} a paper that is ${paper.status}` };
+  }
+  if (!canAct(paper, user, transition)) {
+    return { status: 403, message: `Only the paper's ${transition.actor} can ${verb} it` };
+  }
+  if (transition.requiresComment && !(comment && comment.trim())) {
+    return { status: 400, message: 'A comment explaining the requested changes is required' };
+  }
+  if (action === 'submit') {
+    if (!paper.moderator) {
+      return { status: 400, message: 'Assign a moderator before submitting the paper' };
+    }
+    const summary = summarisePaper(paper);
+    if (summary.questionCount === 0) {
+      return { status: 400, message: 'Add questions to the paper before submitting it' };
+    }
+    if (!summary.marksBalanced) {
+      return { status: 400, message: `The questions carry ${summary.assignedMarks} marks but the paper totals ${summary.totalMarks}` };
+    }
+  }
+  if (action === 'approve') {
+    const staleMessage = await checkCoverageIsCurrent(paper);
+    if (staleMessage) {
+      return { status: 400, message: staleMessage };
+    }
+  }
+  return null;
+}
+
+/**
+ * Check that the paper's latest coverage analysis still describes it
+ * The analysis must cover exactly the paper's questions, and have started after the last change
+ * to the paper's sections and to any of its questions in the bank.
+ * @param {Object} paper - ExamPaper document
+ * @returns {Promise<string|null>} - Why the analysis cannot be approved against, or null when it is current
+ */
+async function checkCoverageIsCurrent(paper) {
+  const coverage = await Coverage.findOne({ moduleId: paper.moduleId, paperId: paper._id })
+    .sort({ analyzedAt: -1 })
+    .select('analyzedAt analyzedQuestions');
+  if (!coverage) {
+    return 'Run a coverage analysis for this paper before approving it';
+  }
+
+  const rerun = 'run the coverage analysis again before approving it';
+  const paperIds = new Set((paper.sections || []).flatMap(section => section.questions.map(entry => String(entry.questionId))));
+  const analyzedIds = new Set((coverage.analyzedQuestions || []).map(String));
+  if (paperIds.size !== analyzedIds.size || [...paperIds].some(id => !analyzedIds.has(id))) {
+    return `The paper's questions have changed since its last coverage analysis; ${rerun}`;
+  }
+  if (paper.sectionsUpdatedAt && paper.sectionsUpdatedAt > coverage.analyzedAt) {
+    return `The paper's questions or marks have changed since its last coverage analysis; ${rerun}`;
+  }
+  if (await Question.exists({ _id: { $in: [...paperIds] }, updatedAt: { $gt: coverage.analyzedAt } })) {
+    return `Questions on the paper were edited after its last coverage analysis; ${rerun}`;
+  }
+  return null;
+}
+
+/**
+ * Find the approved or locked papers that freeze a question
+ * @param {string} questionId - Question ID
+ * @returns {Promise<Array<Object>>} - Papers with their titles and statuses
+ */
+async function findFreezingPapers(questionId) {
+  return ExamPaper.find({
+    'sections.questions.questionId': questionId,
+    status: { $in: FROZEN_STATUSES }
+  }).select('title status');
+}
+
+/**
+ * Describe why a question cannot be changed while papers freeze it
+ * @param {Array<Object>} papers - Papers from findFreezingPapers
+ * @returns {string} - Message for a 409 response
+ */
+function describeFreezingPapers(papers) {
+  const titles = papers.map(paper => `${paper.title} (${paper.status})`).join(', ');
+  return `Question is on ${papers.length === 1 ? 'an approved or locked exam paper' : `${papers.length} approved or locked exam papers`} (${titles}) and cannot be changed.`;
+}
+
+/**
+ * Apply a validated workflow action to a paper and record it in the paper's history
+ * Approval freezes the coverage of the paper's own analysis run onto the paper.
+ * @param {Object} paper - ExamPaper document
+ * @param {string} action - Action name
+ * @param {Object} user - Authenticated user performing the action
+ * @param {string} comment - Optional comment (required when requesting changes)
+ * @returns {Promise<Object>} - The saved paper
+ */
+async function transitionPaper(paper, action, user, comment = '') {
+  const transition = TRANSITIONS[action];
+
+  if (action === 'approve') {
+    const module = await Module.findById(paper.moduleId);
+    paper.coverageSnapshot = await buildCoverageSnapshot(module, { paperId: paper._id });
+    paper.approvedBy = user._id;
+    paper.approvedAt = new Date();
+  } else if (action === 'request-changes') {
+    // Approval is withdrawn, so is the coverage it was based on
+    paper.coverageSnapshot = null;
+    paper.approvedBy = null;
+    paper.approvedAt = null;
+  } else if (action === 'lock') {
+    paper.lockedAt = new Date();
+  }
+
+  paper.history.push({
+    action,
+    fromStatus: paper.status,
+    toStatus: transition.to,
+    actor: user._id,
+    comment: comment ? comment.trim() : ''
+  });
+  paper.status = transition.to;
+
+  await paper.save();
+  return paper;
+}
+
+module.exports = {
+  TRANSITIONS,
+  EDITABLE_STATUSES,
+  FROZEN_STATUSES,
+  getAvailableActions,
+  findFreezingPapers,
+  describeFreezingPapers,
+  validateTransition,
+  transitionPaper
+};
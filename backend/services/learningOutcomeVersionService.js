@@ -0,0 +1,118 @@
+/**
+ * Learning Outcome Version Service
+ * Compares a module's LO sets and records a new version whenever they change
+ */
+
+const LearningOutcomeVersion = require('../models/LearningOutcomeVersion');
+
+/**
+ * Copy the versioned fields of a module's learning outcomes
+ * @param {Array<Object>} learningOutcomes - Module learning outcomes
+ * @returns {Array<Object>} - [{ loId, description, bloomLevel }]
+ */
+function snapshotLearningOutcomes(learningOutcomes = []) {
+  return learningOutcomes.map(lo => ({
+    loId: lo.loId,
+    description: lo.description,
+    bloomLevel: lo.bloomLevel
+  }));
+}
+
+/**
+ * Compare two LO sets by loId
+ * @param {Array<Object>} before - Earlier learning outcomes
+ * @param {Array<Object>} after - Later learning outcomes
+ * @returns {Object} - { added, removed, changed } lists of loIds
+ */
+function compareLearningOutcomes(before = [], after = []) {
+  const previous = new Map(before.map(lo => [lo.loId, lo]));
+  const current = new Map(after.map(lo => [lo.loId, lo]));
+
+  return {
+    added: after.filter(lo => !previous.has(lo.loId)).map(lo => lo.loId),
+    removed: before.filter(lo => !current.has(lo.loId)).map(lo => lo.loId),
+    changed: after
+      .filter(lo => previous.has(lo.loId))
+      .filter(lo => {
+        const old = previous.get(lo.loId);
+        return old.description !== lo.description || old.bloomLevel !== lo.bloomLevel;
+      })
+      .map(lo => lo.loId)
+  };
+}
+
+/**
+ * Whether a comparison found any difference
+ * @param {Object} changes - Result of compareLearningOutcomes
+ * @returns {boolean}
+ */
+function hasChanges(changes) {
+  return changes.added.length > 0 || changes.removed.length > 0 || changes.changed.length > 0;
+}
+
+/**
+ * Record the first version of a new module's learning outcomes
+ * @param {Object} module - Saved module document
+ * @param {string} userId - User who created the module
+ * @returns {Promise<Object>} - The version document
+ */
+async function recordInitialVersion(module, userId) {
+  return LearningOutcomeVersion.create({
+    moduleId: module._id,
+    version: module.loVersion || 1,
+    learningOutcomes: snapshotLearningOutcomes(module.learningOutcomes),
+    changes: { added: [], removed: [], changed: [] },
+    createdBy: userId
+  });
+}
+
+/**
+ * Save a module, bumping its LO version and recording the new set if its learning outcomes changed
+ * Call after assigning the new LOs. The module is saved before any version is recorded, so a
+ * failed save leaves no version behind; the next version also follows the highest one recorded,
+ * so a version left by an interrupted save cannot block later edits.
+ * Modules created before versioning get their previous LOs recorded as the version they were at.
+ * @param {Object} module - Module document with the new learning outcomes assigned
+ * @param {Array<Object>} previous - Snapshot of the learning outcomes before the change
+ * @param {string} userId - User making the change
+ * @returns {Promise<Object|null>} - The new version document, or null when the LOs did not change
+ */
+async function saveWithLOVersion(module, previous, userId) {
+  const current = snapshotLearningOutcomes(module.learningOutcomes);
+  const changes = compareLearningOutcomes(previous, current);
+  if (!hasChanges(changes)) {
+    await module.save();
+    return null;
+  }
+
+  const previousVersion = module.loVersion || 1;
+  const latest = await LearningOutcomeVersion.findOne({ moduleId: module._id }).sort({ version: -1 }).select('version');
+  module.loVersion = Math.max(previousVersion, latest ? latest.version : 0) + 1;
+  await module.save();
+
+  if (!(await LearningOutcomeVersion.exists({ moduleId: module._id, version: previousVersion }))) {
+    await LearningOutcomeVersion.create({
+      moduleId: module._id,
+      version: previousVersion,
+      learningOutcomes: previous,
+      changes: { added: [], removed: [], changed: [] },
+      createdAt: module.createdAt
+    });
+  }
+
+  return LearningOutcomeVersion.create({
+    moduleId: module._id,
+    version: module.loVersion,
+    learningOutcomes: current,
+    changes,
+    createdBy: userId
+  });
+}
+
+module.exports = {
+  snapshotLearningOutcomes,
+  compareLearningOutcomes,
+  hasChanges,
+  recordInitialVersion,
+  saveWithLOVersion
+};
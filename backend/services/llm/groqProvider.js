@@ -0,0 +1,52 @@
+/**
+ * Groq Provider
+ * Chat completions through the Groq API
+ */
+
+const Groq = require('groq-sdk');
+
+/**
+ * Create the Groq provider
+ * @returns {Object} - Provider implementing chatCompletion
+ */
+function createGroqProvider() {
+  if (!process.env.GROQ_API_KEY) {
+    throw new Error('GROQ_API_KEY environment variable is required. Please add it to your .env file, or set LLM_PROVIDER=offline.');
+  }
+
+  const client = new Groq({
+    apiKey: process.env.GROQ_API_KEY
+  });
+
+  // Fallback to commonly available models (try 3.3 first, then 3.1-8b-instant as backup)
+  const model = process.env.GROQ_MODEL || 'llama-3.3-70b-versatile';
+
+  return {
+    name: 'groq',
+    model,
+
+    /**
+     * @param {Object} request - Completion request
+     * @param {Array<Object>} request.messages - Chat messages
+     * @param {number} request.temperature - Sampling temperature
+     * @param {number} request.maxTokens - Maximum tokens to generate
+     * @param {boolean} request.json - Ask for a JSON object response
+     * @returns {Promise<string>} - Response content
+     */
+    async chatCompletion({ messages, temperature, maxTokens, json = false }) {
+      const response = await client.chat.completions.create({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        ...(json ? { response_format: { type: 'json_object' } } : {})
+      });
+
+      return response.choices[0].message.content;
+    }
+  };
+}
+
+module.exports = {
+  createGroqProvider
+};
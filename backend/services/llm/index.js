@@ -0,0 +1,43 @@
+/**
+ * LLM Provider Registry
+ * Selects the chat completion provider from the LLM_PROVIDER environment variable
+ *
+ * Every provider exposes:
+ *   name  - provider identifier
+ *   model - model name, used to key cached scores
+ *   chatCompletion({ messages, temperature, maxTokens, json, task, input }) -> Promise<string>
+ * `task` and `input` describe the request in structured form for providers that do not read prompts.
+ */
+
+const { createGroqProvider } = require('./groqProvider');
+const { createOpenAICompatibleProvider } = require('./openaiCompatibleProvider');
+const { createOfflineProvider } = require('./offlineProvider');
+
+const PROVIDER_FACTORIES = {
+  groq: createGroqProvider,
+  'openai-compatible': createOpenAICompatibleProvider,
+  offline: createOfflineProvider
+};
+
+// Lazy initialization of the provider
+let provider = null;
+
+/**
+ * Get the configured provider, creating it on first use
+ * @returns {Object} - The LLM provider
+ */
+function getLLMProvider() {
+  if (!provider) {
+    const name = (process.env.LLM_PROVIDER || 'groq').toLowerCase();
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown LLM_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+    }
+    provider = factory();
+  }
+  return provider;
+}
+
+module.exports = {
+  getLLMProvider
+};
@@ -0,0 +1,125 @@
+/**
+ * Offline Provider
+ * Deterministic, network-free stand-in for an LLM, used in CI and on air-gapped machines.
+ * Instead of reading prompts it answers from the structured task input that callers pass alongside them.
+ */
+
+const { lexicalSimilarity, matchedPhrases } = require('../../utils/textSimilarity');
+const { inferBloomLevel, classifyBloomLevel } = require('../../utils/bloomTaxonomy');
+
+// Structured question stems per Bloom's level
+const STRUCTURED_TEMPLATES = {
+  Remember: 'Define and list the key elements of {topic}.',
+  Understand: 'Explain {topic}, illustrating your answer with an example.',
+  Apply: 'Using a worked example, demonstrate how to apply {topic} to a practical problem.',
+  Analyze: 'Analyse {topic}, identifying its components and how they relate to one another.',
+  Evaluate: 'Critically evaluate {topic}, justifying your judgement with evidence.',
+  Create: 'Design a solution that makes use of {topic}, explaining your design decisions.'
+};
+
+// MCQ stems per Bloom's level
+const MCQ_TEMPLATES = {
+  Remember: 'Which of the following statements about {topic} is correct?',
+  Understand: 'Which of the following best explains {topic}?',
+  Apply: 'Which of the following is the most appropriate way to apply {topic}?',
+  Analyze: 'Which of the following best identifies the relationship between the parts of {topic}?',
+  Evaluate: 'Which of the following is the strongest justification when judging {topic}?',
+  Create: 'Which of the following designs best builds on {topic}?'
+};
+
+/**
+ * Strip the leading outcome phrasing and action verb, leaving the subject of the LO
+ * @param {string} eloText - Learning outcome text
+ * @returns {string} - Topic phrase
+ */
+function extractTopic(eloText) {
+  const topic = (eloText || '')
+    .trim()
+    .replace(/[.;]+$/, '')
+    .replace(/^(students|learners)\s+(will|should)\s+be\s+able\s+to\s+/i, '')
+    .replace(/^[A-Za-z]+\s+/, ''); // Leading action verb such as "Explain" or "Apply"
+  return topic || eloText;
+}
+
+/**
+ * Template-based question generation
+ * @param {Object} input - { eloText, bloomLevel, mcqCount, structuredCount }
+ * @returns {Object} - Questions in the same shape the LLM prompt asks for
+ */
+function generateFromTemplates({ eloText, bloomLevel, mcqCount, structuredCount }) {
+  const topic = extractTopic(eloText);
+  const mcqStem = MCQ_TEMPLATES[bloomLevel] || MCQ_TEMPLATES.Understand;
+  const structuredStem = STRUCTURED_TEMPLATES[bloomLevel] || STRUCTURED_TEMPLATES.Understand;
+  const variant = (text, index, count) => (count > 1 ? `${text} (Variant ${index + 1})` : text);
+
+  const mcqs = Array.from({ length: mcqCount }, (_, index) => {
+    const correctAnswer = `A statement that accurately reflects ${topic}`;
+    return {
+      question: variant(mcqStem.replace('{topic}', topic), index, mcqCount),
+      options: [
+        correctAnswer,
+        `A statement that confuses ${topic} with an unrelated concept`,
+        `A statement that reverses the relationship described in ${topic}`,
+        `A statement that is true in general but irrelevant to ${topic}`
+      ],
+      correctAnswer
+    };
+  });
+
+  const structured = Array.from({ length: structuredCount }, (_, index) => ({
+    question: variant(structuredStem.replace('{topic}', topic), index, structuredCount),
+    marks: 10,
+    sampleAnswer: `A good answer addresses the learning outcome "${eloText}" at the ${bloomLevel} level, ` +
+      `covering the core ideas of ${topic} with accurate terminology and a relevant example.`
+  }));
+
+  return { mcqs, structured };
+}
+
+/**
+ * Create the offline provider
+ * @returns {Object} - Provider implementing chatCompletion
+ */
+function createOfflineProvider() {
+  return {
+    name: 'offline',
+    model: 'lexical-tfidf-v1',
+
+    /**
+     * @param {Object} request - Completion request
+     * @param {string} request.task - Task identifier (similarity, batch-similarity, classify-bloom, generate-questions)
+     * @param {Object} request.input - Structured task input
+     * @returns {Promise<string>} - Response content, formatted as the matching prompt requests
+     */
+    async chatCompletion({ task, input }) {
+      switch (task) {
+        case 'similarity':
+          return String(lexicalSimilarity(input.eloText, input.questionText));
+        case 'batch-similarity':
+          return JSON.stringify({
+            scores: input.learningOutcomes.map(lo => ({
+              loId: lo.loId,
+              score: lexicalSimilarity(lo.description, input.questionText),
+              rationale: 'Lexical overlap between the question and the learning outcome.',
+              demonstratedBloomLevel: inferBloomLevel(input.questionText),
+              matchedPhrases: matchedPhrases(lo.description, input.questionText)
+            }))
+          });
+        case 'classify-bloom':
+          return JSON.stringify({
+            classifications: input.questions
+              .map(question => ({ id: question.id, ...classifyBloomLevel(question.questionText) }))
+              .filter(entry => entry.level)
+          });
+        case 'generate-questions':
+          return JSON.stringify(generateFromTemplates(input));
+        default:
+          throw new Error(`The offline provider does not support the "${task}" task`);
+      }
+    }
+  };
+}
+
+module.exports = {
+  createOfflineProvider
+};
@@ -0,0 +1,63 @@
+/**
+ * OpenAI-Compatible Provider
+ * Chat completions through any server exposing /v1/chat/completions (llama.cpp, Ollama, vLLM, LM Studio)
+ */
+
+/**
+ * Create the OpenAI-compatible provider
+ * @returns {Object} - Provider implementing chatCompletion
+ */
+function createOpenAICompatibleProvider() {
+  if (!process.env.LLM_BASE_URL) {
+    throw new Error('LLM_BASE_URL environment variable is required for LLM_PROVIDER=openai-compatible (e.g. http://localhost:11434/v1).');
+  }
+
+  const baseUrl = process.env.LLM_BASE_URL.replace(/\/+$/, '');
+  const model = process.env.LLM_MODEL || 'llama3.1';
+  const timeoutMs = parseInt(process.env.LLM_TIMEOUT_MS) || 120000;
+
+  return {
+    name: 'openai-compatible',
+    model,
+
+    /**
+     * @param {Object} request - Completion request
+     * @param {Array<Object>} request.messages - Chat messages
+     * @param {number} request.temperature - Sampling temperature
+     * @param {number} request.maxTokens - Maximum tokens to generate
+     * @param {boolean} request.json - Ask for a JSON object response
+     * @returns {Promise<string>} - Response content
+     */
+    async chatCompletion({ messages, temperature, maxTokens, json = false }) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (process.env.LLM_API_KEY) {
+        headers.Authorization = `Bearer ${process.env.LLM_API_KEY}`;
+      }
+
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+          ...(json ? { response_format: { type: 'json_object' } } : {})
+        }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      if (!response.ok) {
+        const body = await response.text();
+        throw new Error(`LLM server responded with ${response.status}: ${body.slice(0, 200)}`);
+      }
+
+      const data = await response.json();
+      return data.choices[0].message.content;
+    }
+  };
+}
+
+module.exports = {
+  createOpenAICompatibleProvider
+};
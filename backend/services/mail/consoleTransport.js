@@ -0,0 +1,27 @@
+/**
+ * Console Transport
+ * Development sink that prints each email to the server log instead of sending it
+ */
+
+/**
+ * Create the console transport
+ * @returns {Object} - Transport implementing send
+ */
+function createConsoleTransport() {
+  return {
+    name: 'console',
+
+    /**
+     * @param {Object} message - { from, to, subject, text }
+     * @returns {Promise<Object>} - { logged: true }
+     */
+    async send({ from, to, subject, text }) {
+      console.log(`📧 Email to ${to} (from ${from})\n   Subject: ${subject}\n\n${text}\n`);
+      return { logged: true };
+    }
+  };
+}
+
+module.exports = {
+  createConsoleTransport
+};
@@ -0,0 +1,40 @@
+/**
+ * File Transport
+ * Development sink that writes each email as an .eml file, which any mail client can open
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Create the file transport
+ * @returns {Object} - Transport implementing send
+ */
+function createFileTransport() {
+  const directory = path.resolve(process.env.MAIL_SINK_DIR || 'mail-outbox');
+  // nodemailer's stream transport builds the raw message without sending it
+  const builder = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: 'file',
+
+    /**
+     * @param {Object} message - { from, to, subject, text, html }
+     * @returns {Promise<Object>} - { path } of the written file
+     */
+    async send(message) {
+      const info = await builder.sendMail(message);
+      const recipient = String(message.to).replace(/[^a-z0-9@.-]+/gi, '_');
+      const file = path.join(directory, `${new Date().toISOString().replace(/[:.]/g, '-')}-${recipient}.eml`);
+
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.writeFile(file, info.message);
+      return { path: file };
+    }
+  };
+}
+
+module.exports = {
+  createFileTransport
+};
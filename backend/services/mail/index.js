@@ -0,0 +1,55 @@
+/**
+ * Mail Transport Registry
+ * Selects how outgoing email is delivered from the MAIL_TRANSPORT environment variable
+ *
+ * Every transport exposes:
+ *   name - transport identifier
+ *   send({ from, to, subject, text, html }) -> Promise<Object> - delivery details, e.g. { messageId } or { path }
+ * The console and file transports deliver nothing, so accounts can be verified and reset offline.
+ */
+
+const { createSmtpTransport } = require('./smtpTransport');
+const { createConsoleTransport } = require('./consoleTransport');
+const { createFileTransport } = require('./fileTransport');
+
+const TRANSPORT_FACTORIES = {
+  smtp: createSmtpTransport,
+  console: createConsoleTransport,
+  file: createFileTransport
+};
+
+// Lazy initialization of the transport
+let transport = null;
+
+/**
+ * Get the configured transport, creating it on first use
+ * @returns {Object} - The mail transport
+ */
+function getMailTransport() {
+  if (!transport) {
+    const name = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+    const factory = TRANSPORT_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(TRANSPORT_FACTORIES).join(', ')}`);
+    }
+    transport = factory();
+  }
+  return transport;
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} - Delivery details from the transport
+ */
+async function sendMail(message) {
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || 'LOC Analyzer <no-reply@localhost>',
+    ...message
+  });
+}
+
+module.exports = {
+  getMailTransport,
+  sendMail
+};
@@ -0,0 +1,41 @@
+/**
+ * SMTP Transport
+ * Delivers email through an SMTP server using nodemailer
+ */
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Create the SMTP transport
+ * @returns {Object} - Transport implementing send
+ */
+function createSmtpTransport() {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST environment variable is required for MAIL_TRANSPORT=smtp.');
+  }
+
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+  const mailer = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    /**
+     * @param {Object} message - { from, to, subject, text, html }
+     * @returns {Promise<Object>} - { messageId }
+     */
+    async send(message) {
+      const info = await mailer.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+module.exports = {
+  createSmtpTransport
+};
@@ -0,0 +1,283 @@
+/**
+ * Moderation Report Service
+ * Gathers everything a formal moderation report shows for one analysis run of a module
+ * Rendering to PDF or DOCX is done by the renderers in ./reports
+ */
+
+const mongoose = require('mongoose');
+const Coverage = require('../models/Coverage');
+const Question = require('../models/Question');
+const ExamPaper = require('../models/ExamPaper');
+const Comment = require('../models/Comment');
+const { DEFAULT_ANALYSIS_SETTINGS } = require('./coverageSettings');
+const { describeReportLO, describeLOStatus, summariseMarks, buildRunQuery } = require('./coverageReportService');
+const { getPaperQuestions } = require('./examPaperService');
+const { buildThreads } = require('./commentService');
+const { BLOOM_LEVELS } = require('../utils/bloomTaxonomy');
+
+/**
+ * Round to one decimal place
+ * @param {number} value - Value
+ * @returns {number} - Rounded value
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Describe a user for the report
+ * @param {Object|null} user - Populated user
+ * @returns {Object|null} - { name, email }
+ */
+function describePerson(user) {
+  return user ? { name: user.name, email: user.email } : null;
+}
+
+/**
+ * Get the latest report per LO of one run, with the mapped questions populated
+ * @param {string} moduleId - The module ID
+ * @param {Object} run - { paperId, analysisTag }
+ * @returns {Promise<Array<Object>>} - Coverage documents, one per LO
+ */
+async function getRunReports(moduleId, run) {
+  const reports = await Coverage.find(buildRunQuery(moduleId, run))
+    .populate('questionsCovered.questionId', 'questionText marks')
+    .sort({ analyzedAt: -1 });
+
+  const latest = new Map();
+  for (const report of reports) {
+    if (!latest.has(report.loId)) {
+      latest.set(report.loId, report);
+    }
+  }
+  return Array.from(latest.values());
+}
+
+/**
+ * List the questions a run analysed, in the order they are numbered in the report
+ * Paper runs follow the paper; other runs follow the stored selection, or the module's questions for old runs.
+ * @param {Object} module - Module document
+ * @param {Object|null} paper - ExamPaper document for paper runs
+ * @param {Array<Object>} reports - Latest coverage reports of the run
+ * @returns {Promise<Array<Object>>} - [{ number, questionId, questionText, marks }]
+ */
+async function listRunQuestions(module, paper, reports) {
+  let questions;
+  if (paper) {
+    questions = await getPaperQuestions(paper);
+  } else {
+    const ids = reports[0].analyzedQuestions || [];
+    questions = ids.length > 0
+      ? await Question.find({ _id: { $in: ids } }).sort({ createdAt: 1 })
+      : await Question.find({ moduleId: module._id }).sort({ createdAt: 1 });
+  }
+
+  return questions.map((question, index) => ({
+    number: index + 1,
+    questionId: String(question._id),
+    questionText: question.questionText,
+    marks: question.marks || 0
+  }));
+}
+
+/**
+ * Collect the moderation comments on the paper and on the run's questions
+ * @param {Object|null} paper - ExamPaper document for paper runs
+ * @param {Array<Object>} questions - Result of listRunQuestions
+ * @returns {Promise<Array<Object>>} - Threads, paper threads first, each with a `target` label
+ */
+async function collectComments(paper, questions) {
+  const targets = [{ targetType: 'Question', targetId: { $in: questions.map(q => q.questionId) } }];
+  if (paper) {
+    targets.push({ targetType: 'ExamPaper', targetId: paper._id });
+  }
+
+  const comments = await Comment.find({ $or: targets })
+    .populate('author', 'name email')
+    .populate('resolvedBy', 'name email')
+    .sort({ createdAt: 1 });
+
+  const numbers = new Map(questions.map(q => [q.questionId, q.number]));
+  const describe = comment => ({
+    author: comment.author ? comment.author.name : 'Deleted user',
+    authorRole: comment.authorRole,
+    body: comment.body,
+    createdAt: comment.createdAt
+  });
+
+  return buildThreads(comments)
+    .map(thread => ({
+      target: thread.targetType === 'ExamPaper' ? 'Paper' : `Q${numbers.get(String(thread.targetId))}`,
+      ...describe(thread),
+      resolved: thread.resolved,
+      resolvedBy: thread.resolvedBy ? thread.resolvedBy.name : null,
+      replies: thread.replies.map(describe)
+    }))
+    .sort((a, b) => (a.target === 'Paper' ? 0 : 1) - (b.target === 'Paper' ? 0 : 1));
+}
+
+/**
+ * Load one analysis run and summarise it per LO and per Bloom's level
+ * Shared by the moderation report and the spreadsheet exports, so both number questions the same way.
+ * @param {Object} module - Module document
+ * @param {Object} run - { paperId, analysisTag }; both empty selects the default run
+ * @returns {Promise<Object>} - { paper, reports, questions, learningOutcomes, bloomDistribution, marks, stats },
+ *   or { error, status } when the paper or the run's reports are missing
+ */
+async function summariseRunCoverage(module, run) {
+  let paper = null;
+  if (run.paperId) {
+    if (!mongoose.Types.ObjectId.isValid(run.paperId)) {
+      return { status: 400, error: 'Invalid exam paper ID' };
+    }
+    paper = await ExamPaper.findOne({ _id: run.paperId, moduleId: module._id })
+      .populate('setter', 'name email')
+      .populate('moderator', 'name email')
+      .populate('approvedBy', 'name email');
+    if (!paper) {
+      return { status: 404, error: 'Exam paper not found' };
+    }
+  }
+
+  const reports = await getRunReports(module._id, run);
+  if (reports.length === 0) {
+    return { status: 400, error: 'This analysis run has no coverage reports; run the analysis first' };
+  }
+
+  const questions = await listRunQuestions(module, paper, reports);
+  const numbers = new Map(questions.map(q => [q.questionId, q.number]));
+
+  // LOs in module order; LOs removed since the run keep their place at the end
+  const order = module.learningOutcomes.map(lo => lo.loId);
+  const rank = loId => (order.includes(loId) ? order.indexOf(loId) : order.length);
+  reports.sort((a, b) => rank(a.loId) - rank(b.loId));
+
+  const learningOutcomes = reports.map(report => ({
+    loId: report.loId,
+    ...describeReportLO(module, report),
+    coveragePercentage: report.coveragePercentage,
+    status: report.status,
+    marksAllocated: report.marksAllocated,
+    marksShare: report.marksShare,
+    questions: (report.questionsCovered || [])
+      .filter(entry => entry.questionId)
+      .map(entry => ({
+        number: numbers.get(String(entry.questionId._id)) || null,
+        questionText: entry.questionId.questionText,
+        similarityScore: entry.similarityScore,
+        allocatedMarks: entry.allocatedMarks || 0,
+        overridden: Boolean(entry.override)
+      }))
+      .sort((a, b) => (a.number || Infinity) - (b.number || Infinity))
+  }));
+
+  const marks = summariseMarks(module, reports);
+  const bloomDistribution = BLOOM_LEVELS
+    .map(level => {
+      const levelLOs = learningOutcomes.filter(lo => lo.bloomLevel === level);
+      const levelMarks = marks.marksByBloomLevel.find(entry => entry.bloomLevel === level);
+      return {
+        bloomLevel: level,
+        loCount: levelLOs.length,
+        averageCoverage: levelLOs.length > 0
+          ? round(levelLOs.reduce((sum, lo) => sum + lo.coveragePercentage, 0) / levelLOs.length)
+          : null,
+        marks: levelMarks ? levelMarks.marks : 0,
+        marksShare: levelMarks ? levelMarks.marksShare : 0
+      };
+    });
+
+  return {
+    paper,
+    reports,
+    questions,
+    learningOutcomes,
+    bloomDistribution,
+    marks: {
+      totalMarks: marks.totalMarks,
+      allocatedMarks: marks.allocatedMarks,
+      unallocatedMarks: marks.unallocatedMarks
+    },
+    stats: {
+      totalLOs: learningOutcomes.length,
+      covered: reports.filter(r => r.status === 'Covered').length,
+      partiallyCovered: reports.filter(r => r.status === 'Partially Covered').length,
+      notCovered: reports.filter(r => r.status === 'Not Covered').length,
+      averageCoverage: round(reports.reduce((sum, r) => sum + r.coveragePercentage, 0) / reports.length)
+    }
+  };
+}
+
+/**
+ * Describe an analysis run: its label, when and how it was scored
+ * @param {Object} module - Module document
+ * @param {Object} run - { paperId, analysisTag }
+ * @param {Object} summary - Result of summariseRunCoverage
+ * @returns {Object} - { label, paperId, analysisTag, analyzedAt, scoringStrategy, scoringModel, settings, loStatus }
+ */
+function describeRun(module, run, summary) {
+  const { paper, reports } = summary;
+  const firstReport = reports[0];
+  return {
+    label: paper ? paper.title : (run.analysisTag || 'Default Analysis'),
+    paperId: paper ? String(paper._id) : null,
+    analysisTag: run.analysisTag || null,
+    analyzedAt: firstReport.analyzedAt,
+    scoringStrategy: firstReport.scoringStrategy || 'llm',
+    scoringModel: firstReport.scoringModel,
+    // Reports from before per-module settings were calculated with the defaults
+    settings: firstReport.settingsSnapshot && firstReport.settingsSnapshot.aggregation
+      ? firstReport.settingsSnapshot.toObject()
+      : DEFAULT_ANALYSIS_SETTINGS,
+    loStatus: describeLOStatus(module, reports)
+  };
+}
+
+/**
+ * Build the moderation report for one analysis run of a module
+ * @param {Object} module - Module document
+ * @param {Object} run - { paperId, analysisTag }; both empty selects the default run
+ * @param {Object} generatedBy - User requesting the report
+ * @returns {Promise<Object>} - Report data, or { error, status } when the paper or the run's reports are missing
+ */
+async function buildModerationReport(module, run, generatedBy) {
+  const summary = await summariseRunCoverage(module, run);
+  if (summary.error) {
+    return summary;
+  }
+
+  const { paper, questions } = summary;
+  return {
+    generatedAt: new Date(),
+    generatedBy: describePerson(generatedBy),
+    module: {
+      moduleCode: module.moduleCode,
+      moduleName: module.moduleName,
+      description: module.description
+    },
+    run: describeRun(module, run, summary),
+    paper: paper
+      ? {
+        title: paper.title,
+        status: paper.status,
+        totalMarks: paper.totalMarks,
+        setter: describePerson(paper.setter),
+        moderator: describePerson(paper.moderator),
+        approvedBy: describePerson(paper.approvedBy),
+        approvedAt: paper.approvedAt
+      }
+      : null,
+    stats: summary.stats,
+    learningOutcomes: summary.learningOutcomes,
+    bloomDistribution: summary.bloomDistribution,
+    marks: summary.marks,
+    questions,
+    comments: await collectComments(paper, questions)
+  };
+}
+
+module.exports = {
+  summariseRunCoverage,
+  describeRun,
+  buildModerationReport
+};
@@ -0,0 +1,240 @@
+/**
+ * Module Team Service
+ * Module team roles, what each may do on its module, and validation of team changes
+ * Team access is checked on top of the account permissions in utils/permissions: a lecturer
+ * can edit questions, but only on modules whose team they belong to. Admins act on every module.
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Module = require('../models/Module');
+const { hasPermission } = require('../utils/permissions');
+
+// Team role → the list on Module.team holding its members (the leader is a single user)
+const TEAM_LISTS = {
+  setter: 'setters',
+  moderator: 'moderators',
+  viewer: 'viewers'
+};
+
+// Access level → team roles granted it
+const TEAM_ACCESS = {
+  view: ['leader', 'setter', 'moderator', 'viewer'],
+  edit: ['leader', 'setter'], // questions, classification and AI generation
+  analyze: ['leader', 'setter', 'moderator'],
+  override: ['leader', 'moderator'],
+  manage: ['leader'] // module details, LOs, settings and the team itself
+};
+
+// Account permission a user needs before joining a team in each role
+const TEAM_ROLE_PERMISSIONS = {
+  leader: 'modules:manage',
+  setter: 'questions:edit',
+  moderator: 'papers:moderate',
+  viewer: null
+};
+
+/**
+ * Get the ID of a module's leader, falling back to its creator for modules from before teams
+ * @param {Object} module - Module document
+ * @returns {Object|null} - User ID
+ */
+function getLeaderId(module) {
+  const leader = (module.team && module.team.leader) || module.createdBy;
+  return leader ? leader._id || leader : null;
+}
+
+/**
+ * Get a user's role on a module's team
+ * @param {Object} module - Module document
+ * @param {Object} user - Authenticated user
+ * @returns {string|null} - 'leader', 'setter', 'moderator', 'viewer', or null for non-members
+ */
+function getTeamRole(module, user) {
+  const userId = String(user._id);
+  if (String(getLeaderId(module)) === userId) {
+    return 'leader';
+  }
+  const team = module.team || {};
+  for (const [role, list] of Object.entries(TEAM_LISTS)) {
+    if ((team[list] || []).some(member => String(member._id || member) === userId)) {
+      return role;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether a user has an access level on a module
+ * @param {Object} module - Module document
+ * @param {Object} user - Authenticated user
+ * @param {string} access - Key of TEAM_ACCESS
+ * @returns {boolean}
+ */
+function canAccessModule(module, user, access) {
+  if (user.role === 'admin') {
+    return true;
+  }
+  return TEAM_ACCESS[access].includes(getTeamRole(module, user));
+}
+
+/**
+ * Describe what a user may do on a module, for the frontend to hide other actions
+ * @param {Object} module - Module document
+ * @param {Object} user - Authenticated user
+ * @returns {Object} - { teamRole, access } access lists the granted TEAM_ACCESS levels
+ */
+function describeModuleAccess(module, user) {
+  return {
+    teamRole: getTeamRole(module, user),
+    access: Object.keys(TEAM_ACCESS).filter(access => canAccessModule(module, user, access))
+  };
+}
+
+/**
+ * Build the query matching the modules a user can see
+ * @param {Object} user - Authenticated user
+ * @returns {Object} - Mongo filter; empty for admins
+ */
+function buildMembershipQuery(user) {
+  if (user.role === 'admin') {
+    return {};
+  }
+  return {
+    $or: [
+      { 'team.leader': user._id },
+      { 'team.leader': null, createdBy: user._id },
+      ...Object.values(TEAM_LISTS).map(list => ({ [`team.${list}`]: user._id }))
+    ]
+  };
+}
+
+/**
+ * List the modules each of several users is on the team of
+ * @param {Array<Object>} users - Users, with _id
+ * @returns {Promise<Map>} - User ID string → [{ _id, moduleCode, moduleName, teamRole }], leaders' modules first
+ */
+async function findModulesByMember(users) {
+  const ids = users.map(user => user._id);
+  const modules = await Module.find({
+    $or: [
+      { 'team.leader': { $in: ids } },
+      { 'team.leader': null, createdBy: { $in: ids } },
+      ...Object.values(TEAM_LISTS).map(list => ({ [`team.${list}`]: { $in: ids } }))
+    ]
+  })
+    .select('moduleCode moduleName team createdBy')
+    .sort({ moduleCode: 1 });
+
+  const byUser = new Map();
+  for (const user of users) {
+    const memberships = modules
+      .map(module => ({
+        _id: module._id,
+        moduleCode: module.moduleCode,
+        moduleName: module.moduleName,
+        teamRole: getTeamRole(module, user)
+      }))
+      .filter(membership => membership.teamRole)
+      .sort((a, b) => (b.teamRole === 'leader') - (a.teamRole === 'leader'));
+    byUser.set(String(user._id), memberships);
+  }
+  return byUser;
+}
+
+/**
+ * List the IDs of everyone on a module's team
+ * @param {Object} module - Module document
+ * @returns {Array<Object>} - User IDs, the leader first
+ */
+function getTeamMemberIds(module) {
+  const team = module.team || {};
+  const leaderId = getLeaderId(module);
+  return [
+    ...(leaderId ? [leaderId] : []),
+    ...Object.values(TEAM_LISTS).flatMap(list => team[list] || [])
+  ];
+}
+
+/**
+ * List the team roles a user's account role allows them to hold
+ * @param {Object} user - User with a role
+ * @returns {Array<string>} - Team roles
+ */
+function getEligibleTeamRoles(user) {
+  return Object.keys(TEAM_ROLE_PERMISSIONS)
+    .filter(role => !TEAM_ROLE_PERMISSIONS[role] || hasPermission(user, TEAM_ROLE_PERMISSIONS[role]));
+}
+
+/**
+ * Validate a new team for a module
+ * @param {Object} input - { leader, setters, moderators, viewers } user IDs
+ * @returns {Promise<Object>} - { values, errors } values holds the team to store
+ */
+async function validateTeam(input) {
+  const errors = [];
+  const values = { leader: null, setters: [], moderators: [], viewers: [] };
+
+  const requested = [['leader', input.leader ? [input.leader] : []]];
+  for (const [role, list] of Object.entries(TEAM_LISTS)) {
+    if (input[list] !== undefined && !Array.isArray(input[list])) {
+      errors.push(`${list} must be a list of user IDs`);
+      continue;
+    }
+    requested.push([role, input[list] || []]);
+  }
+  if (!input.leader) {
+    errors.push('A module team needs a leader');
+  }
+
+  const ids = requested.flatMap(([, members]) => members.map(String));
+  const invalid = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid.length > 0) {
+    errors.push(`Invalid user ID: ${invalid.join(', ')}`);
+    return { values, errors };
+  }
+
+  const users = await User.find({ _id: { $in: ids } }).select('name role');
+  const usersById = new Map(users.map(user => [String(user._id), user]));
+  const placed = new Map();
+
+  for (const [role, members] of requested) {
+    for (const id of members.map(String)) {
+      const user = usersById.get(id);
+      if (!user) {
+        errors.push(`User ${id} not found`);
+        continue;
+      }
+      if (placed.has(id)) {
+        errors.push(`${user.name} can only hold one team role, not both ${placed.get(id)} and ${role}`);
+        continue;
+      }
+      if (!getEligibleTeamRoles(user).includes(role)) {
+        errors.push(`${user.name}'s account role cannot be a module ${role}`);
+        continue;
+      }
+      placed.set(id, role);
+      if (role === 'leader') {
+        values.leader = user._id;
+      } else {
+        values[TEAM_LISTS[role]].push(user._id);
+      }
+    }
+  }
+
+  return { values, errors };
+}
+
+module.exports = {
+  TEAM_ACCESS,
+  TEAM_ROLE_PERMISSIONS,
+  getLeaderId,
+  getTeamRole,
+  canAccessModule,
+  describeModuleAccess,
+  buildMembershipQuery,
+  getTeamMemberIds,
+  findModulesByMember,
+  getEligibleTeamRoles,
+  validateTeam
+};
@@ -1,44 +1,45 @@
 /**
- * Groq Service
- * Handles all Groq API interactions for LOC analysis and question generation
+ * LLM Service
+ * Handles all LLM interactions for LOC analysis and question generation
+ * The backing provider (Groq, OpenAI-compatible server or offline) is chosen by LLM_PROVIDER.
  */
 
-const Groq = require('groq-sdk');
+const { getLLMProvider } = require('./llm');
+const { BLOOM_LEVELS } = require('../utils/bloomTaxonomy');
 
-// Lazy initialization of Groq client
-let groq = null;
-
-// Get Groq model from environment variable, with fallback to commonly available models
-function getGroqModel() {
-  // Try environment variable first
-  if (process.env.GROQ_MODEL) {
-    return process.env.GROQ_MODEL;
-  }
-  // Fallback to commonly available models (try 3.3 first, then 3.1-8b-instant as backup)
-  return 'llama-3.3-70b-versatile';
+/**
+ * Get the identifier of the active provider and model, used to key cached scores
+ * @returns {string} - e.g. "groq:llama-3.3-70b-versatile"
+ */
+function getModelName() {
+  const provider = getLLMProvider();
+  return `${provider.name}:${provider.model}`;
 }
 
-function getGroqClient() {
-  if (!groq) {
-    if (!process.env.GROQ_API_KEY) {
-      throw new Error('GROQ_API_KEY environment variable is required. Please add it to your .env file.');
-    }
-    groq = new Groq({
-      apiKey: process.env.GROQ_API_KEY
-    });
+/**
+ * Parse a JSON object from an LLM response
+ * @param {string} content - Raw response content, optionally wrapped in a markdown code block
+ * @returns {Object} - Parsed JSON
+ */
+function parseJsonResponse(content) {
+  // Try to extract JSON from markdown code blocks if present
+  let jsonText = content.trim();
+  const jsonMatch = jsonText.match(/```(?:json)?\s*(\{[\s\S]*\})\s*```/);
+  if (jsonMatch) {
+    jsonText = jsonMatch[1];
   }
-  return groq;
+
+  return JSON.parse(jsonText);
 }
 
 /**
  * Calculate similarity score between a question and a learning outcome
  * @param {string} eloText - Expected Learning Outcome text
  * @param {string} questionText - Question text
- * @returns {Promise<number>} - Similarity score between 0 and 1
+ * @returns {Promise<number>} - Similarity score between 0 and 1; throws when the reply holds no number
  */
 async function calculateSimilarity(eloText, questionText) {
   try {
-    const client = getGroqClient();
     const prompt = `You are an education assessment expert.
 
 Expected Learning Outcome:
@@ -50,8 +51,7 @@ Question:
 Return ONLY a similarity score between 0 and 1 indicating how well the question covers the learning outcome. 
 Return only the number, no explanation, no text, just the number between 0 and 1.`;
 
-    const response = await client.chat.completions.create({
-      model: getGroqModel(),
+    const content = await getLLMProvider().chatCompletion({
       messages: [
         {
           role: 'system',
@@ -63,26 +63,203 @@ Return only the number, no explanation, no text, just the number between 0 and 1
         }
       ],
       temperature: 0.3,
-      max_tokens: 10
+      maxTokens: 10,
+      task: 'similarity',
+      input: { eloText, questionText }
     });
 
     // Extract score from response
-    const scoreText = response.choices[0].message.content.trim();
+    const scoreText = content.trim();
     const score = parseFloat(scoreText);
 
-    // Validate and clamp score between 0 and 1
+    // Validate and clamp score between 0 and 1; an unreadable reply is a failure, not a score of 0,
+    // so it is retried on the next run instead of being cached
     if (isNaN(score)) {
-      console.warn('Invalid score returned, defaulting to 0');
-      return 0;
+      throw new Error(`the model did not return a score (got "${scoreText.slice(0, 40)}")`);
     }
 
     return Math.max(0, Math.min(1, score));
   } catch (error) {
-    console.error('Groq API error in calculateSimilarity:', error);
+    console.error('LLM error in calculateSimilarity:', error);
     throw new Error('Failed to calculate similarity: ' + error.message);
   }
 }
 
+/**
+ * Validate a batched scoring response against the learning outcomes that were asked for
+ * @param {Object} parsed - Parsed JSON response
+ * @param {Array<Object>} learningOutcomes - Learning outcomes with loId and description
+ * @returns {Object} - Map of loId to { similarityScore, rationale, demonstratedBloomLevel, matchedPhrases } for every valid entry
+ */
+function validateBatchScores(parsed, learningOutcomes) {
+  const expectedIds = new Set(learningOutcomes.map(lo => lo.loId));
+  const entries = parsed && Array.isArray(parsed.scores) ? parsed.scores : [];
+  const validScores = {};
+
+  for (const entry of entries) {
+    if (!entry || !expectedIds.has(entry.loId)) {
+      continue; // Ignore LO IDs that were not in the request
+    }
+    const score = parseFloat(entry.score);
+    if (isNaN(score)) {
+      continue;
+    }
+    validScores[entry.loId] = {
+      similarityScore: Math.max(0, Math.min(1, score)),
+      rationale: typeof entry.rationale === 'string' ? entry.rationale.trim() : '',
+      // Evidence fields are optional; anything malformed is dropped rather than failing the LO
+      demonstratedBloomLevel: BLOOM_LEVELS.includes(entry.demonstratedBloomLevel) ? entry.demonstratedBloomLevel : null,
+      matchedPhrases: Array.isArray(entry.matchedPhrases)
+        ? entry.matchedPhrases.filter(phrase => typeof phrase === 'string' && phrase.trim()).map(phrase => phrase.trim()).slice(0, 5)
+        : []
+    };
+  }
+
+  return validScores;
+}
+
+/**
+ * Score one question against several learning outcomes in a single request
+ * LOs missing from the response, or every LO when the JSON is malformed, fall back to calculateSimilarity.
+ * @param {string} questionText - Question text
+ * @param {Array<Object>} learningOutcomes - Learning outcomes with loId and description
+ * @returns {Promise<Object>} - Map of loId to { similarityScore, rationale, demonstratedBloomLevel, matchedPhrases, method }, or { error, method } if even the fallback failed
+ */
+async function scoreQuestionAgainstLOs(questionText, learningOutcomes) {
+  let validScores = {};
+
+  try {
+    const loList = learningOutcomes
+      .map(lo => `- ${lo.loId}: "${lo.description}"`)
+      .join('\n');
+    const prompt = `You are an education assessment expert.
+
+Question:
+"${questionText}"
+
+Expected Learning Outcomes:
+${loList}
+
+For EACH learning outcome above, give:
+- a similarity score between 0 and 1 indicating how well the question covers it
+- a one-sentence rationale
+- the Bloom's taxonomy level the question itself demonstrates (one of: ${BLOOM_LEVELS.join(', ')})
+- up to 5 short phrases copied from the question that match the learning outcome
+
+Return ONLY JSON in the following format, with one entry per learning outcome using the exact LO IDs above:
+{
+  "scores": [
+    { "loId": "LO1", "score": 0.8, "rationale": "short reason", "demonstratedBloomLevel": "Apply", "matchedPhrases": ["phrase"] }
+  ]
+}`;
+
+    const content = await getLLMProvider().chatCompletion({
+      messages: [
+        {
+          role: 'system',
+          content: 'You are an expert in educational assessment. Return only valid JSON.'
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      temperature: 0.3,
+      maxTokens: 200 + learningOutcomes.length * 180,
+      json: true,
+      task: 'batch-similarity',
+      input: { questionText, learningOutcomes }
+    });
+
+    const parsed = parseJsonResponse(content);
+    validScores = validateBatchScores(parsed, learningOutcomes);
+  } catch (error) {
+    console.warn('Batched scoring failed, falling back to per-pair scoring:', error.message);
+  }
+
+  const results = {};
+  for (const lo of learningOutcomes) {
+    if (validScores[lo.loId]) {
+      results[lo.loId] = { ...validScores[lo.loId], method: 'batched' };
+    } else {
+      try {
+        const similarityScore = await calculateSimilarity(lo.description, questionText);
+        results[lo.loId] = { similarityScore, rationale: '', demonstratedBloomLevel: null, matchedPhrases: [], method: 'pairwise' };
+      } catch (error) {
+        results[lo.loId] = { error: error.message, method: 'pairwise' };
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Classify the Bloom's taxonomy level demonstrated by each of several questions in one request
+ * @param {Array<Object>} questions - Questions as { id, questionText }
+ * @returns {Promise<Object>} - Map of id to { level, confidence } for every valid entry in the response
+ */
+async function classifyBloomLevels(questions) {
+  try {
+    const questionList = questions
+      .map(question => `- ${question.id}: "${question.questionText}"`)
+      .join('\n');
+    const prompt = `You are an education assessment expert.
+
+Classify the Bloom's taxonomy level that each question below requires students to demonstrate.
+Use exactly one of: ${BLOOM_LEVELS.join(', ')}.
+
+Questions:
+${questionList}
+
+Return ONLY JSON in the following format, with one entry per question using the exact IDs above and a confidence between 0 and 1:
+{
+  "classifications": [
+    { "id": "question id", "level": "Apply", "confidence": 0.8 }
+  ]
+}`;
+
+    const content = await getLLMProvider().chatCompletion({
+      messages: [
+        {
+          role: 'system',
+          content: 'You are an expert in educational assessment. Return only valid JSON.'
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      temperature: 0.2,
+      maxTokens: 100 + questions.length * 60,
+      json: true,
+      task: 'classify-bloom',
+      input: { questions }
+    });
+
+    const parsed = parseJsonResponse(content);
+    const expectedIds = new Set(questions.map(question => question.id));
+    const entries = parsed && Array.isArray(parsed.classifications) ? parsed.classifications : [];
+    const results = {};
+
+    for (const entry of entries) {
+      if (!entry || !expectedIds.has(entry.id) || !BLOOM_LEVELS.includes(entry.level)) {
+        continue;
+      }
+      const confidence = parseFloat(entry.confidence);
+      results[entry.id] = {
+        level: entry.level,
+        confidence: isNaN(confidence) ? 0.5 : Math.max(0, Math.min(1, confidence))
+      };
+    }
+
+    return results;
+  } catch (error) {
+    console.error('LLM error in classifyBloomLevels:', error);
+    throw new Error('Failed to classify questions: ' + error.message);
+  }
+}
+
 /**
  * Generate questions based on learning outcome and Bloom's taxonomy level
  * @param {string} eloText - Expected Learning Outcome text
@@ -93,7 +270,6 @@ Return only the number, no explanation, no text, just the number between 0 and 1
  */
 async function generateQuestions(eloText, bloomLevel, mcqCount, structuredCount) {
   try {
-    const client = getGroqClient();
     const prompt = `You are a university-level examiner.
 
 Generate:
@@ -130,8 +306,7 @@ Return the questions in the following JSON format:
   ]
 }`;
 
-    const response = await client.chat.completions.create({
-      model: getGroqModel(),
+    const content = await getLLMProvider().chatCompletion({
       messages: [
         {
           role: 'system',
@@ -143,30 +318,27 @@ Return the questions in the following JSON format:
         }
       ],
       temperature: 0.7,
-      max_tokens: 4000
+      maxTokens: 4000,
+      task: 'generate-questions',
+      input: { eloText, bloomLevel, mcqCount, structuredCount }
     });
 
     // Parse JSON response
-    const content = response.choices[0].message.content.trim();
-    
-    // Try to extract JSON from markdown code blocks if present
-    let jsonText = content;
-    const jsonMatch = content.match(/```(?:json)?\s*(\{[\s\S]*\})\s*```/);
-    if (jsonMatch) {
-      jsonText = jsonMatch[1];
-    }
-
-    const questions = JSON.parse(jsonText);
+    const questions = parseJsonResponse(content);
     
     return questions;
   } catch (error) {
-    console.error('Groq API error in generateQuestions:', error);
+    console.error('LLM error in generateQuestions:', error);
     throw new Error('Failed to generate questions: ' + error.message);
   }
 }
 
 module.exports = {
+  getModelName,
   calculateSimilarity,
+  scoreQuestionAgainstLOs,
+  validateBatchScores,
+  classifyBloomLevels,
   generateQuestions
 };
 
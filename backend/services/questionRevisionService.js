@@ -0,0 +1,123 @@
+/**
+ * Question Revision Service
+ * Records each change to a question's content and brings earlier revisions back
+ */
+
+const QuestionRevision = require('../models/QuestionRevision');
+const { getHeuristicClassification } = require('./bloomClassificationService');
+
+// Question fields a revision keeps; classification and embeddings are derived, so they are left out
+const REVISED_FIELDS = ['questionText', 'questionType', 'options', 'correctAnswer', 'marks', 'sampleAnswer'];
+
+/**
+ * Copy the revised fields of a question
+ * @param {Object} question - Question document or revision content
+ * @returns {Object} - Plain content object
+ */
+function snapshotQuestion(question) {
+  return {
+    questionText: question.questionText,
+    questionType: question.questionType,
+    options: [...(question.options || [])],
+    correctAnswer: question.correctAnswer || '',
+    marks: question.marks || 0,
+    sampleAnswer: question.sampleAnswer || ''
+  };
+}
+
+/**
+ * List the fields that differ between two snapshots
+ * @param {Object} before - Earlier content
+ * @param {Object} after - Later content
+ * @returns {Array<string>} - Changed field names
+ */
+function diffFields(before, after) {
+  return REVISED_FIELDS.filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+}
+
+/**
+ * Record a new question as first written, as its revision 1
+ * @param {Object} question - Question document, already saved
+ * @param {string} author - ID of the user who created the question
+ * @returns {Promise<Object>} - The original revision
+ */
+async function recordOriginal(question, author) {
+  return QuestionRevision.create({
+    questionId: question._id,
+    moduleId: question.moduleId,
+    revision: 1,
+    action: 'original',
+    content: snapshotQuestion(question),
+    author
+  });
+}
+
+/**
+ * Record a change to a question, saving the question as first written if nothing has been recorded yet
+ * @param {Object} question - Question document, already saved with its new content
+ * @param {Object} before - Snapshot taken before the change
+ * @param {Object} details - { action, reason, author, restoredFrom }
+ * @returns {Promise<Object|null>} - The new revision, or null when nothing changed
+ */
+async function recordRevision(question, before, { action, reason = '', author, restoredFrom = null }) {
+  const after = snapshotQuestion(question);
+  const changedFields = diffFields(before, after);
+  if (changedFields.length === 0) {
+    return null;
+  }
+
+  const latest = await QuestionRevision.findOne({ questionId: question._id }).sort({ revision: -1 });
+  let revision = latest ? latest.revision + 1 : 1;
+
+  // Questions written before revisions were recorded get their original kept as revision 1
+  if (!latest) {
+    await QuestionRevision.create({
+      questionId: question._id,
+      moduleId: question.moduleId,
+      revision,
+      action: 'original',
+      content: before,
+      createdAt: question.createdAt
+    });
+    revision += 1;
+  }
+
+  return QuestionRevision.create({
+    questionId: question._id,
+    moduleId: question.moduleId,
+    revision,
+    action,
+    content: after,
+    changedFields,
+    reason,
+    restoredFrom,
+    author
+  });
+}
+
+/**
+ * Put a question's content back to an earlier revision
+ * The Bloom's level is re-derived when the wording changes, unless a lecturer set it by hand.
+ * @param {Object} question - Question document
+ * @param {Object} revision - QuestionRevision document to restore
+ */
+function applyRevision(question, revision) {
+  const content = snapshotQuestion(revision.content);
+
+  if (content.questionText !== question.questionText && question.bloomClassification?.method !== 'manual') {
+    question.bloomClassification = getHeuristicClassification(content.questionText);
+  }
+
+  for (const field of REVISED_FIELDS) {
+    question[field] = content[field];
+  }
+}
+
+module.exports = {
+  REVISED_FIELDS,
+  snapshotQuestion,
+  diffFields,
+  recordOriginal,
+  recordRevision,
+  applyRevision
+};
@@ -0,0 +1,270 @@
+/**
+ * DOCX Moderation Report
+ * Renders a moderation report with docx; the Bloom distribution chart is drawn with shaded table cells
+ * so the document stays editable in Word without embedded images
+ */
+
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  HeadingLevel,
+  Table,
+  TableRow,
+  TableCell,
+  WidthType,
+  BorderStyle,
+  ShadingType,
+  AlignmentType,
+  HeightRule,
+  Footer,
+  PageNumber
+} = require('docx');
+const {
+  STATUS_COLOURS,
+  formatDate,
+  formatPercent,
+  formatMarks,
+  formatMappedQuestions,
+  describeDetails,
+  describeStaleWarning,
+  describeSignOff
+} = require('./format');
+
+// Columns of the Bloom chart; each shaded cell is 5% coverage
+const CHART_STEPS = 20;
+
+/**
+ * Build a table cell holding one line of text
+ * @param {string} text - Cell text
+ * @param {Object} options - { bold, colour, fill, width } width in percent of the table
+ * @returns {TableCell}
+ */
+function cell(text, options = {}) {
+  return new TableCell({
+    width: options.width ? { size: options.width, type: WidthType.PERCENTAGE } : undefined,
+    shading: options.fill ? { type: ShadingType.CLEAR, color: 'auto', fill: options.fill } : undefined,
+    children: [new Paragraph({
+      children: [new TextRun({ text: String(text), bold: options.bold, color: options.colour, size: 18 })]
+    })]
+  });
+}
+
+/**
+ * Build a full-width table with a shaded header row that repeats across pages
+ * @param {Array<Object>} columns - [{ header, width }] widths in percent
+ * @param {Array<Array<string>>} rows - Cell text
+ * @param {Object} options - { colourCell(rowIndex, columnIndex) -> hex colour or null, rowHeight } rowHeight in twips
+ * @returns {Table}
+ */
+function table(columns, rows, options = {}) {
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: [
+      new TableRow({
+        tableHeader: true,
+        children: columns.map(column => cell(column.header, { bold: true, fill: 'E9ECEF', width: column.width }))
+      }),
+      ...rows.map((cells, rowIndex) => new TableRow({
+        height: options.rowHeight ? { value: options.rowHeight, rule: HeightRule.ATLEAST } : undefined,
+        children: cells.map((text, i) => cell(text, {
+          width: columns[i].width,
+          colour: options.colourCell ? options.colourCell(rowIndex, i) || undefined : undefined
+        }))
+      }))
+    ]
+  });
+}
+
+/**
+ * Build a paragraph of plain text
+ * @param {string} text - Text
+ * @param {Object} options - TextRun options
+ * @returns {Paragraph}
+ */
+function paragraph(text, options = {}) {
+  return new Paragraph({
+    spacing: { after: 120 },
+    children: [new TextRun({ text, size: 20, ...options })]
+  });
+}
+
+/**
+ * Build a section heading
+ * @param {string} text - Heading
+ * @returns {Paragraph}
+ */
+function heading(text) {
+  return new Paragraph({ text, heading: HeadingLevel.HEADING_2, spacing: { before: 240, after: 120 } });
+}
+
+/**
+ * Draw the Bloom distribution as rows of shaded cells, one row of average coverage per level
+ * @param {Array<Object>} distribution - Report's bloomDistribution
+ * @returns {Table}
+ */
+function bloomChart(distribution) {
+  const noBorder = { style: BorderStyle.NONE, size: 0, color: 'FFFFFF' };
+  const borders = { top: noBorder, bottom: noBorder, left: noBorder, right: noBorder };
+  const stepWidth = 70 / CHART_STEPS;
+
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    borders: { ...borders, insideHorizontal: noBorder, insideVertical: noBorder },
+    rows: distribution.map(level => {
+      const filled = Math.round((level.averageCoverage || 0) / (100 / CHART_STEPS));
+      return new TableRow({
+        children: [
+          cell(level.bloomLevel, { width: 18 }),
+          ...Array.from({ length: CHART_STEPS }, (_, i) => cell('', {
+            width: stepWidth,
+            fill: i < filled ? '0D6EFD' : 'F8F9FA'
+          })),
+          cell(level.loCount > 0 ? formatPercent(level.averageCoverage) : 'no LOs', { width: 12 })
+        ]
+      });
+    })
+  });
+}
+
+/**
+ * Render a moderation report as a Word document
+ * @param {Object} report - Result of buildModerationReport
+ * @returns {Promise<Buffer>} - The DOCX file
+ */
+function renderDocxReport(report) {
+  const { stats, marks } = report;
+  const warning = describeStaleWarning(report.run.loStatus);
+
+  const comments = report.comments.length === 0
+    ? [paragraph('No comments were recorded.')]
+    : report.comments.flatMap(thread => [
+      new Paragraph({
+        spacing: { before: 120 },
+        children: [new TextRun({
+          text: `${thread.target} - ${thread.author} (${thread.authorRole}), ${formatDate(thread.createdAt)}${thread.resolved ? ` - resolved${thread.resolvedBy ? ` by ${thread.resolvedBy}` : ''}` : ' - open'}`,
+          bold: true,
+          size: 18
+        })]
+      }),
+      paragraph(thread.body, { size: 18 }),
+      ...thread.replies.map(reply => new Paragraph({
+        indent: { left: 360 },
+        children: [new TextRun({
+          text: `${reply.author} (${reply.authorRole}), ${formatDate(reply.createdAt)}: ${reply.body}`,
+          italics: true,
+          size: 18
+        })]
+      }))
+    ]);
+
+  const doc = new Document({
+    title: `Moderation report - ${report.module.moduleCode} - ${report.run.label}`,
+    sections: [{
+      footers: {
+        default: new Footer({
+          children: [new Paragraph({
+            alignment: AlignmentType.CENTER,
+            children: [
+              new TextRun({ text: `${report.module.moduleCode} - ${report.run.label} - page `, size: 16, color: '6C757D' }),
+              new TextRun({ children: [PageNumber.CURRENT], size: 16, color: '6C757D' }),
+              new TextRun({ text: ' of ', size: 16, color: '6C757D' }),
+              new TextRun({ children: [PageNumber.TOTAL_PAGES], size: 16, color: '6C757D' })
+            ]
+          })]
+        })
+      },
+      children: [
+        new Paragraph({ text: 'Moderation Report', heading: HeadingLevel.TITLE }),
+        paragraph(`${report.module.moduleCode} - ${report.module.moduleName}`, { color: '6C757D' }),
+
+        heading('Details'),
+        table([{ header: 'Item', width: 25 }, { header: 'Value', width: 75 }], describeDetails(report)),
+        ...(warning ? [paragraph(warning, { bold: true, color: 'B02A37', size: 18 })] : []),
+
+        heading('Summary'),
+        paragraph(`${stats.covered} of ${stats.totalLOs} learning outcomes covered, ${stats.partiallyCovered} partially covered, ${stats.notCovered} not covered. Average coverage ${stats.averageCoverage}%.`),
+        paragraph(`Questions analysed: ${report.questions.length}.`),
+
+        heading('Learning Outcome Coverage'),
+        table([
+          { header: 'LO', width: 8 },
+          { header: 'Description', width: 34 },
+          { header: 'Bloom', width: 12 },
+          { header: 'Coverage', width: 10 },
+          { header: 'Status', width: 12 },
+          { header: 'Mapped questions', width: 24 }
+        ], report.learningOutcomes.map(lo => [
+          lo.loId,
+          lo.description,
+          lo.bloomLevel,
+          formatPercent(lo.coveragePercentage),
+          lo.status,
+          formatMappedQuestions(lo.questions)
+        ]), {
+          colourCell: (rowIndex, columnIndex) => (columnIndex === 4 ? STATUS_COLOURS[report.learningOutcomes[rowIndex].status] : null)
+        }),
+        paragraph('Similarity scores in brackets; * marks a mapping set by a moderator override.', { size: 16, color: '6C757D' }),
+
+        heading("Bloom's Taxonomy Distribution"),
+        paragraph('Average coverage of the learning outcomes at each level.', { size: 18 }),
+        bloomChart(report.bloomDistribution),
+        paragraph(''),
+        table([
+          { header: 'Level', width: 25 },
+          { header: 'LOs', width: 15 },
+          { header: 'Average coverage', width: 20 },
+          { header: 'Marks', width: 20 },
+          { header: 'Share of marks', width: 20 }
+        ], report.bloomDistribution.map(level => [
+          level.bloomLevel,
+          String(level.loCount),
+          formatPercent(level.averageCoverage),
+          formatMarks(level.marks),
+          formatPercent(level.marksShare)
+        ])),
+
+        heading('Marks Distribution'),
+        paragraph(marks.totalMarks !== null
+          ? `Paper total ${marks.totalMarks} marks: ${marks.allocatedMarks} attributed to learning outcomes, ${marks.unallocatedMarks} unallocated.`
+          : 'This run was analysed before marks weighting; no paper total is recorded.'),
+        table([
+          { header: 'LO', width: 15 },
+          { header: 'Marks', width: 20 },
+          { header: 'Share of marks', width: 20 },
+          { header: 'Questions', width: 45 }
+        ], report.learningOutcomes.map(lo => [
+          lo.loId,
+          formatMarks(lo.marksAllocated),
+          formatPercent(lo.marksShare),
+          lo.questions.map(q => `${q.number ? `Q${q.number}` : 'Q?'}: ${q.allocatedMarks}`).join(', ') || '-'
+        ])),
+
+        heading('Questions'),
+        table([
+          { header: 'No.', width: 8 },
+          { header: 'Question', width: 80 },
+          { header: 'Marks', width: 12 }
+        ], report.questions.map(q => [`Q${q.number}`, q.questionText, formatMarks(q.marks)])),
+
+        heading('Moderator Comments'),
+        ...comments,
+
+        heading('Sign-off'),
+        table([
+          { header: 'Role', width: 22 },
+          { header: 'Name', width: 28 },
+          { header: 'Signature', width: 30 },
+          { header: 'Date', width: 20 }
+        ], describeSignOff(report).map(entry => [entry.role, entry.name, '', entry.date]), { rowHeight: 700 })
+      ]
+    }]
+  });
+
+  return Packer.toBuffer(doc);
+}
+
+module.exports = {
+  renderDocxReport
+};
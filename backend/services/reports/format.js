@@ -0,0 +1,156 @@
+/**
+ * Report Formatting Helpers
+ * Text shared by the moderation report renderers so the PDF and DOCX read the same
+ */
+
+const STATUS_COLOURS = {
+  Covered: '198754',
+  'Partially Covered': '997404',
+  'Not Covered': 'DC3545'
+};
+
+const STRATEGY_LABELS = {
+  llm: 'LLM judgement',
+  embedding: 'Embedding similarity'
+};
+
+/**
+ * Format a date as used throughout the report
+ * @param {Date|string|null} value - Date
+ * @returns {string} - e.g. "19 Oct 2026, 14:05", or an empty string
+ */
+function formatDate(value) {
+  if (!value) return '';
+  return new Date(value).toLocaleString('en-GB', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+/**
+ * Format a person for the report
+ * @param {Object|null} person - { name, email }
+ * @returns {string} - "Name <email>", or "Not assigned"
+ */
+function formatPerson(person) {
+  return person ? `${person.name} <${person.email}>` : 'Not assigned';
+}
+
+/**
+ * Format a percentage, leaving gaps for missing values
+ * @param {number|null} value - Percentage
+ * @returns {string}
+ */
+function formatPercent(value) {
+  return value === null || value === undefined ? '-' : `${value}%`;
+}
+
+/**
+ * Format marks, leaving gaps for missing values
+ * @param {number|null} value - Marks
+ * @returns {string}
+ */
+function formatMarks(value) {
+  return value === null || value === undefined ? '-' : String(value);
+}
+
+/**
+ * Describe the mapped questions of an LO in one line
+ * @param {Array<Object>} questions - LO's mapped questions from the report
+ * @returns {string} - e.g. "Q1 (0.82), Q4 (0.71)*"; * marks moderator overrides
+ */
+function formatMappedQuestions(questions) {
+  if (questions.length === 0) return 'None';
+  return questions
+    .map(q => `${q.number ? `Q${q.number}` : 'Q?'} (${(q.similarityScore || 0).toFixed(2)})${q.overridden ? '*' : ''}`)
+    .join(', ');
+}
+
+/**
+ * Name the learning outcome version a run was analysed against
+ * @param {Object|null} loStatus - Result of describeLOStatus
+ * @returns {string} - e.g. "Version 2 (now version 3)"
+ */
+function formatLOVersion(loStatus) {
+  if (!loStatus) return '';
+  // Runs from before versioning were analysed against version 1 if the LOs have not changed since
+  const version = loStatus.analysedVersion || (loStatus.currentVersion === 1 ? 1 : null);
+  const analysed = version ? `Version ${version}` : 'Not recorded';
+  return version === loStatus.currentVersion ? analysed : `${analysed} (now version ${loStatus.currentVersion})`;
+}
+
+/**
+ * Key/value pairs describing the module, run and paper
+ * @param {Object} report - Result of buildModerationReport
+ * @returns {Array<Array<string>>} - [label, value] rows
+ */
+function describeDetails(report) {
+  const { module, run, paper } = report;
+  const rows = [
+    ['Module', `${module.moduleCode} - ${module.moduleName}`],
+    ['Learning outcomes', formatLOVersion(run.loStatus)],
+    ['Analysis run', run.label],
+    ['Analysed', formatDate(run.analyzedAt)],
+    ['Scoring', `${STRATEGY_LABELS[run.scoringStrategy] || run.scoringStrategy}${run.scoringModel ? ` (${run.scoringModel})` : ''}`],
+    ['Thresholds', `Covered at ${run.settings.coveredThreshold}%, partial at ${run.settings.partialThreshold}%, relevance ${run.settings.relevanceThreshold}, ${run.settings.aggregation} aggregation`]
+  ];
+  if (paper) {
+    rows.push(
+      ['Exam paper', paper.title],
+      ['Paper status', paper.status],
+      ['Paper total', formatMarks(paper.totalMarks)]
+    );
+  }
+  rows.push(['Generated', `${formatDate(report.generatedAt)} by ${formatPerson(report.generatedBy)}`]);
+  return rows;
+}
+
+/**
+ * Explain why a run is out of date with the module's learning outcomes
+ * @param {Object|null} loStatus - Result of describeLOStatus
+ * @returns {string|null} - Warning text, or null when the run is current
+ */
+function describeStaleWarning(loStatus) {
+  if (!loStatus || !loStatus.stale) return null;
+  const parts = [];
+  if (loStatus.changed.length > 0) parts.push(`changed: ${loStatus.changed.join(', ')}`);
+  if (loStatus.added.length > 0) parts.push(`added: ${loStatus.added.join(', ')}`);
+  if (loStatus.removed.length > 0) parts.push(`removed: ${loStatus.removed.join(', ')}`);
+  const analysed = loStatus.analysedVersion ? `version ${loStatus.analysedVersion}` : 'an unversioned set';
+  return `This run was analysed against ${analysed} of the learning outcomes; the module is now at version ${loStatus.currentVersion}`
+    + `${parts.length > 0 ? ` (${parts.join('; ')})` : ''}. Re-run the analysis before relying on these results.`;
+}
+
+/**
+ * Sign-off rows: who signs and what is already recorded
+ * @param {Object} report - Result of buildModerationReport
+ * @returns {Array<Object>} - [{ role, name, date }]
+ */
+function describeSignOff(report) {
+  const { paper } = report;
+  return [
+    { role: 'Setter', name: paper && paper.setter ? paper.setter.name : '', date: '' },
+    { role: 'Internal moderator', name: paper && paper.moderator ? paper.moderator.name : '', date: '' },
+    {
+      role: 'Approved by',
+      name: paper && paper.approvedBy ? paper.approvedBy.name : '',
+      date: paper && paper.approvedAt ? formatDate(paper.approvedAt) : ''
+    }
+  ];
+}
+
+module.exports = {
+  STATUS_COLOURS,
+  formatDate,
+  formatPerson,
+  formatPercent,
+  formatMarks,
+  formatMappedQuestions,
+  formatLOVersion,
+  describeDetails,
+  describeStaleWarning,
+  describeSignOff
+};
@@ -0,0 +1,41 @@
+/**
+ * Moderation Report Renderers
+ * Maps each export format to its renderer and the HTTP headers of the file it produces
+ *
+ * Every renderer takes the result of buildModerationReport and resolves to a Buffer.
+ */
+
+const { renderPdfReport } = require('./pdfReport');
+const { renderDocxReport } = require('./docxReport');
+
+const REPORT_FORMATS = {
+  pdf: {
+    render: renderPdfReport,
+    contentType: 'application/pdf',
+    extension: 'pdf'
+  },
+  docx: {
+    render: renderDocxReport,
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extension: 'docx'
+  }
+};
+
+/**
+ * Build a download file name for a report
+ * @param {Object} report - Result of buildModerationReport
+ * @param {string} extension - File extension
+ * @returns {string} - e.g. "CS101-midterm-2025-moderation-report.pdf"
+ */
+function buildReportFileName(report, extension) {
+  const slug = `${report.module.moduleCode}-${report.run.label}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${slug}-moderation-report.${extension}`;
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  buildReportFileName
+};
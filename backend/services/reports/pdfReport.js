@@ -0,0 +1,271 @@
+/**
+ * PDF Moderation Report
+ * Renders a moderation report with pdfkit; the Bloom distribution is drawn as a bar chart
+ */
+
+const PDFDocument = require('pdfkit');
+const {
+  STATUS_COLOURS,
+  formatDate,
+  formatPercent,
+  formatMarks,
+  formatMappedQuestions,
+  describeDetails,
+  describeStaleWarning,
+  describeSignOff
+} = require('./format');
+
+const MARGIN = 50;
+const CELL_PADDING = 4;
+
+/**
+ * Start a new page if the next block would run past the bottom margin
+ * @param {Object} doc - PDFDocument
+ * @param {number} height - Height of the next block
+ */
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - MARGIN) {
+    doc.addPage();
+  }
+}
+
+/**
+ * Write a section heading
+ * @param {Object} doc - PDFDocument
+ * @param {string} text - Heading
+ */
+function heading(doc, text) {
+  ensureSpace(doc, 40);
+  doc.moveDown(0.8);
+  doc.x = MARGIN;
+  doc.font('Helvetica-Bold').fontSize(13).fillColor('#000000').text(text);
+  doc.moveDown(0.3);
+}
+
+/**
+ * Draw a table, repeating the header row on each new page
+ * @param {Object} doc - PDFDocument
+ * @param {Array<Object>} columns - [{ header, width }] widths as fractions of the text width
+ * @param {Array<Array<string>>} rows - Cell text
+ * @param {Object} options - { colourCell(rowIndex, columnIndex) -> hex colour or null }
+ */
+function table(doc, columns, rows, options = {}) {
+  const totalWidth = doc.page.width - MARGIN * 2;
+  const widths = columns.map(column => column.width * totalWidth);
+
+  const drawRow = (cells, bold, rowIndex) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    const height = Math.max(...cells.map((cell, i) => doc.heightOfString(String(cell), { width: widths[i] - CELL_PADDING * 2 })))
+      + CELL_PADDING * 2;
+    if (doc.y + height > doc.page.height - MARGIN) {
+      doc.addPage();
+      if (!bold) drawRow(columns.map(column => column.header), true, -1);
+    }
+
+    const top = doc.y;
+    let left = MARGIN;
+    cells.forEach((cell, i) => {
+      if (bold) {
+        doc.rect(left, top, widths[i], height).fill('#E9ECEF');
+      }
+      doc.rect(left, top, widths[i], height).lineWidth(0.5).stroke('#ADB5BD');
+      const colour = !bold && options.colourCell ? options.colourCell(rowIndex, i) : null;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(colour ? `#${colour}` : '#000000')
+        .text(String(cell), left + CELL_PADDING, top + CELL_PADDING, { width: widths[i] - CELL_PADDING * 2 });
+      left += widths[i];
+    });
+    doc.fillColor('#000000');
+    doc.x = MARGIN;
+    doc.y = top + height;
+  };
+
+  drawRow(columns.map(column => column.header), true, -1);
+  rows.forEach((cells, rowIndex) => drawRow(cells, false, rowIndex));
+}
+
+/**
+ * Draw the Bloom distribution as horizontal bars of average coverage and marks share
+ * @param {Object} doc - PDFDocument
+ * @param {Array<Object>} distribution - Report's bloomDistribution
+ */
+function bloomChart(doc, distribution) {
+  const labelWidth = 80;
+  const barWidth = doc.page.width - MARGIN * 2 - labelWidth - 50;
+  const rowHeight = 22;
+  ensureSpace(doc, distribution.length * rowHeight + 30);
+
+  let top = doc.y;
+  doc.font('Helvetica').fontSize(8);
+  doc.rect(MARGIN + labelWidth, top, 8, 8).fill('#0D6EFD');
+  doc.fillColor('#000000').text('Average coverage', MARGIN + labelWidth + 12, top);
+  doc.rect(MARGIN + labelWidth + 110, top, 8, 8).fill('#6C757D');
+  doc.fillColor('#000000').text('Share of marks', MARGIN + labelWidth + 122, top);
+  top += 16;
+
+  for (const level of distribution) {
+    doc.font('Helvetica').fontSize(9).fillColor('#000000').text(level.bloomLevel, MARGIN, top + 4, { width: labelWidth });
+    const coverage = level.averageCoverage || 0;
+    const share = level.marksShare || 0;
+    doc.rect(MARGIN + labelWidth, top, barWidth * coverage / 100, 8).fill('#0D6EFD');
+    doc.rect(MARGIN + labelWidth, top + 10, barWidth * share / 100, 8).fill('#6C757D');
+    doc.fontSize(8).fillColor('#000000')
+      .text(level.loCount > 0 ? `${coverage}%` : 'no LOs', MARGIN + labelWidth + barWidth * coverage / 100 + 4, top)
+      .text(`${share}%`, MARGIN + labelWidth + barWidth * share / 100 + 4, top + 10);
+    top += rowHeight;
+  }
+
+  doc.x = MARGIN;
+  doc.y = top + 4;
+}
+
+/**
+ * Render a moderation report as a PDF
+ * @param {Object} report - Result of buildModerationReport
+ * @returns {Promise<Buffer>} - The PDF file
+ */
+function renderPdfReport(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: MARGIN,
+      bufferPages: true,
+      info: {
+        Title: `Moderation report - ${report.module.moduleCode} - ${report.run.label}`
+      }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica-Bold').fontSize(18).text('Moderation Report');
+    doc.font('Helvetica').fontSize(11).fillColor('#6C757D')
+      .text(`${report.module.moduleCode} - ${report.module.moduleName}`);
+    doc.fillColor('#000000');
+
+    heading(doc, 'Details');
+    table(doc, [{ header: 'Item', width: 0.25 }, { header: 'Value', width: 0.75 }], describeDetails(report));
+
+    const warning = describeStaleWarning(report.run.loStatus);
+    if (warning) {
+      doc.moveDown(0.5);
+      doc.font('Helvetica-Bold').fontSize(9).fillColor('#B02A37').text(warning);
+      doc.fillColor('#000000');
+    }
+
+    heading(doc, 'Summary');
+    const { stats, marks } = report;
+    doc.font('Helvetica').fontSize(10)
+      .text(`${stats.covered} of ${stats.totalLOs} learning outcomes covered, ${stats.partiallyCovered} partially covered, ${stats.notCovered} not covered. Average coverage ${stats.averageCoverage}%.`)
+      .text(`Questions analysed: ${report.questions.length}.`);
+
+    heading(doc, 'Learning Outcome Coverage');
+    table(doc, [
+      { header: 'LO', width: 0.08 },
+      { header: 'Description', width: 0.34 },
+      { header: 'Bloom', width: 0.12 },
+      { header: 'Coverage', width: 0.1 },
+      { header: 'Status', width: 0.12 },
+      { header: 'Mapped questions', width: 0.24 }
+    ], report.learningOutcomes.map(lo => [
+      lo.loId,
+      lo.description,
+      lo.bloomLevel,
+      formatPercent(lo.coveragePercentage),
+      lo.status,
+      formatMappedQuestions(lo.questions)
+    ]), {
+      colourCell: (rowIndex, columnIndex) => (columnIndex === 4 ? STATUS_COLOURS[report.learningOutcomes[rowIndex].status] : null)
+    });
+    doc.font('Helvetica').fontSize(8).fillColor('#6C757D')
+      .text('Similarity scores in brackets; * marks a mapping set by a moderator override.');
+    doc.fillColor('#000000');
+
+    heading(doc, "Bloom's Taxonomy Distribution");
+    bloomChart(doc, report.bloomDistribution);
+    table(doc, [
+      { header: 'Level', width: 0.25 },
+      { header: 'LOs', width: 0.15 },
+      { header: 'Average coverage', width: 0.2 },
+      { header: 'Marks', width: 0.2 },
+      { header: 'Share of marks', width: 0.2 }
+    ], report.bloomDistribution.map(level => [
+      level.bloomLevel,
+      String(level.loCount),
+      formatPercent(level.averageCoverage),
+      formatMarks(level.marks),
+      formatPercent(level.marksShare)
+    ]));
+
+    heading(doc, 'Marks Distribution');
+    doc.font('Helvetica').fontSize(10).text(marks.totalMarks !== null
+      ? `Paper total ${marks.totalMarks} marks: ${marks.allocatedMarks} attributed to learning outcomes, ${marks.unallocatedMarks} unallocated.`
+      : 'This run was analysed before marks weighting; no paper total is recorded.');
+    doc.moveDown(0.3);
+    table(doc, [
+      { header: 'LO', width: 0.15 },
+      { header: 'Marks', width: 0.2 },
+      { header: 'Share of marks', width: 0.2 },
+      { header: 'Questions', width: 0.45 }
+    ], report.learningOutcomes.map(lo => [
+      lo.loId,
+      formatMarks(lo.marksAllocated),
+      formatPercent(lo.marksShare),
+      lo.questions.map(q => `${q.number ? `Q${q.number}` : 'Q?'}: ${q.allocatedMarks}`).join(', ') || '-'
+    ]));
+
+    heading(doc, 'Questions');
+    table(doc, [
+      { header: 'No.', width: 0.08 },
+      { header: 'Question', width: 0.8 },
+      { header: 'Marks', width: 0.12 }
+    ], report.questions.map(q => [`Q${q.number}`, q.questionText, formatMarks(q.marks)]));
+
+    heading(doc, 'Moderator Comments');
+    if (report.comments.length === 0) {
+      doc.font('Helvetica').fontSize(10).text('No comments were recorded.');
+    }
+    for (const thread of report.comments) {
+      ensureSpace(doc, 50);
+      doc.font('Helvetica-Bold').fontSize(9)
+        .text(`${thread.target} - ${thread.author} (${thread.authorRole}), ${formatDate(thread.createdAt)}${thread.resolved ? ` - resolved${thread.resolvedBy ? ` by ${thread.resolvedBy}` : ''}` : ' - open'}`);
+      doc.font('Helvetica').fontSize(9).text(thread.body);
+      for (const reply of thread.replies) {
+        doc.font('Helvetica-Oblique').fontSize(9)
+          .text(`${reply.author} (${reply.authorRole}), ${formatDate(reply.createdAt)}: ${reply.body}`, MARGIN + 15);
+      }
+      doc.x = MARGIN;
+      doc.moveDown(0.5);
+    }
+
+    heading(doc, 'Sign-off');
+    ensureSpace(doc, 130);
+    for (const entry of describeSignOff(report)) {
+      const top = doc.y;
+      doc.font('Helvetica-Bold').fontSize(10).text(entry.role, MARGIN, top);
+      doc.font('Helvetica').fontSize(10)
+        .text(`Name: ${entry.name || '_______________________'}`, MARGIN + 120, top)
+        .text('Signature: ____________________', MARGIN + 120, top + 16)
+        .text(`Date: ${entry.date || '______________'}`, MARGIN + 330, top);
+      doc.x = MARGIN;
+      doc.y = top + 40;
+    }
+
+    // Page numbers, once the page count is known
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      // Writing inside the bottom margin would otherwise start a new page
+      doc.page.margins.bottom = 0;
+      doc.font('Helvetica').fontSize(8).fillColor('#6C757D')
+        .text(`${report.module.moduleCode} - ${report.run.label} - page ${i + 1} of ${range.count}`,
+          MARGIN, doc.page.height - MARGIN + 15, { width: doc.page.width - MARGIN * 2, align: 'center', lineBreak: false });
+    }
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  renderPdfReport
+};
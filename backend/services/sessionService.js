@@ -0,0 +1,337 @@
+/**
+ * Session Service
+ * Short-lived access tokens and rotating refresh tokens
+ * A sign-in creates a Session; its refresh token goes to the browser in an httpOnly cookie and is
+ * exchanged for a new one on every refresh. Access tokens name their session, so revoking the
+ * session ends them too. A refresh token that was already exchanged revokes its session, since
+ * only a copy of the token can still be presenting it - unless it arrives within a few seconds of
+ * its exchange, which is another tab of the same browser refreshing at the same moment.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+const REFRESH_COOKIE = 'loc_refresh';
+// How long after a rotation the replaced refresh token is still honoured, for tabs refreshing together
+const ROTATION_GRACE_MS = 30 * 1000;
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} token - Refresh token
+ * @returns {string} - Hex SHA-256
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate a new random refresh token
+ * @returns {string}
+ */
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+/**
+ * Describe the browser and operating system from a user agent string
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} - e.g. "Chrome on Windows"
+ */
+function describeDevice(userAgent = '') {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Windows', /Windows/],
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ];
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) {
+    return userAgent ? userAgent.slice(0, 60) : 'Unknown device';
+  }
+  return [browser && browser[0], system && `on ${system[0]}`].filter(Boolean).join(' ');
+}
+
+/**
+ * Read the client details stored with a session
+ * @param {Object} req - Express request
+ * @returns {Object} - { userAgent, device, ip }
+ */
+function describeClient(req) {
+  const userAgent = req.get('User-Agent') || '';
+  return {
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip || ''
+  };
+}
+
+/**
+ * Sign an access token for a session
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @returns {string} - JWT
+ */
+function signAccessToken(user, session) {
+  return jwt.sign(
+    { userId: user._id, role: user.role, sessionId: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Options for the refresh token cookie
+ * The cookie is only sent to the auth routes, and never readable from JavaScript.
+ * @returns {Object} - Express cookie options
+ */
+function refreshCookieOptions() {
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/api/auth',
+    maxAge: REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000
+  };
+}
+
+/**
+ * Put a refresh token in the response's cookie
+ * @param {Object} res - Express response
+ * @param {string} refreshToken - Refresh token
+ */
+function setRefreshCookie(res, refreshToken) {
+  res.cookie(REFRESH_COOKIE, refreshToken, refreshCookieOptions());
+}
+
+/**
+ * Remove the refresh token cookie
+ * @param {Object} res - Express response
+ */
+function clearRefreshCookie(res) {
+  const { maxAge, ...options } = refreshCookieOptions();
+  res.clearCookie(REFRESH_COOKIE, options);
+}
+
+/**
+ * Start a session for a user who has just signed in
+ * @param {Object} user - User document
+ * @param {Object} req - Express request, for the device and IP
+ * @returns {Promise<Object>} - { session, accessToken, refreshToken }
+ */
+async function createSession(user, req) {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    ...describeClient(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return { session, accessToken: signAccessToken(user, session), refreshToken };
+}
+
+/**
+ * Revoke a session
+ * @param {Object} session - Session document
+ * @param {string} reason - 'logout', 'logout-all', 'revoked', 'admin', 'token-reuse' or 'password-reset'
+ * @param {Object|null} revokedBy - User revoking it, when not the session's own user
+ * @returns {Promise<Object>} - The saved session
+ */
+async function revokeSession(session, reason, revokedBy = null) {
+  session.revokedAt = new Date();
+  session.revokedReason = reason;
+  session.revokedBy = revokedBy ? revokedBy._id : null;
+  return session.save();
+}
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - As for revokeSession
+ * @param {Object|null} revokedBy - User revoking them, when not the user themselves
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+async function revokeUserSessions(userId, reason, revokedBy = null) {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason, revokedBy: revokedBy ? revokedBy._id : null }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Revoke the session a refresh token belongs to, if it is still active
+ * @param {string} refreshToken - Token from the cookie
+ * @param {string} reason - As for revokeSession
+ * @returns {Promise<Object|null>} - The revoked session, or null when there was none
+ */
+async function revokeSessionByToken(refreshToken, reason) {
+  if (!refreshToken) return null;
+  const session = await Session.findOne({ refreshTokenHash: hashToken(refreshToken), revokedAt: null });
+  return session ? revokeSession(session, reason) : null;
+}
+
+/**
+ * Check that a session and its user may still be refreshed
+ * @param {Object} session - Session document with its user populated
+ * @returns {string|null} - Why the session cannot be refreshed, or null when it can
+ */
+function checkRefreshable(session) {
+  if (session.revokedAt) {
+    return 'This session has been ended. Please sign in again';
+  }
+  if (session.expiresAt <= new Date()) {
+    return 'This session has expired. Please sign in again';
+  }
+  if (!session.user) {
+    return 'User not found';
+  }
+  if (session.user.active === false) {
+    return 'This account has been deactivated';
+  }
+  return null;
+}
+
+/**
+ * Answer a refresh token that was replaced by a rotation
+ * Within the grace period the browser already holds the new token, set by the refresh that won,
+ * so only an access token is issued. After it, the token must have been copied: the session ends.
+ * @param {string} tokenHash - Hash of the presented token
+ * @returns {Promise<Object>} - As for rotateSession, with refreshToken null
+ */
+async function answerReplacedToken(tokenHash) {
+  const session = await Session.findOne({ previousTokenHash: tokenHash, revokedAt: null }).populate('user', '-password');
+  if (!session) {
+    return { error: 'Invalid refresh token' };
+  }
+  if (!session.rotatedAt || Date.now() - session.rotatedAt.getTime() > ROTATION_GRACE_MS) {
+    await revokeSession(session, 'token-reuse');
+    return { error: 'This refresh token was already used; the session has been ended. Please sign in again' };
+  }
+
+  const refusal = checkRefreshable(session);
+  if (refusal) {
+    return { error: refusal };
+  }
+  return {
+    session,
+    user: session.user,
+    accessToken: signAccessToken(session.user, session),
+    refreshToken: null
+  };
+}
+
+/**
+ * Exchange a refresh token for a new refresh token and access token
+ * The exchange only succeeds for the request that replaces the stored hash, so two requests
+ * presenting the same token cannot both rotate it.
+ * @param {string} refreshToken - Token from the cookie
+ * @param {Object} req - Express request, for the device and IP
+ * @returns {Promise<Object>} - { session, user, accessToken, refreshToken }, or { error } when the token is not accepted;
+ *   refreshToken is null when the browser already holds the current one
+ */
+async function rotateSession(refreshToken, req) {
+  if (!refreshToken) {
+    return { error: 'No refresh token' };
+  }
+  const tokenHash = hashToken(refreshToken);
+
+  const current = await Session.findOne({ refreshTokenHash: tokenHash }).populate('user', '-password');
+  if (!current) {
+    return answerReplacedToken(tokenHash);
+  }
+  const refusal = checkRefreshable(current);
+  if (refusal) {
+    return { error: refusal };
+  }
+
+  const nextToken = generateRefreshToken();
+  const now = new Date();
+  const session = await Session.findOneAndUpdate(
+    { _id: current._id, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      $set: {
+        previousTokenHash: tokenHash,
+        refreshTokenHash: hashToken(nextToken),
+        rotatedAt: now,
+        lastUsedAt: now,
+        ip: describeClient(req).ip
+      }
+    },
+    { new: true }
+  ).populate('user', '-password');
+  if (!session) {
+    // Another request rotated the token first
+    return answerReplacedToken(tokenHash);
+  }
+
+  return {
+    session,
+    user: session.user,
+    accessToken: signAccessToken(session.user, session),
+    refreshToken: nextToken
+  };
+}
+
+/**
+ * Find the active session an access token belongs to
+ * @param {string} sessionId - Session ID from the access token
+ * @returns {Promise<Object|null>} - Session document, or null when missing, revoked or expired
+ */
+async function findActiveSession(sessionId) {
+  if (!sessionId) return null;
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return null;
+  }
+  return session;
+}
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {string} userId - User ID
+ * @param {string|null} currentSessionId - Session of the request, marked as current
+ * @returns {Promise<Array<Object>>} - [{ _id, device, ip, userAgent, createdAt, lastUsedAt, expiresAt, current }]
+ */
+async function listSessions(userId, currentSessionId = null) {
+  const sessions = await Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+
+  return sessions.map(session => ({
+    _id: session._id,
+    device: session.device,
+    ip: session.ip,
+    userAgent: session.userAgent,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: currentSessionId !== null && String(session._id) === String(currentSessionId)
+  }));
+}
+
+module.exports = {
+  REFRESH_COOKIE,
+  describeDevice,
+  setRefreshCookie,
+  clearRefreshCookie,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeSessionByToken,
+  revokeUserSessions,
+  findActiveSession,
+  listSessions
+};
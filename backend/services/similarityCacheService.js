@@ -0,0 +1,73 @@
+/**
+ * Similarity Cache Service
+ * Looks up and stores LO/question similarity scores keyed by text hashes and model name
+ */
+
+const crypto = require('crypto');
+const SimilarityCache = require('../models/SimilarityCache');
+
+/**
+ * Hash text for cache lookups
+ * Whitespace and letter case are normalised so cosmetic edits still hit the cache.
+ * @param {string} text - Text to hash
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashText(text) {
+  const normalised = (text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  return crypto.createHash('sha256').update(normalised).digest('hex');
+}
+
+/**
+ * Build the in-memory key for a cached pair
+ * @param {string} loHash - Learning outcome hash
+ * @param {string} questionHash - Question hash
+ * @returns {string} - Combined key
+ */
+function getPairKey(loHash, questionHash) {
+  return `${loHash}:${questionHash}`;
+}
+
+/**
+ * Fetch all cached scores for the given LO and question hashes
+ * @param {Array<string>} loHashes - Learning outcome hashes
+ * @param {Array<string>} questionHashes - Question hashes
+ * @param {string} model - Model name the scores were produced with
+ * @returns {Promise<Map<string, Object>>} - Cache entries keyed by getPairKey
+ */
+async function getCachedScores(loHashes, questionHashes, model) {
+  const entries = await SimilarityCache.find({
+    model,
+    loHash: { $in: loHashes },
+    questionHash: { $in: questionHashes }
+  });
+
+  const cached = new Map();
+  for (const entry of entries) {
+    cached.set(getPairKey(entry.loHash, entry.questionHash), entry);
+  }
+  return cached;
+}
+
+/**
+ * Store a computed score, replacing any previous entry for the same pair and model
+ * @param {string} loHash - Learning outcome hash
+ * @param {string} questionHash - Question hash
+ * @param {string} model - Model name the score was produced with
+ * @param {number} similarityScore - Score between 0 and 1
+ * @param {Object} evidence - Optional { rationale, demonstratedBloomLevel, matchedPhrases } returned with the score
+ */
+async function storeCachedScore(loHash, questionHash, model, similarityScore, evidence = {}) {
+  const { rationale = '', demonstratedBloomLevel = null, matchedPhrases = [] } = evidence;
+  await SimilarityCache.updateOne(
+    { loHash, questionHash, model },
+    { $set: { similarityScore, rationale, demonstratedBloomLevel, matchedPhrases } },
+    { upsert: true }
+  );
+}
+
+module.exports = {
+  hashText,
+  getPairKey,
+  getCachedScores,
+  storeCachedScore
+};
@@ -0,0 +1,60 @@
+/**
+ * Tests for the validation of batched LLM scoring responses
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateBatchScores } = require('../services/openaiService');
+
+const learningOutcomes = [
+  { loId: 'LO1', description: 'Explain stacks' },
+  { loId: 'LO2', description: 'Implement queues' }
+];
+
+describe('validateBatchScores', () => {
+  it('keeps a score for every requested LO', () => {
+    const scores = validateBatchScores({
+      scores: [
+        { loId: 'LO1', score: 0.8, rationale: ' Asks for an explanation ' },
+        { loId: 'LO2', score: '0.25' }
+      ]
+    }, learningOutcomes);
+
+    assert.deepEqual(Object.keys(scores), ['LO1', 'LO2']);
+    assert.equal(scores.LO1.similarityScore, 0.8);
+    assert.equal(scores.LO1.rationale, 'Asks for an explanation');
+    assert.equal(scores.LO2.similarityScore, 0.25);
+  });
+
+  it('clamps scores to between 0 and 1', () => {
+    const scores = validateBatchScores({
+      scores: [{ loId: 'LO1', score: 1.4 }, { loId: 'LO2', score: -0.2 }]
+    }, learningOutcomes);
+
+    assert.equal(scores.LO1.similarityScore, 1);
+    assert.equal(scores.LO2.similarityScore, 0);
+  });
+
+  it('leaves out LOs that were not asked for or have no numeric score', () => {
+    const scores = validateBatchScores({
+      scores: [{ loId: 'LO9', score: 0.9 }, { loId: 'LO1', score: 'high' }, null, { loId: 'LO2', score: 0.5 }]
+    }, learningOutcomes);
+
+    assert.deepEqual(Object.keys(scores), ['LO2']);
+  });
+
+  it('returns nothing for a response without a scores list', () => {
+    assert.deepEqual(validateBatchScores({ score: 0.5 }, learningOutcomes), {});
+    assert.deepEqual(validateBatchScores(null, learningOutcomes), {});
+  });
+
+  it('drops malformed evidence without dropping the score', () => {
+    const scores = validateBatchScores({
+      scores: [{ loId: 'LO1', score: 0.7, demonstratedBloomLevel: 'Memorise', matchedPhrases: ['stack', 3, ' ', ' push '] }]
+    }, learningOutcomes);
+
+    assert.equal(scores.LO1.similarityScore, 0.7);
+    assert.equal(scores.LO1.demonstratedBloomLevel, null);
+    assert.deepEqual(scores.LO1.matchedPhrases, ['stack', 'push']);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests for blueprint validation and the greedy selection of questions against its targets
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateBlueprint, getTargets, selectCandidates } = require('../services/blueprintService');
+
+const courseModule = { learningOutcomes: [{ loId: 'LO1' }, { loId: 'LO2' }] };
+
+describe('validateBlueprint', () => {
+  it('keeps the cleaned values of a valid blueprint', () => {
+    const { blueprint, errors } = validateBlueprint({
+      name: ' Final exam ',
+      totalMarks: '100',
+      durationMinutes: 120,
+      loTargets: [{ loId: 'LO1', marks: 60 }, { loId: 'LO2', marks: '40' }],
+      bloomTargets: [{ bloomLevel: 'Apply', share: 50 }, { bloomLevel: 'Analyze', share: 0 }],
+      mcqShare: 20
+    }, courseModule);
+
+    assert.deepEqual(errors, []);
+    assert.equal(blueprint.name, 'Final exam');
+    assert.equal(blueprint.totalMarks, 100);
+    assert.deepEqual(blueprint.loTargets, [{ loId: 'LO1', marks: 60 }, { loId: 'LO2', marks: 40 }]);
+    assert.deepEqual(blueprint.bloomTargets, [{ bloomLevel: 'Apply', share: 50 }]);
+    assert.equal(blueprint.mcqShare, 20);
+  });
+
+  it('requires LO targets to add up to the paper total', () => {
+    const { errors } = validateBlueprint({
+      name: 'Final exam',
+      totalMarks: 100,
+      loTargets: [{ loId: 'LO1', marks: 60 }]
+    }, courseModule);
+
+    assert.deepEqual(errors, ['LO targets add up to 60 marks but the paper totals 100']);
+  });
+
+  it('refuses totals below 1 mark', () => {
+    for (const totalMarks of [0, 0.5, '', 'many']) {
+      const { errors } = validateBlueprint({ name: 'Quiz', totalMarks }, courseModule);
+      assert.ok(errors.includes('Total marks must be at least 1'), `accepted ${JSON.stringify(totalMarks)}`);
+    }
+  });
+
+  it('reports LOs from other modules, unknown Bloom levels and out of range shares', () => {
+    const { errors } = validateBlueprint({
+      name: 'Quiz',
+      totalMarks: 10,
+      loTargets: [{ loId: 'LO9', marks: 10 }],
+      bloomTargets: [{ bloomLevel: 'Memorise', share: 10 }, { bloomLevel: 'Apply', share: 120 }],
+      mcqShare: -5
+    }, courseModule);
+
+    assert.equal(errors.length, 5);
+    assert.match(errors[0], /"LO9" is not part of this module/);
+  });
+});
+
+describe('selectCandidates', () => {
+  const blueprint = {
+    totalMarks: 20,
+    loTargets: [{ loId: 'LO1', marks: 10 }, { loId: 'LO2', marks: 10 }],
+    bloomTargets: [{ bloomLevel: 'Apply', share: 50 }],
+    mcqShare: null
+  };
+  const candidate = (id, loId, marks, bloomLevel, similarityScore = 0.8) => ({
+    question: { _id: id },
+    loId,
+    bloomLevel,
+    type: 'Structured',
+    marks,
+    similarityScore
+  });
+  const select = (candidates) => {
+    const targets = getTargets(blueprint);
+    const remaining = { lo: new Map(targets.lo), bloom: new Map(targets.bloom), type: new Map(targets.type) };
+    const selection = [];
+    const budget = { marks: blueprint.totalMarks };
+    selectCandidates(candidates, selection, targets, remaining, budget);
+    return { selection, remaining, budget };
+  };
+
+  it('fills every LO target without overrunning the paper', () => {
+    const { selection, remaining, budget } = select([
+      candidate('q1', 'LO1', 10, 'Apply'),
+      candidate('q2', 'LO1', 10, 'Apply'),
+      candidate('q3', 'LO2', 10, 'Understand')
+    ]);
+
+    assert.deepEqual(selection.map(c => c.question._id).sort(), ['q1', 'q3']);
+    assert.equal(remaining.lo.get('LO1'), 0);
+    assert.equal(remaining.lo.get('LO2'), 0);
+    assert.equal(budget.marks, 0);
+  });
+
+  it('prefers the candidate that also fills a Bloom target, then the more relevant one', () => {
+    const { selection } = select([
+      candidate('understand', 'LO1', 10, 'Understand', 0.95),
+      candidate('weak', 'LO1', 10, 'Apply', 0.6),
+      candidate('strong', 'LO1', 10, 'Apply', 0.9)
+    ]);
+
+    assert.deepEqual(selection.map(c => c.question._id), ['strong']);
+  });
+
+  it('skips questions for LOs the blueprint does not target and questions too long for the paper', () => {
+    const { selection } = select([
+      candidate('untargeted', 'LO3', 5, 'Apply'),
+      candidate('too-long', 'LO2', 25, 'Apply')
+    ]);
+
+    assert.deepEqual(selection, []);
+  });
+});
+
+describe('getTargets', () => {
+  it('turns Bloom and MCQ shares into marks', () => {
+    const targets = getTargets({
+      totalMarks: 50,
+      loTargets: [{ loId: 'LO1', marks: 50 }],
+      bloomTargets: [{ bloomLevel: 'Apply', share: 30 }],
+      mcqShare: 40
+    });
+
+    assert.equal(targets.bloom.get('Apply'), 15);
+    assert.equal(targets.type.get('MCQ'), 20);
+    assert.equal(targets.type.get('Structured'), 30);
+  });
+});
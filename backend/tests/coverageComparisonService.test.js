@@ -0,0 +1,22 @@
+/**
+ * Tests for reading the run keys compared coverage runs are named by
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRunKey } = require('../services/coverageComparisonService');
+
+describe('parseRunKey', () => {
+  it('reads the default, tagged and paper runs', () => {
+    const paperId = '64b7f0c2a1b2c3d4e5f60718';
+    assert.deepEqual(parseRunKey('default'), { paperId: null, analysisTag: null });
+    assert.deepEqual(parseRunKey('tag:mid-term'), { paperId: null, analysisTag: 'mid-term' });
+    assert.deepEqual(parseRunKey(`paper:${paperId}`), { paperId, analysisTag: null });
+  });
+
+  it('rejects unknown keys, empty tags and malformed paper IDs', () => {
+    for (const key of ['latest', 'tag:', 'paper:', 'paper:not-an-id']) {
+      assert.equal(parseRunKey(key), null, key);
+    }
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Tests for per-module analysis settings and the coverage formula
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_ANALYSIS_SETTINGS,
+  resolveAnalysisSettings,
+  validateAnalysisSettings,
+  summariseCoverage
+} = require('../services/coverageSettings');
+
+describe('validateAnalysisSettings', () => {
+  it('applies valid values on top of the defaults', () => {
+    const { settings, errors } = validateAnalysisSettings({ relevanceThreshold: '0.4', coveredThreshold: 80, aggregation: 'max' });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(settings, { ...DEFAULT_ANALYSIS_SETTINGS, relevanceThreshold: 0.4, coveredThreshold: 80, aggregation: 'max' });
+  });
+
+  it('rejects empty values instead of reading them as 0', () => {
+    for (const value of [null, '', '  ', true]) {
+      const { errors } = validateAnalysisSettings({ relevanceThreshold: value, partialThreshold: value, minQuestionsPerLO: value });
+      assert.equal(errors.length, 3, `accepted ${JSON.stringify(value)}`);
+    }
+  });
+
+  it('rejects out of range values and unknown aggregations', () => {
+    const { errors } = validateAnalysisSettings({ relevanceThreshold: 1.5, coveredThreshold: 120, aggregation: 'median', minQuestionsPerLO: 1.5 });
+    assert.equal(errors.length, 4);
+  });
+
+  it('keeps the partial threshold at or below the covered threshold', () => {
+    const { errors } = validateAnalysisSettings({ partialThreshold: 60 }, { ...DEFAULT_ANALYSIS_SETTINGS, coveredThreshold: 50 });
+    assert.deepEqual(errors, ['Partially covered threshold cannot be higher than the covered threshold']);
+  });
+});
+
+describe('resolveAnalysisSettings', () => {
+  it('fills in defaults for modules without settings', () => {
+    assert.deepEqual(resolveAnalysisSettings({}), DEFAULT_ANALYSIS_SETTINGS);
+    assert.equal(resolveAnalysisSettings({ analysisSettings: { coveredThreshold: 90 } }).coveredThreshold, 90);
+  });
+});
+
+describe('summariseCoverage', () => {
+  const matches = [{ similarityScore: 0.9, marks: 10 }, { similarityScore: 0.5, marks: 30 }];
+
+  it('aggregates scores by mean, maximum or marks', () => {
+    assert.equal(summariseCoverage(matches, { ...DEFAULT_ANALYSIS_SETTINGS }).coveragePercentage, 70);
+    assert.equal(summariseCoverage(matches, { ...DEFAULT_ANALYSIS_SETTINGS, aggregation: 'max' }).coveragePercentage, 90);
+    assert.equal(summariseCoverage(matches, { ...DEFAULT_ANALYSIS_SETTINGS, aggregation: 'weighted-marks' }).coveragePercentage, 60);
+  });
+
+  it('caps the status when too few questions match', () => {
+    const settings = { ...DEFAULT_ANALYSIS_SETTINGS, minQuestionsPerLO: 3 };
+    assert.equal(summariseCoverage(matches, DEFAULT_ANALYSIS_SETTINGS).status, 'Covered');
+    assert.equal(summariseCoverage(matches, settings).status, 'Partially Covered');
+    assert.equal(summariseCoverage([], settings).status, 'Not Covered');
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Tests for CSV reading and writing
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, formatCsvValue } = require('../utils/csv');
+
+describe('formatCsvValue', () => {
+  it('writes empty cells for missing values', () => {
+    assert.equal(formatCsvValue(null), '');
+    assert.equal(formatCsvValue(undefined), '');
+  });
+
+  it('leaves plain values and numbers as they are', () => {
+    assert.equal(formatCsvValue('Covered'), 'Covered');
+    assert.equal(formatCsvValue(0.75), '0.75');
+    assert.equal(formatCsvValue(-3), '-3');
+  });
+
+  it('quotes values holding commas, quotes or line breaks', () => {
+    assert.equal(formatCsvValue('Trees, graphs'), '"Trees, graphs"');
+    assert.equal(formatCsvValue('Say "hello"'), '"Say ""hello"""');
+    assert.equal(formatCsvValue('Line one\nLine two'), '"Line one\nLine two"');
+  });
+
+  it('stops spreadsheets from evaluating text that starts like a formula', () => {
+    assert.equal(formatCsvValue('=SUM(A1:A3)'), '\'=SUM(A1:A3)');
+    assert.equal(formatCsvValue('@cmd'), '\'@cmd');
+    assert.equal(formatCsvValue('-1 is not a number here'), '\'-1 is not a number here');
+  });
+});
+
+describe('parseCsv', () => {
+  it('reads quoted cells, CRLF line endings and a byte order mark', () => {
+    assert.deepEqual(parseCsv('﻿type,name\r\nlo,"Explain ""why"", briefly"\r\n'), [
+      ['type', 'name'],
+      ['lo', 'Explain "why", briefly']
+    ]);
+  });
+
+  it('skips blank lines', () => {
+    assert.deepEqual(parseCsv('a,b\n\n,\nc,d'), [['a', 'b'], ['c', 'd']]);
+  });
+
+  it('reads back what formatCsvValue writes', () => {
+    const values = ['plain', 'with, comma', 'with "quotes"', 'two\nlines'];
+    assert.deepEqual(parseCsv(values.map(formatCsvValue).join(',')), [values]);
+  });
+});
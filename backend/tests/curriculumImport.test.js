@@ -0,0 +1,186 @@
+/**
+ * Tests for reading module specs from CSV, JSON and module descriptors
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normaliseBloomLevel,
+  parseCsvSpec,
+  parseJsonSpec,
+  parseDescriptorText,
+  validateModuleSpec
+} = require('../services/curriculumImportService');
+
+describe('normaliseBloomLevel', () => {
+  it('accepts levels in any case and spacing', () => {
+    assert.equal(normaliseBloomLevel(' understand '), 'Understand');
+    assert.equal(normaliseBloomLevel('APPLY'), 'Apply');
+  });
+
+  it('returns null for unknown levels', () => {
+    assert.equal(normaliseBloomLevel('Memorise'), null);
+    assert.equal(normaliseBloomLevel(''), null);
+  });
+});
+
+describe('parseCsvSpec', () => {
+  it('reads the module, topics, subtopics and LOs', () => {
+    const { spec, errors } = parseCsvSpec([
+      'type,id,name,topic,bloomLevel',
+      'module,CS101,Data Structures',
+      'topic,,Trees',
+      'subtopic,,AVL trees,Trees',
+      'lo,LO1,Explain tree rotations,,Understand'
+    ].join('\n'));
+
+    assert.deepEqual(errors, []);
+    assert.equal(spec.moduleCode, 'CS101');
+    assert.equal(spec.moduleName, 'Data Structures');
+    assert.deepEqual(spec.topics, [{ topicName: 'Trees', subtopics: ['AVL trees'] }]);
+    assert.equal(spec.learningOutcomes.length, 1);
+    assert.equal(spec.learningOutcomes[0].loId, 'LO1');
+    assert.equal(spec.learningOutcomes[0].bloomLevel, 'Understand');
+    assert.equal(spec.learningOutcomes[0].bloomSource, 'given');
+  });
+
+  it('detects the Bloom level of an LO from its verb when none is given', () => {
+    const { spec } = parseCsvSpec('type,name\nlo,Design a hash table');
+
+    assert.equal(spec.learningOutcomes[0].bloomLevel, 'Create');
+    assert.equal(spec.learningOutcomes[0].bloomSource, 'detected');
+  });
+
+  it('names the rows it cannot use', () => {
+    const { errors } = parseCsvSpec('type,name,topic\nchapter,Intro\nsubtopic,Orphan,Graphs');
+
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /^Row 2: unknown type "chapter"/);
+    assert.match(errors[1], /^Row 3: topic "Graphs" must be listed before its subtopics/);
+  });
+
+  it('refuses a file without type and name columns', () => {
+    assert.throws(() => parseCsvSpec('id,description\nLO1,Explain'), /type and name/);
+    assert.throws(() => parseCsvSpec(''), /empty/);
+  });
+});
+
+describe('parseJsonSpec', () => {
+  it('accepts plain names and objects for topics and LOs', () => {
+    const { spec, errors } = parseJsonSpec({
+      code: 'CS101',
+      name: 'Data Structures',
+      topics: ['Trees', { name: 'Hashing', subtopics: ['Open addressing'] }],
+      learningOutcomes: ['Explain tree rotations', { id: 'LO2', text: 'Implement a hash table', bloom: 'apply' }]
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(spec.moduleCode, 'CS101');
+    assert.deepEqual(spec.topics.map(topic => topic.topicName), ['Trees', 'Hashing']);
+    assert.deepEqual(spec.topics[1].subtopics, ['Open addressing']);
+    assert.equal(spec.learningOutcomes[1].loId, 'LO2');
+    assert.equal(spec.learningOutcomes[1].bloomLevel, 'Apply');
+  });
+
+  it('reports entries that are neither names nor objects', () => {
+    const { spec, errors } = parseJsonSpec({ topics: [null, 'Trees'], learningOutcomes: [42] });
+
+    assert.equal(spec.topics.length, 1);
+    assert.equal(spec.learningOutcomes.length, 0);
+    assert.equal(errors.length, 2);
+  });
+
+  it('reports topics or LOs that are not lists', () => {
+    const { errors } = parseJsonSpec({ topics: 'Trees', learningOutcomes: { LO1: 'Explain' } });
+
+    assert.deepEqual(errors, ['topics must be a list', 'learningOutcomes must be a list']);
+  });
+
+  it('refuses JSON that is not an object', () => {
+    assert.throws(() => parseJsonSpec([]), /must be an object/);
+    assert.throws(() => parseJsonSpec(null), /must be an object/);
+  });
+});
+
+describe('parseDescriptorText', () => {
+  it('finds the code, name, learning outcomes and syllabus topics', () => {
+    const { spec, warnings } = parseDescriptorText([
+      'CS2040 - Data Structures',
+      'Module code: CS2040',
+      'Learning Outcomes',
+      'On completion students will be able to:',
+      '1. Explain the behaviour of stacks and queues.',
+      '2. Implement balanced search trees',
+      'Syllabus',
+      'Trees: AVL trees, red-black trees',
+      'Hashing'
+    ].join('\n'));
+
+    assert.deepEqual(warnings, []);
+    assert.equal(spec.moduleCode, 'CS2040');
+    assert.equal(spec.moduleName, 'Data Structures');
+    assert.deepEqual(spec.learningOutcomes.map(lo => lo.description), [
+      'Explain the behaviour of stacks and queues',
+      'Implement balanced search trees'
+    ]);
+    assert.deepEqual(spec.topics, [
+      { topicName: 'Trees', subtopics: ['AVL trees', 'red-black trees'] },
+      { topicName: 'Hashing', subtopics: [] }
+    ]);
+  });
+
+  it('warns when the sections are missing', () => {
+    const { spec, warnings } = parseDescriptorText('CS2040 Data Structures\nAssessment: exam');
+
+    assert.equal(spec.learningOutcomes.length, 0);
+    assert.equal(warnings.length, 2);
+  });
+});
+
+describe('validateModuleSpec', () => {
+  const validSpec = () => ({
+    moduleCode: 'cs101',
+    moduleName: 'Data Structures',
+    topics: [{ topicName: 'Trees', subtopics: ['AVL trees', ''] }],
+    learningOutcomes: [
+      { loId: 'LO2', description: 'Explain rotations', bloomLevel: 'Understand' },
+      { description: 'Implement a heap', bloomLevel: 'Apply' }
+    ]
+  });
+
+  it('cleans the values and numbers LOs without an ID', () => {
+    const { values, errors } = validateModuleSpec(validSpec());
+
+    assert.deepEqual(errors, []);
+    assert.equal(values.moduleCode, 'CS101');
+    assert.deepEqual(values.topics[0].subtopics, ['AVL trees']);
+    assert.deepEqual(values.learningOutcomes.map(lo => lo.loId), ['LO2', 'LO1']);
+  });
+
+  it('reports duplicate topics and LO IDs, and missing Bloom levels', () => {
+    const spec = validSpec();
+    spec.topics.push({ topicName: 'trees' });
+    spec.learningOutcomes.push({ loId: 'lo2', description: 'Compare heaps', bloomLevel: 'Analyse' });
+    spec.learningOutcomes.push({ loId: 'LO3', description: 'Sort lists' });
+
+    const { errors } = validateModuleSpec(spec);
+
+    assert.deepEqual(errors, [
+      'Topic "trees" is listed more than once',
+      'LO2 is used by more than one learning outcome',
+      'LO3: no Bloom\'s level was given or detected; choose one'
+    ]);
+  });
+
+  it('reports malformed modules, topics and LOs instead of failing', () => {
+    assert.equal(validateModuleSpec(null).errors.length, 1);
+    assert.deepEqual(
+      validateModuleSpec({ moduleCode: 'CS1', moduleName: 'Intro', learningOutcomes: 'LO1' }).errors,
+      ['learningOutcomes must be a list']
+    );
+    assert.equal(
+      validateModuleSpec({ moduleCode: 'CS1', moduleName: 'Intro', topics: [null], learningOutcomes: [null] }).errors.length,
+      2
+    );
+  });
+});
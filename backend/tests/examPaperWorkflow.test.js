@@ -0,0 +1,119 @@
+/**
+ * Tests for the exam paper moderation workflow
+ */
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Coverage = require('../models/Coverage');
+const Question = require('../models/Question');
+const { getAvailableActions, validateTransition } = require('../services/examPaperWorkflow');
+
+const setter = { _id: new mongoose.Types.ObjectId(), role: 'lecturer' };
+const moderator = { _id: new mongoose.Types.ObjectId(), role: 'moderator' };
+const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+const questionIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+
+const buildPaper = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  moduleId: new mongoose.Types.ObjectId(),
+  status: 'Draft',
+  setter: setter._id,
+  moderator: moderator._id,
+  totalMarks: 20,
+  sections: [{ title: 'Section A', questions: questionIds.map(questionId => ({ questionId, marks: 10 })) }],
+  sectionsUpdatedAt: null,
+  ...overrides
+});
+
+/**
+ * Make Coverage.findOne resolve to a run, through the sort and select the workflow chains on it
+ * @param {Object|null} coverage - Latest coverage report
+ */
+function mockLatestCoverage(coverage) {
+  mock.method(Coverage, 'findOne', () => ({
+    sort() { return this; },
+    select: async () => coverage
+  }));
+}
+
+afterEach(() => mock.restoreAll());
+
+describe('getAvailableActions', () => {
+  it('offers each role only its own actions', () => {
+    assert.deepEqual(getAvailableActions(buildPaper(), setter), ['submit']);
+    assert.deepEqual(getAvailableActions(buildPaper(), moderator), []);
+    assert.deepEqual(
+      getAvailableActions(buildPaper({ status: 'Submitted for Moderation' }), moderator),
+      ['request-changes', 'approve']
+    );
+  });
+
+  it('lets admins lock approved papers they do not moderate', () => {
+    assert.deepEqual(getAvailableActions(buildPaper({ status: 'Approved' }), admin), ['lock']);
+  });
+
+  it('offers nothing to an assigned moderator whose role cannot moderate', () => {
+    const paper = buildPaper({ status: 'Submitted for Moderation', moderator: setter._id });
+    assert.deepEqual(getAvailableActions(paper, setter), []);
+  });
+});
+
+describe('validateTransition', () => {
+  it('rejects unknown actions and actions from the wrong state', async () => {
+    assert.equal((await validateTransition(buildPaper(), 'publish', setter)).status, 400);
+    assert.equal((await validateTransition(buildPaper(), 'approve', moderator)).status, 409);
+  });
+
+  it('lets only the assigned setter submit', async () => {
+    const refusal = await validateTransition(buildPaper(), 'submit', moderator);
+    assert.deepEqual(refusal, { status: 403, message: 'Only the paper\'s setter can submit it' });
+  });
+
+  it('checks the paper is ready before it is submitted', async () => {
+    assert.match((await validateTransition(buildPaper({ moderator: null }), 'submit', setter)).message, /Assign a moderator/);
+    assert.match((await validateTransition(buildPaper({ sections: [] }), 'submit', setter)).message, /Add questions/);
+    assert.match((await validateTransition(buildPaper({ totalMarks: 30 }), 'submit', setter)).message, /carry 20 marks/);
+    assert.equal(await validateTransition(buildPaper(), 'submit', setter), null);
+  });
+
+  it('requires a comment when requesting changes', async () => {
+    const paper = buildPaper({ status: 'Submitted for Moderation' });
+    assert.equal((await validateTransition(paper, 'request-changes', moderator, '  ')).status, 400);
+    assert.equal(await validateTransition(paper, 'request-changes', moderator, 'Rebalance section A'), null);
+  });
+
+  describe('approval', () => {
+    const analyzedAt = new Date('2026-03-02T10:00:00Z');
+    const submitted = (overrides) => buildPaper({ status: 'Submitted for Moderation', ...overrides });
+
+    it('needs a coverage analysis of the paper', async () => {
+      mockLatestCoverage(null);
+      assert.match((await validateTransition(submitted(), 'approve', moderator)).message, /Run a coverage analysis/);
+    });
+
+    it('accepts an analysis of the paper as it stands', async () => {
+      mockLatestCoverage({ analyzedAt, analyzedQuestions: [...questionIds].reverse() });
+      mock.method(Question, 'exists', async () => null);
+      assert.equal(await validateTransition(submitted(), 'approve', moderator), null);
+    });
+
+    it('refuses an analysis of a different set of questions', async () => {
+      mockLatestCoverage({ analyzedAt, analyzedQuestions: [questionIds[0]] });
+      assert.match((await validateTransition(submitted(), 'approve', moderator)).message, /questions have changed/);
+    });
+
+    it('refuses an analysis that started before the sections last changed', async () => {
+      mockLatestCoverage({ analyzedAt, analyzedQuestions: questionIds });
+      const paper = submitted({ sectionsUpdatedAt: new Date('2026-03-02T10:05:00Z') });
+      assert.match((await validateTransition(paper, 'approve', moderator)).message, /questions or marks have changed/);
+    });
+
+    it('refuses an analysis that started before one of the questions was edited', async () => {
+      mockLatestCoverage({ analyzedAt, analyzedQuestions: questionIds });
+      const exists = mock.method(Question, 'exists', async () => ({ _id: questionIds[1] }));
+      assert.match((await validateTransition(submitted(), 'approve', moderator)).message, /edited after/);
+      assert.deepEqual(exists.mock.calls[0].arguments[0].updatedAt, { $gt: analyzedAt });
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Tests for module team roles and the access they grant
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  getTeamRole,
+  canAccessModule,
+  describeModuleAccess,
+  getTeamMemberIds,
+  getEligibleTeamRoles
+} = require('../services/moduleTeamService');
+
+const person = (role = 'lecturer') => ({ _id: new mongoose.Types.ObjectId(), role });
+const leader = person('module-leader');
+const setter = person();
+const moderator = person('moderator');
+const viewer = person('external-examiner');
+const outsider = person();
+const admin = person('admin');
+
+const teamModule = {
+  moduleCode: 'CS101',
+  createdBy: outsider._id,
+  team: {
+    leader: leader._id,
+    setters: [setter._id],
+    moderators: [moderator._id],
+    viewers: [viewer._id]
+  }
+};
+
+describe('getTeamRole', () => {
+  it('finds each member\'s role', () => {
+    assert.equal(getTeamRole(teamModule, leader), 'leader');
+    assert.equal(getTeamRole(teamModule, setter), 'setter');
+    assert.equal(getTeamRole(teamModule, moderator), 'moderator');
+    assert.equal(getTeamRole(teamModule, viewer), 'viewer');
+    assert.equal(getTeamRole(teamModule, outsider), null);
+  });
+
+  it('treats the creator of a module from before teams as its leader', () => {
+    const legacy = { moduleCode: 'CS100', createdBy: outsider._id };
+    assert.equal(getTeamRole(legacy, outsider), 'leader');
+    assert.equal(getTeamRole(legacy, setter), null);
+  });
+
+  it('reads populated team members', () => {
+    const populated = { ...teamModule, team: { ...teamModule.team, setters: [{ _id: setter._id, name: 'Setter' }] } };
+    assert.equal(getTeamRole(populated, setter), 'setter');
+  });
+});
+
+describe('canAccessModule', () => {
+  const cases = [
+    ['view', [leader, setter, moderator, viewer]],
+    ['edit', [leader, setter]],
+    ['analyze', [leader, setter, moderator]],
+    ['override', [leader, moderator]],
+    ['manage', [leader]]
+  ];
+  const everyone = [leader, setter, moderator, viewer, outsider];
+
+  for (const [access, allowed] of cases) {
+    it(`grants ${access} access to the right team roles only`, () => {
+      for (const user of everyone) {
+        assert.equal(
+          canAccessModule(teamModule, user, access),
+          allowed.includes(user),
+          `${getTeamRole(teamModule, user) || 'non-member'} ${access}`
+        );
+      }
+    });
+  }
+
+  it('lets admins act on every module', () => {
+    for (const [access] of cases) {
+      assert.equal(canAccessModule(teamModule, admin, access), true);
+    }
+  });
+});
+
+describe('describeModuleAccess', () => {
+  it('lists the access levels a member holds', () => {
+    assert.deepEqual(describeModuleAccess(teamModule, moderator), {
+      teamRole: 'moderator',
+      access: ['view', 'analyze', 'override']
+    });
+    assert.deepEqual(describeModuleAccess(teamModule, outsider), { teamRole: null, access: [] });
+  });
+});
+
+describe('getTeamMemberIds', () => {
+  it('lists the leader first, then the other members', () => {
+    assert.deepEqual(getTeamMemberIds(teamModule).map(String), [leader, setter, moderator, viewer].map(user => String(user._id)));
+  });
+});
+
+describe('getEligibleTeamRoles', () => {
+  it('limits team roles to those the account role allows', () => {
+    assert.deepEqual(getEligibleTeamRoles({ role: 'module-leader' }), ['leader', 'setter', 'moderator', 'viewer']);
+    assert.deepEqual(getEligibleTeamRoles({ role: 'moderator' }), ['moderator', 'viewer']);
+    assert.deepEqual(getEligibleTeamRoles({ role: 'external-examiner' }), ['viewer']);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Bloom's Taxonomy Utility
+ * Bloom's levels and the action verbs that signal them in questions
+ */
+
+const BLOOM_LEVELS = ['Remember', 'Understand', 'Apply', 'Analyze', 'Evaluate', 'Create'];
+
+// Typical action verbs per level, as used in question stems
+const BLOOM_VERBS = {
+  Remember: ['define', 'list', 'state', 'name', 'recall', 'identify', 'label', 'match', 'what', 'which', 'who', 'when'],
+  Understand: ['explain', 'describe', 'summarise', 'summarize', 'discuss', 'outline', 'interpret', 'classify', 'illustrate', 'why'],
+  Apply: ['apply', 'calculate', 'compute', 'solve', 'use', 'demonstrate', 'implement', 'show', 'construct', 'normalise', 'normalize'],
+  Analyze: ['analyse', 'analyze', 'compare', 'contrast', 'differentiate', 'distinguish', 'examine', 'investigate', 'categorise', 'categorize'],
+  Evaluate: ['evaluate', 'justify', 'assess', 'critique', 'judge', 'recommend', 'argue', 'defend', 'appraise'],
+  Create: ['design', 'create', 'develop', 'propose', 'formulate', 'devise', 'compose', 'plan', 'invent']
+};
+
+/**
+ * Find the highest Bloom's level whose verbs appear among the given words
+ * @param {Set<string>} words - Lowercase words
+ * @returns {string|null} - Bloom's level, or null when no verb is recognised
+ */
+function highestLevel(words) {
+  for (let index = BLOOM_LEVELS.length - 1; index >= 0; index--) {
+    const level = BLOOM_LEVELS[index];
+    if (BLOOM_VERBS[level].some(verb => words.has(verb))) {
+      return level;
+    }
+  }
+  return null;
+}
+
+/**
+ * Count how many levels have at least one of their verbs among the given words
+ * @param {Set<string>} words - Lowercase words
+ * @returns {number} - Number of distinct levels signalled
+ */
+function countLevels(words) {
+  return BLOOM_LEVELS.filter(level => BLOOM_VERBS[level].some(verb => words.has(verb))).length;
+}
+
+/**
+ * Classify the Bloom's level a question demonstrates from its action verbs, with a confidence
+ * Verbs that open a sentence are trusted first, so "each design step" does not read as Create.
+ * The highest level wins, since a question that asks students to "describe, then justify"
+ * is examined at the justification level; mixed signals lower the confidence.
+ * @param {string} text - Question text
+ * @returns {Object} - { level, confidence } with level null when no verb is recognised
+ */
+function classifyBloomLevel(text) {
+  const lower = (text || '').toLowerCase();
+  const sentences = lower.split(/[.?!;:\n]+|,?\s+(?:and|then)\s+/);
+  const leadingWords = new Set(sentences.map(sentence => sentence.trim().split(/[^a-z]+/)[0]).filter(Boolean));
+
+  const leadingLevel = highestLevel(leadingWords);
+  if (leadingLevel) {
+    return { level: leadingLevel, confidence: countLevels(leadingWords) > 1 ? 0.6 : 0.8 };
+  }
+
+  const words = new Set(lower.split(/[^a-z]+/));
+  const level = highestLevel(words);
+  if (level) {
+    return { level, confidence: countLevels(words) > 1 ? 0.3 : 0.4 };
+  }
+  return { level: null, confidence: 0 };
+}
+
+/**
+ * Infer the Bloom's level a question demonstrates from its action verbs
+ * @param {string} text - Question text
+ * @returns {string|null} - Bloom's level, or null when no verb is recognised
+ */
+function inferBloomLevel(text) {
+  return classifyBloomLevel(text).level;
+}
+
+module.exports = {
+  BLOOM_LEVELS,
+  BLOOM_VERBS,
+  classifyBloomLevel,
+  inferBloomLevel
+};
@@ -0,0 +1,69 @@
+/**
+ * CSV Utility
+ * Reads and writes comma-separated values as spreadsheets produce them (RFC 4180 quoting)
+ */
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted cells with embedded commas, quotes and line breaks, CRLF line endings and a leading byte order mark.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows; blank lines are skipped
+ */
+function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Escape one value for a CSV cell
+ * Text starting with a formula character is prefixed with ' so spreadsheets don't evaluate it.
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function formatCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+  parseCsv,
+  formatCsvValue
+};
@@ -0,0 +1,93 @@
+/**
+ * Permissions Utility
+ * User roles and the permission matrix enforced by the requirePermission middleware
+ * Permissions only guard actions that change something. They are the first of two checks:
+ * module routes also require a place on the module's team (middleware/moduleAccess), which
+ * alone decides who can read a module's questions, papers, blueprints, comments and reports.
+ */
+
+const ROLES = ['admin', 'module-leader', 'lecturer', 'moderator', 'external-examiner'];
+
+const ROLE_LABELS = {
+  admin: 'Administrator',
+  'module-leader': 'Module Leader',
+  lecturer: 'Lecturer',
+  moderator: 'Internal Moderator',
+  'external-examiner': 'External Examiner'
+};
+
+const PERMISSIONS = [
+  'users:manage', // assign roles
+  'modules:manage', // create, import, edit and delete modules and their LOs
+  'questions:edit', // upload, create, edit, classify and delete questions
+  'ai:generate', // generate questions with the LLM
+  'coverage:analyze', // run coverage analysis
+  'coverage:override', // override question-LO mappings
+  'papers:set', // create and edit exam papers as setter
+  'papers:moderate', // be assigned as a paper's moderator
+  'blueprints:edit', // create, edit, delete and build blueprints
+  'comments:write' // post and resolve moderation comments
+];
+
+const ROLE_PERMISSIONS = {
+  admin: PERMISSIONS,
+  'module-leader': [
+    'modules:manage',
+    'questions:edit',
+    'ai:generate',
+    'coverage:analyze',
+    'coverage:override',
+    'papers:set',
+    'papers:moderate',
+    'blueprints:edit',
+    'comments:write'
+  ],
+  lecturer: ['questions:edit', 'ai:generate', 'coverage:analyze', 'papers:set', 'blueprints:edit', 'comments:write'],
+  moderator: ['coverage:analyze', 'coverage:override', 'papers:moderate', 'comments:write'],
+  // External examiners review papers and reports and leave comments, but change nothing else
+  'external-examiner': ['comments:write']
+};
+
+/**
+ * List the permissions a role grants
+ * @param {string} role - User role
+ * @returns {Array<string>} - Permissions; empty for unknown roles
+ */
+function getPermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Check whether a user's role grants a permission
+ * @param {Object} user - User with a role
+ * @param {string} permission - Permission, e.g. "questions:edit"
+ * @returns {boolean}
+ */
+function hasPermission(user, permission) {
+  return Boolean(user) && getPermissions(user.role).includes(permission);
+}
+
+/**
+ * Describe a user for API responses, with the permissions the frontend uses to hide actions
+ * @param {Object} user - User document
+ * @returns {Object} - { id, email, name, role, permissions }
+ */
+function describeUser(user) {
+  return {
+    id: user._id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    permissions: getPermissions(user.role)
+  };
+}
+
+module.exports = {
+  ROLES,
+  ROLE_LABELS,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getPermissions,
+  hasPermission,
+  describeUser
+};
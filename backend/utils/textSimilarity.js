@@ -0,0 +1,197 @@
+/**
+ * Text Similarity Utility
+ * Deterministic lexical similarity used when no language model is available
+ */
+
+// Words that carry no subject meaning
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'by', 'can', 'do', 'does', 'for', 'from',
+  'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'that',
+  'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'to', 'using',
+  'was', 'what', 'when', 'where', 'which', 'while', 'who', 'why', 'will', 'with', 'within',
+  'would', 'you', 'your', 'able', 'student', 'students', 'learner', 'learners', 'question',
+  'answer', 'marks', 'mark', 'following', 'give', 'given', 'briefly', 'e', 'g', 'eg', 'ie',
+  // Instruction verbs say how a topic is examined, not what the topic is
+  'define', 'list', 'state', 'recall', 'describe', 'explain', 'discuss', 'outline', 'identify',
+  'understand', 'demonstrate', 'illustrate', 'apply', 'compare', 'contrast', 'analyse', 'analyze',
+  'evaluate', 'justify', 'assess'
+]);
+
+/**
+ * Reduce a word to a rough stem so "normalising", "normalised" and "normalise" match
+ * @param {string} word - Lowercase word
+ * @returns {string} - Stemmed word
+ */
+function stem(word) {
+  if (word.length <= 4) {
+    return word;
+  }
+  // Treat American "-ize" spellings like British "-ise"
+  word = word.replace(/iz(e|ed|es|ing|ation|ations)$/, 'is$1');
+  // Plural "-es" only after sibilants (classes, boxes, matches); otherwise drop a plain "-s"
+  if (/(ss|x|ch|sh)es$/.test(word)) {
+    return word.slice(0, -2);
+  }
+  const suffixes = ['ations', 'ation', 'ments', 'ment', 'ness', 'ings', 'ing', 'ies', 'ied', 'ed', 's'];
+  for (const suffix of suffixes) {
+    if (word.endsWith(suffix) && !word.endsWith('ss') && word.length - suffix.length >= 3) {
+      word = word.slice(0, -suffix.length);
+      break;
+    }
+  }
+  // Drop a silent final "e" so "normalise" and "normalised" share a stem
+  return word.length > 4 && word.endsWith('e') ? word.slice(0, -1) : word;
+}
+
+/**
+ * Split text into stemmed content terms
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Terms in order of appearance
+ */
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Count term occurrences
+ * @param {Array<string>} terms - Terms to count
+ * @returns {Map<string, number>} - Term frequencies
+ */
+function termFrequencies(terms) {
+  const frequencies = new Map();
+  for (const term of terms) {
+    frequencies.set(term, (frequencies.get(term) || 0) + 1);
+  }
+  return frequencies;
+}
+
+/**
+ * Cosine similarity between two sparse term-weight maps
+ * @param {Map<string, number>} a - First vector
+ * @param {Map<string, number>} b - Second vector
+ * @returns {number} - Similarity between 0 and 1
+ */
+function sparseCosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (const [term, weight] of a) {
+    normA += weight * weight;
+    if (b.has(term)) {
+      dot += weight * b.get(term);
+    }
+  }
+  for (const weight of b.values()) {
+    normB += weight * weight;
+  }
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Weight term frequencies by smoothed inverse document frequency across the given documents
+ * @param {Array<Array<string>>} documents - Tokenized documents
+ * @returns {Array<Map<string, number>>} - TF-IDF vectors in document order
+ */
+function tfidfVectors(documents) {
+  const documentFrequency = new Map();
+  for (const terms of documents) {
+    for (const term of new Set(terms)) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  return documents.map(terms => {
+    const vector = new Map();
+    for (const [term, count] of termFrequencies(terms)) {
+      const idf = Math.log((1 + documents.length) / (1 + documentFrequency.get(term))) + 1;
+      vector.set(term, count * idf);
+    }
+    return vector;
+  });
+}
+
+/**
+ * Lexical similarity between a learning outcome and a question
+ * Blends TF-IDF cosine with the share of LO terms the question mentions, since
+ * questions are usually much longer than the outcome they target.
+ * @param {string} eloText - Expected Learning Outcome text
+ * @param {string} questionText - Question text
+ * @returns {number} - Similarity score between 0 and 1
+ */
+function lexicalSimilarity(eloText, questionText) {
+  const loTerms = tokenize(eloText);
+  const questionTerms = tokenize(questionText);
+  if (loTerms.length === 0 || questionTerms.length === 0) {
+    return 0;
+  }
+
+  const [loVector, questionVector] = tfidfVectors([loTerms, questionTerms]);
+  const cosine = sparseCosine(loVector, questionVector);
+
+  const questionTermSet = new Set(questionTerms);
+  const uniqueLoTerms = new Set(loTerms);
+  const matched = [...uniqueLoTerms].filter(term => questionTermSet.has(term)).length;
+  const overlap = matched / uniqueLoTerms.size;
+
+  return Math.round(Math.min(1, 0.5 * cosine + 0.5 * overlap) * 100) / 100;
+}
+
+/**
+ * Find the runs of question words that share a stem with the learning outcome
+ * @param {string} eloText - Expected Learning Outcome text
+ * @param {string} questionText - Question text
+ * @param {number} limit - Maximum number of phrases to return
+ * @returns {Array<string>} - Matching phrases as written in the question, longest first
+ */
+function matchedPhrases(eloText, questionText, limit = 5) {
+  const loTerms = new Set(tokenize(eloText));
+  const phrases = [];
+  let run = [];
+
+  const closeRun = () => {
+    if (run.length > 0) {
+      phrases.push(run.join(' '));
+      run = [];
+    }
+  };
+
+  for (const word of (questionText || '').split(/[^A-Za-z0-9]+/)) {
+    const lower = word.toLowerCase();
+    if (!lower) {
+      continue;
+    }
+    if (lower.length > 1 && !STOPWORDS.has(lower) && loTerms.has(stem(lower))) {
+      run.push(word);
+    } else {
+      closeRun();
+    }
+  }
+  closeRun();
+
+  // Keep the first spelling of each phrase
+  const unique = new Map();
+  for (const phrase of phrases) {
+    if (!unique.has(phrase.toLowerCase())) {
+      unique.set(phrase.toLowerCase(), phrase);
+    }
+  }
+  return Array.from(unique.values())
+    .sort((a, b) => b.split(' ').length - a.split(' ').length)
+    .slice(0, limit);
+}
+
+module.exports = {
+  tokenize,
+  termFrequencies,
+  sparseCosine,
+  tfidfVectors,
+  lexicalSimilarity,
+  matchedPhrases
+};
@@ -8,13 +8,23 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import Navbar from './components/Navbar';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import VerifyEmail from './pages/VerifyEmail';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
 import Dashboard from './pages/Dashboard';
 import Modules from './pages/Modules';
 import Questions from './pages/Questions';
 import Coverage from './pages/Coverage';
 import BloomLevelCoverage from './pages/BloomLevelCoverage';
+import CoverageComparison from './pages/CoverageComparison';
 import QuestionGenerator from './pages/QuestionGenerator';
+import ExamPapers from './pages/ExamPapers';
+import Blueprints from './pages/Blueprints';
+import Users from './pages/Users';
+import Sessions from './pages/Sessions';
 import { getAuthToken, setAuthToken, removeAuthToken } from './utils/auth';
+import { can } from './utils/permissions';
+import { authAPI } from './utils/api';
 
 function App() {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
@@ -27,23 +37,12 @@ function App() {
   }, []);
 
   const checkAuth = async () => {
-    const token = getAuthToken();
-    if (token) {
+    if (getAuthToken()) {
       try {
-        const response = await fetch('http://localhost:5000/api/auth/me', {
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        });
-        
-        if (response.ok) {
-          const data = await response.json();
-          setIsAuthenticated(true);
-          setUser(data.user);
-        } else {
-          removeAuthToken();
-          setIsAuthenticated(false);
-        }
+        // Goes through the API client, so an expired access token is refreshed first
+        const response = await authAPI.getMe();
+        setIsAuthenticated(true);
+        setUser(response.data.user);
       } catch (error) {
         console.error('Auth check failed:', error);
         removeAuthToken();
@@ -59,7 +58,13 @@ function App() {
     setUser(userData);
   };
 
-  const handleLogout = () => {
+  const handleLogout = async () => {
+    try {
+      // End the session on the server too, so its refresh token stops working
+      await authAPI.logout();
+    } catch (error) {
+      console.error('Logout failed:', error);
+    }
     removeAuthToken();
     setIsAuthenticated(false);
     setUser(null);
@@ -93,9 +98,19 @@ function App() {
             element={
               isAuthenticated ? 
                 <Navigate to="/dashboard" /> : 
-                <Register onLogin={handleLogin} />
+                <Register />
             } 
           />
+          <Route path="/verify-email" element={<VerifyEmail />} />
+          <Route 
+            path="/forgot-password" 
+            element={
+              isAuthenticated ? 
+                <Navigate to="/dashboard" /> : 
+                <ForgotPassword />
+            } 
+          />
+          <Route path="/reset-password" element={<ResetPassword />} />
           <Route 
             path="/dashboard" 
             element={
@@ -108,7 +123,7 @@ function App() {
             path="/modules" 
             element={
               isAuthenticated ? 
-                <Modules /> : 
+                <Modules user={user} /> : 
                 <Navigate to="/login" />
             } 
           />
@@ -116,7 +131,7 @@ function App() {
             path="/questions" 
             element={
               isAuthenticated ? 
-                <Questions /> : 
+                <Questions user={user} /> : 
                 <Navigate to="/login" />
             } 
           />
@@ -124,7 +139,15 @@ function App() {
             path="/coverage" 
             element={
               isAuthenticated ? 
-                <Coverage /> : 
+                <Coverage user={user} /> : 
+                <Navigate to="/login" />
+            } 
+          />
+          <Route 
+            path="/coverage/compare" 
+            element={
+              isAuthenticated ? 
+                <CoverageComparison /> : 
                 <Navigate to="/login" />
             } 
           />
@@ -132,15 +155,47 @@ function App() {
             path="/bloom-coverage" 
             element={
               isAuthenticated ? 
-                <BloomLevelCoverage /> : 
+                <BloomLevelCoverage user={user} /> : 
                 <Navigate to="/login" />
             } 
           />
           <Route 
             path="/generator" 
             element={
-              isAuthenticated ? 
+              isAuthenticated && can(user, 'ai:generate') ? 
                 <QuestionGenerator /> : 
+                <Navigate to="/dashboard" />
+            } 
+          />
+          <Route 
+            path="/papers" 
+            element={
+              isAuthenticated ? 
+                <ExamPapers user={user} /> : 
+                <Navigate to="/login" />
+            } 
+          />
+          <Route 
+            path="/blueprints" 
+            element={
+              isAuthenticated ? 
+                <Blueprints user={user} /> : 
+                <Navigate to="/login" />
+            } 
+          />
+          <Route 
+            path="/users" 
+            element={
+              isAuthenticated && can(user, 'users:manage') ? 
+                <Users user={user} /> : 
+                <Navigate to="/dashboard" />
+            } 
+          />
+          <Route 
+            path="/sessions" 
+            element={
+              isAuthenticated ? 
+                <Sessions onLogout={handleLogout} /> : 
                 <Navigate to="/login" />
             } 
           />
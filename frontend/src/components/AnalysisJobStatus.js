@@ -0,0 +1,84 @@
+/**
+ * Analysis Job Status Component
+ * Shows the progress and outcome of a background coverage analysis job
+ */
+
+import React from 'react';
+import { Card, ProgressBar, Badge } from 'react-bootstrap';
+
+export const isJobActive = (job) => job && (job.status === 'queued' || job.status === 'running');
+
+const getJobStatusColor = (status) => {
+  switch (status) {
+    case 'succeeded':
+      return 'success';
+    case 'running':
+      return 'primary';
+    case 'queued':
+      return 'secondary';
+    case 'failed':
+      return 'danger';
+    default:
+      return 'secondary';
+  }
+};
+
+function AnalysisJobStatus({ job }) {
+  if (!job) return null;
+
+  const total = job.progress?.total || 0;
+  const completed = job.progress?.completed || 0;
+  const percent = total > 0 ? Math.round((completed / total) * 100) : 0;
+  const errorLog = job.errorLog || [];
+
+  return (
+    <Card className="academic-card mb-4">
+      <Card.Header className="d-flex justify-content-between align-items-center">
+        <strong>
+          Coverage Analysis Job
+          {job.analysisTag && <Badge bg="info" className="ms-2">{job.analysisTag}</Badge>}
+        </strong>
+        <Badge bg={getJobStatusColor(job.status)}>{job.status}</Badge>
+      </Card.Header>
+      <Card.Body>
+        {job.status === 'queued' ? (
+          <p className="text-muted mb-0">Waiting for earlier analyses to finish...</p>
+        ) : (
+          <>
+            <ProgressBar
+              now={job.status === 'succeeded' ? 100 : percent}
+              label={`${job.status === 'succeeded' ? 100 : percent}%`}
+              variant={job.status === 'failed' ? 'danger' : job.status === 'succeeded' ? 'success' : 'primary'}
+              animated={job.status === 'running'}
+              style={{ height: '25px' }}
+            />
+            <small className="text-muted d-block mt-2">
+              {completed} of {total} LO/question pairs scored
+              ({job.progress?.learningOutcomes || 0} LOs × {job.progress?.questions || 0} questions)
+              {job.progress?.cached > 0 && ` · ${job.progress.cached} from cache`}
+              {job.startedAt && ` · started ${new Date(job.startedAt).toLocaleTimeString()}`}
+              {job.finishedAt && ` · finished ${new Date(job.finishedAt).toLocaleTimeString()}`}
+            </small>
+          </>
+        )}
+        {errorLog.length > 0 && (
+          <div className="mt-3">
+            <strong className="text-danger">Errors ({errorLog.length})</strong>
+            <ul className="mb-0 mt-1" style={{ maxHeight: '150px', overflowY: 'auto' }}>
+              {errorLog.map((entry, index) => (
+                <li key={index}>
+                  <small>
+                    {entry.loId && <strong>{entry.loId}: </strong>}
+                    {entry.message}
+                  </small>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </Card.Body>
+    </Card>
+  );
+}
+
+export default AnalysisJobStatus;
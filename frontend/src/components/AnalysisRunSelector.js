@@ -0,0 +1,66 @@
+/**
+ * Analysis Run Selector Component
+ * Chooses which coverage run to show: the module default, an exam paper, or a tagged selection
+ */
+
+import React from 'react';
+import { Form } from 'react-bootstrap';
+
+export const DEFAULT_RUN = { paperId: null, analysisTag: null };
+
+// Runs share one select, so paper and tag values are prefixed to tell them apart
+const toValue = (run) => {
+  if (run.paperId) return `paper:${run.paperId}`;
+  if (run.analysisTag) return `tag:${run.analysisTag}`;
+  return '';
+};
+
+const fromValue = (value) => {
+  if (value.startsWith('paper:')) return { paperId: value.slice('paper:'.length), analysisTag: null };
+  if (value.startsWith('tag:')) return { paperId: null, analysisTag: value.slice('tag:'.length) };
+  return DEFAULT_RUN;
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.run - Selected run, { paperId, analysisTag }
+ * @param {Array<Object>} props.papers - The module's exam papers
+ * @param {Array<string>} props.tags - The module's analysis tags
+ * @param {Function} props.onChange - Called with the newly selected run
+ */
+function AnalysisRunSelector({ run, papers = [], tags = [], onChange }) {
+  if (papers.length === 0 && tags.length === 0) {
+    return null;
+  }
+
+  return (
+    <Form.Select
+      size="sm"
+      style={{ width: 'auto', minWidth: '200px' }}
+      value={toValue(run)}
+      onChange={(e) => onChange(fromValue(e.target.value))}
+    >
+      <option value="">Default Analysis (All Questions)</option>
+      {papers.length > 0 && (
+        <optgroup label="Exam Papers">
+          {papers.map((paper) => (
+            <option key={paper._id} value={`paper:${paper._id}`}>
+              {paper.title} ({paper.status})
+            </option>
+          ))}
+        </optgroup>
+      )}
+      {tags.length > 0 && (
+        <optgroup label="Tagged Selections">
+          {tags.map((tag) => (
+            <option key={tag} value={`tag:${tag}`}>
+              {tag}
+            </option>
+          ))}
+        </optgroup>
+      )}
+    </Form.Select>
+  );
+}
+
+export default AnalysisRunSelector;
@@ -0,0 +1,255 @@
+/**
+ * Comment Threads Component
+ * Threaded moderation comments on a question or exam paper, with @-mentions of module staff
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Button, Form, Badge, Alert } from 'react-bootstrap';
+import { commentAPI } from '../utils/api';
+
+const ROLE_LABELS = {
+  setter: 'Setter',
+  moderator: 'Moderator',
+  admin: 'Admin',
+  lecturer: 'Lecturer'
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+// Keep only the mentions whose @Name is still in the text
+const activeMentions = (body, mentionIds, staff) => mentionIds.filter((userId) => {
+  const person = staff.find((member) => member._id === userId);
+  return person && body.includes(`@${person.name}`);
+});
+
+/**
+ * Comment box with a picker that inserts @-mentions
+ * @param {Object} props
+ * @param {Array<Object>} props.staff - Users who can be mentioned
+ * @param {string} props.placeholder - Placeholder text
+ * @param {string} props.submitLabel - Label of the submit button
+ * @param {Object} props.initial - { body, mentions } to start from when editing
+ * @param {Function} props.onSubmit - Called with { body, mentions }
+ * @param {Function} props.onCancel - Optional; shows a Cancel button
+ */
+function CommentForm({ staff, placeholder, submitLabel, initial, onSubmit, onCancel }) {
+  const [body, setBody] = useState(initial?.body || '');
+  const [mentions, setMentions] = useState(initial?.mentions || []);
+  const [saving, setSaving] = useState(false);
+
+  const handleMention = (userId) => {
+    const person = staff.find((member) => member._id === userId);
+    if (!person) return;
+    setBody(`${body}${body && !body.endsWith(' ') ? ' ' : ''}@${person.name} `);
+    setMentions([...new Set([...mentions, userId])]);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+
+    try {
+      setSaving(true);
+      await onSubmit({ body, mentions: activeMentions(body, mentions, staff) });
+      setBody('');
+      setMentions([]);
+    } catch (error) {
+      // The thread list shows the error; keep the text so it can be sent again
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Form onSubmit={handleSubmit}>
+      <Form.Control
+        as="textarea"
+        rows={2}
+        className="mb-2"
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        placeholder={placeholder}
+      />
+      <div className="d-flex gap-2">
+        <Form.Select size="sm" style={{ width: 'auto' }} value="" onChange={(e) => handleMention(e.target.value)}>
+          <option value="">@ Mention...</option>
+          {staff.map((member) => (
+            <option key={member._id} value={member._id}>{member.name}</option>
+          ))}
+        </Form.Select>
+        <Button size="sm" type="submit" disabled={saving || !body.trim()}>
+          {saving ? 'Saving...' : submitLabel}
+        </Button>
+        {onCancel && (
+          <Button size="sm" variant="secondary" onClick={onCancel}>Cancel</Button>
+        )}
+      </div>
+    </Form>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {string} props.kind - 'question' or 'paper'
+ * @param {string} props.targetId - Question or paper ID
+ * @param {string} props.moduleId - Module whose staff can be mentioned
+ * @param {Object} props.user - Current user
+ * @param {Function} props.onUnresolvedChange - Optional; called with the unresolved thread count after each change
+ */
+function CommentThreads({ kind, targetId, moduleId, user, onUnresolvedChange }) {
+  const [threads, setThreads] = useState([]);
+  const [staff, setStaff] = useState([]);
+  const [replyingTo, setReplyingTo] = useState(null); // Thread ID
+  const [editingId, setEditingId] = useState(null);
+  const [showResolved, setShowResolved] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadThreads = useCallback(async () => {
+    try {
+      const response = await commentAPI.getThreads(kind, targetId);
+      setThreads(response.data.threads || []);
+      if (onUnresolvedChange) onUnresolvedChange(response.data.unresolvedCount);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load comments');
+    }
+  }, [kind, targetId, onUnresolvedChange]);
+
+  useEffect(() => {
+    loadThreads();
+  }, [loadThreads]);
+
+  useEffect(() => {
+    if (!moduleId) return;
+    commentAPI.getStaff(moduleId)
+      .then((response) => setStaff(response.data.users || []))
+      .catch(() => setStaff([]));
+  }, [moduleId]);
+
+  // Run a comment change, then reload the threads
+  const withReload = async (change) => {
+    try {
+      setError('');
+      await change();
+      await loadThreads();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to save comment');
+      throw error;
+    }
+  };
+
+  const handleDelete = async (comment) => {
+    const message = comment.parentId
+      ? 'Delete this reply?'
+      : 'Delete this comment and all of its replies?';
+    if (!window.confirm(message)) return;
+    await withReload(() => commentAPI.delete(comment._id)).catch(() => {});
+  };
+
+  const isAuthor = (comment) => !!user && comment.author?._id === user.id;
+
+  const renderComment = (comment) => (
+    <div key={comment._id} className={comment.parentId ? 'ms-4 mt-2 ps-2 border-start' : ''}>
+      <div className="small">
+        <strong>{comment.author?.name || 'Unknown'}</strong>{' '}
+        <Badge bg="secondary">{ROLE_LABELS[comment.authorRole] || comment.authorRole}</Badge>{' '}
+        <span className="text-muted">
+          {formatDate(comment.createdAt)}
+          {comment.editedAt && ' (edited)'}
+        </span>
+      </div>
+      {editingId === comment._id ? (
+        <CommentForm
+          staff={staff}
+          submitLabel="Save"
+          initial={{ body: comment.body, mentions: (comment.mentions || []).map((member) => member._id) }}
+          onSubmit={(data) => withReload(() => commentAPI.update(comment._id, data)).then(() => setEditingId(null))}
+          onCancel={() => setEditingId(null)}
+        />
+      ) : (
+        <p className="mb-1" style={{ whiteSpace: 'pre-wrap' }}>{comment.body}</p>
+      )}
+      {editingId !== comment._id && (isAuthor(comment) || user?.role === 'admin') && (
+        <div className="small">
+          {isAuthor(comment) && (
+            <Button variant="link" size="sm" className="p-0 me-2" onClick={() => setEditingId(comment._id)}>Edit</Button>
+          )}
+          <Button variant="link" size="sm" className="p-0 text-danger" onClick={() => handleDelete(comment)}>Delete</Button>
+        </div>
+      )}
+    </div>
+  );
+
+  const visibleThreads = threads.filter((thread) => showResolved || !thread.resolved);
+  const resolvedCount = threads.filter((thread) => thread.resolved).length;
+
+  return (
+    <div>
+      {error && <Alert variant="danger" dismissible onClose={() => setError('')}>{error}</Alert>}
+
+      {resolvedCount > 0 && (
+        <Form.Check
+          type="switch"
+          className="mb-2"
+          label={`Show ${resolvedCount} resolved thread(s)`}
+          checked={showResolved}
+          onChange={(e) => setShowResolved(e.target.checked)}
+        />
+      )}
+
+      {visibleThreads.length === 0 && (
+        <p className="text-muted small">No open comments.</p>
+      )}
+
+      {visibleThreads.map((thread) => (
+        <Card key={thread._id} className={`mb-2 ${thread.resolved ? 'bg-light' : ''}`}>
+          <Card.Body className="py-2">
+            {renderComment(thread)}
+            {thread.replies.map(renderComment)}
+
+            <div className="d-flex gap-2 mt-2 small align-items-center">
+              {thread.resolved ? (
+                <>
+                  <Badge bg="success">Resolved</Badge>
+                  <span className="text-muted">by {thread.resolvedBy?.name || 'a moderator'} {formatDate(thread.resolvedAt)}</span>
+                  <Button variant="link" size="sm" className="p-0" onClick={() => withReload(() => commentAPI.setResolved(thread._id, false)).catch(() => {})}>
+                    Reopen
+                  </Button>
+                </>
+              ) : (
+                <>
+                  <Button variant="link" size="sm" className="p-0" onClick={() => setReplyingTo(thread._id)}>Reply</Button>
+                  <Button variant="link" size="sm" className="p-0 text-success" onClick={() => withReload(() => commentAPI.setResolved(thread._id, true)).catch(() => {})}>
+                    Resolve
+                  </Button>
+                </>
+              )}
+            </div>
+
+            {replyingTo === thread._id && (
+              <div className="mt-2">
+                <CommentForm
+                  staff={staff}
+                  placeholder="Write a reply..."
+                  submitLabel="Reply"
+                  onSubmit={(data) => withReload(() => commentAPI.create(kind, targetId, { ...data, parentId: thread._id })).then(() => setReplyingTo(null))}
+                  onCancel={() => setReplyingTo(null)}
+                />
+              </div>
+            )}
+          </Card.Body>
+        </Card>
+      ))}
+
+      <div className="mt-3">
+        <CommentForm
+          staff={staff}
+          placeholder="Start a new comment thread..."
+          submitLabel="Comment"
+          onSubmit={(data) => withReload(() => commentAPI.create(kind, targetId, data))}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default CommentThreads;
@@ -0,0 +1,156 @@
+/**
+ * Coverage Evidence Component
+ * Lists the per-question evidence behind a learning outcome's coverage verdict,
+ * with moderator overrides and the actions to change them
+ */
+
+import React from 'react';
+import { Table, Badge, Button } from 'react-bootstrap';
+
+const OVERRIDE_LABELS = {
+  pin: 'Pinned',
+  unpin: 'Unpinned',
+  add: 'Added'
+};
+
+const getQuestionText = (entry) => {
+  const text = entry.questionId?.questionText;
+  if (!text) return 'Question no longer available';
+  return text.length > 200 ? `${text.substring(0, 200)}...` : text;
+};
+
+function OverrideBadge({ override }) {
+  const by = override.createdBy?.name || 'a moderator';
+  return (
+    <div className="mt-1">
+      <Badge bg="dark" title={override.reason}>
+        {OVERRIDE_LABELS[override.action] || override.action} by {by}
+      </Badge>
+      <small className="d-block text-muted">“{override.reason}”</small>
+    </div>
+  );
+}
+
+function EvidenceTable({ entries, expectedBloomLevel, renderActions }) {
+  return (
+    <Table bordered size="sm" className="mb-3 bg-white">
+      <thead>
+        <tr>
+          <th>Question</th>
+          <th style={{ width: '90px' }}>Similarity</th>
+          <th style={{ width: '130px' }}>Demonstrated Level</th>
+          <th>Matched Phrases</th>
+          <th>Rationale</th>
+          {renderActions && <th style={{ width: '90px' }}>Actions</th>}
+        </tr>
+      </thead>
+      <tbody>
+        {entries.map((entry, index) => (
+          <tr key={entry._id || index}>
+            <td>
+              {getQuestionText(entry)}
+              {entry.override && <OverrideBadge override={entry.override} />}
+            </td>
+            <td>{Math.round((entry.similarityScore || 0) * 100)}%</td>
+            <td>
+              {entry.demonstratedBloomLevel ? (
+                <Badge
+                  bg={entry.demonstratedBloomLevel === expectedBloomLevel ? 'success' : 'secondary'}
+                  title={entry.demonstratedBloomLevel === expectedBloomLevel ? 'Matches the LO level' : `LO expects ${expectedBloomLevel}`}
+                >
+                  {entry.demonstratedBloomLevel}
+                </Badge>
+              ) : (
+                <span className="text-muted">Unknown</span>
+              )}
+            </td>
+            <td>
+              {entry.matchedPhrases && entry.matchedPhrases.length > 0 ? (
+                entry.matchedPhrases.map((phrase, phraseIndex) => (
+                  <Badge key={phraseIndex} bg="light" text="dark" className="me-1 mb-1 border">
+                    {phrase}
+                  </Badge>
+                ))
+              ) : (
+                <span className="text-muted">None</span>
+              )}
+            </td>
+            <td><small>{entry.rationale || <span className="text-muted">No rationale recorded</span>}</small></td>
+            {renderActions && <td>{renderActions(entry)}</td>}
+          </tr>
+        ))}
+      </tbody>
+    </Table>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.result - Coverage result for one LO
+ * @param {Function} props.onOverride - Called with { loId, action, questionId, questionText } to start an override;
+ *   without it the evidence is shown read-only
+ * @param {Function} props.onRevert - Called with an override ID to return a mapping to its machine score
+ */
+function CoverageEvidence({ result, onOverride, onRevert }) {
+  const covered = result.questionsCovered || [];
+  const excluded = result.excludedQuestions || [];
+  const nearMisses = result.nearMisses || [];
+
+  const startOverride = (entry, action) => onOverride({
+    loId: result.loId,
+    action,
+    questionId: entry.questionId?._id || entry.questionId,
+    questionText: getQuestionText(entry)
+  });
+
+  const renderActions = (action) => onOverride && ((entry) => {
+    if (entry.override) {
+      return (
+        <Button size="sm" variant="outline-secondary" onClick={() => onRevert(entry.override.overrideId)}>
+          Revert
+        </Button>
+      );
+    }
+    return (
+      <Button
+        size="sm"
+        variant={action === 'pin' ? 'outline-success' : 'outline-danger'}
+        onClick={() => startOverride(entry, action)}
+      >
+        {action === 'pin' ? 'Pin' : 'Unpin'}
+      </Button>
+    );
+  });
+
+  return (
+    <div className="p-2">
+      <div className="d-flex justify-content-between align-items-center mb-1">
+        <strong>Questions counted towards this LO ({covered.length})</strong>
+        {onOverride && (
+          <Button size="sm" variant="outline-primary" onClick={() => onOverride({ loId: result.loId, action: 'add' })}>
+            + Add Mapping
+          </Button>
+        )}
+      </div>
+      {covered.length > 0 ? (
+        <EvidenceTable entries={covered} expectedBloomLevel={result.bloomLevel} renderActions={renderActions('unpin')} />
+      ) : (
+        <p className="text-muted">No question scored above the relevance threshold.</p>
+      )}
+      {excluded.length > 0 && (
+        <>
+          <strong>Removed by a moderator</strong>
+          <EvidenceTable entries={excluded} expectedBloomLevel={result.bloomLevel} renderActions={renderActions('pin')} />
+        </>
+      )}
+      {nearMisses.length > 0 && (
+        <>
+          <strong>Closest questions below the relevance threshold</strong>
+          <EvidenceTable entries={nearMisses} expectedBloomLevel={result.bloomLevel} renderActions={renderActions('pin')} />
+        </>
+      )}
+    </div>
+  );
+}
+
+export default CoverageEvidence;
@@ -0,0 +1,125 @@
+/**
+ * Coverage Override Modal Component
+ * Collects the reason (and, when adding a mapping, the question) for a moderator override
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Modal, Form, Button, Alert } from 'react-bootstrap';
+
+const ACTION_TITLES = {
+  pin: 'Pin Mapping',
+  unpin: 'Unpin Mapping',
+  add: 'Add Mapping'
+};
+
+const ACTION_HELP = {
+  pin: 'The question will always count towards this LO, whatever its similarity score.',
+  unpin: 'The question will no longer count towards this LO, even if re-analysis scores it as relevant.',
+  add: 'The question will count towards this LO as a full match unless you give a lower similarity.'
+};
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.target - { loId, action, questionId, questionText } or null when hidden
+ * @param {Array<Object>} props.questions - Questions that can be added (used for the add action)
+ * @param {Function} props.onSubmit - Called with { loId, questionId, action, reason, similarityScore }
+ * @param {Function} props.onHide - Called when the modal is closed
+ */
+function CoverageOverrideModal({ target, questions = [], onSubmit, onHide }) {
+  const [questionId, setQuestionId] = useState('');
+  const [reason, setReason] = useState('');
+  const [similarityScore, setSimilarityScore] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setQuestionId(target?.questionId || '');
+    setReason('');
+    setSimilarityScore('');
+    setError('');
+  }, [target]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError('');
+      await onSubmit({
+        loId: target.loId,
+        questionId,
+        action: target.action,
+        reason,
+        similarityScore: target.action === 'add' && similarityScore !== '' ? parseFloat(similarityScore) : undefined
+      });
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to save override');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal show={!!target} onHide={onHide}>
+      <Modal.Header closeButton>
+        <Modal.Title>{target ? `${ACTION_TITLES[target.action]} – ${target.loId}` : ''}</Modal.Title>
+      </Modal.Header>
+      {target && (
+        <Form onSubmit={handleSubmit}>
+          <Modal.Body>
+            {error && <Alert variant="danger">{error}</Alert>}
+            <p className="text-muted">{ACTION_HELP[target.action]}</p>
+            {target.action === 'add' ? (
+              <>
+                <Form.Group className="mb-3">
+                  <Form.Label>Question</Form.Label>
+                  <Form.Select value={questionId} onChange={(e) => setQuestionId(e.target.value)} required>
+                    <option value="">Select a question...</option>
+                    {questions.map((question) => (
+                      <option key={question._id} value={question._id}>
+                        {question.questionText.substring(0, 100)}
+                        {question.questionText.length > 100 && '...'}
+                      </option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+                <Form.Group className="mb-3">
+                  <Form.Label>Similarity (optional, 0-1)</Form.Label>
+                  <Form.Control
+                    type="number"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={similarityScore}
+                    onChange={(e) => setSimilarityScore(e.target.value)}
+                    placeholder="1"
+                  />
+                </Form.Group>
+              </>
+            ) : (
+              <p><strong>Question:</strong> {target.questionText}</p>
+            )}
+            <Form.Group className="mb-3">
+              <Form.Label>Reason</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={3}
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="Why is the automatic mapping wrong?"
+                required
+              />
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={onHide}>Cancel</Button>
+            <Button variant="primary" type="submit" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Override'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      )}
+    </Modal>
+  );
+}
+
+export default CoverageOverrideModal;
@@ -0,0 +1,252 @@
+/**
+ * Module Import Modal Component
+ * Uploads a module spec (CSV, JSON) or descriptor (PDF, DOCX, TXT), previews what was read and saves it
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Modal, Form, Button, Alert, Table, Badge } from 'react-bootstrap';
+import { moduleAPI } from '../utils/api';
+
+const BLOOM_LEVELS = ['Remember', 'Understand', 'Apply', 'Analyze', 'Evaluate', 'Create'];
+
+const SOURCE_LABELS = {
+  csv: 'CSV spec',
+  json: 'JSON spec',
+  document: 'Module descriptor'
+};
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.show - Whether the modal is shown
+ * @param {Function} props.onHide - Called when the modal is closed
+ * @param {Function} props.onImported - Called with the server's message once the module is saved
+ */
+function ModuleImportModal({ show, onHide, onImported }) {
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null); // { source, module, errors, warnings, existingModule }
+  const [updateExisting, setUpdateExisting] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (show) {
+      setFile(null);
+      setPreview(null);
+      setUpdateExisting(false);
+      setError('');
+    }
+  }, [show]);
+
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    try {
+      setLoading(true);
+      setError('');
+      const response = await moduleAPI.previewImport(file);
+      setPreview(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to read the file');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateModule = (changes) => {
+    setPreview({ ...preview, module: { ...preview.module, ...changes } });
+  };
+
+  const updateLO = (index, changes) => {
+    const learningOutcomes = preview.module.learningOutcomes.map((lo, i) => (i === index ? { ...lo, ...changes } : lo));
+    updateModule({ learningOutcomes });
+  };
+
+  const handleImport = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await moduleAPI.importModule(preview.module, updateExisting);
+      onImported(response.data.message);
+    } catch (err) {
+      const errors = err.response?.data?.errors;
+      if (errors) {
+        setPreview({ ...preview, errors });
+      }
+      setError(err.response?.data?.message || 'Failed to import module');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const module = preview?.module;
+
+  return (
+    <Modal show={show} onHide={onHide} size="xl">
+      <Modal.Header closeButton>
+        <Modal.Title>Import Module</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {error && <Alert variant="danger">{error}</Alert>}
+
+        <Form onSubmit={handlePreview} className="mb-3">
+          <Form.Group>
+            <Form.Label>Module spec or descriptor</Form.Label>
+            <div className="d-flex gap-2">
+              <Form.Control
+                type="file"
+                accept=".csv,.json,.pdf,.docx,.doc,.txt"
+                onChange={(e) => setFile(e.target.files[0] || null)}
+              />
+              <Button type="submit" variant="outline-primary" disabled={!file || loading}>
+                {loading && !preview ? 'Reading...' : 'Preview'}
+              </Button>
+            </div>
+            <Form.Text className="text-muted">
+              CSV specs have the columns <code>type,id,name,topic,bloomLevel</code> with one row per module, topic, subtopic or lo.
+              JSON specs hold <code>moduleCode</code>, <code>moduleName</code>, <code>topics</code> and <code>learningOutcomes</code>.
+              From PDF, DOCX and TXT descriptors the module code, title, syllabus and learning outcomes are read.
+              Blank Bloom's levels are detected from each LO's verbs.
+            </Form.Text>
+          </Form.Group>
+        </Form>
+
+        {preview && (
+          <>
+            <p className="text-muted small mb-2">
+              Read from: <Badge bg="secondary">{SOURCE_LABELS[preview.source] || preview.source}</Badge>
+            </p>
+
+            {preview.errors.length > 0 && (
+              <Alert variant="danger">
+                <strong>Fix these before importing:</strong>
+                <ul className="mb-0">
+                  {preview.errors.map((message, index) => <li key={index}>{message}</li>)}
+                </ul>
+              </Alert>
+            )}
+            {preview.warnings.length > 0 && (
+              <Alert variant="warning">
+                <ul className="mb-0">
+                  {preview.warnings.map((message, index) => <li key={index}>{message}</li>)}
+                </ul>
+              </Alert>
+            )}
+            {preview.existingModule && !preview.existingModule.canUpdate && (
+              <Alert variant="warning">
+                {preview.existingModule.moduleCode} ({preview.existingModule.moduleName}) already exists,
+                and only its module leader can update it from an import.
+              </Alert>
+            )}
+            {preview.existingModule?.canUpdate && (
+              <Alert variant="info">
+                {preview.existingModule.moduleCode} ({preview.existingModule.moduleName}) already exists.
+                <Form.Check
+                  type="checkbox"
+                  id="import-update-existing"
+                  className="mt-2"
+                  label={`Replace its name, topics and learning outcomes; changed LOs become version ${(preview.existingModule.loVersion || 1) + 1}`}
+                  checked={updateExisting}
+                  onChange={(e) => setUpdateExisting(e.target.checked)}
+                />
+              </Alert>
+            )}
+
+            <div className="d-flex gap-2 mb-3">
+              <Form.Group style={{ width: '200px' }}>
+                <Form.Label>Module Code</Form.Label>
+                <Form.Control value={module.moduleCode} onChange={(e) => updateModule({ moduleCode: e.target.value })} />
+              </Form.Group>
+              <Form.Group className="flex-grow-1">
+                <Form.Label>Module Name</Form.Label>
+                <Form.Control value={module.moduleName} onChange={(e) => updateModule({ moduleName: e.target.value })} />
+              </Form.Group>
+            </div>
+
+            <h6>Topics ({module.topics.length})</h6>
+            {module.topics.length === 0 ? (
+              <p className="text-muted small">No topics.</p>
+            ) : (
+              <ul className="small">
+                {module.topics.map((topic, index) => (
+                  <li key={index}>
+                    <strong>{topic.topicName}</strong>
+                    {topic.subtopics.length > 0 && <span className="text-muted"> — {topic.subtopics.join(', ')}</span>}
+                    <Button
+                      variant="link"
+                      size="sm"
+                      className="text-danger py-0"
+                      onClick={() => updateModule({ topics: module.topics.filter((_, i) => i !== index) })}
+                    >
+                      Remove
+                    </Button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <h6>Learning Outcomes ({module.learningOutcomes.length})</h6>
+            <Table size="sm" bordered>
+              <thead>
+                <tr>
+                  <th style={{ width: '90px' }}>ID</th>
+                  <th>Description</th>
+                  <th style={{ width: '190px' }}>Bloom's Level</th>
+                  <th style={{ width: '70px' }}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {module.learningOutcomes.map((lo, index) => (
+                  <tr key={index}>
+                    <td>
+                      <Form.Control size="sm" value={lo.loId} onChange={(e) => updateLO(index, { loId: e.target.value })} />
+                    </td>
+                    <td>
+                      <Form.Control
+                        as="textarea"
+                        rows={2}
+                        size="sm"
+                        value={lo.description}
+                        onChange={(e) => updateLO(index, { description: e.target.value })}
+                      />
+                    </td>
+                    <td>
+                      <Form.Select
+                        size="sm"
+                        value={BLOOM_LEVELS.includes(lo.bloomLevel) ? lo.bloomLevel : ''}
+                        onChange={(e) => updateLO(index, { bloomLevel: e.target.value, bloomSource: 'given' })}
+                      >
+                        <option value="">Choose...</option>
+                        {BLOOM_LEVELS.map(level => <option key={level} value={level}>{level}</option>)}
+                      </Form.Select>
+                      {lo.bloomSource === 'detected' && <Badge bg="warning" text="dark" className="mt-1">Detected</Badge>}
+                    </td>
+                    <td>
+                      <Button
+                        variant="outline-danger"
+                        size="sm"
+                        onClick={() => updateModule({ learningOutcomes: module.learningOutcomes.filter((_, i) => i !== index) })}
+                      >
+                        ×
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide}>Cancel</Button>
+        <Button
+          variant="primary"
+          onClick={handleImport}
+          disabled={!preview || loading || (preview.existingModule && !updateExisting)}
+        >
+          {loading && preview ? 'Importing...' : preview?.existingModule ? 'Update Module' : 'Create Module'}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+}
+
+export default ModuleImportModal;
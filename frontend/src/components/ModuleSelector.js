@@ -57,7 +57,7 @@ function ModuleSelector({ selectedModuleId, onModuleChange, required = true }) {
       </Form.Select>
       {modules.length === 0 && (
         <Form.Text className="text-muted">
-          No modules found. Please create a module first.
+          No modules found. Create a module, or ask a module leader to add you to its team.
         </Form.Text>
       )}
     </Form.Group>
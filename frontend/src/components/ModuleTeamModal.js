@@ -0,0 +1,195 @@
+/**
+ * Module Team Modal Component
+ * Shows a module's team; its leader (and admins) can change the leader, setters, moderators and viewers
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Modal, Form, Button, Alert, Table, Badge } from 'react-bootstrap';
+import { moduleAPI } from '../utils/api';
+import { ROLE_LABELS } from '../utils/permissions';
+
+// Team role → the list holding its members, in the order they are shown
+const TEAM_ROLES = [
+  { role: 'setter', list: 'setters', label: 'Setters', singular: 'Setter', help: 'Edit questions, generate questions and run analyses' },
+  { role: 'moderator', list: 'moderators', label: 'Moderators', singular: 'Moderator', help: 'Run analyses and override coverage' },
+  { role: 'viewer', list: 'viewers', label: 'Viewers', singular: 'Viewer', help: 'View questions and coverage reports' }
+];
+
+const toIds = (members) => (members || []).map(member => member._id);
+
+/**
+ * @param {Object} props
+ * @param {Object} props.module - Module whose team is shown; null hides the modal
+ * @param {Function} props.onHide - Called when the modal is closed
+ * @param {Function} props.onSaved - Called with the server's message once the team is saved
+ */
+function ModuleTeamModal({ module, onHide, onSaved }) {
+  const [team, setTeam] = useState(null); // { leader, setters, moderators, viewers } as user IDs
+  const [members, setMembers] = useState({}); // user ID → user, for display
+  const [candidates, setCandidates] = useState([]);
+  const [canManage, setCanManage] = useState(false);
+  const [addUserId, setAddUserId] = useState('');
+  const [addRole, setAddRole] = useState('setter');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!module) return;
+
+    const loadTeam = async () => {
+      try {
+        setError('');
+        setTeam(null);
+        const response = await moduleAPI.getTeam(module._id);
+        const loaded = response.data.team;
+        const people = [loaded.leader, ...loaded.setters, ...loaded.moderators, ...loaded.viewers, ...response.data.candidates]
+          .filter(Boolean);
+        setMembers(Object.fromEntries(people.map(person => [person._id, person])));
+        setTeam({
+          leader: loaded.leader?._id || '',
+          setters: toIds(loaded.setters),
+          moderators: toIds(loaded.moderators),
+          viewers: toIds(loaded.viewers)
+        });
+        setCandidates(response.data.candidates || []);
+        setCanManage(response.data.canManage);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load the module team');
+      }
+    };
+
+    loadTeam();
+  }, [module]);
+
+  const onTeam = (userId) => team.leader === userId || TEAM_ROLES.some(({ list }) => team[list].includes(userId));
+
+  // Candidates carry the team roles their account role allows
+  const eligible = (role) => candidates.filter(candidate => candidate.teamRoles.includes(role) && !onTeam(candidate._id));
+
+  const handleAdd = () => {
+    const { list } = TEAM_ROLES.find(entry => entry.role === addRole);
+    setTeam({ ...team, [list]: [...team[list], addUserId] });
+    setAddUserId('');
+  };
+
+  const handleRemove = (list, userId) => {
+    setTeam({ ...team, [list]: team[list].filter(id => id !== userId) });
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      const response = await moduleAPI.updateTeam(module._id, team);
+      onSaved(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update the module team');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const describe = (userId) => {
+    const person = members[userId];
+    if (!person) return userId;
+    return (
+      <>
+        {person.name} <span className="text-muted small">({person.email})</span>
+        {' '}<Badge bg="light" text="dark" className="border">{ROLE_LABELS[person.role] || person.role}</Badge>
+      </>
+    );
+  };
+
+  return (
+    <Modal show={!!module} onHide={onHide} size="lg">
+      <Modal.Header closeButton>
+        <Modal.Title>Team: {module?.moduleCode}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {error && <Alert variant="danger">{error}</Alert>}
+
+        {!team ? (
+          !error && <p className="text-muted">Loading team...</p>
+        ) : (
+          <>
+            <Form.Group className="mb-3">
+              <Form.Label><strong>Module Leader</strong></Form.Label>
+              {canManage ? (
+                <Form.Select value={team.leader} onChange={(e) => setTeam({ ...team, leader: e.target.value })}>
+                  <option value="">-- Choose a leader --</option>
+                  {candidates
+                    .filter(candidate => candidate._id === team.leader || candidate.teamRoles.includes('leader'))
+                    .map(candidate => (
+                      <option key={candidate._id} value={candidate._id}>{candidate.name} ({candidate.email})</option>
+                    ))}
+                </Form.Select>
+              ) : (
+                <div>{team.leader ? describe(team.leader) : <span className="text-muted">No leader</span>}</div>
+              )}
+              <Form.Text className="text-muted">Manages the module, its learning outcomes and this team.</Form.Text>
+            </Form.Group>
+
+            <Table size="sm">
+              <tbody>
+                {TEAM_ROLES.map(({ list, label, help }) => (
+                  <React.Fragment key={list}>
+                    <tr className="table-light">
+                      <td colSpan={2}>
+                        <strong>{label}</strong> <span className="text-muted small">— {help}</span>
+                      </td>
+                    </tr>
+                    {team[list].length === 0 ? (
+                      <tr><td colSpan={2} className="text-muted small">None</td></tr>
+                    ) : team[list].map(userId => (
+                      <tr key={userId}>
+                        <td>{describe(userId)}</td>
+                        <td className="text-end" style={{ width: '90px' }}>
+                          {canManage && (
+                            <Button variant="outline-danger" size="sm" onClick={() => handleRemove(list, userId)}>
+                              Remove
+                            </Button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </Table>
+
+            {canManage && (
+              <div className="d-flex gap-2">
+                <Form.Select
+                  style={{ width: '160px' }}
+                  value={addRole}
+                  onChange={(e) => { setAddRole(e.target.value); setAddUserId(''); }}
+                >
+                  {TEAM_ROLES.map(({ role, singular }) => <option key={role} value={role}>{singular}</option>)}
+                </Form.Select>
+                <Form.Select value={addUserId} onChange={(e) => setAddUserId(e.target.value)}>
+                  <option value="">-- Add a person --</option>
+                  {eligible(addRole).map(candidate => (
+                    <option key={candidate._id} value={candidate._id}>
+                      {candidate.name} ({candidate.email}) - {ROLE_LABELS[candidate.role] || candidate.role}
+                    </option>
+                  ))}
+                </Form.Select>
+                <Button variant="outline-primary" onClick={handleAdd} disabled={!addUserId}>Add</Button>
+              </div>
+            )}
+          </>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide}>{canManage ? 'Cancel' : 'Close'}</Button>
+        {canManage && (
+          <Button variant="primary" onClick={handleSave} disabled={saving || !team || !team.leader}>
+            {saving ? 'Saving...' : 'Save Team'}
+          </Button>
+        )}
+      </Modal.Footer>
+    </Modal>
+  );
+}
+
+export default ModuleTeamModal;
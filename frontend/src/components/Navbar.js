@@ -5,6 +5,7 @@
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { Navbar as BootstrapNavbar, Nav, Container, NavDropdown } from 'react-bootstrap';
+import { can, getRoleLabel } from '../utils/permissions';
 
 function Navbar({ user, onLogout }) {
   const location = useLocation();
@@ -110,21 +111,70 @@ function Navbar({ user, onLogout }) {
             >
               Bloom's Level Analysis
             </Nav.Link>
+            {can(user, 'ai:generate') && (
+              <Nav.Link 
+                as={Link} 
+                to="/generator"
+                style={{
+                  color: location.pathname === '/generator' ? '#fff' : 'rgba(255,255,255,0.8)',
+                  fontWeight: location.pathname === '/generator' ? '600' : '400',
+                  margin: '0 0.5rem',
+                  borderRadius: '8px',
+                  padding: '0.5rem 1rem',
+                  transition: 'all 0.3s ease',
+                  backgroundColor: location.pathname === '/generator' ? 'rgba(255,255,255,0.2)' : 'transparent'
+                }}
+              >
+                AI Generator
+              </Nav.Link>
+            )}
             <Nav.Link 
               as={Link} 
-              to="/generator"
+              to="/papers"
               style={{
-                color: location.pathname === '/generator' ? '#fff' : 'rgba(255,255,255,0.8)',
-                fontWeight: location.pathname === '/generator' ? '600' : '400',
+                color: location.pathname === '/papers' ? '#fff' : 'rgba(255,255,255,0.8)',
+                fontWeight: location.pathname === '/papers' ? '600' : '400',
                 margin: '0 0.5rem',
                 borderRadius: '8px',
                 padding: '0.5rem 1rem',
                 transition: 'all 0.3s ease',
-                backgroundColor: location.pathname === '/generator' ? 'rgba(255,255,255,0.2)' : 'transparent'
+                backgroundColor: location.pathname === '/papers' ? 'rgba(255,255,255,0.2)' : 'transparent'
               }}
             >
-              AI Generator
+              Exam Papers
             </Nav.Link>
+            <Nav.Link 
+              as={Link} 
+              to="/blueprints"
+              style={{
+                color: location.pathname === '/blueprints' ? '#fff' : 'rgba(255,255,255,0.8)',
+                fontWeight: location.pathname === '/blueprints' ? '600' : '400',
+                margin: '0 0.5rem',
+                borderRadius: '8px',
+                padding: '0.5rem 1rem',
+                transition: 'all 0.3s ease',
+                backgroundColor: location.pathname === '/blueprints' ? 'rgba(255,255,255,0.2)' : 'transparent'
+              }}
+            >
+              Blueprints
+            </Nav.Link>
+            {can(user, 'users:manage') && (
+              <Nav.Link 
+                as={Link} 
+                to="/users"
+                style={{
+                  color: location.pathname === '/users' ? '#fff' : 'rgba(255,255,255,0.8)',
+                  fontWeight: location.pathname === '/users' ? '600' : '400',
+                  margin: '0 0.5rem',
+                  borderRadius: '8px',
+                  padding: '0.5rem 1rem',
+                  transition: 'all 0.3s ease',
+                  backgroundColor: location.pathname === '/users' ? 'rgba(255,255,255,0.2)' : 'transparent'
+                }}
+              >
+                Users
+              </Nav.Link>
+            )}
           </Nav>
           <Nav>
             <NavDropdown 
@@ -138,9 +188,12 @@ function Navbar({ user, onLogout }) {
               <NavDropdown.ItemText>
                 <small style={{ fontWeight: '600' }}>{user?.email}</small>
                 <br />
-                <small className="text-muted">Role: {user?.role}</small>
+                <small className="text-muted">Role: {getRoleLabel(user)}</small>
               </NavDropdown.ItemText>
               <NavDropdown.Divider />
+              <NavDropdown.Item as={Link} to="/sessions">
+                Signed-in Devices
+              </NavDropdown.Item>
               <NavDropdown.Item onClick={onLogout} style={{ color: '#dc3545' }}>
                 Logout
               </NavDropdown.Item>
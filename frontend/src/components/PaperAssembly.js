@@ -0,0 +1,282 @@
+/**
+ * Paper Assembly Component
+ * Arranges question bank questions into an exam paper's sections, with per-question marks
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Card, Table, Button, Form, Badge, Row, Col } from 'react-bootstrap';
+
+const getId = (value) => value?._id || value;
+
+const truncate = (text, length = 150) => {
+  if (!text) return 'Question no longer available';
+  return text.length > length ? `${text.substring(0, length)}...` : text;
+};
+
+// Local editing copy of the paper's structure, with question IDs flattened
+const toDraft = (paper) => ({
+  instructions: paper.instructions || '',
+  totalMarks: paper.totalMarks ?? '',
+  sections: (paper.sections || []).map((section) => ({
+    _id: section._id,
+    title: section.title,
+    instructions: section.instructions || '',
+    questions: section.questions.map((entry) => ({ questionId: getId(entry.questionId), marks: entry.marks }))
+  }))
+});
+
+/**
+ * @param {Object} props
+ * @param {Object} props.paper - Exam paper with populated section questions
+ * @param {Array<Object>} props.questions - The module's question bank
+ * @param {boolean} props.editable - Whether the current user can change the paper
+ * @param {Function} props.onSave - Called with { instructions, totalMarks, sections }
+ */
+function PaperAssembly({ paper, questions = [], editable, onSave }) {
+  const [draft, setDraft] = useState(() => toDraft(paper));
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setDraft(toDraft(paper));
+  }, [paper]);
+
+  const questionText = (questionId) => {
+    const fromBank = questions.find((question) => question._id === questionId);
+    if (fromBank) return fromBank.questionText;
+    const placed = (paper.sections || [])
+      .flatMap((section) => section.questions)
+      .find((entry) => getId(entry.questionId) === questionId);
+    return placed?.questionId?.questionText;
+  };
+
+  const placedIds = new Set(draft.sections.flatMap((section) => section.questions.map((entry) => entry.questionId)));
+  const assignedMarks = Math.round(draft.sections
+    .flatMap((section) => section.questions)
+    .reduce((sum, entry) => sum + (parseFloat(entry.marks) || 0), 0) * 100) / 100;
+  const target = draft.totalMarks === '' ? null : parseFloat(draft.totalMarks);
+  const balanced = target === null || assignedMarks === target;
+
+  const updateSection = (sectionIndex, changes) => {
+    setDraft({
+      ...draft,
+      sections: draft.sections.map((section, index) => (index === sectionIndex ? { ...section, ...changes } : section))
+    });
+  };
+
+  const updateQuestions = (sectionIndex, update) => {
+    updateSection(sectionIndex, { questions: update([...draft.sections[sectionIndex].questions]) });
+  };
+
+  const moveQuestion = (sectionIndex, questionIndex, offset) => updateQuestions(sectionIndex, (entries) => {
+    const [entry] = entries.splice(questionIndex, 1);
+    entries.splice(questionIndex + offset, 0, entry);
+    return entries;
+  });
+
+  const moveSection = (sectionIndex, offset) => {
+    const sections = [...draft.sections];
+    const [section] = sections.splice(sectionIndex, 1);
+    sections.splice(sectionIndex + offset, 0, section);
+    setDraft({ ...draft, sections });
+  };
+
+  const addQuestion = (sectionIndex, questionId) => {
+    if (!questionId) return;
+    const question = questions.find((q) => q._id === questionId);
+    updateQuestions(sectionIndex, (entries) => [...entries, { questionId, marks: question?.marks || 0 }]);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await onSave({
+        instructions: draft.instructions,
+        totalMarks: target,
+        sections: draft.sections.map((section) => ({
+          ...section,
+          questions: section.questions.map((entry) => ({ ...entry, marks: parseFloat(entry.marks) || 0 }))
+        }))
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Questions are numbered straight through the paper, across sections
+  let questionNumber = 0;
+
+  return (
+    <div className="mb-4">
+      <div className="d-flex justify-content-between align-items-center mb-2">
+        <h6 className="mb-0">Paper Structure</h6>
+        <div>
+          <Badge bg={balanced ? 'success' : 'warning'} text={balanced ? undefined : 'dark'}>
+            {assignedMarks}{target !== null ? ` / ${target}` : ''} marks
+          </Badge>
+          <Badge bg="secondary" className="ms-1">{placedIds.size} questions</Badge>
+        </div>
+      </div>
+
+      {editable ? (
+        <Row className="mb-3">
+          <Col md={9}>
+            <Form.Group>
+              <Form.Label>Instructions</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={2}
+                value={draft.instructions}
+                onChange={(e) => setDraft({ ...draft, instructions: e.target.value })}
+                placeholder="e.g., Answer ALL questions in Section A and TWO questions from Section B."
+              />
+            </Form.Group>
+          </Col>
+          <Col md={3}>
+            <Form.Group>
+              <Form.Label>Total Marks</Form.Label>
+              <Form.Control
+                type="number"
+                min="0"
+                value={draft.totalMarks}
+                onChange={(e) => setDraft({ ...draft, totalMarks: e.target.value })}
+                isInvalid={!balanced}
+              />
+              <Form.Control.Feedback type="invalid">
+                Questions carry {assignedMarks} marks
+              </Form.Control.Feedback>
+            </Form.Group>
+          </Col>
+        </Row>
+      ) : (
+        draft.instructions && <p className="fst-italic">{draft.instructions}</p>
+      )}
+
+      {draft.sections.length === 0 && (
+        <p className="text-muted">No sections yet.{editable && ' Add a section to start placing questions.'}</p>
+      )}
+
+      {draft.sections.map((section, sectionIndex) => (
+        <Card key={section._id || sectionIndex} className="mb-3">
+          <Card.Header className="d-flex gap-2 align-items-center">
+            {editable ? (
+              <>
+                <Form.Control
+                  size="sm"
+                  value={section.title}
+                  onChange={(e) => updateSection(sectionIndex, { title: e.target.value })}
+                  placeholder="Section title"
+                />
+                <Button size="sm" variant="outline-secondary" disabled={sectionIndex === 0} onClick={() => moveSection(sectionIndex, -1)}>↑</Button>
+                <Button size="sm" variant="outline-secondary" disabled={sectionIndex === draft.sections.length - 1} onClick={() => moveSection(sectionIndex, 1)}>↓</Button>
+                <Button
+                  size="sm"
+                  variant="outline-danger"
+                  onClick={() => setDraft({ ...draft, sections: draft.sections.filter((_, index) => index !== sectionIndex) })}
+                >
+                  Remove
+                </Button>
+              </>
+            ) : (
+              <strong>{section.title}</strong>
+            )}
+          </Card.Header>
+          <Card.Body>
+            {editable ? (
+              <Form.Control
+                size="sm"
+                className="mb-2"
+                value={section.instructions}
+                onChange={(e) => updateSection(sectionIndex, { instructions: e.target.value })}
+                placeholder="Section instructions (optional)"
+              />
+            ) : (
+              section.instructions && <p className="text-muted small">{section.instructions}</p>
+            )}
+            {section.questions.length > 0 && (
+              <Table size="sm" bordered className="mb-2">
+                <thead>
+                  <tr>
+                    <th style={{ width: '50px' }}>#</th>
+                    <th>Question</th>
+                    <th style={{ width: '100px' }}>Marks</th>
+                    {editable && <th style={{ width: '140px' }}>Actions</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {section.questions.map((entry, questionIndex) => {
+                    questionNumber += 1;
+                    return (
+                      <tr key={entry.questionId}>
+                        <td>Q{questionNumber}</td>
+                        <td>{truncate(questionText(entry.questionId))}</td>
+                        <td>
+                          {editable ? (
+                            <Form.Control
+                              size="sm"
+                              type="number"
+                              min="0"
+                              step="0.5"
+                              value={entry.marks}
+                              onChange={(e) => updateQuestions(sectionIndex, (entries) => {
+                                entries[questionIndex] = { ...entry, marks: e.target.value };
+                                return entries;
+                              })}
+                            />
+                          ) : (
+                            entry.marks
+                          )}
+                        </td>
+                        {editable && (
+                          <td>
+                            <Button size="sm" variant="outline-secondary" className="me-1" disabled={questionIndex === 0} onClick={() => moveQuestion(sectionIndex, questionIndex, -1)}>↑</Button>
+                            <Button size="sm" variant="outline-secondary" className="me-1" disabled={questionIndex === section.questions.length - 1} onClick={() => moveQuestion(sectionIndex, questionIndex, 1)}>↓</Button>
+                            <Button
+                              size="sm"
+                              variant="outline-danger"
+                              onClick={() => updateQuestions(sectionIndex, (entries) => entries.filter((_, index) => index !== questionIndex))}
+                            >
+                              ✕
+                            </Button>
+                          </td>
+                        )}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </Table>
+            )}
+            {editable && (
+              <Form.Select size="sm" value="" onChange={(e) => addQuestion(sectionIndex, e.target.value)}>
+                <option value="">+ Add a question from the bank...</option>
+                {questions.filter((question) => !placedIds.has(question._id)).map((question) => (
+                  <option key={question._id} value={question._id}>
+                    {truncate(question.questionText, 100)}
+                  </option>
+                ))}
+              </Form.Select>
+            )}
+          </Card.Body>
+        </Card>
+      ))}
+
+      {editable && (
+        <div className="d-flex gap-2">
+          <Button
+            variant="outline-primary"
+            onClick={() => setDraft({
+              ...draft,
+              sections: [...draft.sections, { title: `Section ${String.fromCharCode(65 + draft.sections.length)}`, instructions: '', questions: [] }]
+            })}
+          >
+            + Add Section
+          </Button>
+          <Button variant="primary" onClick={handleSave} disabled={saving}>
+            {saving ? 'Saving...' : 'Save Paper Structure'}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PaperAssembly;
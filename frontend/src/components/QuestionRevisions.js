@@ -0,0 +1,190 @@
+/**
+ * Question Revisions Component
+ * Lists a question's revisions, compares any two side by side and restores earlier ones
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Table, Button, Form, Badge, Alert, Row, Col } from 'react-bootstrap';
+import { questionAPI } from '../utils/api';
+import { diffWords } from '../utils/textDiff';
+
+const FIELD_LABELS = {
+  questionText: 'Question',
+  questionType: 'Type',
+  options: 'Options',
+  correctAnswer: 'Correct Answer',
+  marks: 'Marks',
+  sampleAnswer: 'Sample Answer'
+};
+
+const ACTION_VARIANTS = {
+  original: 'secondary',
+  edit: 'primary',
+  restore: 'warning'
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+// Field values as text, one option per line
+const fieldText = (content, field) => {
+  const value = content?.[field];
+  if (Array.isArray(value)) return value.join('\n');
+  return value === undefined || value === null ? '' : String(value);
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.question - The question being viewed
+ * @param {Function} props.onRestored - Called with the updated question after a restore
+ * @param {boolean} props.canRestore - Whether the user may restore revisions
+ */
+function QuestionRevisions({ question, onRestored, canRestore = true }) {
+  const [revisions, setRevisions] = useState([]);
+  const [compareFrom, setCompareFrom] = useState(null);
+  const [compareTo, setCompareTo] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadRevisions = useCallback(async () => {
+    try {
+      const response = await questionAPI.getRevisions(question._id);
+      const list = response.data.revisions || [];
+      setRevisions(list);
+      // Compare the latest change by default
+      setCompareTo(list[0]?.revision ?? null);
+      setCompareFrom(list[1]?.revision ?? null);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load revisions');
+    }
+  }, [question._id]);
+
+  useEffect(() => {
+    loadRevisions();
+  }, [loadRevisions, question.updatedAt]);
+
+  const handleRestore = async (revision) => {
+    const reason = window.prompt(`Restore revision ${revision.revision}? Give a reason for the change:`, `Restored revision ${revision.revision}`);
+    if (reason === null) return;
+
+    try {
+      setError('');
+      const response = await questionAPI.restoreRevision(question._id, revision.revision, reason);
+      onRestored(response.data.question);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to restore revision');
+    }
+  };
+
+  if (revisions.length === 0) {
+    return <p className="text-muted small">No changes have been recorded for this question.</p>;
+  }
+
+  const from = revisions.find((revision) => revision.revision === compareFrom);
+  const to = revisions.find((revision) => revision.revision === compareTo);
+  const comparedFields = Object.keys(FIELD_LABELS)
+    .filter((field) => fieldText(from?.content, field) !== fieldText(to?.content, field));
+
+  return (
+    <div>
+      {error && <Alert variant="danger" dismissible onClose={() => setError('')}>{error}</Alert>}
+
+      <Table size="sm" bordered responsive className="mb-3">
+        <thead>
+          <tr>
+            <th>Rev</th>
+            <th>When</th>
+            <th>Who</th>
+            <th>Change</th>
+            <th>Reason</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {revisions.map((revision, index) => (
+            <tr key={revision._id}>
+              <td>{revision.revision}</td>
+              <td className="small">{formatDate(revision.createdAt)}</td>
+              <td>{revision.author?.name || <span className="text-muted">-</span>}</td>
+              <td>
+                <Badge bg={ACTION_VARIANTS[revision.action]} className="me-1">
+                  {revision.action === 'restore' ? `Restored rev ${revision.restoredFrom}` : revision.action}
+                </Badge>
+                <span className="small">{revision.changedFields.map((field) => FIELD_LABELS[field] || field).join(', ')}</span>
+              </td>
+              <td className="small">{revision.reason || <span className="text-muted">-</span>}</td>
+              <td>
+                {index > 0 && canRestore && (
+                  <Button size="sm" variant="outline-warning" onClick={() => handleRestore(revision)}>
+                    Restore
+                  </Button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+
+      {revisions.length > 1 && (
+        <>
+          <Row className="mb-2 align-items-center">
+            <Col xs="auto">Compare revision</Col>
+            <Col xs="auto">
+              <Form.Select size="sm" value={compareFrom ?? ''} onChange={(e) => setCompareFrom(parseInt(e.target.value, 10))}>
+                {revisions.map((revision) => (
+                  <option key={revision._id} value={revision.revision}>{revision.revision}</option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col xs="auto">with</Col>
+            <Col xs="auto">
+              <Form.Select size="sm" value={compareTo ?? ''} onChange={(e) => setCompareTo(parseInt(e.target.value, 10))}>
+                {revisions.map((revision) => (
+                  <option key={revision._id} value={revision.revision}>{revision.revision}</option>
+                ))}
+              </Form.Select>
+            </Col>
+          </Row>
+
+          {comparedFields.length === 0 ? (
+            <p className="text-muted small">These revisions have the same content.</p>
+          ) : (
+            <Table size="sm" bordered>
+              <thead>
+                <tr>
+                  <th style={{ width: '120px' }}>Field</th>
+                  <th>Revision {compareFrom}</th>
+                  <th>Revision {compareTo}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {comparedFields.map((field) => {
+                  const parts = diffWords(fieldText(from?.content, field), fieldText(to?.content, field));
+                  return (
+                    <tr key={field}>
+                      <td><strong>{FIELD_LABELS[field]}</strong></td>
+                      <td style={{ whiteSpace: 'pre-wrap' }}>
+                        {parts.filter((part) => part.type !== 'added').map((part, index) => (
+                          part.type === 'removed'
+                            ? <del key={index} className="bg-danger-subtle">{part.value}</del>
+                            : <span key={index}>{part.value}</span>
+                        ))}
+                      </td>
+                      <td style={{ whiteSpace: 'pre-wrap' }}>
+                        {parts.filter((part) => part.type !== 'removed').map((part, index) => (
+                          part.type === 'added'
+                            ? <ins key={index} className="bg-success-subtle">{part.value}</ins>
+                            : <span key={index}>{part.value}</span>
+                        ))}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </Table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default QuestionRevisions;
@@ -0,0 +1,58 @@
+/**
+ * Session Table Component
+ * Lists signed-in devices with when each was last used, and a Log out button per device
+ */
+
+import React from 'react';
+import { Table, Button, Badge } from 'react-bootstrap';
+
+/**
+ * @param {Object} props
+ * @param {Array} props.sessions - Sessions from the API
+ * @param {Function} props.onRevoke - Called with the session to end
+ * @param {string|null} props.revokingId - Session being ended, whose button is disabled
+ */
+function SessionTable({ sessions, onRevoke, revokingId }) {
+  if (sessions.length === 0) {
+    return <p className="text-muted">No active sessions.</p>;
+  }
+
+  return (
+    <Table hover responsive>
+      <thead>
+        <tr>
+          <th>Device</th>
+          <th>IP Address</th>
+          <th>Signed In</th>
+          <th>Last Used</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>
+        {sessions.map(session => (
+          <tr key={session._id}>
+            <td>
+              <span title={session.userAgent}>{session.device}</span>
+              {session.current && <Badge bg="success" className="ms-2">This device</Badge>}
+            </td>
+            <td>{session.ip || '-'}</td>
+            <td>{new Date(session.createdAt).toLocaleString()}</td>
+            <td>{new Date(session.lastUsedAt).toLocaleString()}</td>
+            <td className="text-end">
+              <Button
+                variant="outline-danger"
+                size="sm"
+                disabled={revokingId === session._id}
+                onClick={() => onRevoke(session)}
+              >
+                Log out
+              </Button>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </Table>
+  );
+}
+
+export default SessionTable;
@@ -0,0 +1,37 @@
+/**
+ * Stale Report Warning Component
+ * Warns when a coverage report was analysed against learning outcomes that have since changed
+ */
+
+import React from 'react';
+import { Alert } from 'react-bootstrap';
+
+/**
+ * @param {Object} props
+ * @param {Object} props.loStatus - { analysedVersion, currentVersion, stale, added, removed, changed } from the coverage API
+ */
+function StaleReportWarning({ loStatus }) {
+  if (!loStatus || !loStatus.stale) {
+    return null;
+  }
+
+  const { analysedVersion, currentVersion, added, removed, changed } = loStatus;
+  const details = [
+    changed.length > 0 && `reworded or re-levelled: ${changed.join(', ')}`,
+    added.length > 0 && `added: ${added.join(', ')}`,
+    removed.length > 0 && `removed: ${removed.join(', ')}`
+  ].filter(Boolean);
+
+  return (
+    <Alert variant="warning">
+      <strong>This report is out of date.</strong>{' '}
+      {analysedVersion
+        ? `It was analysed against version ${analysedVersion} of the learning outcomes; the module is now at version ${currentVersion}.`
+        : `It was analysed before learning outcomes were versioned, and they have changed since (now version ${currentVersion}).`}
+      {details.length > 0 && ` Learning outcomes ${details.join('; ')}.`}
+      {' '}Results show the learning outcomes as they were analysed. Re-run the analysis to bring the report up to date.
+    </Alert>
+  );
+}
+
+export default StaleReportWarning;
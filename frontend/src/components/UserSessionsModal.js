@@ -0,0 +1,93 @@
+/**
+ * User Sessions Modal Component
+ * Lets an admin see where a user is signed in and end any or all of those sessions
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Modal, Button, Alert } from 'react-bootstrap';
+import SessionTable from './SessionTable';
+import { userAPI } from '../utils/api';
+
+/**
+ * @param {Object} props
+ * @param {Object} props.target - User whose sessions are shown; null hides the modal
+ * @param {Function} props.onHide - Called when the modal is closed
+ */
+function UserSessionsModal({ target, onHide }) {
+  const [sessions, setSessions] = useState(null);
+  const [revokingId, setRevokingId] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    if (!target) return;
+
+    const loadSessions = async () => {
+      try {
+        setError('');
+        setSuccess('');
+        setSessions(null);
+        const response = await userAPI.getSessions(target._id);
+        setSessions(response.data.sessions || []);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load sessions');
+      }
+    };
+
+    loadSessions();
+  }, [target]);
+
+  const handleRevoke = async (session) => {
+    try {
+      setRevokingId(session._id);
+      setError('');
+      setSuccess('');
+      const response = await userAPI.revokeSession(target._id, session._id);
+      setSessions(sessions.filter(s => s._id !== session._id));
+      setSuccess(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to end the session');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    if (!window.confirm(`Sign ${target.name} out of every device?`)) {
+      return;
+    }
+    try {
+      setError('');
+      const response = await userAPI.revokeSessions(target._id);
+      setSessions([]);
+      setSuccess(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to end the sessions');
+    }
+  };
+
+  return (
+    <Modal show={!!target} onHide={onHide} size="lg">
+      <Modal.Header closeButton>
+        <Modal.Title>Sessions: {target?.name}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {error && <Alert variant="danger">{error}</Alert>}
+        {success && <Alert variant="success">{success}</Alert>}
+        {sessions === null ? (
+          !error && <p className="text-muted">Loading sessions...</p>
+        ) : (
+          <SessionTable sessions={sessions} onRevoke={handleRevoke} revokingId={revokingId} />
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="outline-danger" onClick={handleRevokeAll} disabled={!sessions || sessions.length === 0}>
+          Log out everywhere
+        </Button>
+        <Button variant="secondary" onClick={onHide}>Close</Button>
+      </Modal.Footer>
+    </Modal>
+  );
+}
+
+export default UserSessionsModal;
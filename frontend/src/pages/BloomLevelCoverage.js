@@ -4,13 +4,16 @@
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
-import { Container, Row, Col, Card, Alert, Table, Badge, Form } from 'react-bootstrap';
+import { Container, Row, Col, Card, Alert, Table, Badge, Form, Button } from 'react-bootstrap';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import { coverageAPI } from '../utils/api';
+import { coverageAPI, questionAPI, paperAPI } from '../utils/api';
 import ModuleSelector from '../components/ModuleSelector';
+import StaleReportWarning from '../components/StaleReportWarning';
+import AnalysisRunSelector, { DEFAULT_RUN } from '../components/AnalysisRunSelector';
 import { getPersistedModuleId, setPersistedModuleId } from '../utils/moduleStorage';
+import { can } from '../utils/permissions';
 
-function BloomLevelCoverage() {
+function BloomLevelCoverage({ user }) {
   const [selectedModuleId, setSelectedModuleId] = useState(() => {
     // Load persisted module on initial render
     return getPersistedModuleId() || '';
@@ -18,13 +21,19 @@ function BloomLevelCoverage() {
   const [coverageData, setCoverageData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
-  const [selectedAnalysisTag, setSelectedAnalysisTag] = useState(null); // null = default/untagged
+  const [selectedRun, setSelectedRun] = useState(DEFAULT_RUN); // Default run, an exam paper or a tag
   const [analysisTags, setAnalysisTags] = useState([]);
+  const [papers, setPapers] = useState([]);
+  const [mismatch, setMismatch] = useState(null);
+  const [classifyMethod, setClassifyMethod] = useState('ai');
+  const [classifying, setClassifying] = useState(false);
+  const [success, setSuccess] = useState('');
 
   // Handle module change and persist it
   const handleModuleChange = (moduleId) => {
     setSelectedModuleId(moduleId);
     setPersistedModuleId(moduleId);
+    setSelectedRun(DEFAULT_RUN);
   };
 
   const loadAnalysisTags = useCallback(async () => {
@@ -40,13 +49,24 @@ function BloomLevelCoverage() {
     }
   }, [selectedModuleId]);
 
+  const loadPapers = useCallback(async () => {
+    if (!selectedModuleId) return;
+
+    try {
+      const response = await paperAPI.getByModule(selectedModuleId);
+      setPapers(response.data.papers || []);
+    } catch (error) {
+      console.error('Error loading exam papers:', error);
+    }
+  }, [selectedModuleId]);
+
   const loadCoverage = useCallback(async () => {
     if (!selectedModuleId) return;
 
     try {
       setLoading(true);
       setError('');
-      const response = await coverageAPI.getByModule(selectedModuleId, selectedAnalysisTag);
+      const response = await coverageAPI.getByModule(selectedModuleId, selectedRun);
       if (response.data && response.data.success !== false) {
         setCoverageData(response.data);
       } else {
@@ -63,22 +83,58 @@ function BloomLevelCoverage() {
     } finally {
       setLoading(false);
     }
-  }, [selectedModuleId, selectedAnalysisTag]);
+  }, [selectedModuleId, selectedRun]);
+
+  const loadMismatch = useCallback(async () => {
+    if (!selectedModuleId) return;
+
+    try {
+      const response = await coverageAPI.getBloomMismatch(selectedModuleId, selectedRun);
+      if (response.data && response.data.success) {
+        setMismatch(response.data);
+      }
+    } catch (error) {
+      console.error('Error loading Bloom mismatch report:', error);
+      setMismatch(null);
+    }
+  }, [selectedModuleId, selectedRun]);
+
+  const handleClassify = async () => {
+    setClassifying(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await questionAPI.classify(selectedModuleId, { method: classifyMethod });
+      const { classified, skipped, unclassified } = response.data;
+      setSuccess(`Classified ${classified} question(s)` +
+        (skipped > 0 ? `, kept ${skipped} manual classification(s)` : '') +
+        (unclassified > 0 ? `, ${unclassified} could not be classified` : '') + '.');
+      loadMismatch();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to classify questions');
+    } finally {
+      setClassifying(false);
+    }
+  };
 
   useEffect(() => {
     if (selectedModuleId) {
       loadAnalysisTags();
+      loadPapers();
     } else {
       setCoverageData(null);
       setAnalysisTags([]);
+      setPapers([]);
     }
-  }, [selectedModuleId, loadAnalysisTags]);
+  }, [selectedModuleId, loadAnalysisTags, loadPapers]);
 
   useEffect(() => {
     if (selectedModuleId) {
       loadCoverage();
+      loadMismatch();
     }
-  }, [selectedAnalysisTag, selectedModuleId, loadCoverage]);
+  }, [selectedRun, selectedModuleId, loadCoverage, loadMismatch]);
 
   // Calculate Bloom's level coverage analysis
   const calculateBloomLevelCoverage = () => {
@@ -119,6 +175,7 @@ function BloomLevelCoverage() {
     const bloomLevelData = bloomLevels.map(level => {
       const stats = bloomStats[level];
       const avgCoverage = stats.count > 0 ? Math.round(stats.totalCoverage / stats.count) : 0;
+      const levelMarks = (coverageData.marksByBloomLevel || []).find(item => item.bloomLevel === level);
       
       return {
         level,
@@ -126,7 +183,9 @@ function BloomLevelCoverage() {
         averageCoverage: avgCoverage,
         covered: stats.covered,
         partiallyCovered: stats.partiallyCovered,
-        notCovered: stats.notCovered
+        notCovered: stats.notCovered,
+        marks: levelMarks ? levelMarks.marks : 0,
+        marksShare: levelMarks ? levelMarks.marksShare : 0
       };
     }).filter(item => item.count > 0); // Only show levels that have LOs
 
@@ -139,9 +198,13 @@ function BloomLevelCoverage() {
   const chartData = bloomLevelCoverage ? bloomLevelCoverage.map(item => ({
     level: item.level,
     coverage: item.averageCoverage,
+    marksShare: item.marksShare,
     count: item.count
   })) : [];
 
+  // Reports from before marks weighting have no paper total
+  const hasMarks = coverageData && coverageData.totalMarks !== null && coverageData.totalMarks !== undefined;
+
   return (
     <Container className="mt-4 fade-in">
       <div className="page-header">
@@ -150,6 +213,7 @@ function BloomLevelCoverage() {
       </div>
 
       {error && <Alert variant="danger" dismissible onClose={() => setError('')}>{error}</Alert>}
+      {success && <Alert variant="success" dismissible onClose={() => setSuccess('')}>{success}</Alert>}
 
       <Card className="academic-card mb-4">
         <Card.Body>
@@ -159,21 +223,12 @@ function BloomLevelCoverage() {
           />
           {selectedModuleId && (
             <div className="mt-3 d-flex gap-2 flex-wrap align-items-center">
-              {analysisTags.length > 0 && (
-                <Form.Select
-                  size="sm"
-                  style={{ width: 'auto', minWidth: '200px' }}
-                  value={selectedAnalysisTag || ''}
-                  onChange={(e) => setSelectedAnalysisTag(e.target.value || null)}
-                >
-                  <option value="">Default Analysis (All Questions)</option>
-                  {analysisTags.map((tag) => (
-                    <option key={tag} value={tag}>
-                      {tag}
-                    </option>
-                  ))}
-                </Form.Select>
-              )}
+              <AnalysisRunSelector
+                run={selectedRun}
+                papers={papers}
+                tags={analysisTags}
+                onChange={setSelectedRun}
+              />
             </div>
           )}
         </Card.Body>
@@ -188,6 +243,8 @@ function BloomLevelCoverage() {
         </div>
       ) : bloomLevelCoverage && bloomLevelCoverage.length > 0 ? (
         <>
+          <StaleReportWarning loStatus={coverageData.loStatus} />
+
           <Row className="mb-4">
             <Col>
               <Card className="academic-card">
@@ -203,6 +260,7 @@ function BloomLevelCoverage() {
                       <Tooltip />
                       <Legend />
                       <Bar dataKey="coverage" fill="#8884d8" name="Average Coverage %" />
+                      {hasMarks && <Bar dataKey="marksShare" fill="#82ca9d" name="Share of Paper Marks %" />}
                     </BarChart>
                   </ResponsiveContainer>
                 </Card.Body>
@@ -220,6 +278,12 @@ function BloomLevelCoverage() {
                   )}
                 </Card.Header>
                 <Card.Body>
+                  {hasMarks && (
+                    <p className="text-muted small">
+                      {coverageData.allocatedMarks} of {coverageData.totalMarks} paper marks target a learning outcome.
+                      Marks of a question relevant to several LOs are split in proportion to its similarity scores.
+                    </p>
+                  )}
                   <Table striped bordered hover responsive>
                     <thead>
                       <tr>
@@ -229,6 +293,7 @@ function BloomLevelCoverage() {
                         <th>Covered</th>
                         <th>Partially Covered</th>
                         <th>Not Covered</th>
+                        {hasMarks && <th>Marks (% of Paper)</th>}
                         <th>Coverage Visualization</th>
                       </tr>
                     </thead>
@@ -253,6 +318,9 @@ function BloomLevelCoverage() {
                           <td>
                             <Badge bg="danger">{item.notCovered}</Badge>
                           </td>
+                          {hasMarks && (
+                            <td>{item.marks} ({item.marksShare}%)</td>
+                          )}
                           <td>
                             <div className="progress" style={{ height: '25px', minWidth: '150px' }}>
                               <div
@@ -280,6 +348,84 @@ function BloomLevelCoverage() {
             </Col>
           </Row>
 
+          <Row className="mb-4">
+            <Col>
+              <Card className="academic-card">
+                <Card.Header className="d-flex justify-content-between align-items-center flex-wrap gap-2">
+                  <strong>Intended vs. Examined Bloom's Level</strong>
+                  {can(user, 'questions:edit') && (
+                    <div className="d-flex gap-2 align-items-center">
+                      <Form.Select
+                        size="sm"
+                        style={{ width: 'auto' }}
+                        value={classifyMethod}
+                        onChange={(e) => setClassifyMethod(e.target.value)}
+                        title="Classification method"
+                      >
+                        <option value="ai">AI Classification</option>
+                        <option value="heuristic">Verb Heuristic (Offline)</option>
+                      </Form.Select>
+                      <Button size="sm" variant="primary" onClick={handleClassify} disabled={classifying}>
+                        {classifying ? 'Classifying...' : 'Classify Questions'}
+                      </Button>
+                    </div>
+                  )}
+                </Card.Header>
+                <Card.Body>
+                  <p className="text-muted small">
+                    Compares each LO's intended level with the classified level of the questions mapped to it.
+                    An LO is flagged when none of its questions reach its intended level.
+                  </p>
+                  {mismatch && mismatch.results.length > 0 ? (
+                    <Table striped bordered hover responsive>
+                      <thead>
+                        <tr>
+                          <th>LO ID</th>
+                          <th>Intended Level</th>
+                          <th>Question Levels</th>
+                          <th>Below</th>
+                          <th>At Level</th>
+                          <th>Above</th>
+                          <th>Status</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {mismatch.results.map((item) => (
+                          <tr key={item.loId}>
+                            <td title={item.description}><strong>{item.loId}</strong></td>
+                            <td><Badge bg="info">{item.intendedLevel}</Badge></td>
+                            <td>
+                              {item.questions.map((question) => (
+                                <Badge
+                                  key={question.questionId}
+                                  bg={question.comparison === 'below' ? 'danger' : question.comparison === 'unclassified' ? 'secondary' : 'success'}
+                                  className="me-1 mb-1"
+                                  title={question.questionText}
+                                >
+                                  {question.bloomLevel || 'Unclassified'}
+                                </Badge>
+                              ))}
+                            </td>
+                            <td>{item.below}</td>
+                            <td>{item.matching}</td>
+                            <td>{item.above}</td>
+                            <td>
+                              <Badge bg={item.status === 'Aligned' ? 'success' : item.status === 'Below Intended Level' ? 'danger' : 'secondary'}>
+                                {item.status}
+                              </Badge>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </Table>
+                  ) : (
+                    <p className="text-muted mb-0">No mismatch data available.</p>
+                  )}
+                </Card.Body>
+              </Card>
+            </Col>
+          </Row>
+
           {coverageData?.analyzedQuestions && coverageData.analyzedQuestions.length > 0 && (
             <Card className="academic-card mt-4">
               <Card.Header>
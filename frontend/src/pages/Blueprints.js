@@ -0,0 +1,476 @@
+/**
+ * Blueprints Page Component
+ * Define assessment blueprints and build exam papers from the question bank to match them
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Row, Col, Card, Button, Alert, Table, Badge, Form, Modal } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { blueprintAPI, moduleAPI } from '../utils/api';
+import ModuleSelector from '../components/ModuleSelector';
+import { getPersistedModuleId, setPersistedModuleId } from '../utils/moduleStorage';
+import { can } from '../utils/permissions';
+
+const BLOOM_LEVELS = ['Remember', 'Understand', 'Apply', 'Analyze', 'Evaluate', 'Create'];
+
+const DIMENSION_LABELS = {
+  lo: 'Learning Outcome',
+  bloom: 'Bloom\'s Level',
+  type: 'Question Type'
+};
+
+const emptyForm = {
+  name: '',
+  totalMarks: 100,
+  durationMinutes: '',
+  mcqShare: '',
+  loTargets: {},
+  bloomTargets: {}
+};
+
+function Blueprints({ user }) {
+  const canEdit = can(user, 'blueprints:edit');
+  const [selectedModuleId, setSelectedModuleId] = useState(() => {
+    // Load persisted module on initial render
+    return getPersistedModuleId() || '';
+  });
+  const [module, setModule] = useState(null);
+  const [blueprints, setBlueprints] = useState([]);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [showModal, setShowModal] = useState(false);
+  const [editingBlueprint, setEditingBlueprint] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [buildTarget, setBuildTarget] = useState(null); // Blueprint being built
+  const [buildOptions, setBuildOptions] = useState({ generateMissing: false, createPaper: false, paperTitle: '' });
+  const [building, setBuilding] = useState(false);
+  const [buildResult, setBuildResult] = useState(null);
+
+  // Handle module change and persist it
+  const handleModuleChange = (moduleId) => {
+    setSelectedModuleId(moduleId);
+    setPersistedModuleId(moduleId);
+    setBuildTarget(null);
+    setBuildResult(null);
+  };
+
+  const loadBlueprints = useCallback(async () => {
+    if (!selectedModuleId) return;
+
+    try {
+      const [moduleResponse, blueprintResponse] = await Promise.all([
+        moduleAPI.getById(selectedModuleId),
+        blueprintAPI.getByModule(selectedModuleId)
+      ]);
+      setModule(moduleResponse.data.module);
+      setBlueprints(blueprintResponse.data.blueprints || []);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load blueprints');
+    }
+  }, [selectedModuleId]);
+
+  useEffect(() => {
+    if (selectedModuleId) {
+      loadBlueprints();
+    } else {
+      setModule(null);
+      setBlueprints([]);
+    }
+  }, [selectedModuleId, loadBlueprints]);
+
+  const handleShowModal = (blueprint = null) => {
+    setEditingBlueprint(blueprint);
+    setFormData(blueprint ? {
+      name: blueprint.name,
+      totalMarks: blueprint.totalMarks,
+      durationMinutes: blueprint.durationMinutes ?? '',
+      mcqShare: blueprint.mcqShare ?? '',
+      loTargets: Object.fromEntries(blueprint.loTargets.map((target) => [target.loId, target.marks])),
+      bloomTargets: Object.fromEntries(blueprint.bloomTargets.map((target) => [target.bloomLevel, target.share]))
+    } : emptyForm);
+    setShowModal(true);
+  };
+
+  const loMarksTotal = Object.values(formData.loTargets).reduce((sum, marks) => sum + (parseFloat(marks) || 0), 0);
+  const bloomShareTotal = Object.values(formData.bloomTargets).reduce((sum, share) => sum + (parseFloat(share) || 0), 0);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const data = {
+      name: formData.name,
+      totalMarks: formData.totalMarks,
+      durationMinutes: formData.durationMinutes,
+      mcqShare: formData.mcqShare,
+      loTargets: Object.entries(formData.loTargets).map(([loId, marks]) => ({ loId, marks: parseFloat(marks) || 0 })),
+      bloomTargets: Object.entries(formData.bloomTargets).map(([bloomLevel, share]) => ({ bloomLevel, share: parseFloat(share) || 0 }))
+    };
+
+    try {
+      setError('');
+      if (editingBlueprint) {
+        await blueprintAPI.update(editingBlueprint._id, data);
+        setSuccess('Blueprint updated successfully');
+      } else {
+        await blueprintAPI.create({ ...data, moduleId: selectedModuleId });
+        setSuccess('Blueprint created successfully');
+      }
+      setShowModal(false);
+      loadBlueprints();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to save blueprint');
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Are you sure you want to delete this blueprint?')) return;
+
+    try {
+      await blueprintAPI.delete(id);
+      setSuccess('Blueprint deleted successfully');
+      if (buildTarget && buildTarget._id === id) {
+        setBuildTarget(null);
+        setBuildResult(null);
+      }
+      loadBlueprints();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to delete blueprint');
+    }
+  };
+
+  const handleBuild = async () => {
+    try {
+      setBuilding(true);
+      setError('');
+      const response = await blueprintAPI.build(buildTarget._id, buildOptions);
+      setBuildResult(response.data);
+      setSuccess(response.data.message);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to build paper from blueprint');
+    } finally {
+      setBuilding(false);
+    }
+  };
+
+  return (
+    <Container className="mt-4 fade-in">
+      <div className="page-header">
+        <h1>Assessment Blueprints</h1>
+        <p className="text-muted mb-0">Set mark targets per LO, Bloom's level and question type, then build a paper from the question bank</p>
+      </div>
+
+      {error && <Alert variant="danger" dismissible onClose={() => setError('')}>{error}</Alert>}
+      {success && <Alert variant="success" dismissible onClose={() => setSuccess('')}>{success}</Alert>}
+
+      <Card className="academic-card mb-4">
+        <Card.Body>
+          <ModuleSelector
+            selectedModuleId={selectedModuleId}
+            onModuleChange={handleModuleChange}
+          />
+          {selectedModuleId && canEdit && (
+            <Button variant="primary" onClick={() => handleShowModal()}>
+              + New Blueprint
+            </Button>
+          )}
+        </Card.Body>
+      </Card>
+
+      {selectedModuleId && (
+        <Card className="academic-card mb-4">
+          <Card.Header>
+            <strong>Blueprints</strong>
+          </Card.Header>
+          <Card.Body>
+            {blueprints.length === 0 ? (
+              <p className="text-muted mb-0">No blueprints for this module yet.</p>
+            ) : (
+              <Table hover responsive>
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Total Marks</th>
+                    <th>Duration</th>
+                    <th>LOs</th>
+                    <th>MCQ Share</th>
+                    {canEdit && <th>Actions</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {blueprints.map((blueprint) => (
+                    <tr key={blueprint._id}>
+                      <td>{blueprint.name}</td>
+                      <td>{blueprint.totalMarks}</td>
+                      <td>{blueprint.durationMinutes ? `${blueprint.durationMinutes} min` : '-'}</td>
+                      <td>{blueprint.loTargets.length}</td>
+                      <td>{blueprint.mcqShare !== null ? `${blueprint.mcqShare}%` : 'Any'}</td>
+                      {canEdit && (
+                        <td>
+                          <Button
+                            size="sm"
+                            variant="outline-primary"
+                            className="me-2"
+                            onClick={() => {
+                              setBuildTarget(blueprint);
+                              setBuildResult(null);
+                              setBuildOptions({ generateMissing: false, createPaper: false, paperTitle: '' });
+                            }}
+                          >
+                            Build Paper
+                          </Button>
+                          <Button size="sm" variant="outline-secondary" className="me-2" onClick={() => handleShowModal(blueprint)}>
+                            Edit
+                          </Button>
+                          <Button size="sm" variant="outline-danger" onClick={() => handleDelete(blueprint._id)}>
+                            Delete
+                          </Button>
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            )}
+          </Card.Body>
+        </Card>
+      )}
+
+      {buildTarget && (
+        <Card className="academic-card mb-4">
+          <Card.Header>
+            <strong>Build from “{buildTarget.name}”</strong>
+          </Card.Header>
+          <Card.Body>
+            <p className="text-muted small">
+              Questions are matched to LOs using the module's latest default coverage analysis, so run it after adding questions.
+            </p>
+            <Row className="align-items-end mb-3">
+              <Col md={3}>
+                <Form.Check
+                  type="checkbox"
+                  label="Generate questions for gaps"
+                  disabled={!can(user, 'ai:generate')}
+                  checked={buildOptions.generateMissing}
+                  onChange={(e) => setBuildOptions({ ...buildOptions, generateMissing: e.target.checked })}
+                />
+              </Col>
+              <Col md={3}>
+                <Form.Check
+                  type="checkbox"
+                  label="Save as a draft exam paper"
+                  disabled={!can(user, 'papers:set')}
+                  checked={buildOptions.createPaper}
+                  onChange={(e) => setBuildOptions({ ...buildOptions, createPaper: e.target.checked })}
+                />
+              </Col>
+              <Col md={4}>
+                {buildOptions.createPaper && (
+                  <Form.Control
+                    size="sm"
+                    value={buildOptions.paperTitle}
+                    onChange={(e) => setBuildOptions({ ...buildOptions, paperTitle: e.target.value })}
+                    placeholder={`${module?.moduleCode || ''} - ${buildTarget.name}`}
+                  />
+                )}
+              </Col>
+              <Col md={2} className="text-md-end">
+                <Button variant="primary" onClick={handleBuild} disabled={building}>
+                  {building ? 'Building...' : 'Build'}
+                </Button>
+              </Col>
+            </Row>
+
+            {buildResult && (
+              <>
+                <p>
+                  <strong>{buildResult.selectedMarks}</strong> of {buildResult.totalMarks} marks selected
+                  from {buildResult.selection.length} questions.
+                  {buildResult.unmappedQuestions > 0 && ` ${buildResult.unmappedQuestions} question(s) in the bank have no coverage mapping and were not considered.`}
+                  {buildResult.generatedQuestions.length > 0 && ` ${buildResult.generatedQuestions.length} question(s) were generated and added to the bank.`}
+                </p>
+                {buildResult.paper && (
+                  <Alert variant="info">
+                    Saved as draft paper “{buildResult.paper.title}”. <Link to="/papers">Open Exam Papers</Link> to review it.
+                  </Alert>
+                )}
+                {buildResult.generationErrors.map((generationError) => (
+                  <Alert key={generationError.loId} variant="warning">
+                    Could not generate questions for {generationError.loId}: {generationError.message}
+                  </Alert>
+                ))}
+
+                <h6>Blueprint Targets</h6>
+                <Table size="sm" bordered className="mb-4">
+                  <thead>
+                    <tr>
+                      <th>Target</th>
+                      <th>Cell</th>
+                      <th>Target Marks</th>
+                      <th>Selected Marks</th>
+                      <th>Shortfall</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {buildResult.cells.map((cell) => (
+                      <tr key={`${cell.dimension}-${cell.key}`} className={cell.shortfall > 0 ? 'table-warning' : ''}>
+                        <td>{DIMENSION_LABELS[cell.dimension]}</td>
+                        <td>{cell.key}</td>
+                        <td>{cell.targetMarks}</td>
+                        <td>{cell.selectedMarks}</td>
+                        <td>{cell.shortfall > 0 ? <Badge bg="warning" text="dark">{cell.shortfall}</Badge> : <Badge bg="success">Met</Badge>}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+
+                <h6>Selected Questions</h6>
+                <Table size="sm" bordered responsive>
+                  <thead>
+                    <tr>
+                      <th>LO</th>
+                      <th>Question</th>
+                      <th>Type</th>
+                      <th>Bloom's Level</th>
+                      <th>Marks</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {buildResult.selection.map((entry) => (
+                      <tr key={entry.questionId}>
+                        <td><strong>{entry.loId}</strong></td>
+                        <td>
+                          {entry.questionText.length > 150 ? `${entry.questionText.substring(0, 150)}...` : entry.questionText}
+                          {entry.source === 'AI' && <Badge bg="info" className="ms-1">AI</Badge>}
+                        </td>
+                        <td>{entry.questionType}</td>
+                        <td>{entry.bloomLevel || <span className="text-muted">Unclassified</span>}</td>
+                        <td>{entry.marks}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </>
+            )}
+          </Card.Body>
+        </Card>
+      )}
+
+      <Modal show={showModal} onHide={() => setShowModal(false)} size="lg">
+        <Modal.Header closeButton>
+          <Modal.Title>{editingBlueprint ? 'Edit Blueprint' : 'New Blueprint'}</Modal.Title>
+        </Modal.Header>
+        <Form onSubmit={handleSubmit}>
+          <Modal.Body>
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Name</Form.Label>
+                  <Form.Control
+                    type="text"
+                    value={formData.name}
+                    onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                    placeholder="e.g., End of Semester Examination"
+                    required
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={2}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Total Marks</Form.Label>
+                  <Form.Control
+                    type="number"
+                    min="1"
+                    value={formData.totalMarks}
+                    onChange={(e) => setFormData({ ...formData, totalMarks: e.target.value })}
+                    required
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={2}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Minutes</Form.Label>
+                  <Form.Control
+                    type="number"
+                    min="0"
+                    value={formData.durationMinutes}
+                    onChange={(e) => setFormData({ ...formData, durationMinutes: e.target.value })}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={2}>
+                <Form.Group className="mb-3">
+                  <Form.Label>MCQ %</Form.Label>
+                  <Form.Control
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={formData.mcqShare}
+                    onChange={(e) => setFormData({ ...formData, mcqShare: e.target.value })}
+                    placeholder="Any"
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+
+            <h6>
+              Marks per Learning Outcome{' '}
+              <Badge bg={loMarksTotal === parseFloat(formData.totalMarks) ? 'success' : 'warning'} text={loMarksTotal === parseFloat(formData.totalMarks) ? undefined : 'dark'}>
+                {loMarksTotal} / {formData.totalMarks || 0}
+              </Badge>
+            </h6>
+            <Table size="sm" bordered className="mb-3">
+              <tbody>
+                {(module?.learningOutcomes || []).map((lo) => (
+                  <tr key={lo.loId}>
+                    <td style={{ width: '80px' }}><strong>{lo.loId}</strong></td>
+                    <td>{lo.description} <Badge bg="info">{lo.bloomLevel}</Badge></td>
+                    <td style={{ width: '110px' }}>
+                      <Form.Control
+                        size="sm"
+                        type="number"
+                        min="0"
+                        value={formData.loTargets[lo.loId] ?? ''}
+                        onChange={(e) => setFormData({ ...formData, loTargets: { ...formData.loTargets, [lo.loId]: e.target.value } })}
+                        placeholder="0"
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+
+            <h6>
+              Share of Marks per Bloom's Level{' '}
+              <Badge bg={bloomShareTotal <= 100 ? 'secondary' : 'danger'}>{bloomShareTotal}%</Badge>
+            </h6>
+            <Row>
+              {BLOOM_LEVELS.map((level) => (
+                <Col md={2} key={level}>
+                  <Form.Group className="mb-2">
+                    <Form.Label className="small">{level}</Form.Label>
+                    <Form.Control
+                      size="sm"
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={formData.bloomTargets[level] ?? ''}
+                      onChange={(e) => setFormData({ ...formData, bloomTargets: { ...formData.bloomTargets, [level]: e.target.value } })}
+                      placeholder="%"
+                    />
+                  </Form.Group>
+                </Col>
+              ))}
+            </Row>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowModal(false)}>Cancel</Button>
+            <Button variant="primary" type="submit">
+              {editingBlueprint ? 'Update' : 'Create'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </Container>
+  );
+}
+
+export default Blueprints;
@@ -4,13 +4,26 @@
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
-import { Container, Row, Col, Card, Button, Alert, Table, Badge, Form } from 'react-bootstrap';
+import { Container, Row, Col, Card, Button, Alert, Table, Badge, Form, Dropdown } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
-import { coverageAPI } from '../utils/api';
+import { coverageAPI, paperAPI } from '../utils/api';
 import ModuleSelector from '../components/ModuleSelector';
+import StaleReportWarning from '../components/StaleReportWarning';
+import AnalysisJobStatus, { isJobActive } from '../components/AnalysisJobStatus';
+import CoverageEvidence from '../components/CoverageEvidence';
+import CoverageOverrideModal from '../components/CoverageOverrideModal';
+import AnalysisRunSelector, { DEFAULT_RUN } from '../components/AnalysisRunSelector';
 import { getPersistedModuleId, setPersistedModuleId } from '../utils/moduleStorage';
+import { getFileName, saveBlob, readBlobError } from '../utils/download';
+import { can } from '../utils/permissions';
 
-function Coverage() {
+// How often to check on a queued or running analysis job
+const JOB_POLL_INTERVAL_MS = 2000;
+
+function Coverage({ user }) {
+  const canAnalyze = can(user, 'coverage:analyze');
+  const canOverride = can(user, 'coverage:override');
   const [selectedModuleId, setSelectedModuleId] = useState(() => {
     // Load persisted module on initial render
     return getPersistedModuleId() || '';
@@ -21,8 +34,14 @@ function Coverage() {
   const [analyzing, setAnalyzing] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
-  const [selectedAnalysisTag, setSelectedAnalysisTag] = useState(null); // null = default/untagged
+  const [selectedRun, setSelectedRun] = useState(DEFAULT_RUN); // Default run, an exam paper or a tag
   const [analysisTags, setAnalysisTags] = useState([]);
+  const [papers, setPapers] = useState([]);
+  const [currentJob, setCurrentJob] = useState(null);
+  const [scoringStrategy, setScoringStrategy] = useState('llm');
+  const [expandedLO, setExpandedLO] = useState(null); // LO whose evidence is shown
+  const [overrideTarget, setOverrideTarget] = useState(null); // Mapping being overridden
+  const [downloading, setDownloading] = useState(null); // Report or export being generated
 
   const COLORS = ['#28a745', '#ffc107', '#dc3545'];
 
@@ -30,6 +49,7 @@ function Coverage() {
   const handleModuleChange = (moduleId) => {
     setSelectedModuleId(moduleId);
     setPersistedModuleId(moduleId);
+    setSelectedRun(DEFAULT_RUN);
   };
 
   const loadAnalysisTags = useCallback(async () => {
@@ -45,13 +65,24 @@ function Coverage() {
     }
   }, [selectedModuleId]);
 
+  const loadPapers = useCallback(async () => {
+    if (!selectedModuleId) return;
+
+    try {
+      const response = await paperAPI.getByModule(selectedModuleId);
+      setPapers(response.data.papers || []);
+    } catch (error) {
+      console.error('Error loading exam papers:', error);
+    }
+  }, [selectedModuleId]);
+
   const loadCoverage = useCallback(async () => {
     if (!selectedModuleId) return;
 
     try {
       setLoading(true);
       setError('');
-      const response = await coverageAPI.getByModule(selectedModuleId, selectedAnalysisTag);
+      const response = await coverageAPI.getByModule(selectedModuleId, selectedRun);
       console.log('Coverage API response:', response.data); // Debug log
       // Axios automatically unwraps response.data, so response.data is the actual response object
       if (response.data && response.data.success !== false) {
@@ -70,13 +101,13 @@ function Coverage() {
     } finally {
       setLoading(false);
     }
-  }, [selectedModuleId, selectedAnalysisTag]);
+  }, [selectedModuleId, selectedRun]);
 
   const loadStats = useCallback(async () => {
     if (!selectedModuleId) return;
 
     try {
-      const response = await coverageAPI.getStats(selectedModuleId, selectedAnalysisTag);
+      const response = await coverageAPI.getStats(selectedModuleId, selectedRun);
       console.log('Stats API response:', response.data); // Debug log
       if (response.data && response.data.success) {
         setStats(response.data.stats);
@@ -87,24 +118,69 @@ function Coverage() {
       console.error('Error loading stats:', error);
       setStats(null);
     }
-  }, [selectedModuleId, selectedAnalysisTag]);
+  }, [selectedModuleId, selectedRun]);
+
+  const loadLatestJob = useCallback(async () => {
+    if (!selectedModuleId) return;
+
+    try {
+      const response = await coverageAPI.getJobs(selectedModuleId, 1);
+      if (response.data && response.data.success) {
+        setCurrentJob(response.data.jobs[0] || null);
+      }
+    } catch (error) {
+      console.error('Error loading analysis jobs:', error);
+    }
+  }, [selectedModuleId]);
 
   useEffect(() => {
     if (selectedModuleId) {
       loadAnalysisTags();
+      loadPapers();
+      loadLatestJob();
     } else {
       setCoverageData(null);
       setStats(null);
       setAnalysisTags([]);
+      setPapers([]);
+      setCurrentJob(null);
     }
-  }, [selectedModuleId, loadAnalysisTags]);
+  }, [selectedModuleId, loadAnalysisTags, loadPapers, loadLatestJob]);
+
+  // Poll the running job and refresh the results once it finishes
+  useEffect(() => {
+    if (!isJobActive(currentJob)) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await coverageAPI.getJob(currentJob._id);
+        const job = response.data.job;
+        setCurrentJob(job);
+
+        if (!isJobActive(job)) {
+          if (job.status === 'succeeded') {
+            setSuccess(`Analysis completed! Analyzed ${job.progress.learningOutcomes} learning outcomes.`);
+          } else {
+            setError('Analysis failed: ' + (job.errorLog?.[job.errorLog.length - 1]?.message || 'Unknown error'));
+          }
+          loadAnalysisTags();
+          loadCoverage();
+          loadStats();
+        }
+      } catch (error) {
+        console.error('Error polling analysis job:', error);
+      }
+    }, JOB_POLL_INTERVAL_MS);
+
+    return () => clearTimeout(timer);
+  }, [currentJob, loadAnalysisTags, loadCoverage, loadStats]);
 
   useEffect(() => {
     if (selectedModuleId) {
       loadCoverage();
       loadStats();
     }
-  }, [selectedAnalysisTag, selectedModuleId, loadCoverage, loadStats]);
+  }, [selectedRun, selectedModuleId, loadCoverage, loadStats]);
 
   const handleAnalyze = async () => {
     if (!selectedModuleId) {
@@ -117,11 +193,10 @@ function Coverage() {
     setSuccess('');
 
     try {
-      const response = await coverageAPI.analyze(selectedModuleId);
-      setSuccess(`Analysis completed! Analyzed ${response.data.totalLOs} learning outcomes.`);
-      loadAnalysisTags();
-      loadCoverage();
-      loadStats();
+      // With an exam paper selected, analyse that paper's questions and marks
+      const response = await coverageAPI.analyze(selectedModuleId, { scoringStrategy, paperId: selectedRun.paperId });
+      setCurrentJob(response.data.job);
+      setSuccess(`Analysis queued for ${response.data.totalLOs} learning outcomes and ${response.data.totalQuestions} questions.`);
     } catch (err) {
       setError(err.response?.data?.message || 'Analysis failed. Make sure the module has questions.');
     } finally {
@@ -129,6 +204,71 @@ function Coverage() {
     }
   };
 
+  const handleDownloadReport = async (format) => {
+    setDownloading(format);
+    setError('');
+
+    try {
+      const response = await coverageAPI.downloadReport(selectedModuleId, selectedRun, format);
+      saveBlob(response.data, getFileName(response.headers, `moderation-report.${format}`));
+    } catch (err) {
+      setError(await readBlobError(err, 'Failed to generate the moderation report'));
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const handleExport = async (format, table) => {
+    setDownloading('export');
+    setError('');
+
+    try {
+      const response = await coverageAPI.exportData(selectedModuleId, selectedRun, format, table);
+      saveBlob(response.data, getFileName(response.headers, `coverage-${table}.${format}`));
+    } catch (err) {
+      setError(await readBlobError(err, 'Failed to export coverage data'));
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const handleSaveOverride = async (override) => {
+    // Errors are shown inside the modal
+    await coverageAPI.saveOverride(selectedModuleId, override);
+    setOverrideTarget(null);
+    setSuccess('Override saved and coverage recalculated.');
+    loadCoverage();
+    loadStats();
+  };
+
+  const handleRevertOverride = async (overrideId) => {
+    if (!window.confirm('Remove this override and return to the automatic mapping?')) return;
+
+    try {
+      setError('');
+      await coverageAPI.deleteOverride(overrideId);
+      setSuccess('Override removed and coverage recalculated.');
+      loadCoverage();
+      loadStats();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to remove override');
+    }
+  };
+
+  const countOverrides = (result) => [...(result.questionsCovered || []), ...(result.excludedQuestions || [])]
+    .filter(entry => entry.override).length;
+
+  // Questions that can be manually mapped to the LO being overridden
+  const addableQuestions = overrideTarget && coverageData?.analyzedQuestions
+    ? coverageData.analyzedQuestions.filter(question => {
+      const result = coverageData.results.find(r => r.loId === overrideTarget.loId);
+      return !result?.questionsCovered?.some(entry => (entry.questionId?._id || entry.questionId) === question._id);
+    })
+    : [];
+
+  // Status bands of the displayed results, falling back to the defaults
+  const bands = coverageData?.settingsSnapshot || { coveredThreshold: 70, partialThreshold: 30 };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'Covered':
@@ -183,33 +323,70 @@ function Coverage() {
           />
           {selectedModuleId && (
             <div className="mt-3 d-flex gap-2 flex-wrap align-items-center">
-              {analysisTags.length > 0 && (
-                <Form.Select
-                  size="sm"
-                  style={{ width: 'auto', minWidth: '200px' }}
-                  value={selectedAnalysisTag || ''}
-                  onChange={(e) => setSelectedAnalysisTag(e.target.value || null)}
-                >
-                  <option value="">Default Analysis (All Questions)</option>
-                  {analysisTags.map((tag) => (
-                    <option key={tag} value={tag}>
-                      {tag}
-                    </option>
-                  ))}
-                </Form.Select>
+              <AnalysisRunSelector
+                run={selectedRun}
+                papers={papers}
+                tags={analysisTags}
+                onChange={setSelectedRun}
+              />
+              {canAnalyze && (
+                <>
+                  <Form.Select
+                    size="sm"
+                    style={{ width: 'auto', minWidth: '180px' }}
+                    value={scoringStrategy}
+                    onChange={(e) => setScoringStrategy(e.target.value)}
+                    title="Scoring strategy"
+                  >
+                    <option value="llm">LLM Scoring</option>
+                    <option value="embedding">Embedding Similarity</option>
+                  </Form.Select>
+                  <Button
+                    variant="primary"
+                    onClick={handleAnalyze}
+                    disabled={analyzing || isJobActive(currentJob)}
+                  >
+                    {analyzing || isJobActive(currentJob)
+                      ? 'Analyzing...'
+                      : `🔍 Run Coverage Analysis (${selectedRun.paperId ? 'Selected Paper' : 'All Questions'})`}
+                  </Button>
+                </>
               )}
-              <Button
-                variant="primary"
-                onClick={handleAnalyze}
-                disabled={analyzing}
-              >
-                {analyzing ? 'Analyzing...' : '🔍 Run Coverage Analysis (All Questions)'}
+              <Button as={Link} to="/coverage/compare" variant="outline-secondary">
+                Compare Runs
               </Button>
+              {coverageData?.results?.length > 0 && ['pdf', 'docx'].map(format => (
+                <Button
+                  key={format}
+                  variant="outline-secondary"
+                  onClick={() => handleDownloadReport(format)}
+                  disabled={downloading !== null}
+                  title="Moderation report of the selected run"
+                >
+                  {downloading === format ? 'Generating...' : `📄 Report (${format.toUpperCase()})`}
+                </Button>
+              ))}
+              {coverageData?.results?.length > 0 && (
+                <Dropdown>
+                  <Dropdown.Toggle variant="outline-secondary" disabled={downloading !== null}>
+                    {downloading === 'export' ? 'Exporting...' : '⬇ Export Data'}
+                  </Dropdown.Toggle>
+                  <Dropdown.Menu>
+                    <Dropdown.Item onClick={() => handleExport('xlsx')}>Excel workbook (all tables)</Dropdown.Item>
+                    <Dropdown.Divider />
+                    <Dropdown.Item onClick={() => handleExport('csv', 'matrix')}>CSV: question × LO similarity matrix</Dropdown.Item>
+                    <Dropdown.Item onClick={() => handleExport('csv', 'summary')}>CSV: LO summary</Dropdown.Item>
+                    <Dropdown.Item onClick={() => handleExport('csv', 'bloom')}>CSV: Bloom aggregation</Dropdown.Item>
+                  </Dropdown.Menu>
+                </Dropdown>
+              )}
             </div>
           )}
         </Card.Body>
       </Card>
 
+      {selectedModuleId && <AnalysisJobStatus job={currentJob} />}
+
       {stats && (
         <Row className="mb-4">
           <Col md={3} className="mb-3">
@@ -309,8 +486,8 @@ function Coverage() {
                     role="progressbar"
                     style={{ 
                       width: `${stats.averageCoverage}%`,
-                      backgroundColor: stats.averageCoverage >= 70 ? '#28a745' : 
-                                     stats.averageCoverage >= 30 ? '#ffc107' : '#dc3545'
+                      backgroundColor: stats.averageCoverage >= bands.coveredThreshold ? '#28a745' : 
+                                     stats.averageCoverage >= bands.partialThreshold ? '#ffc107' : '#dc3545'
                     }}
                     aria-valuenow={stats.averageCoverage}
                     aria-valuemin="0"
@@ -319,6 +496,12 @@ function Coverage() {
                     {stats.averageCoverage}%
                   </div>
                 </div>
+                {stats.totalMarks !== null && stats.totalMarks !== undefined && (
+                  <p className="text-muted mt-3 mb-0">
+                    <strong>{stats.allocatedMarks}</strong> of <strong>{stats.totalMarks}</strong> marks target a learning outcome
+                    {stats.unallocatedMarks > 0 && ` · ${stats.unallocatedMarks} marks not matched to any LO`}
+                  </p>
+                )}
               </Card.Body>
             </Card>
           </Col>
@@ -334,6 +517,8 @@ function Coverage() {
         </div>
       ) : coverageData && coverageData.results && coverageData.results.length > 0 ? (
         <>
+          <StaleReportWarning loStatus={coverageData.loStatus} />
+
           <Card className="academic-card mb-4">
             <Card.Header>
               <strong>Coverage by Learning Outcome</strong>
@@ -355,8 +540,22 @@ function Coverage() {
           <Card className="academic-card">
             <Card.Header>
               <strong>Detailed Results</strong>
+              {coverageData.scoringStrategy && (
+                <Badge bg="secondary" className="ms-2" title={coverageData.scoringModel || ''}>
+                  {coverageData.scoringStrategy === 'embedding' ? 'Embedding Similarity' : 'LLM Scoring'}
+                </Badge>
+              )}
             </Card.Header>
             <Card.Body>
+              {coverageData.settingsSnapshot && (
+                <p className="text-muted small">
+                  Relevance threshold {coverageData.settingsSnapshot.relevanceThreshold} ·
+                  Covered ≥ {coverageData.settingsSnapshot.coveredThreshold}% ·
+                  Partially Covered ≥ {coverageData.settingsSnapshot.partialThreshold}% ·
+                  Aggregation: {coverageData.settingsSnapshot.aggregation} ·
+                  Min. {coverageData.settingsSnapshot.minQuestionsPerLO} question(s) per LO
+                </p>
+              )}
               <Table striped bordered hover>
                 <thead>
                   <tr>
@@ -366,26 +565,65 @@ function Coverage() {
                     <th>Coverage %</th>
                     <th>Status</th>
                     <th>Questions Covered</th>
+                    {coverageData.totalMarks !== null && <th>Marks (% of Paper)</th>}
                   </tr>
                 </thead>
                 <tbody>
                   {coverageData.results.map((result, index) => (
-                    <tr key={index}>
-                      <td><strong>{result.loId}</strong></td>
-                      <td>{result.description}</td>
-                      <td>
-                        <Badge bg="info">{result.bloomLevel}</Badge>
-                      </td>
-                      <td>
-                        <strong>{result.coveragePercentage}%</strong>
-                      </td>
-                      <td>
-                        <Badge bg={getStatusColor(result.status)}>
-                          {result.status}
-                        </Badge>
-                      </td>
-                      <td>{result.questionsCoveredCount !== undefined ? result.questionsCoveredCount : (result.questionsCovered?.length || 0)}</td>
-                    </tr>
+                    <React.Fragment key={index}>
+                      <tr
+                        onClick={() => setExpandedLO(expandedLO === result.loId ? null : result.loId)}
+                        style={{ cursor: 'pointer' }}
+                        title="Show the evidence for this verdict"
+                      >
+                        <td>
+                          <span className="me-1">{expandedLO === result.loId ? '▾' : '▸'}</span>
+                          <strong>{result.loId}</strong>
+                        </td>
+                        <td>
+                          {result.description}
+                          {coverageData.loStatus?.changed.includes(result.loId) && (
+                            <Badge bg="warning" text="dark" className="ms-2" title="This LO has been edited since the analysis">LO changed</Badge>
+                          )}
+                          {coverageData.loStatus?.removed.includes(result.loId) && (
+                            <Badge bg="secondary" className="ms-2" title="This LO has been removed from the module">LO removed</Badge>
+                          )}
+                        </td>
+                        <td>
+                          <Badge bg="info">{result.bloomLevel}</Badge>
+                        </td>
+                        <td>
+                          <strong>{result.coveragePercentage}%</strong>
+                        </td>
+                        <td>
+                          <Badge bg={getStatusColor(result.status)}>
+                            {result.status}
+                          </Badge>
+                        </td>
+                        <td>
+                          {result.questionsCoveredCount !== undefined ? result.questionsCoveredCount : (result.questionsCovered?.length || 0)}
+                          {countOverrides(result) > 0 && (
+                            <Badge bg="dark" className="ms-2" title="Mappings changed by a moderator">
+                              {countOverrides(result)} overridden
+                            </Badge>
+                          )}
+                        </td>
+                        {coverageData.totalMarks !== null && (
+                          <td>{result.marksAllocated || 0} ({result.marksShare || 0}%)</td>
+                        )}
+                      </tr>
+                      {expandedLO === result.loId && (
+                        <tr>
+                          <td colSpan={coverageData.totalMarks !== null ? 7 : 6} className="bg-light">
+                            <CoverageEvidence
+                              result={result}
+                              onOverride={canOverride ? setOverrideTarget : null}
+                              onRevert={handleRevertOverride}
+                            />
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
                   ))}
                 </tbody>
               </Table>
@@ -441,13 +679,22 @@ function Coverage() {
       ) : selectedModuleId && !loading ? (
         <Card className="academic-card">
           <Card.Body className="text-center">
-            <p className="text-muted mb-3">No coverage data found. Run analysis to get started.</p>
-            <Button variant="primary" onClick={handleAnalyze} disabled={analyzing}>
-              {analyzing ? 'Analyzing...' : '🔍 Run Coverage Analysis'}
-            </Button>
+            <p className="text-muted mb-3">No coverage data found.{canAnalyze && ' Run analysis to get started.'}</p>
+            {canAnalyze && (
+              <Button variant="primary" onClick={handleAnalyze} disabled={analyzing || isJobActive(currentJob)}>
+                {analyzing || isJobActive(currentJob) ? 'Analyzing...' : '🔍 Run Coverage Analysis'}
+              </Button>
+            )}
           </Card.Body>
         </Card>
       ) : null}
+
+      <CoverageOverrideModal
+        target={overrideTarget}
+        questions={addableQuestions}
+        onSubmit={handleSaveOverride}
+        onHide={() => setOverrideTarget(null)}
+      />
     </Container>
   );
 }
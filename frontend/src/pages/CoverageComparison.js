@@ -0,0 +1,361 @@
+/**
+ * Coverage Comparison Page Component
+ * Compares coverage across analysis runs, e.g. last year's paper against this year's, or a draft against its moderated version
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Row, Col, Card, Button, Alert, Table, Badge, Form } from 'react-bootstrap';
+import { BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { coverageAPI, paperAPI } from '../utils/api';
+import ModuleSelector from '../components/ModuleSelector';
+import { getPersistedModuleId, setPersistedModuleId } from '../utils/moduleStorage';
+
+const MAX_RUNS = 6;
+const RUN_COLORS = ['#6c757d', '#0d6efd', '#198754', '#fd7e14', '#6f42c1', '#d63384'];
+
+const formatDelta = (value) => {
+  if (value === null || value === undefined) return <span className="text-muted">-</span>;
+  const variant = value > 0 ? 'success' : value < 0 ? 'danger' : 'secondary';
+  return <Badge bg={variant}>{value > 0 ? '+' : ''}{value}</Badge>;
+};
+
+const truncate = (text, length = 120) => {
+  if (!text) return <span className="text-muted">Question no longer available</span>;
+  return text.length > length ? `${text.substring(0, length)}...` : text;
+};
+
+function CoverageComparison() {
+  const [selectedModuleId, setSelectedModuleId] = useState(() => {
+    // Load persisted module on initial render
+    return getPersistedModuleId() || '';
+  });
+  const [papers, setPapers] = useState([]);
+  const [analysisTags, setAnalysisTags] = useState([]);
+  const [selectedRuns, setSelectedRuns] = useState([]); // Run keys, in comparison order
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Handle module change and persist it
+  const handleModuleChange = (moduleId) => {
+    setSelectedModuleId(moduleId);
+    setPersistedModuleId(moduleId);
+    setSelectedRuns([]);
+    setComparison(null);
+  };
+
+  const loadRuns = useCallback(async () => {
+    if (!selectedModuleId) return;
+
+    try {
+      const [paperResponse, tagResponse] = await Promise.all([
+        paperAPI.getByModule(selectedModuleId),
+        coverageAPI.getAnalysisTags(selectedModuleId)
+      ]);
+      setPapers(paperResponse.data.papers || []);
+      setAnalysisTags(tagResponse.data.tags || []);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load analysis runs');
+    }
+  }, [selectedModuleId]);
+
+  useEffect(() => {
+    if (selectedModuleId) {
+      loadRuns();
+    } else {
+      setPapers([]);
+      setAnalysisTags([]);
+    }
+  }, [selectedModuleId, loadRuns]);
+
+  const availableRuns = [
+    { key: 'default', label: 'Default Analysis (All Questions)' },
+    ...papers.map((paper) => ({ key: `paper:${paper._id}`, label: `${paper.title} (${paper.status})` })),
+    ...analysisTags.map((tag) => ({ key: `tag:${tag}`, label: tag }))
+  ];
+  const runLabel = (key) => comparison?.runs.find((run) => run.key === key)?.label
+    || availableRuns.find((run) => run.key === key)?.label
+    || key;
+
+  const toggleRun = (key, checked) => {
+    setSelectedRuns(checked ? [...selectedRuns, key] : selectedRuns.filter((runKey) => runKey !== key));
+  };
+
+  const moveRun = (index, offset) => {
+    const runs = [...selectedRuns];
+    const [key] = runs.splice(index, 1);
+    runs.splice(index + offset, 0, key);
+    setSelectedRuns(runs);
+  };
+
+  const handleCompare = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await coverageAPI.compare(selectedModuleId, selectedRuns);
+      setComparison(response.data);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to compare analysis runs');
+      setComparison(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Chart rows: one per LO or Bloom's level, one value per run
+  const toChartData = (rows, nameKey, valueOf) => rows.map((row) => ({
+    name: row[nameKey],
+    ...Object.fromEntries(comparison.runs.map((run, index) => [run.key, valueOf(row.values[index])]))
+  }));
+
+  return (
+    <Container className="mt-4 fade-in">
+      <div className="page-header">
+        <h1>Compare Coverage Runs</h1>
+        <p className="text-muted mb-0">See how learning outcome coverage changed between papers, tagged selections and re-analyses</p>
+      </div>
+
+      {error && <Alert variant="danger" dismissible onClose={() => setError('')}>{error}</Alert>}
+
+      <Card className="academic-card mb-4">
+        <Card.Body>
+          <ModuleSelector
+            selectedModuleId={selectedModuleId}
+            onModuleChange={handleModuleChange}
+          />
+          {selectedModuleId && (
+            <Row className="mt-3">
+              <Col md={6}>
+                <h6>Analysis Runs</h6>
+                {availableRuns.map((run) => (
+                  <Form.Check
+                    key={run.key}
+                    type="checkbox"
+                    id={`run-${run.key}`}
+                    label={run.label}
+                    checked={selectedRuns.includes(run.key)}
+                    disabled={!selectedRuns.includes(run.key) && selectedRuns.length >= MAX_RUNS}
+                    onChange={(e) => toggleRun(run.key, e.target.checked)}
+                  />
+                ))}
+              </Col>
+              <Col md={6}>
+                <h6>Comparison Order</h6>
+                {selectedRuns.length === 0 ? (
+                  <p className="text-muted small">Tick two or more runs, earliest first.</p>
+                ) : (
+                  <Table size="sm" bordered>
+                    <tbody>
+                      {selectedRuns.map((key, index) => (
+                        <tr key={key}>
+                          <td style={{ width: '40px' }}>{index + 1}</td>
+                          <td>{runLabel(key)}</td>
+                          <td style={{ width: '90px' }}>
+                            <Button size="sm" variant="outline-secondary" className="me-1" disabled={index === 0} onClick={() => moveRun(index, -1)}>↑</Button>
+                            <Button size="sm" variant="outline-secondary" disabled={index === selectedRuns.length - 1} onClick={() => moveRun(index, 1)}>↓</Button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                )}
+                <Button variant="primary" onClick={handleCompare} disabled={loading || selectedRuns.length < 2}>
+                  {loading ? 'Comparing...' : 'Compare'}
+                </Button>
+              </Col>
+            </Row>
+          )}
+        </Card.Body>
+      </Card>
+
+      {comparison && (
+        <>
+          <Row className="mb-4">
+            {comparison.runs.map((run, index) => (
+              <Col md={Math.max(2, Math.floor(12 / comparison.runs.length))} key={run.key} className="mb-3">
+                <Card className="academic-card h-100" style={{ borderTop: `4px solid ${RUN_COLORS[index]}` }}>
+                  <Card.Body>
+                    <Card.Title style={{ fontSize: '1rem' }}>{run.label}</Card.Title>
+                    <h3 className="mb-1">{run.stats.averageCoverage}%</h3>
+                    <p className="text-muted small mb-0">
+                      {run.stats.covered} covered · {run.stats.partiallyCovered} partial · {run.stats.notCovered} not covered
+                      <br />
+                      {run.questionCount} questions · analysed {new Date(run.analyzedAt).toLocaleDateString()}
+                      {run.loVersion && ` · LO v${run.loVersion}`}
+                    </p>
+                  </Card.Body>
+                </Card>
+              </Col>
+            ))}
+          </Row>
+
+          {comparison.runs.length > 2 && (
+            <Card className="academic-card mb-4">
+              <Card.Header>
+                <strong>Average Coverage Trend</strong>
+              </Card.Header>
+              <Card.Body>
+                <ResponsiveContainer width="100%" height={250}>
+                  <LineChart data={comparison.runs.map((run) => ({ name: run.label, coverage: run.stats.averageCoverage }))}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="name" />
+                    <YAxis domain={[0, 100]} />
+                    <Tooltip />
+                    <Line type="monotone" dataKey="coverage" stroke="#0d6efd" name="Average Coverage %" />
+                  </LineChart>
+                </ResponsiveContainer>
+              </Card.Body>
+            </Card>
+          )}
+
+          <Row className="mb-4">
+            <Col lg={7} className="mb-3">
+              <Card className="academic-card h-100">
+                <Card.Header>
+                  <strong>Coverage by Learning Outcome</strong>
+                </Card.Header>
+                <Card.Body>
+                  <ResponsiveContainer width="100%" height={350}>
+                    <BarChart data={toChartData(comparison.learningOutcomes, 'loId', (value) => value?.coveragePercentage ?? 0)}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="name" />
+                      <YAxis domain={[0, 100]} />
+                      <Tooltip />
+                      <Legend />
+                      {comparison.runs.map((run, index) => (
+                        <Bar key={run.key} dataKey={run.key} name={run.label} fill={RUN_COLORS[index]} />
+                      ))}
+                    </BarChart>
+                  </ResponsiveContainer>
+                </Card.Body>
+              </Card>
+            </Col>
+            <Col lg={5} className="mb-3">
+              <Card className="academic-card h-100">
+                <Card.Header>
+                  <strong>Average Coverage by Bloom's Level</strong>
+                </Card.Header>
+                <Card.Body>
+                  <ResponsiveContainer width="100%" height={350}>
+                    <BarChart data={toChartData(comparison.bloomLevels, 'bloomLevel', (value) => value ?? 0)}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="name" />
+                      <YAxis domain={[0, 100]} />
+                      <Tooltip />
+                      <Legend />
+                      {comparison.runs.map((run, index) => (
+                        <Bar key={run.key} dataKey={run.key} name={run.label} fill={RUN_COLORS[index]} />
+                      ))}
+                    </BarChart>
+                  </ResponsiveContainer>
+                </Card.Body>
+              </Card>
+            </Col>
+          </Row>
+
+          <Card className="academic-card mb-4">
+            <Card.Header>
+              <strong>Per-LO Comparison</strong>
+            </Card.Header>
+            <Card.Body>
+              <Table striped bordered hover responsive size="sm">
+                <thead>
+                  <tr>
+                    <th>LO ID</th>
+                    <th>Description</th>
+                    <th>Bloom's Level</th>
+                    {comparison.runs.map((run) => <th key={run.key}>{run.label}</th>)}
+                    <th>Change</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {comparison.learningOutcomes.map((lo) => (
+                    <tr key={lo.loId}>
+                      <td><strong>{lo.loId}</strong></td>
+                      <td>{lo.description}</td>
+                      <td><Badge bg="info">{lo.bloomLevel}</Badge></td>
+                      {lo.values.map((value, index) => (
+                        <td key={comparison.runs[index].key}>
+                          {value ? (
+                            <>
+                              {value.coveragePercentage}%{' '}
+                              <small className="text-muted">{value.status}</small>
+                            </>
+                          ) : (
+                            <span className="text-muted">Not analysed</span>
+                          )}
+                        </td>
+                      ))}
+                      <td>{formatDelta(lo.delta)}</td>
+                    </tr>
+                  ))}
+                  {comparison.bloomLevels.map((level) => (
+                    <tr key={level.bloomLevel} className="table-light">
+                      <td colSpan={3}><em>{level.bloomLevel} (average)</em></td>
+                      {level.values.map((value, index) => (
+                        <td key={comparison.runs[index].key}>{value !== null ? `${value}%` : '-'}</td>
+                      ))}
+                      <td>{formatDelta(level.delta)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </Card.Body>
+          </Card>
+
+          {comparison.changes.map((change) => (
+            <Card className="academic-card mb-4" key={`${change.from}-${change.to}`}>
+              <Card.Header>
+                <strong>{runLabel(change.from)} → {runLabel(change.to)}</strong>{' '}
+                {formatDelta(change.averageCoverageDelta)}
+                <span className="text-muted small ms-1">average coverage</span>
+              </Card.Header>
+              <Card.Body>
+                <Row className="mb-3">
+                  <Col md={6}>
+                    <h6>Newly Covered</h6>
+                    {change.newlyCovered.length > 0
+                      ? change.newlyCovered.map((loId) => <Badge key={loId} bg="success" className="me-1">{loId}</Badge>)
+                      : <span className="text-muted small">None</span>}
+                  </Col>
+                  <Col md={6}>
+                    <h6>No Longer Covered</h6>
+                    {change.newlyUncovered.length > 0
+                      ? change.newlyUncovered.map((loId) => <Badge key={loId} bg="danger" className="me-1">{loId}</Badge>)
+                      : <span className="text-muted small">None</span>}
+                  </Col>
+                </Row>
+                <h6>
+                  Question Changes{' '}
+                  <small className="text-muted">
+                    {change.questionChurn.retained} kept · {change.questionChurn.added.length} added · {change.questionChurn.removed.length} removed
+                  </small>
+                </h6>
+                {change.questionChurn.added.length + change.questionChurn.removed.length > 0 && (
+                  <Table size="sm" bordered className="mb-0">
+                    <tbody>
+                      {change.questionChurn.added.map((question) => (
+                        <tr key={`added-${question.questionId}`}>
+                          <td style={{ width: '90px' }}><Badge bg="success">Added</Badge></td>
+                          <td>{truncate(question.questionText)}</td>
+                        </tr>
+                      ))}
+                      {change.questionChurn.removed.map((question) => (
+                        <tr key={`removed-${question.questionId}`}>
+                          <td style={{ width: '90px' }}><Badge bg="danger">Removed</Badge></td>
+                          <td>{truncate(question.questionText)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                )}
+              </Card.Body>
+            </Card>
+          ))}
+        </>
+      )}
+    </Container>
+  );
+}
+
+export default CoverageComparison;
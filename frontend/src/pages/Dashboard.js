@@ -7,6 +7,7 @@ import React, { useState, useEffect } from 'react';
 import { Container, Row, Col, Card, Button } from 'react-bootstrap';
 import { Link } from 'react-router-dom';
 import { moduleAPI, coverageAPI } from '../utils/api';
+import { can } from '../utils/permissions';
 
 function Dashboard({ user }) {
   const [stats, setStats] = useState({
@@ -125,30 +126,32 @@ function Dashboard({ user }) {
       </Row>
 
       <Row className="mt-4">
-        <Col md={6} className="mb-4">
-          <Card className="academic-card h-100" style={{ borderLeft: '4px solid #ffc107' }}>
-            <Card.Body className="d-flex flex-column">
-              <div className="mb-3">
-                <div style={{ fontSize: '3rem', marginBottom: '1rem' }}>🤖</div>
-                <Card.Title style={{ fontSize: '1.5rem', fontWeight: '600', marginBottom: '1rem' }}>
-                  AI Question Generator
-                </Card.Title>
-                <Card.Text style={{ fontSize: '1.1rem', color: '#6c757d' }}>
-                  Generate questions automatically based on learning outcomes and Bloom's taxonomy
-                </Card.Text>
-              </div>
-              <Button 
-                as={Link} 
-                to="/generator" 
-                variant="success"
-                className="mt-auto"
-                style={{ width: '100%' }}
-              >
-                Generate Questions →
-              </Button>
-            </Card.Body>
-          </Card>
-        </Col>
+        {can(user, 'ai:generate') && (
+          <Col md={6} className="mb-4">
+            <Card className="academic-card h-100" style={{ borderLeft: '4px solid #ffc107' }}>
+              <Card.Body className="d-flex flex-column">
+                <div className="mb-3">
+                  <div style={{ fontSize: '3rem', marginBottom: '1rem' }}>🤖</div>
+                  <Card.Title style={{ fontSize: '1.5rem', fontWeight: '600', marginBottom: '1rem' }}>
+                    AI Question Generator
+                  </Card.Title>
+                  <Card.Text style={{ fontSize: '1.1rem', color: '#6c757d' }}>
+                    Generate questions automatically based on learning outcomes and Bloom's taxonomy
+                  </Card.Text>
+                </div>
+                <Button 
+                  as={Link} 
+                  to="/generator" 
+                  variant="success"
+                  className="mt-auto"
+                  style={{ width: '100%' }}
+                >
+                  Generate Questions →
+                </Button>
+              </Card.Body>
+            </Card>
+          </Col>
+        )}
 
         <Col md={6} className="mb-4">
           <Card className="academic-card h-100" style={{ borderLeft: '4px solid #764ba2' }}>
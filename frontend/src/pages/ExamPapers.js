@@ -0,0 +1,501 @@
+/**
+ * Exam Papers Page Component
+ * Assemble exam papers from the question bank and move them through moderation
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Row, Col, Card, Button, Alert, Table, Badge, Form, Modal } from 'react-bootstrap';
+import { paperAPI, coverageAPI, questionAPI } from '../utils/api';
+import ModuleSelector from '../components/ModuleSelector';
+import PaperAssembly from '../components/PaperAssembly';
+import CommentThreads from '../components/CommentThreads';
+import { getPersistedModuleId, setPersistedModuleId } from '../utils/moduleStorage';
+import { can } from '../utils/permissions';
+
+const STATUS_COLORS = {
+  Draft: 'secondary',
+  'Submitted for Moderation': 'primary',
+  'Changes Requested': 'warning',
+  Approved: 'success',
+  Locked: 'dark'
+};
+
+const ACTION_LABELS = {
+  submit: 'Submit for Moderation',
+  'request-changes': 'Request Changes',
+  approve: 'Approve',
+  lock: 'Lock Paper'
+};
+
+const ACTION_VARIANTS = {
+  submit: 'primary',
+  'request-changes': 'warning',
+  approve: 'success',
+  lock: 'dark'
+};
+
+const EDITABLE_STATUSES = ['Draft', 'Changes Requested'];
+
+const emptyForm = {
+  title: '',
+  description: '',
+  moderatorId: ''
+};
+
+function ExamPapers({ user }) {
+  const [selectedModuleId, setSelectedModuleId] = useState(() => {
+    // Load persisted module on initial render
+    return getPersistedModuleId() || '';
+  });
+  const [papers, setPapers] = useState([]);
+  const [selectedPaper, setSelectedPaper] = useState(null);
+  const [moderators, setModerators] = useState([]);
+  const [questions, setQuestions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [showModal, setShowModal] = useState(false);
+  const [editingPaper, setEditingPaper] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [comment, setComment] = useState('');
+  const [transitioning, setTransitioning] = useState(false);
+  const [analyzing, setAnalyzing] = useState(false);
+
+  // Handle module change and persist it
+  const handleModuleChange = (moduleId) => {
+    setSelectedModuleId(moduleId);
+    setPersistedModuleId(moduleId);
+    setSelectedPaper(null);
+  };
+
+  const loadPapers = useCallback(async () => {
+    if (!selectedModuleId) return;
+
+    try {
+      setLoading(true);
+      const response = await paperAPI.getByModule(selectedModuleId);
+      setPapers(response.data.papers || []);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load exam papers');
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedModuleId]);
+
+  const loadQuestions = useCallback(async () => {
+    if (!selectedModuleId) return;
+
+    try {
+      const response = await questionAPI.getByModule(selectedModuleId);
+      setQuestions(response.data.questions || []);
+    } catch (error) {
+      console.error('Error loading questions:', error);
+    }
+  }, [selectedModuleId]);
+
+  useEffect(() => {
+    if (selectedModuleId) {
+      loadPapers();
+      loadQuestions();
+    } else {
+      setPapers([]);
+      setQuestions([]);
+    }
+  }, [selectedModuleId, loadPapers, loadQuestions]);
+
+  useEffect(() => {
+    if (!selectedModuleId) {
+      setModerators([]);
+      return;
+    }
+    const loadModerators = async () => {
+      try {
+        const response = await paperAPI.getModerators(selectedModuleId);
+        setModerators(response.data.users || []);
+      } catch (error) {
+        console.error('Error loading moderators:', error);
+      }
+    };
+    loadModerators();
+  }, [selectedModuleId]);
+
+  const handleViewPaper = async (paperId) => {
+    try {
+      setComment('');
+      const response = await paperAPI.getById(paperId);
+      setSelectedPaper(response.data.paper);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load exam paper');
+    }
+  };
+
+  const handleShowModal = (paper = null) => {
+    setEditingPaper(paper);
+    setFormData(paper ? {
+      title: paper.title,
+      description: paper.description || '',
+      moderatorId: paper.moderator?._id || ''
+    } : emptyForm);
+    setShowModal(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setError('');
+      if (editingPaper) {
+        const response = await paperAPI.update(editingPaper._id, formData);
+        setSuccess('Exam paper updated successfully');
+        if (selectedPaper && selectedPaper._id === editingPaper._id) {
+          setSelectedPaper(response.data.paper);
+        }
+      } else {
+        await paperAPI.create({ ...formData, moduleId: selectedModuleId });
+        setSuccess('Exam paper created successfully');
+      }
+      setShowModal(false);
+      loadPapers();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to save exam paper');
+    }
+  };
+
+  const handleDelete = async (paperId) => {
+    if (!window.confirm('Are you sure you want to delete this draft paper?')) return;
+
+    try {
+      await paperAPI.delete(paperId);
+      setSuccess('Exam paper deleted successfully');
+      if (selectedPaper && selectedPaper._id === paperId) {
+        setSelectedPaper(null);
+      }
+      loadPapers();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to delete exam paper');
+    }
+  };
+
+  const handleTransition = async (action) => {
+    try {
+      setTransitioning(true);
+      setError('');
+      const response = await paperAPI.transition(selectedPaper._id, action, comment);
+      setSelectedPaper(response.data.paper);
+      setSuccess(response.data.message);
+      setComment('');
+      loadPapers();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to update exam paper status');
+    } finally {
+      setTransitioning(false);
+    }
+  };
+
+  const handleSaveStructure = async (structure) => {
+    try {
+      setError('');
+      const response = await paperAPI.update(selectedPaper._id, structure);
+      setSelectedPaper(response.data.paper);
+      setSuccess('Paper structure saved');
+      loadPapers();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to save paper structure');
+    }
+  };
+
+  const handleAnalyzePaper = async () => {
+    try {
+      setAnalyzing(true);
+      setError('');
+      const response = await coverageAPI.analyze(selectedModuleId, { paperId: selectedPaper._id });
+      setSuccess(`Coverage analysis queued for ${response.data.totalQuestions} questions on this paper. Select the paper on the Coverage Analysis page to view the results.`);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to start coverage analysis');
+    } finally {
+      setAnalyzing(false);
+    }
+  };
+
+  const isSetter = (paper) => !!user && paper.setter?._id === user.id;
+
+  const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+  const snapshot = selectedPaper?.coverageSnapshot;
+
+  return (
+    <Container className="mt-4 fade-in">
+      <div className="page-header">
+        <h1>Exam Papers</h1>
+        <p className="text-muted mb-0">Set exam papers and take them through internal moderation</p>
+      </div>
+
+      {error && <Alert variant="danger" dismissible onClose={() => setError('')}>{error}</Alert>}
+      {success && <Alert variant="success" dismissible onClose={() => setSuccess('')}>{success}</Alert>}
+
+      <Card className="academic-card mb-4">
+        <Card.Body>
+          <ModuleSelector
+            selectedModuleId={selectedModuleId}
+            onModuleChange={handleModuleChange}
+          />
+          {selectedModuleId && can(user, 'papers:set') && (
+            <Button variant="primary" onClick={() => handleShowModal()}>
+              + New Exam Paper
+            </Button>
+          )}
+        </Card.Body>
+      </Card>
+
+      {selectedModuleId && (
+        <Card className="academic-card mb-4">
+          <Card.Header>
+            <strong>Papers</strong>
+          </Card.Header>
+          <Card.Body>
+            {loading ? (
+              <div className="text-muted">Loading exam papers...</div>
+            ) : papers.length === 0 ? (
+              <p className="text-muted mb-0">No exam papers for this module yet.</p>
+            ) : (
+              <Table hover responsive>
+                <thead>
+                  <tr>
+                    <th>Title</th>
+                    <th>Status</th>
+                    <th>Setter</th>
+                    <th>Moderator</th>
+                    <th>Questions</th>
+                    <th>Marks</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {papers.map((paper) => (
+                    <tr key={paper._id}>
+                      <td>{paper.title}</td>
+                      <td>
+                        <Badge bg={STATUS_COLORS[paper.status] || 'secondary'}>{paper.status}</Badge>
+                        {paper.availableActions.length > 0 && (
+                          <Badge bg="info" className="ms-1">Action needed</Badge>
+                        )}
+                      </td>
+                      <td>{paper.setter?.name || '-'}</td>
+                      <td>{paper.moderator?.name || <span className="text-muted">Not assigned</span>}</td>
+                      <td>{paper.summary.questionCount}</td>
+                      <td>
+                        {paper.summary.assignedMarks}
+                        {paper.summary.totalMarks !== null && ` / ${paper.summary.totalMarks}`}
+                        {!paper.summary.marksBalanced && <Badge bg="warning" text="dark" className="ms-1">Unbalanced</Badge>}
+                      </td>
+                      <td>
+                        <Button size="sm" variant="outline-primary" className="me-2" onClick={() => handleViewPaper(paper._id)}>
+                          View
+                        </Button>
+                        {isSetter(paper) && EDITABLE_STATUSES.includes(paper.status) && (
+                          <Button size="sm" variant="outline-secondary" className="me-2" onClick={() => handleShowModal(paper)}>
+                            Edit
+                          </Button>
+                        )}
+                        {isSetter(paper) && paper.status === 'Draft' && (
+                          <Button size="sm" variant="outline-danger" onClick={() => handleDelete(paper._id)}>
+                            Delete
+                          </Button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            )}
+          </Card.Body>
+        </Card>
+      )}
+
+      {selectedPaper && (
+        <Card className="academic-card mb-4">
+          <Card.Header className="d-flex justify-content-between align-items-center">
+            <strong>{selectedPaper.title}</strong>
+            <Badge bg={STATUS_COLORS[selectedPaper.status] || 'secondary'}>{selectedPaper.status}</Badge>
+          </Card.Header>
+          <Card.Body>
+            {selectedPaper.description && <p>{selectedPaper.description}</p>}
+            <Row className="mb-3">
+              <Col md={4}><strong>Setter:</strong> {selectedPaper.setter?.name || '-'}</Col>
+              <Col md={4}><strong>Moderator:</strong> {selectedPaper.moderator?.name || 'Not assigned'}</Col>
+              <Col md={4} className="text-md-end">
+                {can(user, 'coverage:analyze') && (
+                  <Button
+                    size="sm"
+                    variant="outline-primary"
+                    onClick={handleAnalyzePaper}
+                    disabled={analyzing || selectedPaper.summary.questionCount === 0}
+                  >
+                    {analyzing ? 'Queuing...' : '🔍 Run Coverage Analysis'}
+                  </Button>
+                )}
+              </Col>
+            </Row>
+
+            <PaperAssembly
+              paper={selectedPaper}
+              questions={questions}
+              editable={isSetter(selectedPaper) && EDITABLE_STATUSES.includes(selectedPaper.status)}
+              onSave={handleSaveStructure}
+            />
+
+            {selectedPaper.availableActions.length > 0 && (
+              <div className="mb-4">
+                <Form.Group className="mb-2">
+                  <Form.Label>Comment</Form.Label>
+                  <Form.Control
+                    as="textarea"
+                    rows={2}
+                    value={comment}
+                    onChange={(e) => setComment(e.target.value)}
+                    placeholder={selectedPaper.availableActions.includes('request-changes')
+                      ? 'Required when requesting changes'
+                      : 'Optional'}
+                  />
+                </Form.Group>
+                <div className="d-flex gap-2 flex-wrap">
+                  {selectedPaper.availableActions.map((action) => (
+                    <Button
+                      key={action}
+                      variant={ACTION_VARIANTS[action] || 'primary'}
+                      onClick={() => handleTransition(action)}
+                      disabled={transitioning}
+                    >
+                      {ACTION_LABELS[action] || action}
+                    </Button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <h6>Moderation Comments</h6>
+            <div className="mb-4">
+              <CommentThreads
+                kind="paper"
+                targetId={selectedPaper._id}
+                moduleId={selectedModuleId}
+                user={user}
+              />
+            </div>
+
+            <h6>History</h6>
+            <Table size="sm" bordered className="mb-4">
+              <thead>
+                <tr>
+                  <th>When</th>
+                  <th>Who</th>
+                  <th>Change</th>
+                  <th>Comment</th>
+                </tr>
+              </thead>
+              <tbody>
+                {selectedPaper.history.map((entry, index) => (
+                  <tr key={entry._id || index}>
+                    <td>{formatDate(entry.occurredAt)}</td>
+                    <td>{entry.actor?.name || '-'}</td>
+                    <td>{entry.fromStatus ? `${entry.fromStatus} → ${entry.toStatus}` : `Created as ${entry.toStatus}`}</td>
+                    <td>{entry.comment || <span className="text-muted">-</span>}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+
+            {snapshot && (
+              <>
+                <h6>Coverage at Approval</h6>
+                <p className="text-muted small">
+                  Approved by {selectedPaper.approvedBy?.name || 'the moderator'} on {formatDate(selectedPaper.approvedAt)}.
+                  Analysis run {formatDate(snapshot.analyzedAt)} ({snapshot.scoringModel || snapshot.scoringStrategy});
+                  average coverage {snapshot.stats.averageCoverage}%, {snapshot.stats.covered} of {snapshot.stats.totalLOs} LOs covered.
+                  These figures are frozen and do not change if the module is re-analysed.
+                </p>
+                <Table size="sm" bordered responsive>
+                  <thead>
+                    <tr>
+                      <th>LO ID</th>
+                      <th>Description</th>
+                      <th>Bloom's Level</th>
+                      <th>Coverage</th>
+                      <th>Status</th>
+                      <th>Questions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {snapshot.results.map((result) => (
+                      <tr key={result.loId}>
+                        <td><strong>{result.loId}</strong></td>
+                        <td>{result.description}</td>
+                        <td><Badge bg="info">{result.bloomLevel}</Badge></td>
+                        <td>{result.coveragePercentage}%</td>
+                        <td>{result.status}</td>
+                        <td>{result.questionsCoveredCount}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </>
+            )}
+          </Card.Body>
+        </Card>
+      )}
+
+      <Modal show={showModal} onHide={() => setShowModal(false)}>
+        <Modal.Header closeButton>
+          <Modal.Title>{editingPaper ? 'Edit Exam Paper' : 'New Exam Paper'}</Modal.Title>
+        </Modal.Header>
+        <Form onSubmit={handleSubmit}>
+          <Modal.Body>
+            <Form.Group className="mb-3">
+              <Form.Label>Title</Form.Label>
+              <Form.Control
+                type="text"
+                value={formData.title}
+                onChange={(e) => setFormData({ ...formData, title: e.target.value })}
+                placeholder="e.g., Semester 1 Final Examination"
+                required
+              />
+            </Form.Group>
+            <Form.Group className="mb-3">
+              <Form.Label>Description</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={2}
+                value={formData.description}
+                onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+              />
+            </Form.Group>
+            <Form.Group className="mb-3">
+              <Form.Label>Moderator</Form.Label>
+              <Form.Select
+                value={formData.moderatorId}
+                onChange={(e) => setFormData({ ...formData, moderatorId: e.target.value })}
+              >
+                <option value="">-- Assign later --</option>
+                {moderators.map((moderator) => (
+                  <option key={moderator._id} value={moderator._id}>
+                    {moderator.name} ({moderator.email})
+                  </option>
+                ))}
+              </Form.Select>
+              <Form.Text className="text-muted">
+                The moderator reviews and signs off the paper, and cannot be its setter.
+              </Form.Text>
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowModal(false)}>Cancel</Button>
+            <Button variant="primary" type="submit">
+              {editingPaper ? 'Update' : 'Create'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </Container>
+  );
+}
+
+export default ExamPapers;
@@ -0,0 +1,77 @@
+/**
+ * Forgot Password Page Component
+ * Asks for the account's email address and sends it a password reset link
+ */
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Container, Card, Form, Button, Alert } from 'react-bootstrap';
+import { authAPI } from '../utils/api';
+
+function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [sent, setSent] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await authAPI.forgotPassword(email);
+      setSent(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to send the reset link. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Container className="d-flex justify-content-center align-items-center" style={{ minHeight: '100vh' }}>
+      <Card className="academic-card fade-in" style={{ width: '100%', maxWidth: '450px' }}>
+        <Card.Body style={{ padding: '2.5rem' }}>
+          <div className="text-center mb-4">
+            <h2 className="gradient-text" style={{ fontSize: '2rem', fontWeight: '700', marginBottom: '0.5rem' }}>
+              Reset Password
+            </h2>
+            <p className="text-muted">We will email you a link to choose a new password</p>
+          </div>
+
+          {error && <Alert variant="danger">{error}</Alert>}
+
+          {sent ? (
+            <Alert variant="success">{sent}</Alert>
+          ) : (
+            <Form onSubmit={handleSubmit}>
+              <Form.Group className="mb-3">
+                <Form.Label>Email Address</Form.Label>
+                <Form.Control
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  required
+                  placeholder="Enter your email"
+                />
+              </Form.Group>
+
+              <Button variant="primary" type="submit" className="w-100 mb-3" disabled={loading}>
+                {loading ? 'Sending...' : 'Send Reset Link'}
+              </Button>
+            </Form>
+          )}
+
+          <div className="text-center">
+            <small>
+              Remembered it? <Link to="/login">Sign in here</Link>
+            </small>
+          </div>
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+}
+
+export default ForgotPassword;
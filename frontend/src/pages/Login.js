@@ -14,6 +14,8 @@ function Login({ onLogin }) {
   });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  const [unverified, setUnverified] = useState(false);
+  const [notice, setNotice] = useState('');
   const navigate = useNavigate();
 
   const handleChange = (e) => {
@@ -27,6 +29,7 @@ function Login({ onLogin }) {
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setNotice('');
     setLoading(true);
 
     try {
@@ -38,11 +41,23 @@ function Login({ onLogin }) {
       }
     } catch (err) {
       setError(err.response?.data?.message || 'Login failed. Please try again.');
+      setUnverified(!!err.response?.data?.emailNotVerified);
     } finally {
       setLoading(false);
     }
   };
 
+  const handleResend = async () => {
+    try {
+      const response = await authAPI.resendVerification(formData.email);
+      setError('');
+      setUnverified(false);
+      setNotice(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to send a new verification link');
+    }
+  };
+
   return (
     <Container className="d-flex justify-content-center align-items-center" style={{ minHeight: '100vh' }}>
       <Card className="academic-card fade-in" style={{ width: '100%', maxWidth: '450px' }}>
@@ -55,7 +70,19 @@ function Login({ onLogin }) {
             <p className="text-muted" style={{ fontSize: '1.1rem' }}>Sign In to continue</p>
           </div>
 
-          {error && <Alert variant="danger">{error}</Alert>}
+          {error && (
+            <Alert variant="danger">
+              {error}
+              {unverified && (
+                <div className="mt-2">
+                  <Button variant="outline-danger" size="sm" onClick={handleResend}>
+                    Send a new verification link
+                  </Button>
+                </div>
+              )}
+            </Alert>
+          )}
+          {notice && <Alert variant="success">{notice}</Alert>}
 
           <Form onSubmit={handleSubmit}>
             <Form.Group className="mb-3">
@@ -93,6 +120,10 @@ function Login({ onLogin }) {
           </Form>
 
           <div className="text-center">
+            <small>
+              <Link to="/forgot-password">Forgot your password?</Link>
+            </small>
+            <br />
             <small>
               Don't have an account? <Link to="/register">Register here</Link>
             </small>
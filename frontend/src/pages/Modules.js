@@ -6,8 +6,50 @@
 import React, { useState, useEffect } from 'react';
 import { Container, Row, Col, Card, Button, Modal, Form, Alert, Table, Badge } from 'react-bootstrap';
 import { moduleAPI } from '../utils/api';
+import ModuleImportModal from '../components/ModuleImportModal';
+import ModuleTeamModal from '../components/ModuleTeamModal';
+import { can, TEAM_ROLE_LABELS } from '../utils/permissions';
 
-function Modules() {
+const DEFAULT_ANALYSIS_SETTINGS = {
+  relevanceThreshold: 0.3,
+  coveredThreshold: 70,
+  partialThreshold: 30,
+  aggregation: 'mean',
+  minQuestionsPerLO: 1
+};
+
+// Numeric analysis settings and the range each must fall in, matching the backend's validation
+const NUMERIC_SETTINGS = {
+  relevanceThreshold: { min: 0, max: 1, message: 'Enter a threshold between 0 and 1' },
+  coveredThreshold: { min: 0, max: 100, message: 'Enter a percentage between 0 and 100' },
+  partialThreshold: { min: 0, max: 100, message: 'Enter a percentage between 0 and 100' },
+  minQuestionsPerLO: { min: 1, integer: true, message: 'Enter a whole number of at least 1' }
+};
+
+/**
+ * Check the analysis settings as typed, which are kept as strings while editing
+ * @param {Object} settings - Analysis settings from the form
+ * @returns {Object} - Setting name → error message, for the settings that are not valid
+ */
+const validateSettings = (settings) => {
+  const errors = {};
+  for (const [name, rule] of Object.entries(NUMERIC_SETTINGS)) {
+    const raw = String(settings[name] ?? '').trim();
+    const value = Number(raw);
+    if (raw === '' || isNaN(value) || value < rule.min || (rule.max !== undefined && value > rule.max) ||
+      (rule.integer && !Number.isInteger(value))) {
+      errors[name] = rule.message;
+    }
+  }
+  if (!errors.coveredThreshold && !errors.partialThreshold &&
+    Number(settings.partialThreshold) > Number(settings.coveredThreshold)) {
+    errors.partialThreshold = 'Cannot be higher than the covered threshold';
+  }
+  return errors;
+};
+
+function Modules({ user }) {
+  const canManage = can(user, 'modules:manage');
   const [modules, setModules] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
@@ -16,12 +58,17 @@ function Modules() {
     moduleCode: '',
     moduleName: '',
     topics: [],
-    learningOutcomes: []
+    learningOutcomes: [],
+    analysisSettings: { ...DEFAULT_ANALYSIS_SETTINGS }
   });
   const [currentTopic, setCurrentTopic] = useState({ topicName: '', subtopics: [] });
   const [currentLO, setCurrentLO] = useState({ loId: '', description: '', bloomLevel: 'Remember' });
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [historyModule, setHistoryModule] = useState(null); // Module whose LO versions are shown
+  const [loVersions, setLoVersions] = useState([]);
+  const [showImport, setShowImport] = useState(false);
+  const [teamModule, setTeamModule] = useState(null); // Module whose team is shown
 
   const bloomLevels = ['Remember', 'Understand', 'Apply', 'Analyze', 'Evaluate', 'Create'];
 
@@ -49,7 +96,8 @@ function Modules() {
         moduleCode: module.moduleCode,
         moduleName: module.moduleName,
         topics: module.topics || [],
-        learningOutcomes: module.learningOutcomes || []
+        learningOutcomes: module.learningOutcomes || [],
+        analysisSettings: { ...DEFAULT_ANALYSIS_SETTINGS, ...(module.analysisSettings || {}) }
       });
     } else {
       setEditingModule(null);
@@ -57,7 +105,8 @@ function Modules() {
         moduleCode: '',
         moduleName: '',
         topics: [],
-        learningOutcomes: []
+        learningOutcomes: [],
+        analysisSettings: { ...DEFAULT_ANALYSIS_SETTINGS }
       });
     }
     setCurrentTopic({ topicName: '', subtopics: [] });
@@ -79,6 +128,18 @@ function Modules() {
     });
   };
 
+  const handleSettingChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({
+      ...formData,
+      analysisSettings: {
+        ...formData.analysisSettings,
+        // Kept as typed, so a cleared field stays empty instead of becoming NaN
+        [name]: value
+      }
+    });
+  };
+
   const handleAddTopic = () => {
     if (currentTopic.topicName.trim()) {
       setFormData({
@@ -124,17 +185,31 @@ function Modules() {
     });
   };
 
+  const settingErrors = validateSettings(formData.analysisSettings);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
     setSuccess('');
 
+    if (Object.keys(settingErrors).length > 0) {
+      setError('Correct the coverage analysis settings before saving');
+      return;
+    }
+    const moduleData = {
+      ...formData,
+      analysisSettings: {
+        ...formData.analysisSettings,
+        ...Object.fromEntries(Object.keys(NUMERIC_SETTINGS).map(name => [name, Number(formData.analysisSettings[name])]))
+      }
+    };
+
     try {
       if (editingModule) {
-        await moduleAPI.update(editingModule._id, formData);
-        setSuccess('Module updated successfully');
+        const response = await moduleAPI.update(editingModule._id, moduleData);
+        setSuccess(response.data.message);
       } else {
-        await moduleAPI.create(formData);
+        await moduleAPI.create(moduleData);
         setSuccess('Module created successfully');
       }
       handleCloseModal();
@@ -144,6 +219,16 @@ function Modules() {
     }
   };
 
+  const handleShowHistory = async (module) => {
+    try {
+      const response = await moduleAPI.getLOVersions(module._id);
+      setLoVersions(response.data.versions || []);
+      setHistoryModule(module);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load learning outcome history');
+    }
+  };
+
   const handleDelete = async (id) => {
     if (window.confirm('Are you sure you want to delete this module?')) {
       try {
@@ -163,9 +248,16 @@ function Modules() {
           <h1>Module Management</h1>
           <p className="text-muted mb-0">Create and manage modules with topics and learning outcomes</p>
         </div>
-        <Button variant="primary" onClick={() => handleOpenModal()} style={{ height: 'fit-content' }}>
-          + Create Module
-        </Button>
+        {canManage && (
+          <div className="d-flex gap-2" style={{ height: 'fit-content' }}>
+            <Button variant="outline-primary" onClick={() => setShowImport(true)}>
+              Import Module
+            </Button>
+            <Button variant="primary" onClick={() => handleOpenModal()}>
+              + Create Module
+            </Button>
+          </div>
+        )}
       </div>
 
       {error && <Alert variant="danger" dismissible onClose={() => setError('')}>{error}</Alert>}
@@ -180,7 +272,7 @@ function Modules() {
       ) : modules.length === 0 ? (
         <Card className="academic-card">
           <Card.Body className="text-center">
-            <p className="text-muted">No modules found. Create your first module to get started.</p>
+            <p className="text-muted">No modules found.{canManage ? ' Create your first module to get started.' : ' Ask a module leader to add you to their module team.'}</p>
           </Card.Body>
         </Card>
       ) : (
@@ -195,23 +287,50 @@ function Modules() {
                     <small>
                       <strong>Topics:</strong> {module.topics?.length || 0}<br />
                       <strong>Learning Outcomes:</strong> {module.learningOutcomes?.length || 0}
+                      {' '}<Badge bg="light" text="dark" title="Learning outcome version">v{module.loVersion || 1}</Badge>
+                      {module.teamRole && (
+                        <>
+                          <br />
+                          <strong>Your role:</strong> {TEAM_ROLE_LABELS[module.teamRole]}
+                        </>
+                      )}
                     </small>
                   </Card.Text>
+                  {canManage && module.access?.includes('manage') && (
+                    <Button
+                      variant="outline-primary"
+                      size="sm"
+                      className="me-2"
+                      onClick={() => handleOpenModal(module)}
+                    >
+                      Edit
+                    </Button>
+                  )}
                   <Button
-                    variant="outline-primary"
+                    variant="outline-secondary"
                     size="sm"
                     className="me-2"
-                    onClick={() => handleOpenModal(module)}
+                    onClick={() => handleShowHistory(module)}
                   >
-                    Edit
+                    LO History
                   </Button>
                   <Button
-                    variant="outline-danger"
+                    variant="outline-secondary"
                     size="sm"
-                    onClick={() => handleDelete(module._id)}
+                    className="me-2"
+                    onClick={() => setTeamModule(module)}
                   >
-                    Delete
+                    Team
                   </Button>
+                  {canManage && module.access?.includes('manage') && (
+                    <Button
+                      variant="outline-danger"
+                      size="sm"
+                      onClick={() => handleDelete(module._id)}
+                    >
+                      Delete
+                    </Button>
+                  )}
                 </Card.Body>
               </Card>
             </Col>
@@ -219,6 +338,71 @@ function Modules() {
         </Row>
       )}
 
+      <ModuleImportModal
+        show={showImport}
+        onHide={() => setShowImport(false)}
+        onImported={(message) => {
+          setShowImport(false);
+          setSuccess(message);
+          loadModules();
+        }}
+      />
+
+      <ModuleTeamModal
+        module={teamModule}
+        onHide={() => setTeamModule(null)}
+        onSaved={(message) => {
+          setTeamModule(null);
+          setSuccess(message);
+          loadModules();
+        }}
+      />
+
+      {/* Learning Outcome History Modal */}
+      <Modal show={!!historyModule} onHide={() => setHistoryModule(null)} size="lg">
+        <Modal.Header closeButton>
+          <Modal.Title>Learning Outcome History - {historyModule?.moduleCode}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {loVersions.length === 0 ? (
+            <p className="text-muted mb-0">
+              No changes recorded yet. The learning outcomes are at version {historyModule?.loVersion || 1}.
+            </p>
+          ) : (
+            loVersions.map((version) => (
+              <Card key={version._id} className="mb-3">
+                <Card.Header>
+                  <strong>Version {version.version}</strong>
+                  <span className="text-muted small ms-2">
+                    {version.createdAt ? new Date(version.createdAt).toLocaleString() : '-'}
+                    {version.createdBy?.name && ` by ${version.createdBy.name}`}
+                  </span>
+                  {version.changes?.changed.length > 0 && <Badge bg="warning" text="dark" className="ms-2">Changed: {version.changes.changed.join(', ')}</Badge>}
+                  {version.changes?.added.length > 0 && <Badge bg="success" className="ms-2">Added: {version.changes.added.join(', ')}</Badge>}
+                  {version.changes?.removed.length > 0 && <Badge bg="danger" className="ms-2">Removed: {version.changes.removed.join(', ')}</Badge>}
+                </Card.Header>
+                <Card.Body className="p-0">
+                  <Table size="sm" className="mb-0">
+                    <tbody>
+                      {version.learningOutcomes.map((lo) => (
+                        <tr key={lo.loId}>
+                          <td style={{ width: '80px' }}><strong>{lo.loId}</strong></td>
+                          <td>{lo.description}</td>
+                          <td style={{ width: '120px' }}><Badge bg="info">{lo.bloomLevel}</Badge></td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                </Card.Body>
+              </Card>
+            ))
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setHistoryModule(null)}>Close</Button>
+        </Modal.Footer>
+      </Modal>
+
       {/* Create/Edit Modal */}
       <Modal show={showModal} onHide={handleCloseModal} size="lg">
         <Modal.Header closeButton>
@@ -376,6 +560,97 @@ function Modules() {
                 ))}
               </Card.Body>
             </Card>
+
+            {/* Analysis Settings Section */}
+            <Card className="mb-3">
+              <Card.Header>
+                <strong>Coverage Analysis Settings</strong>
+              </Card.Header>
+              <Card.Body>
+                <Row>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Relevance Threshold (0-1)</Form.Label>
+                      <Form.Control
+                        type="number"
+                        name="relevanceThreshold"
+                        min="0"
+                        max="1"
+                        step="0.05"
+                        value={formData.analysisSettings.relevanceThreshold}
+                        onChange={handleSettingChange}
+                        isInvalid={!!settingErrors.relevanceThreshold}
+                      />
+                      <Form.Control.Feedback type="invalid">{settingErrors.relevanceThreshold}</Form.Control.Feedback>
+                    </Form.Group>
+                  </Col>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Covered at (%)</Form.Label>
+                      <Form.Control
+                        type="number"
+                        name="coveredThreshold"
+                        min="0"
+                        max="100"
+                        value={formData.analysisSettings.coveredThreshold}
+                        onChange={handleSettingChange}
+                        isInvalid={!!settingErrors.coveredThreshold}
+                      />
+                      <Form.Control.Feedback type="invalid">{settingErrors.coveredThreshold}</Form.Control.Feedback>
+                    </Form.Group>
+                  </Col>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Partially Covered at (%)</Form.Label>
+                      <Form.Control
+                        type="number"
+                        name="partialThreshold"
+                        min="0"
+                        max="100"
+                        value={formData.analysisSettings.partialThreshold}
+                        onChange={handleSettingChange}
+                        isInvalid={!!settingErrors.partialThreshold}
+                      />
+                      <Form.Control.Feedback type="invalid">{settingErrors.partialThreshold}</Form.Control.Feedback>
+                    </Form.Group>
+                  </Col>
+                </Row>
+                <Row>
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Aggregation</Form.Label>
+                      <Form.Select
+                        name="aggregation"
+                        value={formData.analysisSettings.aggregation}
+                        onChange={handleSettingChange}
+                      >
+                        <option value="mean">Mean of relevant questions</option>
+                        <option value="max">Best matching question</option>
+                        <option value="weighted-marks">Weighted by marks</option>
+                      </Form.Select>
+                    </Form.Group>
+                  </Col>
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Minimum Questions per LO</Form.Label>
+                      <Form.Control
+                        type="number"
+                        name="minQuestionsPerLO"
+                        min="1"
+                        step="1"
+                        value={formData.analysisSettings.minQuestionsPerLO}
+                        onChange={handleSettingChange}
+                        isInvalid={!!settingErrors.minQuestionsPerLO}
+                      />
+                      <Form.Control.Feedback type="invalid">{settingErrors.minQuestionsPerLO}</Form.Control.Feedback>
+                      <Form.Text className="text-muted">
+                        An LO needs at least this many relevant questions to be marked Covered.
+                      </Form.Text>
+                    </Form.Group>
+                  </Col>
+                </Row>
+              </Card.Body>
+            </Card>
           </Modal.Body>
           <Modal.Footer>
             <Button variant="secondary" onClick={handleCloseModal}>Cancel</Button>
@@ -3,13 +3,20 @@
  * Manages question upload and manual entry
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Container, Row, Col, Card, Button, Modal, Form, Alert, Table, Tabs, Tab, Badge } from 'react-bootstrap';
 import { questionAPI, coverageAPI } from '../utils/api';
 import ModuleSelector from '../components/ModuleSelector';
+import CommentThreads from '../components/CommentThreads';
+import QuestionRevisions from '../components/QuestionRevisions';
 import { getPersistedModuleId, setPersistedModuleId } from '../utils/moduleStorage';
+import { can } from '../utils/permissions';
 
-function Questions() {
+const BLOOM_LEVELS = ['Remember', 'Understand', 'Apply', 'Analyze', 'Evaluate', 'Create'];
+
+function Questions({ user }) {
+  const canEdit = can(user, 'questions:edit');
+  const canAnalyze = can(user, 'coverage:analyze');
   const [selectedModuleId, setSelectedModuleId] = useState(() => {
     // Load persisted module on initial render
     return getPersistedModuleId() || '';
@@ -34,9 +41,19 @@ function Questions() {
   const [selectedQuestions, setSelectedQuestions] = useState([]); // Selected question IDs for analysis
   const [showAnalysisModal, setShowAnalysisModal] = useState(false);
   const [analysisTag, setAnalysisTag] = useState('');
+  const [scoringStrategy, setScoringStrategy] = useState('llm');
   const [analyzing, setAnalyzing] = useState(false);
   const [showQuestionDetailModal, setShowQuestionDetailModal] = useState(false);
   const [selectedQuestionDetail, setSelectedQuestionDetail] = useState(null);
+  const [editForm, setEditForm] = useState(null); // Edits to the question in the detail modal
+
+  // Keep the table's unresolved-comment count in step with the open question's threads
+  const handleUnresolvedChange = useCallback((count) => {
+    const questionId = selectedQuestionDetail?._id;
+    setQuestions((current) => current.map((question) => (
+      question._id === questionId ? { ...question, unresolvedComments: count } : question
+    )));
+  }, [selectedQuestionDetail?._id]);
 
   // Handle module change and persist it
   const handleModuleChange = (moduleId) => {
@@ -140,6 +157,50 @@ function Questions() {
     }
   };
 
+  const handleSetBloomLevel = async (id, bloomLevel) => {
+    try {
+      const response = await questionAPI.setBloomLevel(id, bloomLevel);
+      setSelectedQuestionDetail(response.data.question);
+      loadQuestions();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update Bloom\'s level');
+    }
+  };
+
+  const handleStartEdit = () => {
+    setEditForm({
+      questionText: selectedQuestionDetail.questionText,
+      questionType: selectedQuestionDetail.questionType,
+      options: selectedQuestionDetail.options?.length ? [...selectedQuestionDetail.options] : ['', '', '', ''],
+      correctAnswer: selectedQuestionDetail.correctAnswer || '',
+      marks: selectedQuestionDetail.marks || 0,
+      sampleAnswer: selectedQuestionDetail.sampleAnswer || '',
+      reason: ''
+    });
+  };
+
+  // Show the saved question in the modal and refresh the table
+  const handleQuestionSaved = (question) => {
+    setSelectedQuestionDetail(question);
+    setEditForm(null);
+    loadQuestions();
+  };
+
+  const handleSaveEdit = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await questionAPI.update(selectedQuestionDetail._id, {
+        ...editForm,
+        options: editForm.questionType === 'MCQ' ? editForm.options.filter(opt => opt.trim()) : [],
+        marks: parseFloat(editForm.marks) || 0
+      });
+      setSuccess(response.data.revision ? 'Question updated successfully' : 'No changes to save');
+      handleQuestionSaved(response.data.question);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update question');
+    }
+  };
+
   const handleDelete = async (id) => {
     if (window.confirm('Are you sure you want to delete this question?')) {
       try {
@@ -188,10 +249,11 @@ function Questions() {
       const tag = analysisTag.trim() || `Analysis-${new Date().toISOString().slice(0, 16)}`;
       const response = await coverageAPI.analyze(selectedModuleId, {
         questionIds: selectedQuestions,
-        analysisTag: tag
+        analysisTag: tag,
+        scoringStrategy
       });
       
-      setSuccess(`Analysis completed! Analyzed ${response.data.totalQuestions} questions. Tag: ${tag}`);
+      setSuccess(`Analysis queued for ${response.data.totalQuestions} questions. Tag: ${tag}. Track its progress on the Coverage Analysis page.`);
       setShowAnalysisModal(false);
       setAnalysisTag('');
       // Optionally navigate to coverage page or keep selection
@@ -249,7 +311,7 @@ function Questions() {
             selectedModuleId={selectedModuleId}
             onModuleChange={handleModuleChange}
           />
-          {selectedModuleId && (
+          {selectedModuleId && canEdit && (
             <div className="mt-3">
               <Button
                 variant="primary"
@@ -325,13 +387,15 @@ function Questions() {
                       >
                         {selectedQuestions.length === filteredQuestions.length ? 'Deselect All' : 'Select All'}
                       </Button>
-                      <Button
-                        variant="primary"
-                        size="sm"
-                        onClick={() => setShowAnalysisModal(true)}
-                      >
-                        🔍 Analyze Selected ({selectedQuestions.length})
-                      </Button>
+                      {canAnalyze && (
+                        <Button
+                          variant="primary"
+                          size="sm"
+                          onClick={() => setShowAnalysisModal(true)}
+                        >
+                          🔍 Analyze Selected ({selectedQuestions.length})
+                        </Button>
+                      )}
                     </div>
                   </div>
                 )}
@@ -348,6 +412,8 @@ function Questions() {
                     <th>Question</th>
                     <th>Type</th>
                     <th>Source</th>
+                    <th>Bloom's Level</th>
+                    <th>Comments</th>
                     <th>Actions</th>
                   </tr>
                 </thead>
@@ -377,6 +443,29 @@ function Questions() {
                           {question.source}
                         </span>
                       </td>
+                      <td>
+                        {question.bloomClassification?.level ? (
+                          <Badge
+                            bg={question.bloomClassification.method === 'manual' ? 'dark' : 'info'}
+                            title={question.bloomClassification.method === 'manual'
+                              ? 'Set manually'
+                              : `${question.bloomClassification.method === 'ai' ? 'AI' : 'Heuristic'} classification, ${Math.round((question.bloomClassification.confidence || 0) * 100)}% confidence`}
+                          >
+                            {question.bloomClassification.level}
+                          </Badge>
+                        ) : (
+                          <span className="text-muted">-</span>
+                        )}
+                      </td>
+                      <td>
+                        {question.unresolvedComments > 0 ? (
+                          <Badge bg="warning" text="dark" title="Unresolved comment threads">
+                            {question.unresolvedComments} open
+                          </Badge>
+                        ) : (
+                          <span className="text-muted">-</span>
+                        )}
+                      </td>
                       <td>
                         <Button
                           variant="outline-info"
@@ -384,18 +473,21 @@ function Questions() {
                           className="me-2"
                           onClick={() => {
                             setSelectedQuestionDetail(question);
+                            setEditForm(null);
                             setShowQuestionDetailModal(true);
                           }}
                         >
                           View
                         </Button>
-                        <Button
-                          variant="outline-danger"
-                          size="sm"
-                          onClick={() => handleDelete(question._id)}
-                        >
-                          Delete
-                        </Button>
+                        {canEdit && (
+                          <Button
+                            variant="outline-danger"
+                            size="sm"
+                            onClick={() => handleDelete(question._id)}
+                          >
+                            Delete
+                          </Button>
+                        )}
                       </td>
                     </tr>
                   ))}
@@ -537,6 +629,19 @@ function Questions() {
               Give this analysis a name to identify it later. If left empty, a timestamp will be used.
             </Form.Text>
           </Form.Group>
+          <Form.Group className="mb-3">
+            <Form.Label>Scoring Strategy</Form.Label>
+            <Form.Select
+              value={scoringStrategy}
+              onChange={(e) => setScoringStrategy(e.target.value)}
+            >
+              <option value="llm">LLM Scoring</option>
+              <option value="embedding">Embedding Similarity</option>
+            </Form.Select>
+            <Form.Text className="text-muted">
+              Embedding similarity is faster and repeatable; LLM scoring judges meaning more closely.
+            </Form.Text>
+          </Form.Group>
         </Modal.Body>
         <Modal.Footer>
           <Button variant="secondary" onClick={() => setShowAnalysisModal(false)}>
@@ -559,88 +664,222 @@ function Questions() {
         </Modal.Header>
         <Modal.Body>
           {selectedQuestionDetail && (
-            <>
-              <div className="mb-3">
-                <strong>Question:</strong>
-                <p className="mt-2">{selectedQuestionDetail.questionText}</p>
-              </div>
+            <Tabs key={selectedQuestionDetail._id} defaultActiveKey="details" className="mb-3" mountOnEnter>
+              <Tab eventKey="details" title="Details">
+                {editForm ? (
+                  <Form onSubmit={handleSaveEdit}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Question Text</Form.Label>
+                      <Form.Control
+                        as="textarea"
+                        rows={4}
+                        value={editForm.questionText}
+                        onChange={(e) => setEditForm({ ...editForm, questionText: e.target.value })}
+                        required
+                      />
+                    </Form.Group>
+                    <Row>
+                      <Col md={6}>
+                        <Form.Group className="mb-3">
+                          <Form.Label>Question Type</Form.Label>
+                          <Form.Select
+                            value={editForm.questionType}
+                            onChange={(e) => setEditForm({ ...editForm, questionType: e.target.value })}
+                          >
+                            <option value="Structured">Structured</option>
+                            <option value="MCQ">MCQ</option>
+                          </Form.Select>
+                        </Form.Group>
+                      </Col>
+                      <Col md={6}>
+                        <Form.Group className="mb-3">
+                          <Form.Label>Marks</Form.Label>
+                          <Form.Control
+                            type="number"
+                            min="0"
+                            value={editForm.marks}
+                            onChange={(e) => setEditForm({ ...editForm, marks: e.target.value })}
+                          />
+                        </Form.Group>
+                      </Col>
+                    </Row>
+                    {editForm.questionType === 'MCQ' ? (
+                      <>
+                        {editForm.options.map((option, index) => (
+                          <Form.Group className="mb-2" key={index}>
+                            <Form.Control
+                              size="sm"
+                              value={option}
+                              onChange={(e) => setEditForm({
+                                ...editForm,
+                                options: editForm.options.map((opt, i) => (i === index ? e.target.value : opt))
+                              })}
+                              placeholder={`Option ${String.fromCharCode(65 + index)}`}
+                            />
+                          </Form.Group>
+                        ))}
+                        <Form.Group className="mb-3">
+                          <Form.Label>Correct Answer</Form.Label>
+                          <Form.Select
+                            value={editForm.correctAnswer}
+                            onChange={(e) => setEditForm({ ...editForm, correctAnswer: e.target.value })}
+                          >
+                            <option value="">Select the correct option</option>
+                            {editForm.options.filter(opt => opt.trim()).map((option, index) => (
+                              <option key={index} value={option}>{option}</option>
+                            ))}
+                          </Form.Select>
+                        </Form.Group>
+                      </>
+                    ) : (
+                      <Form.Group className="mb-3">
+                        <Form.Label>Sample Answer</Form.Label>
+                        <Form.Control
+                          as="textarea"
+                          rows={3}
+                          value={editForm.sampleAnswer}
+                          onChange={(e) => setEditForm({ ...editForm, sampleAnswer: e.target.value })}
+                        />
+                      </Form.Group>
+                    )}
+                    <Form.Group className="mb-3">
+                      <Form.Label>Reason for Change</Form.Label>
+                      <Form.Control
+                        value={editForm.reason}
+                        onChange={(e) => setEditForm({ ...editForm, reason: e.target.value })}
+                        placeholder="e.g., Reworded after moderator feedback"
+                      />
+                      <Form.Text className="text-muted">Kept with this revision in the question's history.</Form.Text>
+                    </Form.Group>
+                    <div className="d-flex gap-2">
+                      <Button variant="primary" type="submit">Save Changes</Button>
+                      <Button variant="secondary" onClick={() => setEditForm(null)}>Cancel</Button>
+                    </div>
+                  </Form>
+                ) : (
+                  <>
+                    <div className="mb-3">
+                      <strong>Question:</strong>
+                      <p className="mt-2">{selectedQuestionDetail.questionText}</p>
+                    </div>
 
-              <div className="mb-3">
-                <strong>Type:</strong>{' '}
-                <Badge bg={selectedQuestionDetail.questionType === 'MCQ' ? 'info' : 'secondary'}>
-                  {selectedQuestionDetail.questionType}
-                </Badge>
-              </div>
+                    <div className="mb-3">
+                      <strong>Type:</strong>{' '}
+                      <Badge bg={selectedQuestionDetail.questionType === 'MCQ' ? 'info' : 'secondary'}>
+                        {selectedQuestionDetail.questionType}
+                      </Badge>
+                    </div>
 
-              <div className="mb-3">
-                <strong>Source:</strong>{' '}
-                <Badge bg={selectedQuestionDetail.source === 'AI' ? 'success' : selectedQuestionDetail.source === 'Uploaded' ? 'warning' : 'primary'}>
-                  {selectedQuestionDetail.source}
-                </Badge>
-              </div>
+                    <div className="mb-3">
+                      <strong>Source:</strong>{' '}
+                      <Badge bg={selectedQuestionDetail.source === 'AI' ? 'success' : selectedQuestionDetail.source === 'Uploaded' ? 'warning' : 'primary'}>
+                        {selectedQuestionDetail.source}
+                      </Badge>
+                    </div>
 
-              {selectedQuestionDetail.marks > 0 && (
-                <div className="mb-3">
-                  <strong>Marks:</strong> {selectedQuestionDetail.marks}
-                </div>
-              )}
-
-              {selectedQuestionDetail.questionType === 'MCQ' && (
-                <>
-                  <hr />
-                  <div className="mb-3">
-                    <strong>Options:</strong>
-                    <div className="mt-2">
-                      {selectedQuestionDetail.options && selectedQuestionDetail.options.length > 0 ? (
-                        selectedQuestionDetail.options.map((option, index) => (
-                          <div 
-                            key={index} 
-                            className={`p-2 mb-2 rounded ${
-                              option === selectedQuestionDetail.correctAnswer 
-                                ? 'bg-success text-white' 
-                                : 'bg-light'
-                            }`}
-                          >
-                            <strong>{String.fromCharCode(65 + index)}.</strong> {option}
-                            {option === selectedQuestionDetail.correctAnswer && (
-                              <Badge bg="light" text="dark" className="ms-2">Correct Answer</Badge>
+                    <div className="mb-3">
+                      <strong>Bloom's Level:</strong>{' '}
+                      <Form.Select
+                        size="sm"
+                        className="d-inline-block ms-2"
+                        style={{ width: 'auto' }}
+                        value={selectedQuestionDetail.bloomClassification?.method === 'manual' ? selectedQuestionDetail.bloomClassification.level : ''}
+                        onChange={(e) => handleSetBloomLevel(selectedQuestionDetail._id, e.target.value || null)}
+                      >
+                        <option value="">
+                          {selectedQuestionDetail.bloomClassification?.level && selectedQuestionDetail.bloomClassification.method !== 'manual'
+                            ? `${selectedQuestionDetail.bloomClassification.level} (${selectedQuestionDetail.bloomClassification.method === 'ai' ? 'AI' : 'heuristic'}, ${Math.round((selectedQuestionDetail.bloomClassification.confidence || 0) * 100)}% confidence)`
+                            : 'Not classified'}
+                        </option>
+                        {BLOOM_LEVELS.map(level => (
+                          <option key={level} value={level}>{level} (manual)</option>
+                        ))}
+                      </Form.Select>
+                    </div>
+
+                    {selectedQuestionDetail.marks > 0 && (
+                      <div className="mb-3">
+                        <strong>Marks:</strong> {selectedQuestionDetail.marks}
+                      </div>
+                    )}
+
+                    {selectedQuestionDetail.questionType === 'MCQ' && (
+                      <>
+                        <hr />
+                        <div className="mb-3">
+                          <strong>Options:</strong>
+                          <div className="mt-2">
+                            {selectedQuestionDetail.options && selectedQuestionDetail.options.length > 0 ? (
+                              selectedQuestionDetail.options.map((option, index) => (
+                                <div 
+                                  key={index} 
+                                  className={`p-2 mb-2 rounded ${
+                                    option === selectedQuestionDetail.correctAnswer 
+                                      ? 'bg-success text-white' 
+                                      : 'bg-light'
+                                  }`}
+                                >
+                                  <strong>{String.fromCharCode(65 + index)}.</strong> {option}
+                                  {option === selectedQuestionDetail.correctAnswer && (
+                                    <Badge bg="light" text="dark" className="ms-2">Correct Answer</Badge>
+                                  )}
+                                </div>
+                              ))
+                            ) : (
+                              <p className="text-muted">No options available</p>
                             )}
                           </div>
-                        ))
-                      ) : (
-                        <p className="text-muted">No options available</p>
-                      )}
-                    </div>
-                  </div>
-                  {selectedQuestionDetail.correctAnswer && (
-                    <div className="alert alert-success">
-                      <strong>Correct Answer:</strong> {selectedQuestionDetail.correctAnswer}
-                    </div>
-                  )}
-                </>
-              )}
-
-              {selectedQuestionDetail.questionType === 'Structured' && selectedQuestionDetail.sampleAnswer && (
-                <>
-                  <hr />
-                  <div className="mb-3">
-                    <strong>Sample Answer:</strong>
-                    <div className="mt-2 p-3 bg-light rounded" style={{ whiteSpace: 'pre-wrap' }}>
-                      {selectedQuestionDetail.sampleAnswer}
-                    </div>
-                  </div>
-                </>
-              )}
+                        </div>
+                        {selectedQuestionDetail.correctAnswer && (
+                          <div className="alert alert-success">
+                            <strong>Correct Answer:</strong> {selectedQuestionDetail.correctAnswer}
+                          </div>
+                        )}
+                      </>
+                    )}
+
+                    {selectedQuestionDetail.questionType === 'Structured' && selectedQuestionDetail.sampleAnswer && (
+                      <>
+                        <hr />
+                        <div className="mb-3">
+                          <strong>Sample Answer:</strong>
+                          <div className="mt-2 p-3 bg-light rounded" style={{ whiteSpace: 'pre-wrap' }}>
+                            {selectedQuestionDetail.sampleAnswer}
+                          </div>
+                        </div>
+                      </>
+                    )}
 
-              {selectedQuestionDetail.questionType === 'Structured' && !selectedQuestionDetail.sampleAnswer && (
-                <div className="alert alert-info">
-                  No sample answer available for this question.
-                </div>
-              )}
-            </>
+                    {selectedQuestionDetail.questionType === 'Structured' && !selectedQuestionDetail.sampleAnswer && (
+                      <div className="alert alert-info">
+                        No sample answer available for this question.
+                      </div>
+                    )}
+
+                  </>
+                )}
+              </Tab>
+              <Tab eventKey="comments" title="Comments">
+                <CommentThreads
+                  kind="question"
+                  targetId={selectedQuestionDetail._id}
+                  moduleId={selectedModuleId}
+                  user={user}
+                  onUnresolvedChange={handleUnresolvedChange}
+                />
+              </Tab>
+              <Tab eventKey="revisions" title="Revisions">
+                <QuestionRevisions question={selectedQuestionDetail} onRestored={handleQuestionSaved} canRestore={canEdit} />
+              </Tab>
+            </Tabs>
           )}
         </Modal.Body>
         <Modal.Footer>
+          {selectedQuestionDetail && !editForm && canEdit && (
+            <Button variant="outline-primary" onClick={handleStartEdit}>
+              Edit Question
+            </Button>
+          )}
           <Button variant="secondary" onClick={() => setShowQuestionDetailModal(false)}>
             Close
           </Button>
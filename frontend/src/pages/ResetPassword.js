@@ -0,0 +1,118 @@
+/**
+ * Reset Password Page Component
+ * Opened from the emailed link; sets a new password using the link's token
+ */
+
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Container, Card, Form, Button, Alert } from 'react-bootstrap';
+import { authAPI } from '../utils/api';
+
+function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [error, setError] = useState('');
+  const [done, setDone] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+    if (formData.password.length < 6) {
+      setError('Password must be at least 6 characters long');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await authAPI.resetPassword(token, formData.password);
+      setDone(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Password reset failed. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Container className="d-flex justify-content-center align-items-center" style={{ minHeight: '100vh' }}>
+      <Card className="academic-card fade-in" style={{ width: '100%', maxWidth: '450px' }}>
+        <Card.Body style={{ padding: '2.5rem' }}>
+          <div className="text-center mb-4">
+            <h2 className="gradient-text" style={{ fontSize: '2rem', fontWeight: '700', marginBottom: '0.5rem' }}>
+              Choose a New Password
+            </h2>
+          </div>
+
+          {error && <Alert variant="danger">{error}</Alert>}
+
+          {!token ? (
+            <Alert variant="warning">
+              This page needs the link from your password reset email. <Link to="/forgot-password">Request a new link</Link>.
+            </Alert>
+          ) : done ? (
+            <Alert variant="success">
+              {done} <Link to="/login">Sign in</Link>
+            </Alert>
+          ) : (
+            <Form onSubmit={handleSubmit}>
+              <Form.Group className="mb-3">
+                <Form.Label>New Password</Form.Label>
+                <Form.Control
+                  type="password"
+                  name="password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  required
+                  placeholder="Enter a new password (min 6 characters)"
+                  minLength={6}
+                />
+              </Form.Group>
+
+              <Form.Group className="mb-3">
+                <Form.Label>Confirm Password</Form.Label>
+                <Form.Control
+                  type="password"
+                  name="confirmPassword"
+                  value={formData.confirmPassword}
+                  onChange={handleChange}
+                  required
+                  placeholder="Confirm your new password"
+                  minLength={6}
+                />
+              </Form.Group>
+
+              <Button variant="primary" type="submit" className="w-100 mb-3" disabled={loading}>
+                {loading ? 'Saving...' : 'Set Password'}
+              </Button>
+            </Form>
+          )}
+
+          <p className="text-muted small text-center">
+            Changing your password signs you out on every device.
+          </p>
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+}
+
+export default ResetPassword;
@@ -0,0 +1,93 @@
+/**
+ * Sessions Page Component
+ * The devices the user is signed in on; any of them, or all at once, can be logged out
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Container, Card, Button, Alert } from 'react-bootstrap';
+import SessionTable from '../components/SessionTable';
+import { authAPI } from '../utils/api';
+
+function Sessions({ onLogout }) {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revokingId, setRevokingId] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const loadSessions = async () => {
+    try {
+      setLoading(true);
+      const response = await authAPI.getSessions();
+      setSessions(response.data.sessions || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      onLogout();
+      return;
+    }
+    try {
+      setRevokingId(session._id);
+      setError('');
+      setSuccess('');
+      const response = await authAPI.revokeSession(session._id);
+      setSessions(sessions.filter(s => s._id !== session._id));
+      setSuccess(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to log out the session');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Log out of every device, including this one?')) {
+      return;
+    }
+    try {
+      await authAPI.logoutAll();
+      onLogout();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to log out everywhere');
+    }
+  };
+
+  return (
+    <Container>
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h2>Signed-in Devices</h2>
+        <Button variant="outline-danger" onClick={handleLogoutAll} disabled={loading}>
+          Log out everywhere
+        </Button>
+      </div>
+
+      {error && <Alert variant="danger" dismissible onClose={() => setError('')}>{error}</Alert>}
+      {success && <Alert variant="success" dismissible onClose={() => setSuccess('')}>{success}</Alert>}
+
+      <Card className="academic-card">
+        <Card.Body>
+          <p className="text-muted small">
+            Each device stays signed in until it logs out or its session expires. Log out any device you do not recognise.
+          </p>
+          {loading ? (
+            <p className="text-muted">Loading sessions...</p>
+          ) : (
+            <SessionTable sessions={sessions} onRevoke={handleRevoke} revokingId={revokingId} />
+          )}
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+}
+
+export default Sessions;
@@ -0,0 +1,293 @@
+/**
+ * Users Page Component
+ * Admin console: find users, assign roles, deactivate accounts, force password resets and end sessions,
+ * with the modules each user works on; the permission matrix shows what each role may do
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Table, Form, Alert, Badge, Button } from 'react-bootstrap';
+import UserSessionsModal from '../components/UserSessionsModal';
+import { userAPI } from '../utils/api';
+import { TEAM_ROLE_LABELS } from '../utils/permissions';
+
+const PAGE_SIZE = 20;
+
+function Users({ user }) {
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [filters, setFilters] = useState({ search: '', role: '', status: '' });
+  const [search, setSearch] = useState(''); // Search box text, applied on submit
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [savingId, setSavingId] = useState(null);
+  const [sessionUser, setSessionUser] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    loadRoles();
+  }, []);
+
+  useEffect(() => {
+    const loadUsers = async () => {
+      try {
+        setLoading(true);
+        const response = await userAPI.getAll({ ...filters, page, limit: PAGE_SIZE });
+        setUsers(response.data.users || []);
+        setPages(response.data.pages || 1);
+        setTotal(response.data.total || 0);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load users');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadUsers();
+  }, [filters, page]);
+
+  const loadRoles = async () => {
+    try {
+      const response = await userAPI.getRoles();
+      setRoles(response.data.roles || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load roles');
+    }
+  };
+
+  const applyFilters = (changes) => {
+    setFilters({ ...filters, ...changes });
+    setPage(1);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    applyFilters({ search: search.trim() });
+  };
+
+  const updateUser = (id, changes) => {
+    setUsers(users.map(u => (u._id === id ? { ...u, ...changes } : u)));
+  };
+
+  // Runs one admin action on a user, showing its outcome
+  const runAction = async (target, action, failure) => {
+    try {
+      setSavingId(target._id);
+      setError('');
+      setSuccess('');
+      const response = await action();
+      setSuccess(response.data.message);
+      return response;
+    } catch (err) {
+      setError(err.response?.data?.message || failure);
+      return null;
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleRoleChange = async (target, role) => {
+    const response = await runAction(target, () => userAPI.updateRole(target._id, role), 'Failed to update role');
+    if (response) {
+      updateUser(target._id, { role: response.data.user.role });
+    }
+  };
+
+  const handleToggleActive = async (target) => {
+    const active = target.active === false;
+    if (!active && !window.confirm(`Deactivate ${target.name}? They will be signed out and unable to sign in.`)) {
+      return;
+    }
+    const response = await runAction(target, () => userAPI.setActive(target._id, active), 'Failed to update account status');
+    if (response) {
+      updateUser(target._id, response.data.user);
+    }
+  };
+
+  const handleForceReset = async (target) => {
+    if (!window.confirm(`Force ${target.name} to choose a new password? Their current password stops working and they are signed out everywhere.`)) {
+      return;
+    }
+    await runAction(target, () => userAPI.forcePasswordReset(target._id), 'Failed to force a password reset');
+  };
+
+  const permissions = Array.from(new Set(roles.flatMap(r => r.permissions)));
+
+  return (
+    <Container>
+      <h2 className="mb-4">Users</h2>
+
+      {error && <Alert variant="danger" dismissible onClose={() => setError('')}>{error}</Alert>}
+      {success && <Alert variant="success" dismissible onClose={() => setSuccess('')}>{success}</Alert>}
+
+      <Card className="academic-card mb-4">
+        <Card.Body>
+          <Form onSubmit={handleSearch} className="mb-3">
+            <Row className="g-2">
+              <Col md={6}>
+                <Form.Control
+                  type="search"
+                  placeholder="Search by name or email"
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                />
+              </Col>
+              <Col md={2}>
+                <Form.Select value={filters.role} onChange={(e) => applyFilters({ role: e.target.value })}>
+                  <option value="">All roles</option>
+                  {roles.map(r => <option key={r.role} value={r.role}>{r.label}</option>)}
+                </Form.Select>
+              </Col>
+              <Col md={2}>
+                <Form.Select value={filters.status} onChange={(e) => applyFilters({ status: e.target.value })}>
+                  <option value="">Any status</option>
+                  <option value="active">Active</option>
+                  <option value="deactivated">Deactivated</option>
+                </Form.Select>
+              </Col>
+              <Col md={2}>
+                <Button type="submit" variant="primary" className="w-100">Search</Button>
+              </Col>
+            </Row>
+          </Form>
+
+          {loading ? (
+            <p className="text-muted">Loading users...</p>
+          ) : users.length === 0 ? (
+            <p className="text-muted">No users match these filters.</p>
+          ) : (
+            <Table hover responsive>
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th style={{ width: '200px' }}>Role</th>
+                  <th>Modules</th>
+                  <th>Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {users.map(u => {
+                  const isSelf = String(u._id) === String(user?.id);
+                  const deactivated = u.active === false;
+                  return (
+                    <tr key={u._id} className={deactivated ? 'text-muted' : ''}>
+                      <td>
+                        {u.name}
+                        {isSelf && <Badge bg="secondary" className="ms-2">You</Badge>}
+                        <div className="small text-muted">{u.email}</div>
+                      </td>
+                      <td>
+                        <Form.Select
+                          size="sm"
+                          value={u.role}
+                          disabled={savingId === u._id}
+                          onChange={(e) => handleRoleChange(u, e.target.value)}
+                        >
+                          {roles.map(r => <option key={r.role} value={r.role}>{r.label}</option>)}
+                        </Form.Select>
+                      </td>
+                      <td>
+                        {u.modules.length === 0 ? (
+                          <span className="text-muted small">None</span>
+                        ) : u.modules.map(m => (
+                          <Badge
+                            key={m._id}
+                            bg={m.teamRole === 'leader' ? 'primary' : 'light'}
+                            text={m.teamRole === 'leader' ? undefined : 'dark'}
+                            className="me-1 mb-1 border"
+                            title={`${m.moduleName} - ${TEAM_ROLE_LABELS[m.teamRole]}`}
+                          >
+                            {m.moduleCode}
+                          </Badge>
+                        ))}
+                      </td>
+                      <td>
+                        {deactivated ? (
+                          <Badge bg="danger">Deactivated</Badge>
+                        ) : (
+                          <Badge bg="success">Active</Badge>
+                        )}
+                        {u.emailVerified === false && <Badge bg="warning" text="dark" className="ms-1">Unverified</Badge>}
+                      </td>
+                      <td className="text-end text-nowrap">
+                        <Button variant="outline-secondary" size="sm" className="me-1" onClick={() => setSessionUser(u)}>
+                          Sessions
+                        </Button>
+                        <Button
+                          variant="outline-warning"
+                          size="sm"
+                          className="me-1"
+                          disabled={deactivated || savingId === u._id}
+                          onClick={() => handleForceReset(u)}
+                        >
+                          Reset Password
+                        </Button>
+                        <Button
+                          variant={deactivated ? 'outline-success' : 'outline-danger'}
+                          size="sm"
+                          disabled={isSelf || savingId === u._id}
+                          onClick={() => handleToggleActive(u)}
+                        >
+                          {deactivated ? 'Reactivate' : 'Deactivate'}
+                        </Button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </Table>
+          )}
+
+          <div className="d-flex justify-content-between align-items-center">
+            <small className="text-muted">
+              {total} user{total === 1 ? '' : 's'}; module badges show team roles, with modules the user leads highlighted
+            </small>
+            <div>
+              <Button variant="outline-secondary" size="sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+                Previous
+              </Button>
+              <span className="mx-2 small">Page {page} of {pages}</span>
+              <Button variant="outline-secondary" size="sm" disabled={page >= pages} onClick={() => setPage(page + 1)}>
+                Next
+              </Button>
+            </div>
+          </div>
+        </Card.Body>
+      </Card>
+
+      {roles.length > 0 && (
+        <Card className="academic-card">
+          <Card.Body>
+            <Card.Title>Permissions</Card.Title>
+            <p className="text-muted small">Every role can view the modules whose team they are on, with their questions, papers, comments and coverage reports, and download reports and exports.</p>
+            <Table size="sm" bordered responsive>
+              <thead>
+                <tr>
+                  <th>Permission</th>
+                  {roles.map(r => <th key={r.role} className="text-center">{r.label}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {permissions.map(permission => (
+                  <tr key={permission}>
+                    <td><code>{permission}</code></td>
+                    {roles.map(r => (
+                      <td key={r.role} className="text-center">{r.permissions.includes(permission) ? '✓' : ''}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </Card.Body>
+        </Card>
+      )}
+
+      <UserSessionsModal target={sessionUser} onHide={() => setSessionUser(null)} />
+    </Container>
+  );
+}
+
+export default Users;
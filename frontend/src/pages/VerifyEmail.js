@@ -0,0 +1,65 @@
+/**
+ * Verify Email Page Component
+ * Opened from the link emailed at registration; verifies the address as soon as it loads
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Container, Card, Alert } from 'react-bootstrap';
+import { authAPI } from '../utils/api';
+
+function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This page needs the link from your verification email.');
+  const submittedToken = useRef(null); // A link only works once, so it is posted once even if the effect re-runs
+
+  useEffect(() => {
+    if (!token || submittedToken.current === token) return;
+    submittedToken.current = token;
+
+    const verify = async () => {
+      try {
+        const response = await authAPI.verifyEmail(token);
+        setStatus('verified');
+        setMessage(response.data.message);
+      } catch (err) {
+        setStatus('error');
+        setMessage(err.response?.data?.message || 'Email verification failed');
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  return (
+    <Container className="d-flex justify-content-center align-items-center" style={{ minHeight: '100vh' }}>
+      <Card className="academic-card fade-in" style={{ width: '100%', maxWidth: '450px' }}>
+        <Card.Body style={{ padding: '2.5rem' }}>
+          <div className="text-center mb-4">
+            <h2 className="gradient-text" style={{ fontSize: '2rem', fontWeight: '700', marginBottom: '0.5rem' }}>
+              Verify Email
+            </h2>
+          </div>
+
+          {status === 'verifying' && <p className="text-muted text-center">Verifying your email address...</p>}
+          {status === 'verified' && <Alert variant="success">{message}</Alert>}
+          {status === 'error' && (
+            <Alert variant="danger">
+              {message} You can request a new link by signing in.
+            </Alert>
+          )}
+
+          <div className="text-center">
+            <small>
+              <Link to="/login">Go to sign in</Link>
+            </small>
+          </div>
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+}
+
+export default VerifyEmail;
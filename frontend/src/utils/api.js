@@ -4,13 +4,14 @@
  */
 
 import axios from 'axios';
-import { getAuthToken } from './auth';
+import { getAuthToken, setAuthToken, removeAuthToken } from './auth';
 
 const API_BASE_URL = 'http://localhost:5000/api';
 
 // Create axios instance with default config
 const api = axios.create({
   baseURL: API_BASE_URL,
+  withCredentials: true, // Sends the httpOnly refresh token cookie to /auth routes
   headers: {
     'Content-Type': 'application/json'
   }
@@ -30,11 +31,68 @@ api.interceptors.request.use(
   }
 );
 
+// One refresh at a time: requests failing together wait on the same new token
+let refreshRequest = null;
+
+/**
+ * Exchange the refresh token cookie for a new access token
+ * Uses plain axios so a failed refresh does not pass back through the interceptor below.
+ * @returns {Promise<string>} - New access token
+ */
+const refreshAccessToken = () => {
+  if (!refreshRequest) {
+    refreshRequest = axios.post(`${API_BASE_URL}/auth/refresh`, {}, { withCredentials: true })
+      .then((response) => {
+        setAuthToken(response.data.token);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
+// Access tokens are short-lived: on a 401, refresh once and retry the request
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config, response } = error;
+    const isAuthRoute = config && /^\/auth\/(login|register|refresh|logout)$/.test(config.url);
+
+    if (!response || response.status !== 401 || !config || config._retried || isAuthRoute) {
+      return Promise.reject(error);
+    }
+
+    try {
+      const token = await refreshAccessToken();
+      config._retried = true;
+      config.headers.Authorization = `Bearer ${token}`;
+      return api(config);
+    } catch (refreshError) {
+      // The session is over; sign in again
+      removeAuthToken();
+      if (window.location.pathname !== '/login') {
+        window.location.assign('/login');
+      }
+      return Promise.reject(error);
+    }
+  }
+);
+
 // Auth APIs
 export const authAPI = {
   login: (email, password) => api.post('/auth/login', { email, password }),
   register: (userData) => api.post('/auth/register', userData),
-  getMe: () => api.get('/auth/me')
+  getMe: () => api.get('/auth/me'),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: (email) => api.post('/auth/resend-verification', { email }),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, password) => api.post('/auth/reset-password', { token, password }),
+  logout: () => api.post('/auth/logout'),
+  logoutAll: () => api.post('/auth/logout-all'),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (sessionId) => api.delete(`/auth/sessions/${sessionId}`)
 };
 
 // Module APIs
@@ -43,7 +101,20 @@ export const moduleAPI = {
   getById: (id) => api.get(`/modules/${id}`),
   create: (moduleData) => api.post('/modules', moduleData),
   update: (id, moduleData) => api.put(`/modules/${id}`, moduleData),
-  delete: (id) => api.delete(`/modules/${id}`)
+  delete: (id) => api.delete(`/modules/${id}`),
+  getLOVersions: (id) => api.get(`/modules/${id}/lo-versions`),
+  getTeam: (id) => api.get(`/modules/${id}/team`),
+  updateTeam: (id, team) => api.put(`/modules/${id}/team`, team),
+  previewImport: (file) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return api.post('/modules/import/preview', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      }
+    });
+  },
+  importModule: (moduleData, updateExisting = false) => api.post('/modules/import', { module: moduleData, updateExisting })
 };
 
 // Question APIs
@@ -59,6 +130,10 @@ export const questionAPI = {
   create: (questionData) => api.post('/questions', questionData),
   update: (id, questionData) => api.put(`/questions/${id}`, questionData),
   delete: (id) => api.delete(`/questions/${id}`),
+  classify: (moduleId, data = {}) => api.post(`/questions/classify/${moduleId}`, data),
+  setBloomLevel: (id, bloomLevel) => api.put(`/questions/${id}/bloom-level`, { bloomLevel }),
+  getRevisions: (id) => api.get(`/questions/${id}/revisions`),
+  restoreRevision: (id, revision, reason = '') => api.post(`/questions/${id}/revisions/${revision}/restore`, { reason }),
   upload: (moduleId, file) => {
     const formData = new FormData();
     formData.append('file', file);
@@ -71,18 +146,66 @@ export const questionAPI = {
   }
 };
 
+// Query string selecting a coverage run: an exam paper, a tagged selection, or the default run
+const runParams = ({ paperId, analysisTag } = {}) => {
+  if (paperId) return `?paperId=${encodeURIComponent(paperId)}`;
+  if (analysisTag) return `?analysisTag=${encodeURIComponent(analysisTag)}`;
+  return '';
+};
+
 // Coverage APIs
 export const coverageAPI = {
   analyze: (moduleId, data = {}) => api.post(`/coverage/analyze/${moduleId}`, data),
-  getByModule: (moduleId, analysisTag = null) => {
-    const params = analysisTag ? `?analysisTag=${encodeURIComponent(analysisTag)}` : '';
-    return api.get(`/coverage/module/${moduleId}${params}`);
-  },
-  getStats: (moduleId, analysisTag = null) => {
-    const params = analysisTag ? `?analysisTag=${encodeURIComponent(analysisTag)}` : '';
-    return api.get(`/coverage/stats/${moduleId}${params}`);
-  },
-  getAnalysisTags: (moduleId) => api.get(`/coverage/analysis-tags/${moduleId}`)
+  getByModule: (moduleId, run = {}) => api.get(`/coverage/module/${moduleId}${runParams(run)}`),
+  getStats: (moduleId, run = {}) => api.get(`/coverage/stats/${moduleId}${runParams(run)}`),
+  getAnalysisTags: (moduleId) => api.get(`/coverage/analysis-tags/${moduleId}`),
+  getJob: (jobId) => api.get(`/coverage/jobs/${jobId}`),
+  getJobs: (moduleId, limit = 5) => api.get(`/coverage/jobs/module/${moduleId}?limit=${limit}`),
+  getBloomMismatch: (moduleId, run = {}) => api.get(`/coverage/bloom-mismatch/${moduleId}${runParams(run)}`),
+  compare: (moduleId, runKeys) => api.get(`/coverage/compare/${moduleId}`, { params: { run: runKeys } }),
+  downloadReport: (moduleId, run = {}, format = 'pdf') => api.get(`/coverage/report/${moduleId}`, {
+    params: { paperId: run.paperId || undefined, analysisTag: run.analysisTag || undefined, format },
+    responseType: 'blob'
+  }),
+  exportData: (moduleId, run = {}, format = 'xlsx', table = 'matrix') => api.get(`/coverage/export/${moduleId}`, {
+    params: { paperId: run.paperId || undefined, analysisTag: run.analysisTag || undefined, format, table },
+    responseType: 'blob'
+  }),
+  getOverrides: (moduleId) => api.get(`/coverage/overrides/${moduleId}`),
+  saveOverride: (moduleId, data) => api.post(`/coverage/overrides/${moduleId}`, data),
+  deleteOverride: (overrideId) => api.delete(`/coverage/overrides/${overrideId}`)
+};
+
+// Exam Paper APIs
+export const paperAPI = {
+  getByModule: (moduleId) => api.get(`/papers/module/${moduleId}`),
+  getById: (id) => api.get(`/papers/${id}`),
+  getModerators: (moduleId) => api.get(`/papers/moderators/${moduleId}`),
+  create: (paperData) => api.post('/papers', paperData),
+  update: (id, paperData) => api.put(`/papers/${id}`, paperData),
+  delete: (id) => api.delete(`/papers/${id}`),
+  transition: (id, action, comment = '') => api.post(`/papers/${id}/transitions`, { action, comment })
+};
+
+// Blueprint APIs
+export const blueprintAPI = {
+  getByModule: (moduleId) => api.get(`/blueprints/module/${moduleId}`),
+  getById: (id) => api.get(`/blueprints/${id}`),
+  create: (blueprintData) => api.post('/blueprints', blueprintData),
+  update: (id, blueprintData) => api.put(`/blueprints/${id}`, blueprintData),
+  delete: (id) => api.delete(`/blueprints/${id}`),
+  build: (id, options = {}) => api.post(`/blueprints/${id}/build`, options)
+};
+
+// Comment APIs (kind is 'question' or 'paper')
+export const commentAPI = {
+  getThreads: (kind, targetId) => api.get(`/comments/${kind}/${targetId}`),
+  create: (kind, targetId, commentData) => api.post(`/comments/${kind}/${targetId}`, commentData),
+  update: (id, commentData) => api.put(`/comments/${id}`, commentData),
+  setResolved: (id, resolved) => api.put(`/comments/${id}/resolve`, { resolved }),
+  delete: (id) => api.delete(`/comments/${id}`),
+  getStaff: (moduleId) => api.get(`/comments/module/${moduleId}/staff`),
+  getMentions: () => api.get('/comments/mentions')
 };
 
 // AI APIs
@@ -91,5 +214,26 @@ export const aiAPI = {
   generateBatch: (data) => api.post('/ai/generate-batch', data)
 };
 
+// User APIs (admin only)
+export const userAPI = {
+  getAll: (filters = {}) => {
+    const params = new URLSearchParams();
+    if (filters.search) params.append('search', filters.search);
+    if (filters.role) params.append('role', filters.role);
+    if (filters.status) params.append('status', filters.status);
+    if (filters.page) params.append('page', filters.page);
+    if (filters.limit) params.append('limit', filters.limit);
+    const queryString = params.toString();
+    return api.get(`/users${queryString ? '?' + queryString : ''}`);
+  },
+  getRoles: () => api.get('/users/roles'),
+  updateRole: (id, role) => api.put(`/users/${id}/role`, { role }),
+  setActive: (id, active) => api.put(`/users/${id}/status`, { active }),
+  forcePasswordReset: (id) => api.post(`/users/${id}/password-reset`),
+  getSessions: (id) => api.get(`/users/${id}/sessions`),
+  revokeSessions: (id) => api.delete(`/users/${id}/sessions`),
+  revokeSession: (id, sessionId) => api.delete(`/users/${id}/sessions/${sessionId}`)
+};
+
 export default api;
 
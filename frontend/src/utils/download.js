@@ -0,0 +1,47 @@
+/**
+ * Download Utility
+ * Saves files fetched with responseType 'blob' and reads errors out of blob responses
+ */
+
+/**
+ * Get the file name from a response's Content-Disposition header
+ * @param {Object} headers - Axios response headers
+ * @param {string} fallback - Name to use when the header is missing
+ * @returns {string} The file name
+ */
+export function getFileName(headers, fallback) {
+  const match = /filename="?([^";]+)"?/.exec(headers?.['content-disposition'] || '');
+  return match ? match[1] : fallback;
+}
+
+/**
+ * Save a blob through a temporary link
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Name to save as
+ */
+export function saveBlob(blob, fileName) {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+}
+
+/**
+ * Get the server's error message from a failed blob request
+ * The JSON error body arrives as a Blob, so it has to be read before it can be parsed.
+ * @param {Object} err - Axios error
+ * @param {string} fallback - Message to use when the body has none
+ * @returns {Promise<string>} The error message
+ */
+export async function readBlobError(err, fallback) {
+  try {
+    const body = JSON.parse(await err.response.data.text());
+    return body.message || fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * Permission Utility Functions
+ * Checks the permissions the server grants the signed-in user's role, to hide actions they cannot perform
+ */
+
+export const ROLE_LABELS = {
+  admin: 'Administrator',
+  'module-leader': 'Module Leader',
+  lecturer: 'Lecturer',
+  moderator: 'Internal Moderator',
+  'external-examiner': 'External Examiner'
+};
+
+// Roles on a module's team; see the backend's moduleTeamService
+export const TEAM_ROLE_LABELS = {
+  leader: 'Module Leader',
+  setter: 'Setter',
+  moderator: 'Moderator',
+  viewer: 'Viewer'
+};
+
+/**
+ * Check whether a user may perform an action
+ * @param {Object} user - User from /api/auth/me, with its permissions
+ * @param {string} permission - Permission, e.g. "questions:edit"
+ * @returns {boolean}
+ */
+export const can = (user, permission) => {
+  return Boolean(user?.permissions?.includes(permission));
+};
+
+/**
+ * Get the display label of a user's role
+ * @param {Object} user - User
+ * @returns {string}
+ */
+export const getRoleLabel = (user) => {
+  return ROLE_LABELS[user?.role] || user?.role || '';
+};
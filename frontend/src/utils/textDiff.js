@@ -0,0 +1,56 @@
+/**
+ * Text Diff Utility
+ * Word-level comparison of two texts for side-by-side revision views
+ */
+
+/**
+ * Compare two texts word by word
+ * Uses the longest common subsequence of words, keeping whitespace attached to each word.
+ * @param {string} before - Earlier text
+ * @param {string} after - Later text
+ * @returns {Array<Object>} - Parts in order: { value, type: 'same' | 'removed' | 'added' }
+ */
+export function diffWords(before = '', after = '') {
+  const oldWords = before.match(/\S+\s*|\s+/g) || [];
+  const newWords = after.match(/\S+\s*|\s+/g) || [];
+
+  // lengths[i][j]: common subsequence length of oldWords from i and newWords from j
+  const lengths = Array.from({ length: oldWords.length + 1 }, () => new Array(newWords.length + 1).fill(0));
+  for (let i = oldWords.length - 1; i >= 0; i -= 1) {
+    for (let j = newWords.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] = oldWords[i].trim() === newWords[j].trim()
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (value, type) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.value += value;
+    } else {
+      parts.push({ value, type });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < oldWords.length && j < newWords.length) {
+    if (oldWords[i].trim() === newWords[j].trim()) {
+      push(newWords[j], 'same');
+      i += 1;
+      j += 1;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push(oldWords[i], 'removed');
+      i += 1;
+    } else {
+      push(newWords[j], 'added');
+      j += 1;
+    }
+  }
+  oldWords.slice(i).forEach((word) => push(word, 'removed'));
+  newWords.slice(j).forEach((word) => push(word, 'added'));
+
+  return parts;
+}